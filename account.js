@@ -0,0 +1,221 @@
+// Account module: serialized diamond balance updates (Durable Object)
+//
+// With a Durable Object binding named ACCOUNTS (class AccountDO, one instance per uid)
+// every change for a user runs one-at-a-time in that instance and the authoritative
+// balance lives in the object's storage; user:<uid>.diamonds in KV is kept as a mirror.
+// Balance changes need the binding: without it they are refused (error 'unavailable') rather than
+// run where two isolates could update the same user at once (see wrangler.toml). Pages Functions
+// cannot define a Durable Object class; a Pages project has to bind ACCOUNTS to the AccountDO of a
+// Worker deployed from this repository.
+// Profile fields of user:<uid> are written through the same path (updateUserFields), so a write
+// based on an earlier read never puts back an old balance. Without the binding they are queued per
+// uid inside the current isolate; no balance can change there, so none can be put back.
+
+export const LEDGER_PAGE_SIZE = 50;
+const LEDGER_ATTEMPTS = 3;
+// idempotency markers are kept this long (a retry comes within minutes; a month leaves room for
+// admin re-runs), then the object's alarm deletes them
+const IDEM_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const IDEM_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const IDEM_PRUNE_BATCH = 500;
+
+// Local KV helpers (same shape as main.js)
+async function getJson(env, key) {
+  const v = await env.BOT_KV.get(key);
+  return v ? JSON.parse(v) : null;
+}
+async function putJson(env, key, obj, opts) {
+  return env.BOT_KV.put(key, JSON.stringify(obj), opts);
+}
+
+// The row goes to slot `count` of its page, so repeating an append whose meta write failed
+// overwrites the half-written row instead of adding a second one
+async function appendLedgerEntry(env, uid, entry) {
+  const meta = (await getJson(env, `ledger:${uid}:meta`)) || { count: 0 };
+  const count = meta.count || 0;
+  const pageKey = `ledger:${uid}:${Math.floor(count / LEDGER_PAGE_SIZE)}`;
+  const rows = (await getJson(env, pageKey)) || [];
+  const row = { seq: count + 1, at: Date.now(), ...entry };
+  rows.length = count % LEDGER_PAGE_SIZE;
+  rows.push(row);
+  await putJson(env, pageKey, rows);
+  await putJson(env, `ledger:${uid}:meta`, { count: count + 1, updated_at: row.at });
+  return row;
+}
+async function appendLedgerWithRetry(env, uid, entry) {
+  let lastError;
+  for (let attempt = 0; attempt < LEDGER_ATTEMPTS; attempt++) {
+    try { return await appendLedgerEntry(env, uid, entry); } catch (e) { lastError = e; }
+  }
+  throw lastError;
+}
+
+// Read-modify-write of one balance. Callers must guarantee it never runs twice
+// concurrently for the same uid. `store` holds the authoritative { diamonds, version }
+// and the idempotency keys already applied to this account.
+async function applyBalanceChange(env, uid, op, store) {
+  const key = `user:${uid}`;
+  const user = (await getJson(env, key)) || { id: uid, diamonds: 0 };
+  const acct = (await store.get()) || { diamonds: Number(user.diamonds || 0), version: 0 };
+  const before = Number(acct.diamonds || 0);
+  if (op.idempotencyKey && await store.seen(op.idempotencyKey)) {
+    return { ok: false, error: 'duplicate', balance: before };
+  }
+  const delta = Number(op.delta || 0);
+  if (op.requireFunds && delta < 0 && before + delta < 0) {
+    return { ok: false, error: 'insufficient_funds', balance: before };
+  }
+  const after = op.clampZero ? Math.max(0, before + delta) : before + delta;
+  // The ledger row is written first: when it cannot be stored the change is refused (the error
+  // propagates) rather than applied without a record. A failure after this point leaves a row
+  // the balance does not reflect, which verifyLedger reports.
+  await appendLedgerWithRetry(env, uid, {
+    delta: after - before,
+    balance: after,
+    reason: op.reason || 'unknown',
+    ref: op.ref == null ? null : String(op.ref),
+    actor: op.actor == null ? null : op.actor
+  });
+  acct.diamonds = after;
+  acct.version = Number(acct.version || 0) + 1;
+  await store.put(acct, op.idempotencyKey || null);
+  user.diamonds = after;
+  for (const [field, n] of Object.entries(op.inc || {})) user[field] = Number(user[field] || 0) + Number(n || 0);
+  await putJson(env, key, user);
+  return { ok: true, balance: after, version: acct.version, user };
+}
+
+// Sets profile fields of user:<uid> (never the balance), creating the record from `defaults` when
+// it does not exist yet. The balance comes from `store` when it holds one, else stays as read.
+async function applyProfileUpdate(env, uid, op, store) {
+  const key = `user:${uid}`;
+  const existing = await getJson(env, key);
+  const { diamonds: _d, ...defaults } = op.defaults || {};
+  const { diamonds: _s, ...set } = op.set || {};
+  const user = existing || { id: uid, diamonds: 0, ...defaults };
+  Object.assign(user, set);
+  const acct = await store.get();
+  if (acct) user.diamonds = Number(acct.diamonds || 0);
+  await putJson(env, key, user);
+  return { ok: true, user, created: !existing };
+}
+function applyAccountOp(env, uid, op, store) {
+  return op.type === 'profile' ? applyProfileUpdate(env, uid, op, store) : applyBalanceChange(env, uid, op, store);
+}
+
+// Durable Object: one instance per uid, requests are chained so KV awaits cannot interleave
+export class AccountDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.queue = Promise.resolve();
+  }
+  async fetch(request) {
+    const op = await request.json().catch(() => null);
+    if (!op || op.uid == null) return new Response(JSON.stringify({ ok: false, error: 'bad_request' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    const storage = this.state.storage;
+    const store = {
+      get: () => storage.get('acct'),
+      // balance and idempotency marker (its value is the time it was set) are written in one storage transaction
+      put: async (acct, idemKey) => {
+        await storage.put(idemKey ? { acct, [`idem:${idemKey}`]: Date.now() } : { acct });
+        if (idemKey && (await storage.getAlarm()) == null) await storage.setAlarm(Date.now() + IDEM_PRUNE_INTERVAL_MS);
+      },
+      seen: async (idemKey) => {
+        const at = await storage.get(`idem:${idemKey}`);
+        return Boolean(at && Date.now() - Number(at) < IDEM_RETENTION_MS);
+      }
+    };
+    const run = this.queue.then(() => applyAccountOp(this.env, op.uid, op, store));
+    this.queue = run.catch(() => {});
+    const res = await run.catch(() => ({ ok: false, error: 'exception' }));
+    return new Response(JSON.stringify(res), { headers: { 'Content-Type': 'application/json' } });
+  }
+  // Deletes idempotency markers older than IDEM_RETENTION_MS; runs again while any are left
+  async alarm() {
+    const run = this.queue.then(async () => {
+      const storage = this.state.storage;
+      const cutoff = Date.now() - IDEM_RETENTION_MS;
+      let startAfter;
+      let left = false;
+      for (;;) {
+        const page = await storage.list({ prefix: 'idem:', limit: IDEM_PRUNE_BATCH, ...(startAfter ? { startAfter } : {}) });
+        const old = [...page].filter(([, at]) => Number(at) < cutoff).map(([k]) => k);
+        if (old.length) await storage.delete(old);
+        left = left || page.size > old.length;
+        if (page.size < IDEM_PRUNE_BATCH) break;
+        startAfter = [...page.keys()].pop();
+      }
+      if (left) await storage.setAlarm(Date.now() + IDEM_PRUNE_INTERVAL_MS);
+    });
+    this.queue = run.catch(() => {});
+    await run;
+  }
+}
+
+// Fallback for profile updates: per-uid promise chain inside this isolate; user record is the store
+const LOCAL_QUEUES = new Map();
+function runLocalSerialized(uid, fn) {
+  const k = String(uid);
+  const prev = LOCAL_QUEUES.get(k) || Promise.resolve();
+  const run = prev.then(fn);
+  const tail = run.catch(() => {});
+  LOCAL_QUEUES.set(k, tail);
+  tail.then(() => { if (LOCAL_QUEUES.get(k) === tail) LOCAL_QUEUES.delete(k); });
+  return run;
+}
+
+async function runAccountOp(env, uid, op) {
+  if (env && env.ACCOUNTS) {
+    const stub = env.ACCOUNTS.get(env.ACCOUNTS.idFromName(String(uid)));
+    const res = await stub.fetch('https://account/apply', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...op, uid })
+    });
+    return await res.json();
+  }
+  if (op.type !== 'profile') return { ok: false, error: 'unavailable' };
+  const store = { get: async () => null };
+  return runLocalSerialized(uid, () => applyProfileUpdate(env, uid, op, store));
+}
+
+// op: { delta, reason, ref, actor, clampZero, requireFunds, idempotencyKey, inc: { field: n } }
+// Returns { ok, balance, user } or { ok: false, error }
+// (error: insufficient_funds | duplicate | unavailable when ACCOUNTS is not bound | exception)
+export async function changeBalance(env, uid, op) {
+  return runAccountOp(env, uid, { ...op, type: 'balance' });
+}
+
+// Merges `set` into user:<uid> in the serialized path; `defaults` seed a record that does not exist.
+// `diamonds` is ignored in both (use changeBalance). Returns { ok, user, created }
+export async function updateUserFields(env, uid, set, { defaults = null } = {}) {
+  return runAccountOp(env, uid, { type: 'profile', set: set || {}, defaults });
+}
+
+// Replays a user's ledger: each row must follow from the one before it, and the last balance must
+// equal user:<uid>.diamonds. Rows start from the balance the user had before the first recorded
+// change (the ledger was introduced after accounts existed), so that opening balance is taken from
+// the first row. Returns { ok, count, opening, sum, expected, balance, breaks: [seq, ...] }
+export async function verifyLedger(env, uid) {
+  const { count = 0 } = (await getJson(env, `ledger:${uid}:meta`)) || {};
+  const user = (await getJson(env, `user:${uid}`)) || { diamonds: 0 };
+  const balance = Number(user.diamonds || 0);
+  const breaks = [];
+  let opening = null;
+  let sum = 0;
+  let running = null;
+  for (let p = 0; p * LEDGER_PAGE_SIZE < count; p++) {
+    const rows = (await getJson(env, `ledger:${uid}:${p}`)) || [];
+    for (const row of rows.slice(0, count - p * LEDGER_PAGE_SIZE)) {
+      const delta = Number(row.delta || 0);
+      if (opening === null) opening = Number(row.balance || 0) - delta;
+      if (running !== null && running + delta !== Number(row.balance || 0)) breaks.push(row.seq);
+      running = Number(row.balance || 0);
+      sum += delta;
+    }
+  }
+  if (opening === null) opening = balance;
+  const expected = opening + sum;
+  return { ok: !breaks.length && expected === balance, count, opening, sum, expected, balance, breaks };
+}
@@ -0,0 +1,231 @@
+// CIDR config: validation, import and diffing of the `ps:dns:cidr` document that admins edit in the bot
+
+// KV `ps:dns:cidr` (the bundled dns_ranges.json is used until an admin saves one):
+//   { "OVPN": { "locations": { "<CC>": { "servers": [{ "host", "port", "template"?, "proto"? }], "template"? } } },
+//     "<CC>": { "v4": ["a.b.c.d/n", ...], "v6": ["x:y::/n", ...] }, ... }
+// Country entries feed the random-CIDR DNS mode and the WireGuard DNS lines; OVPN locations list the
+// servers sold per location (purchases refer to a server by its index, so reordering moves them).
+// proto limits a server to "udp" or "tcp"; without it buyers choose either.
+// Every edit is checked as a whole document and shown as a diff before it replaces the stored one,
+// and is only saved over the document it was made against (the bot keeps that base in its draft,
+// /api/cidr takes it as an ETag; see cidrConfigEtag).
+
+import { isIPv4, isIPv6, isHostname } from './dns_servers.js';
+import { isCountryCode } from './countries.js';
+
+// wider blocks than this are almost certainly a typo in the prefix length
+const MIN_PREFIX = { v4: 8, v6: 16 };
+const MAX_PREFIX = { v4: 32, v6: 128 };
+
+// ISO 3166-1 alpha-2 (see countries.js)
+export function isValidCountryCode(code) {
+  return isCountryCode(code);
+}
+
+/* -------------------- CIDR -------------------- */
+function ip4ToBigInt(ip) {
+  return ip.split('.').reduce((acc, p) => (acc << 8n) + BigInt(Number(p)), 0n);
+}
+function ip6ToBigInt(ip) {
+  const [head, tail] = ip.split('::');
+  const h = head ? head.split(':') : [];
+  const t = tail ? tail.split(':') : [];
+  const groups = tail === undefined ? h : [...h, ...Array(8 - h.length - t.length).fill('0'), ...t];
+  return groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n);
+}
+
+// One CIDR; the address must be the network address (no host bits set).
+// Returns { cidr, family: 'v4' | 'v6' } or { error }
+export function normalizeCidr(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  const m = raw.match(/^([^/\s]+)\/(\d{1,3})$/);
+  if (!m) return { error: `not a CIDR: ${raw || '(empty)'}` };
+  const family = isIPv4(m[1]) ? 'v4' : isIPv6(m[1]) ? 'v6' : '';
+  if (!family) return { error: `bad address: ${raw}` };
+  const prefix = Number(m[2]);
+  if (prefix < MIN_PREFIX[family] || prefix > MAX_PREFIX[family]) {
+    return { error: `prefix of ${raw} must be /${MIN_PREFIX[family]}-/${MAX_PREFIX[family]}` };
+  }
+  const bits = MAX_PREFIX[family] - prefix;
+  const addr = family === 'v4' ? ip4ToBigInt(m[1]) : ip6ToBigInt(m[1]);
+  if (addr & ((1n << BigInt(bits)) - 1n)) return { error: `host bits set in ${raw}` };
+  return { cidr: `${m[1]}/${prefix}`, family };
+}
+
+// Admin text: CIDRs separated by new lines, commas or spaces; v4 and v6 are told apart by the
+// address. Duplicates are dropped. Returns { v4, v6 } or { error }
+export function parseCidrList(text) {
+  const v4 = [];
+  const v6 = [];
+  for (const item of String(text || '').split(/[\s,]+/).filter(Boolean)) {
+    const r = normalizeCidr(item);
+    if (r.error) return { error: r.error };
+    const list = r.family === 'v4' ? v4 : v6;
+    if (!list.includes(r.cidr)) list.push(r.cidr);
+  }
+  return { v4, v6 };
+}
+
+// { v4: [...], v6: [...] } -> { ranges } or { error }; both families are needed by the DNS generator
+export function normalizeCountryRanges(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'country must be an object with v4 and v6' };
+  for (const fam of ['v4', 'v6']) {
+    if (!Array.isArray(obj[fam])) return { error: `${fam} must be a list` };
+  }
+  const parsed = parseCidrList([...obj.v4, ...obj.v6].join('\n'));
+  if (parsed.error) return { error: parsed.error };
+  const misplaced = ['v4', 'v6'].find(fam => obj[fam].some(c => normalizeCidr(c).family !== fam));
+  if (misplaced) return { error: `${misplaced} holds an address of the other family` };
+  if (!parsed.v4.length || !parsed.v6.length) return { error: 'at least one v4 and one v6 range are required' };
+  return { ranges: parsed };
+}
+
+// Admin edit of one country's ranges: a plain list replaces them; when every entry starts with + or -
+// (e.g. "+1.2.3.0/24 -2001:db8::/32") those are added to / removed from `current`.
+// Returns { ranges } or { error }
+export function applyCidrListEdit(current, text) {
+  const items = String(text || '').split(/[\s,]+/).filter(Boolean);
+  if (!items.length) return { error: 'no ranges given' };
+  const signed = items.filter(x => /^[+-]/.test(x)).length;
+  if (!signed) {
+    const parsed = parseCidrList(items.join('\n'));
+    return parsed.error ? { error: parsed.error } : normalizeCountryRanges(parsed);
+  }
+  if (signed !== items.length) return { error: 'prefix either every range with + / - or none of them' };
+  const next = { v4: [...((current && current.v4) || [])], v6: [...((current && current.v6) || [])] };
+  for (const item of items) {
+    const r = normalizeCidr(item.slice(1));
+    if (r.error) return { error: r.error };
+    const list = next[r.family];
+    const at = list.indexOf(r.cidr);
+    if (item[0] === '+' && at < 0) list.push(r.cidr);
+    if (item[0] === '-' && at >= 0) list.splice(at, 1);
+  }
+  return normalizeCountryRanges(next);
+}
+
+/* -------------------- OVPN -------------------- */
+function isValidTemplateId(id) {
+  return /^[A-Za-z0-9_-]{1,40}$/.test(String(id || ''));
+}
+// { servers: [{ host, port, template?, proto? }], template? } -> { location } or { error }
+export function normalizeOvpnLocation(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'location must be an object with servers' };
+  if (!Array.isArray(obj.servers) || !obj.servers.length) return { error: 'servers must be a non-empty list' };
+  const servers = [];
+  const seen = new Set();
+  for (const [i, s] of obj.servers.entries()) {
+    if (!s || typeof s !== 'object') return { error: `servers[${i}] must be an object` };
+    const host = String(s.host || '').trim().toLowerCase();
+    if (!isHostname(host) && !isIPv4(host)) return { error: `servers[${i}].host must be a hostname or IPv4` };
+    const port = Number(s.port);
+    if (!(Number.isInteger(port) && port >= 1 && port <= 65535)) return { error: `servers[${i}].port must be 1-65535` };
+    if (seen.has(`${host}:${port}`)) return { error: `servers[${i}] repeats ${host}:${port}` };
+    seen.add(`${host}:${port}`);
+    const server = { host, port };
+    if (s.template != null && s.template !== '') {
+      if (!isValidTemplateId(s.template)) return { error: `servers[${i}].template is not a template id` };
+      server.template = String(s.template);
+    }
+    if (s.proto != null && s.proto !== '') {
+      const proto = String(s.proto).toLowerCase();
+      if (proto !== 'udp' && proto !== 'tcp') return { error: `servers[${i}].proto must be udp or tcp` };
+      server.proto = proto;
+    }
+    servers.push(server);
+  }
+  const location = { servers };
+  if (obj.template != null && obj.template !== '') {
+    if (!isValidTemplateId(obj.template)) return { error: 'template is not a template id' };
+    location.template = String(obj.template);
+  }
+  return { location };
+}
+
+/* -------------------- Whole document -------------------- */
+// Validates an imported or edited document. Returns { config } or { error } (the error names the entry)
+export function normalizeCidrConfig(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'config must be an object' };
+  const config = { OVPN: { locations: {} } };
+  const ovpn = obj.OVPN == null ? { locations: {} } : obj.OVPN;
+  if (!ovpn || typeof ovpn !== 'object' || !ovpn.locations || typeof ovpn.locations !== 'object') {
+    return { error: 'OVPN must be { "locations": { ... } }' };
+  }
+  for (const [code, loc] of Object.entries(ovpn.locations)) {
+    if (!isValidCountryCode(code)) return { error: `OVPN.${code}: location code must be an ISO 3166 country code` };
+    const r = normalizeOvpnLocation(loc);
+    if (r.error) return { error: `OVPN.${code}: ${r.error}` };
+    config.OVPN.locations[code] = r.location;
+  }
+  for (const [code, c] of Object.entries(obj)) {
+    if (code === 'OVPN') continue;
+    if (!isValidCountryCode(code)) return { error: `${code}: not an ISO 3166 country code` };
+    const r = normalizeCountryRanges(c);
+    if (r.error) return { error: `${code}: ${r.error}` };
+    config[code] = r.ranges;
+  }
+  return { config };
+}
+
+// Countries with both v4 and v6 ranges, sorted
+export function cidrCountries(cfg) {
+  return Object.keys(cfg || {})
+    .filter(k => k !== 'OVPN' && isValidCountryCode(k))
+    .filter(k => cfg[k] && Array.isArray(cfg[k].v4) && cfg[k].v4.length && Array.isArray(cfg[k].v6) && cfg[k].v6.length)
+    .sort();
+}
+
+// Version tag of a document: GET /api/cidr sends it as ETag and POST needs it back in If-Match
+export async function cidrConfigEtag(cfg) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(cfg || {}))));
+  return `"${[...digest.slice(0, 12)].map(b => b.toString(16).padStart(2, '0')).join('')}"`;
+}
+
+/* -------------------- Diff -------------------- */
+function listDiff(before = [], after = []) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return { added: after.filter(x => !a.has(x)), removed: before.filter(x => !b.has(x)) };
+}
+const serverKey = (s) => `${s.host}:${s.port}${s.proto ? `/${s.proto}` : ''}${s.template ? ` [${s.template}]` : ''}`;
+
+// What saving `after` over `before` changes:
+// { countries: [{ code, change: 'added' | 'removed' | 'changed', v4: { added, removed }, v6: { added, removed } }],
+//   ovpn: [{ code, change, servers: { added, removed, moved: [{ server, from, to }] }, template: [from, to] | null }] }
+// Servers are compared as "host:port/proto [template]". Purchases refer to a server by its index, so a
+// server kept at another index is listed in moved (from / to are indexes) and counts as a change.
+export function diffCidrConfig(before, after) {
+  const out = { countries: [], ovpn: [] };
+  const codes = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].filter(k => k !== 'OVPN').sort();
+  for (const code of codes) {
+    const a = (before || {})[code];
+    const b = (after || {})[code];
+    const v4 = listDiff(a && a.v4, b && b.v4);
+    const v6 = listDiff(a && a.v6, b && b.v6);
+    const change = !a ? 'added' : !b ? 'removed' : 'changed';
+    if (change !== 'changed' || v4.added.length || v4.removed.length || v6.added.length || v6.removed.length) {
+      out.countries.push({ code, change, v4, v6 });
+    }
+  }
+  const locsA = (before && before.OVPN && before.OVPN.locations) || {};
+  const locsB = (after && after.OVPN && after.OVPN.locations) || {};
+  for (const code of [...new Set([...Object.keys(locsA), ...Object.keys(locsB)])].sort()) {
+    const a = locsA[code];
+    const b = locsB[code];
+    const keysA = ((a && a.servers) || []).map(serverKey);
+    const keysB = ((b && b.servers) || []).map(serverKey);
+    const servers = listDiff(keysA, keysB);
+    servers.moved = keysA.map((server, from) => ({ server, from, to: keysB.indexOf(server) })).filter(m => m.to >= 0 && m.to !== m.from);
+    const tplA = (a && a.template) || '';
+    const tplB = (b && b.template) || '';
+    const template = a && b && tplA !== tplB ? [tplA, tplB] : null;
+    const change = !a ? 'added' : !b ? 'removed' : 'changed';
+    if (change !== 'changed' || servers.added.length || servers.removed.length || servers.moved.length || template) {
+      out.ovpn.push({ code, change, servers, template });
+    }
+  }
+  return out;
+}
+export function isEmptyCidrDiff(diff) {
+  return !diff.countries.length && !diff.ovpn.length;
+}
@@ -0,0 +1,142 @@
+// Claims: first-come ownership of a name and capped holder sets, decided inside a Durable Object
+//
+// KV has no compare-and-set and is eventually consistent: two isolates (or two locations) that each
+// write a marker and read it back can both see their own write. Whatever must go to one run or one
+// buyer only is decided here instead. With a Durable Object binding named CLAIMS (class ClaimDO, one
+// instance per scope) the operations of a scope run one at a time against that instance's storage.
+// There is no KV fallback: without the binding every call throws 'claims_unavailable' and the
+// caller refuses the work (see wrangler.toml).
+//
+// Storage of one instance:
+//   claim:<key> -> { owner, data, at, expires_at }   expires_at null = held until released
+//   slot:<key>:<holder> -> at                         one holder of a capped set
+//   slots:<key> -> number of holders of that set
+// Expired claims count as free and are deleted by the instance's alarm.
+//
+// Scopes: 'updates' (Telegram update ids), 'review' (payment reviews), 'pay' (payment settlement),
+// 'ovpn:<poolId>' (pooled logins), 'promo:<CODE>' (promo uses), 'dns:servers' (resolver seats)
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const PRUNE_BATCH = 500;
+
+const claimKey = (key) => `claim:${key}`;
+const slotKey = (key, holder) => `slot:${key}:${holder}`;
+const slotsKey = (key) => `slots:${key}`;
+
+function isLive(c, nowTs) {
+  return Boolean(c && (!c.expires_at || c.expires_at > nowTs));
+}
+
+async function applyClaimOp(storage, op) {
+  const nowTs = Date.now();
+  if (op.type === 'claim') {
+    const cur = await storage.get(claimKey(op.key));
+    if (isLive(cur, nowTs) && cur.owner !== op.owner) return { won: false, owner: cur.owner, data: cur.data, at: cur.at };
+    // the owner claiming again keeps its start time and gets the new expiry
+    const next = { owner: op.owner, data: op.data == null ? null : op.data, at: isLive(cur, nowTs) ? cur.at : nowTs, expires_at: op.ttl_ms ? nowTs + op.ttl_ms : null };
+    await storage.put(claimKey(op.key), next);
+    if (next.expires_at && (await storage.getAlarm()) == null) await storage.setAlarm(nowTs + PRUNE_INTERVAL_MS);
+    return { won: true, owner: next.owner, data: next.data, at: next.at };
+  }
+  if (op.type === 'release') {
+    const cur = await storage.get(claimKey(op.key));
+    if (!isLive(cur, nowTs) || (op.owner != null && cur.owner !== op.owner)) return { released: false };
+    await storage.delete(claimKey(op.key));
+    return { released: true };
+  }
+  if (op.type === 'take') {
+    const count = Number((await storage.get(slotsKey(op.key))) || 0);
+    if (await storage.get(slotKey(op.key, op.holder))) return { ok: true, count };
+    if (op.limit && count >= op.limit) return { ok: false, count };
+    await storage.put({ [slotKey(op.key, op.holder)]: nowTs, [slotsKey(op.key)]: count + 1 });
+    return { ok: true, count: count + 1 };
+  }
+  if (op.type === 'give') {
+    const count = Number((await storage.get(slotsKey(op.key))) || 0);
+    if (!(await storage.get(slotKey(op.key, op.holder)))) return { released: false, count };
+    await storage.delete(slotKey(op.key, op.holder));
+    await storage.put(slotsKey(op.key), Math.max(0, count - 1));
+    return { released: true, count: Math.max(0, count - 1) };
+  }
+  if (op.type === 'count') {
+    const found = await storage.get(op.keys.map(slotsKey));
+    return { counts: Object.fromEntries(op.keys.map(k => [k, Number(found.get(slotsKey(k)) || 0)])) };
+  }
+  return { error: 'bad_request' };
+}
+
+// Durable Object: one instance per scope, operations are chained so storage awaits cannot interleave
+export class ClaimDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.queue = Promise.resolve();
+  }
+  serialized(fn) {
+    const run = this.queue.then(fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+  async fetch(request) {
+    const op = await request.json().catch(() => null);
+    if (!op || !op.type) return new Response(JSON.stringify({ error: 'bad_request' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    const res = await this.serialized(() => applyClaimOp(this.state.storage, op)).catch(() => ({ error: 'exception' }));
+    return new Response(JSON.stringify(res), { status: res.error ? 500 : 200, headers: { 'Content-Type': 'application/json' } });
+  }
+  // Deletes expired claims; runs again while any claim with an expiry is left
+  async alarm() {
+    await this.serialized(async () => {
+      const storage = this.state.storage;
+      const nowTs = Date.now();
+      let startAfter;
+      let pending = false;
+      for (;;) {
+        const page = await storage.list({ prefix: 'claim:', limit: PRUNE_BATCH, ...(startAfter ? { startAfter } : {}) });
+        const expired = [...page].filter(([, c]) => !isLive(c, nowTs)).map(([k]) => k);
+        if (expired.length) await storage.delete(expired);
+        pending = pending || [...page.values()].some(c => isLive(c, nowTs) && c.expires_at);
+        if (page.size < PRUNE_BATCH) break;
+        startAfter = [...page.keys()].pop();
+      }
+      if (pending) await storage.setAlarm(nowTs + PRUNE_INTERVAL_MS);
+    });
+  }
+}
+
+async function runClaimOp(env, scope, op) {
+  if (!env || !env.CLAIMS) throw new Error('claims_unavailable');
+  const stub = env.CLAIMS.get(env.CLAIMS.idFromName(String(scope)));
+  const res = await stub.fetch('https://claims/apply', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(op)
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body || body.error) throw new Error(`claims_${(body && body.error) || res.status}`);
+  return body;
+}
+
+// Takes `key` for `owner` unless someone else holds it; the owner claiming again keeps it (with the
+// new ttl). ttlMs 0 holds it until released. data is kept with the claim and shown to losers.
+// Returns { won, owner, data, at }
+export async function claim(env, scope, key, owner, { ttlMs = 0, data = null } = {}) {
+  return runClaimOp(env, scope, { type: 'claim', key: String(key), owner: String(owner), ttl_ms: ttlMs, data });
+}
+// Frees `key`; with an owner only when that owner holds it. Returns true when something was freed
+export async function releaseClaim(env, scope, key, owner = null) {
+  return (await runClaimOp(env, scope, { type: 'release', key: String(key), owner: owner == null ? null : String(owner) })).released;
+}
+// Adds `holder` to the set `key` unless it already has `limit` holders (0 = no limit); a holder
+// already in the set keeps its place. Returns { ok, count }
+export async function takeSlot(env, scope, key, holder, limit = 0) {
+  return runClaimOp(env, scope, { type: 'take', key: String(key), holder: String(holder), limit: Number(limit) || 0 });
+}
+// Removes `holder` from the set `key`. Returns true when it was in it
+export async function returnSlot(env, scope, key, holder) {
+  return (await runClaimOp(env, scope, { type: 'give', key: String(key), holder: String(holder) })).released;
+}
+// { key: holders } for each of keys
+export async function countSlots(env, scope, keys) {
+  if (!keys.length) return {};
+  return (await runClaimOp(env, scope, { type: 'count', keys: keys.map(String) })).counts;
+}
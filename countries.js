@@ -0,0 +1,309 @@
+// Countries: ISO 3166-1 alpha-2 registry (flag, English and Persian names) and the per-service
+// availability built from what is actually configured
+
+// Flags are not stored: they are the two regional indicator symbols of the code.
+// Availability is never hard-coded here; callers pass what each service is configured for:
+//   sources: { dns: [code, ...], wg: [code, ...], ovpn: [code, ...] }
+// (main.js: countrySources). Codes outside the registry are dropped from menus; unknownCountryCodes
+// lists them so the admin screens can point them out.
+
+export const COUNTRY_SERVICES = ['dns', 'wg', 'ovpn'];
+
+// code|English|Persian
+const ISO_3166 = `
+AD|Andorra|آندورا
+AE|United Arab Emirates|امارات متحده عربی
+AF|Afghanistan|افغانستان
+AG|Antigua and Barbuda|آنتیگوا و باربودا
+AI|Anguilla|آنگویلا
+AL|Albania|آلبانی
+AM|Armenia|ارمنستان
+AO|Angola|آنگولا
+AQ|Antarctica|جنوبگان
+AR|Argentina|آرژانتین
+AS|American Samoa|ساموآی آمریکا
+AT|Austria|اتریش
+AU|Australia|استرالیا
+AW|Aruba|آروبا
+AX|Åland Islands|جزایر اولاند
+AZ|Azerbaijan|جمهوری آذربایجان
+BA|Bosnia and Herzegovina|بوسنی و هرزگوین
+BB|Barbados|باربادوس
+BD|Bangladesh|بنگلادش
+BE|Belgium|بلژیک
+BF|Burkina Faso|بورکینافاسو
+BG|Bulgaria|بلغارستان
+BH|Bahrain|بحرین
+BI|Burundi|بوروندی
+BJ|Benin|بنین
+BL|Saint Barthélemy|سن بارتلمی
+BM|Bermuda|برمودا
+BN|Brunei|برونئی
+BO|Bolivia|بولیوی
+BQ|Caribbean Netherlands|هلند کارائیب
+BR|Brazil|برزیل
+BS|Bahamas|باهاما
+BT|Bhutan|بوتان
+BV|Bouvet Island|جزیره بووه
+BW|Botswana|بوتسوانا
+BY|Belarus|بلاروس
+BZ|Belize|بلیز
+CA|Canada|کانادا
+CC|Cocos (Keeling) Islands|جزایر کوکوس
+CD|DR Congo|جمهوری دموکراتیک کنگو
+CF|Central African Republic|جمهوری آفریقای مرکزی
+CG|Congo|کنگو
+CH|Switzerland|سوئیس
+CI|Côte d'Ivoire|ساحل عاج
+CK|Cook Islands|جزایر کوک
+CL|Chile|شیلی
+CM|Cameroon|کامرون
+CN|China|چین
+CO|Colombia|کلمبیا
+CR|Costa Rica|کاستاریکا
+CU|Cuba|کوبا
+CV|Cape Verde|کیپ ورد
+CW|Curaçao|کوراسائو
+CX|Christmas Island|جزیره کریسمس
+CY|Cyprus|قبرس
+CZ|Czechia|چک
+DE|Germany|آلمان
+DJ|Djibouti|جیبوتی
+DK|Denmark|دانمارک
+DM|Dominica|دومینیکا
+DO|Dominican Republic|جمهوری دومینیکن
+DZ|Algeria|الجزایر
+EC|Ecuador|اکوادور
+EE|Estonia|استونی
+EG|Egypt|مصر
+EH|Western Sahara|صحرای غربی
+ER|Eritrea|اریتره
+ES|Spain|اسپانیا
+ET|Ethiopia|اتیوپی
+FI|Finland|فنلاند
+FJ|Fiji|فیجی
+FK|Falkland Islands|جزایر فالکلند
+FM|Micronesia|میکرونزی
+FO|Faroe Islands|جزایر فارو
+FR|France|فرانسه
+GA|Gabon|گابن
+GB|United Kingdom|بریتانیا
+GD|Grenada|گرنادا
+GE|Georgia|گرجستان
+GF|French Guiana|گویان فرانسه
+GG|Guernsey|گرنزی
+GH|Ghana|غنا
+GI|Gibraltar|جبل‌الطارق
+GL|Greenland|گرینلند
+GM|Gambia|گامبیا
+GN|Guinea|گینه
+GP|Guadeloupe|گوادلوپ
+GQ|Equatorial Guinea|گینه استوایی
+GR|Greece|یونان
+GS|South Georgia and the South Sandwich Islands|جزایر جورجیای جنوبی و ساندویچ جنوبی
+GT|Guatemala|گواتمالا
+GU|Guam|گوام
+GW|Guinea-Bissau|گینه بیسائو
+GY|Guyana|گویان
+HK|Hong Kong|هنگ کنگ
+HM|Heard Island and McDonald Islands|جزایر هرد و مک‌دونالد
+HN|Honduras|هندوراس
+HR|Croatia|کرواسی
+HT|Haiti|هائیتی
+HU|Hungary|مجارستان
+ID|Indonesia|اندونزی
+IE|Ireland|ایرلند
+IL|Israel|اسرائیل
+IM|Isle of Man|جزیره من
+IN|India|هند
+IO|British Indian Ocean Territory|قلمرو بریتانیا در اقیانوس هند
+IQ|Iraq|عراق
+IR|Iran|ایران
+IS|Iceland|ایسلند
+IT|Italy|ایتالیا
+JE|Jersey|جرزی
+JM|Jamaica|جامائیکا
+JO|Jordan|اردن
+JP|Japan|ژاپن
+KE|Kenya|کنیا
+KG|Kyrgyzstan|قرقیزستان
+KH|Cambodia|کامبوج
+KI|Kiribati|کیریباتی
+KM|Comoros|کومور
+KN|Saint Kitts and Nevis|سنت کیتس و نویس
+KP|North Korea|کره شمالی
+KR|South Korea|کره جنوبی
+KW|Kuwait|کویت
+KY|Cayman Islands|جزایر کیمن
+KZ|Kazakhstan|قزاقستان
+LA|Laos|لائوس
+LB|Lebanon|لبنان
+LC|Saint Lucia|سنت لوسیا
+LI|Liechtenstein|لیختن‌اشتاین
+LK|Sri Lanka|سری‌لانکا
+LR|Liberia|لیبریا
+LS|Lesotho|لسوتو
+LT|Lithuania|لیتوانی
+LU|Luxembourg|لوکزامبورگ
+LV|Latvia|لتونی
+LY|Libya|لیبی
+MA|Morocco|مراکش
+MC|Monaco|موناکو
+MD|Moldova|مولداوی
+ME|Montenegro|مونته‌نگرو
+MF|Saint Martin|سن مارتن
+MG|Madagascar|ماداگاسکار
+MH|Marshall Islands|جزایر مارشال
+MK|North Macedonia|مقدونیه شمالی
+ML|Mali|مالی
+MM|Myanmar|میانمار
+MN|Mongolia|مغولستان
+MO|Macao|ماکائو
+MP|Northern Mariana Islands|جزایر ماریانای شمالی
+MQ|Martinique|مارتینیک
+MR|Mauritania|موریتانی
+MS|Montserrat|مونتسرات
+MT|Malta|مالت
+MU|Mauritius|موریس
+MV|Maldives|مالدیو
+MW|Malawi|مالاوی
+MX|Mexico|مکزیک
+MY|Malaysia|مالزی
+MZ|Mozambique|موزامبیک
+NA|Namibia|نامیبیا
+NC|New Caledonia|کالدونیای جدید
+NE|Niger|نیجر
+NF|Norfolk Island|جزیره نورفولک
+NG|Nigeria|نیجریه
+NI|Nicaragua|نیکاراگوئه
+NL|Netherlands|هلند
+NO|Norway|نروژ
+NP|Nepal|نپال
+NR|Nauru|نائورو
+NU|Niue|نیووی
+NZ|New Zealand|نیوزیلند
+OM|Oman|عمان
+PA|Panama|پاناما
+PE|Peru|پرو
+PF|French Polynesia|پلی‌نزی فرانسه
+PG|Papua New Guinea|پاپوآ گینه نو
+PH|Philippines|فیلیپین
+PK|Pakistan|پاکستان
+PL|Poland|لهستان
+PM|Saint Pierre and Miquelon|سن پیر و میکلن
+PN|Pitcairn Islands|جزایر پیتکرن
+PR|Puerto Rico|پورتوریکو
+PS|Palestine|فلسطین
+PT|Portugal|پرتغال
+PW|Palau|پالائو
+PY|Paraguay|پاراگوئه
+QA|Qatar|قطر
+RE|Réunion|رئونیون
+RO|Romania|رومانی
+RS|Serbia|صربستان
+RU|Russia|روسیه
+RW|Rwanda|رواندا
+SA|Saudi Arabia|عربستان سعودی
+SB|Solomon Islands|جزایر سلیمان
+SC|Seychelles|سیشل
+SD|Sudan|سودان
+SE|Sweden|سوئد
+SG|Singapore|سنگاپور
+SH|Saint Helena|سنت هلنا
+SI|Slovenia|اسلوونی
+SJ|Svalbard and Jan Mayen|سوالبارد و یان ماین
+SK|Slovakia|اسلواکی
+SL|Sierra Leone|سیرالئون
+SM|San Marino|سان مارینو
+SN|Senegal|سنگال
+SO|Somalia|سومالی
+SR|Suriname|سورینام
+SS|South Sudan|سودان جنوبی
+ST|São Tomé and Príncipe|سائوتومه و پرنسیپ
+SV|El Salvador|السالوادور
+SX|Sint Maarten|سینت مارتن
+SY|Syria|سوریه
+SZ|Eswatini|اسواتینی
+TC|Turks and Caicos Islands|جزایر تورکس و کایکوس
+TD|Chad|چاد
+TF|French Southern Territories|سرزمین‌های جنوبی فرانسه
+TG|Togo|توگو
+TH|Thailand|تایلند
+TJ|Tajikistan|تاجیکستان
+TK|Tokelau|توکلائو
+TL|Timor-Leste|تیمور شرقی
+TM|Turkmenistan|ترکمنستان
+TN|Tunisia|تونس
+TO|Tonga|تونگا
+TR|Türkiye|ترکیه
+TT|Trinidad and Tobago|ترینیداد و توباگو
+TV|Tuvalu|تووالو
+TW|Taiwan|تایوان
+TZ|Tanzania|تانزانیا
+UA|Ukraine|اوکراین
+UG|Uganda|اوگاندا
+UM|U.S. Outlying Islands|جزایر کوچک حاشیه‌ای ایالات متحده
+US|United States|ایالات متحده آمریکا
+UY|Uruguay|اروگوئه
+UZ|Uzbekistan|ازبکستان
+VA|Vatican City|واتیکان
+VC|Saint Vincent and the Grenadines|سنت وینسنت و گرنادین‌ها
+VE|Venezuela|ونزوئلا
+VG|British Virgin Islands|جزایر ویرجین بریتانیا
+VI|U.S. Virgin Islands|جزایر ویرجین آمریکا
+VN|Vietnam|ویتنام
+VU|Vanuatu|وانواتو
+WF|Wallis and Futuna|والیس و فوتونا
+WS|Samoa|ساموآ
+YE|Yemen|یمن
+YT|Mayotte|مایوت
+ZA|South Africa|آفریقای جنوبی
+ZM|Zambia|زامبیا
+ZW|Zimbabwe|زیمبابوه
+`;
+
+const REGISTRY = Object.fromEntries(
+  ISO_3166.trim().split('\n').map(line => {
+    const [code, en, fa] = line.split('|');
+    return [code, { code, en, fa }];
+  })
+);
+
+export function isCountryCode(code) {
+  return Object.prototype.hasOwnProperty.call(REGISTRY, String(code || ''));
+}
+// '🇩🇪' for 'DE'; '' for anything that is not two letters
+export function countryFlag(code) {
+  const c = String(code || '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(c)) return '';
+  return String.fromCodePoint(...[...c].map(ch => 0x1F1E6 + ch.charCodeAt(0) - 65));
+}
+// Persian name by default; the code itself when it is not in the registry
+export function countryName(code, lang = 'fa') {
+  const c = REGISTRY[String(code || '')];
+  if (!c) return String(code || '');
+  return lang === 'en' ? c.en : c.fa;
+}
+export function listCountries() {
+  return Object.values(REGISTRY);
+}
+
+/* -------------------- Availability -------------------- */
+// { dns, wg, ovpn } booleans for one country
+export function countryServices(sources, code) {
+  return Object.fromEntries(COUNTRY_SERVICES.map(svc => [svc, ((sources && sources[svc]) || []).includes(code)]));
+}
+// Registry countries a service is configured for, in Persian alphabetical order (menu order)
+export function countriesForService(sources, service) {
+  const codes = [...new Set((sources && sources[service]) || [])].filter(isCountryCode);
+  return codes.sort((a, b) => REGISTRY[a].fa.localeCompare(REGISTRY[b].fa, 'fa'));
+}
+// Configured codes that are not in the registry, per service: { dns: ['UK'], ... } (services without any are left out)
+export function unknownCountryCodes(sources) {
+  const out = {};
+  for (const svc of COUNTRY_SERVICES) {
+    const codes = [...new Set((sources && sources[svc]) || [])].filter(c => !isCountryCode(c)).sort();
+    if (codes.length) out[svc] = codes;
+  }
+  return out;
+}
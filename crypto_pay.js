@@ -0,0 +1,253 @@
+// Crypto payments: TON / USDT (TON jetton) invoices matched against incoming on-chain transfers
+
+// Config lives in KV `pay:crypto`:
+//   { "wallet": "UQ...",
+//     "assets": { "TON": { "rate_toman": 250000 },
+//                 "USDT": { "rate_toman": 62000, "jetton_master": "EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs" } },
+//     "explorer": { "type": "toncenter", "api_key": "...", "base_url": "https://toncenter.com" } | { "type": "stub" },
+//     "invoice_minutes": 60 }
+// rate_toman is the price of one whole coin. Each invoice gets an amount that no other open invoice
+// of the same asset has (a few millionths added on top of the price), plus a memo for wallets that
+// send comments. Open invoices are listed in KV `crypto:open`; used transaction hashes in `crypto:tx:<hash>`.
+//
+// Explorer adapters implement:
+//   listIncoming({ wallet, asset, assetCfg, since }) -> [{ hash, units, memo, time }]
+// units are the transfer amount in the asset's smallest unit, as a decimal string.
+
+const CONFIG_KEY = 'pay:crypto';
+const OPEN_KEY = 'crypto:open';
+export const CRYPTO_ASSETS = { TON: { decimals: 9 }, USDT: { decimals: 6 } };
+// late payments are still matched for this long after the invoice expires
+const GRACE_MS = 24 * 60 * 60 * 1000;
+
+export async function getCryptoPayConfig(env, kvGetJson) {
+  return (await kvGetJson(env, CONFIG_KEY)) || null;
+}
+export async function setCryptoPayConfig(env, kvPutJson, cfg) {
+  await kvPutJson(env, CONFIG_KEY, cfg);
+}
+
+// Returns an error string or '' when ok
+export function validateCryptoPayConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object') return 'config must be an object';
+  if (!/^[A-Za-z0-9_-]{48}$/.test(String(cfg.wallet || '')) && !/^-?\d:[0-9a-fA-F]{64}$/.test(String(cfg.wallet || ''))) return 'wallet must be a TON address';
+  const assets = cfg.assets && typeof cfg.assets === 'object' ? Object.keys(cfg.assets) : [];
+  if (!assets.length) return 'at least one asset is required';
+  for (const a of assets) {
+    if (!CRYPTO_ASSETS[a]) return `unknown asset: ${a}`;
+    const r = Number(cfg.assets[a].rate_toman);
+    if (!(Number.isFinite(r) && r > 0)) return `${a}: rate_toman must be positive`;
+    if (a === 'USDT' && !String(cfg.assets[a].jetton_master || '').trim()) return 'USDT needs jetton_master';
+  }
+  const ex = cfg.explorer || {};
+  if (ex.type !== 'toncenter' && ex.type !== 'stub') return 'explorer.type must be "toncenter" or "stub"';
+  if (ex.base_url && !/^https:\/\//i.test(String(ex.base_url))) return 'explorer.base_url must be https';
+  return '';
+}
+
+// Assets offered right now; [] when crypto payments are off
+export async function listCryptoAssets(env, kvGetJson) {
+  const cfg = await getCryptoPayConfig(env, kvGetJson);
+  if (!cfg || cfg.disabled || validateCryptoPayConfig(cfg)) return [];
+  return Object.keys(cfg.assets);
+}
+
+export function formatCryptoAmount(units, asset) {
+  const dec = CRYPTO_ASSETS[asset].decimals;
+  const s = String(units).padStart(dec + 1, '0');
+  const whole = s.slice(0, -dec);
+  const frac = s.slice(-dec).replace(/0+$/, '');
+  return frac ? `${whole}.${frac}` : whole;
+}
+export function parseCryptoAmount(text, asset) {
+  const dec = CRYPTO_ASSETS[asset].decimals;
+  const m = String(text || '').trim().match(/^(\d+)(?:\.(\d+))?$/);
+  if (!m || (m[2] || '').length > dec) return null;
+  return (BigInt(m[1]) * 10n ** BigInt(dec) + BigInt((m[2] || '').padEnd(dec, '0') || '0')).toString();
+}
+
+// Wallet link for an inline button (Telegram only allows http(s) urls there)
+export function cryptoPaymentLink(invoice, cfg) {
+  const q = new URLSearchParams({ amount: invoice.units, text: invoice.memo });
+  if (invoice.asset === 'USDT') q.set('jetton', cfg.assets.USDT.jetton_master);
+  return `https://app.tonkeeper.com/transfer/${invoice.wallet}?${q.toString()}`;
+}
+
+/* -------------------- Invoices -------------------- */
+// Creates (or returns the still-valid) invoice of a purchase. deps: { kvGetJson, kvPutJson }
+// Returns { invoice } or { error }
+export async function createCryptoInvoice(env, { kvGetJson, kvPutJson }, purchase, asset) {
+  const cfg = await getCryptoPayConfig(env, kvGetJson);
+  if (!cfg || cfg.disabled || validateCryptoPayConfig(cfg) || !cfg.assets[asset]) return { error: 'unavailable' };
+  const nowTs = Date.now();
+  const cur = purchase.crypto;
+  if (cur && cur.asset === asset && cur.expires_at > nowTs && cur.wallet === cfg.wallet) return { invoice: cur };
+
+  const dec = CRYPTO_ASSETS[asset].decimals;
+  const rate = Number(cfg.assets[asset].rate_toman);
+  // price rounded up to 0.01 coin, then a unique offset below 0.01 in millionths
+  const cent = 10n ** BigInt(dec - 2);
+  const micro = 10n ** BigInt(dec - 6);
+  const raw = BigInt(Math.ceil(Number(purchase.price_toman || 0) * 10 ** dec / rate));
+  const base = ((raw + cent - 1n) / cent) * cent;
+  const open = (await kvGetJson(env, OPEN_KEY)) || [];
+  const live = open.filter(o => o.expires_at + GRACE_MS > nowTs);
+  const used = new Set(live.filter(o => o.asset === asset && String(o.pid) !== String(purchase.id)).map(o => o.units));
+  let units = null;
+  for (let tries = 0; tries < 50 && !units; tries++) {
+    const k = BigInt(1 + Math.floor(Math.random() * 9999));
+    const u = (base + k * micro).toString();
+    if (!used.has(u)) units = u;
+  }
+  if (!units) return { error: 'busy' };
+
+  const minutes = Number(cfg.invoice_minutes) > 0 ? Number(cfg.invoice_minutes) : 60;
+  const invoice = {
+    asset, units, wallet: cfg.wallet,
+    memo: `NoiD${purchase.id}`,
+    rate_toman: rate,
+    created_at: nowTs,
+    expires_at: nowTs + minutes * 60 * 1000
+  };
+  const next = live.filter(o => String(o.pid) !== String(purchase.id));
+  next.push({ pid: String(purchase.id), asset, units, created_at: invoice.created_at, expires_at: invoice.expires_at });
+  await kvPutJson(env, OPEN_KEY, next);
+  return { invoice };
+}
+
+/* -------------------- Checker -------------------- */
+// Matches open invoices against incoming transfers. A transfer matches on the exact unique amount,
+// or (when it carries the invoice memo) on any amount at least the invoice amount.
+// deps: { kvGetJson, kvPutJson, settle(pid, { asset, units, hash }) -> Promise<'settled' | 'refused' | 'retry'> }
+// 'refused' is money that arrived for an order that can no longer take it (settle has told the admins);
+// its hash is recorded like a settled one so it is reported once. 'retry' looks at the transfer again next run.
+// onlyPid limits the run to one purchase (user pressed "check payment").
+export async function runCryptoPaymentCheck(env, deps, onlyPid = null) {
+  const { kvGetJson, kvPutJson } = deps;
+  const stats = { checked: 0, matched: 0, refused: 0, dropped: 0 };
+  const cfg = await getCryptoPayConfig(env, kvGetJson);
+  if (!cfg || cfg.disabled || validateCryptoPayConfig(cfg)) return stats;
+  const explorer = createExplorer(env, cfg.explorer, deps);
+  const nowTs = Date.now();
+  const open = (await kvGetJson(env, OPEN_KEY)) || [];
+  const targets = open.filter(o => !onlyPid || String(o.pid) === String(onlyPid));
+  const done = new Set();
+
+  for (const asset of [...new Set(targets.map(o => o.asset))]) {
+    const invoices = targets.filter(o => o.asset === asset && o.expires_at + GRACE_MS > nowTs);
+    if (!invoices.length || !cfg.assets[asset]) continue;
+    const since = Math.min(...invoices.map(o => o.created_at));
+    let transfers = [];
+    try { transfers = await explorer.listIncoming({ wallet: cfg.wallet, asset, assetCfg: cfg.assets[asset], since }); } catch (_) { continue; }
+    stats.checked += invoices.length;
+    for (const t of transfers) {
+      if (!t || !t.hash || !t.units) continue;
+      if (await kvGetJson(env, `crypto:tx:${t.hash}`)) continue;
+      // a minute of slack for clock differences between the chain and this worker
+      const inv = invoices.find(o => !done.has(o.pid) && t.time >= o.created_at - 60000 && (
+        String(t.units) === o.units || (t.memo && t.memo.trim() === `NoiD${o.pid}` && BigInt(t.units) >= BigInt(o.units))
+      ));
+      if (!inv) continue;
+      let result = 'retry';
+      try { result = await deps.settle(inv.pid, { asset, units: String(t.units), hash: t.hash }); } catch (_) { result = 'retry'; }
+      if (result === 'refused') {
+        await kvPutJson(env, `crypto:tx:${t.hash}`, { pid: inv.pid, at: nowTs, refused: true });
+        stats.refused++;
+        continue;
+      }
+      if (result !== 'settled') continue;
+      await kvPutJson(env, `crypto:tx:${t.hash}`, { pid: inv.pid, at: nowTs });
+      done.add(inv.pid);
+      stats.matched++;
+    }
+  }
+
+  // drop settled invoices and ones past their grace period
+  const fresh = (await kvGetJson(env, OPEN_KEY)) || [];
+  const keep = fresh.filter(o => !done.has(o.pid) && o.expires_at + GRACE_MS > nowTs);
+  stats.dropped = fresh.filter(o => !done.has(o.pid)).length - keep.length;
+  if (keep.length !== fresh.length) await kvPutJson(env, OPEN_KEY, keep);
+  return stats;
+}
+
+// The settle step for a matched transfer. deps: { kvGetJson, isPayable(p), isPaid(p),
+// settle(p) -> Promise<boolean> (false: not settled by this call), refuse(pid, p, transfer, reason) }
+// settle gets the purchase with the payment stored on p.crypto. Returns what runCryptoPaymentCheck expects.
+export async function settleCryptoTransfer(env, deps, pid, transfer) {
+  const { asset, units, hash } = transfer;
+  const key = `purchase:${pid}`;
+  const p = await deps.kvGetJson(env, key);
+  if (!p || !p.crypto || p.crypto.asset !== asset) return refuse(deps, pid, p, transfer, 'no_invoice');
+  if (p.crypto.tx_hash === hash && deps.isPaid(p)) return 'settled';
+  if (!deps.isPayable(p)) return refuse(deps, pid, p, transfer, p.status);
+  p.crypto = { ...p.crypto, tx_hash: hash, paid_units: units, verified_at: Date.now() };
+  if (await deps.settle(p)) return 'settled';
+  // not settled by this call: settled by it earlier, paid some other way, or another run holds the claim
+  const fresh = await deps.kvGetJson(env, key);
+  if (fresh && fresh.crypto && fresh.crypto.tx_hash === hash) return 'settled';
+  return fresh && deps.isPaid(fresh) ? refuse(deps, pid, fresh, transfer, 'already_paid') : 'retry';
+}
+async function refuse(deps, pid, p, transfer, reason) {
+  await deps.refuse(pid, p, transfer, reason);
+  return 'refused';
+}
+
+// Removes a purchase's invoice from the open list (paid another way)
+export async function closeCryptoInvoice(env, { kvGetJson, kvPutJson }, pid) {
+  const open = (await kvGetJson(env, OPEN_KEY)) || [];
+  const keep = open.filter(o => String(o.pid) !== String(pid));
+  if (keep.length !== open.length) await kvPutJson(env, OPEN_KEY, keep);
+}
+
+/* -------------------- Explorer adapters -------------------- */
+function createExplorer(env, ex, deps) {
+  if (ex && ex.type === 'toncenter') return createToncenterExplorer(ex);
+  return createStubExplorer(env, deps);
+}
+
+// toncenter API v3: plain TON from /transactions (comment decoded by the API),
+// jettons from /jetton/transfers (no decoded comment, so those match on amount only)
+function createToncenterExplorer(ex) {
+  const base = String(ex.base_url || 'https://toncenter.com').replace(/\/+$/, '');
+  const headers = ex.api_key ? { 'X-API-Key': ex.api_key } : {};
+  const get = async (path, params) => {
+    const res = await fetch(`${base}${path}?${new URLSearchParams(params).toString()}`, { headers });
+    if (!res.ok) throw new Error(`toncenter_http_${res.status}`);
+    return res.json();
+  };
+  return {
+    async listIncoming({ wallet, asset, assetCfg, since }) {
+      const startUtime = String(Math.floor(since / 1000) - 60);
+      if (asset === 'TON') {
+        const j = await get('/api/v3/transactions', { account: wallet, start_utime: startUtime, limit: '100', sort: 'desc' });
+        return (j.transactions || []).filter(t => t.in_msg && t.in_msg.source && t.in_msg.value && t.in_msg.value !== '0' && !(t.description && t.description.aborted)).map(t => {
+          const decoded = t.in_msg.message_content && t.in_msg.message_content.decoded;
+          return { hash: String(t.hash), units: String(t.in_msg.value), memo: decoded && decoded.comment ? String(decoded.comment) : '', time: Number(t.now) * 1000 };
+        });
+      }
+      const j = await get('/api/v3/jetton/transfers', { owner_address: wallet, jetton_master: assetCfg.jetton_master, direction: 'in', start_utime: startUtime, limit: '100', sort: 'desc' });
+      return (j.jetton_transfers || []).filter(t => !t.transaction_aborted).map(t => ({
+        hash: String(t.transaction_hash), units: String(t.amount), memo: '', time: Number(t.transaction_now) * 1000
+      }));
+    }
+  };
+}
+
+// Local stand-in for tests: transfers are whatever was added with addStubTransfer, in KV `crypto:stub:<asset>`
+function createStubExplorer(env, { kvGetJson }) {
+  return {
+    async listIncoming({ asset, since }) {
+      const list = (await kvGetJson(env, `crypto:stub:${asset}`)) || [];
+      return list.filter(t => t.time >= since);
+    }
+  };
+}
+export async function addStubTransfer(env, { kvGetJson, kvPutJson }, asset, units, memo = '') {
+  const key = `crypto:stub:${asset}`;
+  const list = (await kvGetJson(env, key)) || [];
+  const t = { hash: `stub${Date.now()}${Math.floor(Math.random() * 1e6)}`, units: String(units), memo: String(memo || ''), time: Date.now() };
+  list.unshift(t);
+  if (list.length > 100) list.length = 100;
+  await kvPutJson(env, key, list);
+  return t;
+}
@@ -0,0 +1,122 @@
+// DNS profiles: DoH / DoT client formats for a purchased DNS entry (see dns_servers.js)
+
+// Built on demand from the entry's copied fields { id, v4, v4_alt, v6, doh, dot }, so they can be
+// downloaded again at any time and always match what the user was sold:
+//   Apple .mobileconfig  DNSSettings payload, DoH when the resolver has it, otherwise DoT
+//   Android Private DNS  the DoT hostname
+//   DNSCrypt stamp       sdns:// DoH stamp (dnscrypt-proxy has no DoT client)
+// Entries from the random-CIDR mode have neither doh nor dot, so none of these apply to them.
+
+export const DNS_PROFILE_FORMATS = ['apple', 'android', 'stamp'];
+
+export function availableDnsProfiles(item) {
+  const out = [];
+  if (item && (item.doh || item.dot)) out.push('apple');
+  if (item && item.dot) out.push('android');
+  if (item && item.doh) out.push('stamp');
+  return out;
+}
+
+function entryAddresses(item) {
+  return [item.v4, item.v4_alt, ...(item.v6 || [])].filter(Boolean);
+}
+
+/* -------------------- Android -------------------- */
+export function privateDnsHostname(item) {
+  return (item && item.dot) || '';
+}
+
+/* -------------------- DNSCrypt stamp -------------------- */
+// https://dnscrypt.info/stamps-specifications : 0x02, props (u64 LE), LP(addr), VLP(hashes),
+// LP(host[:port]), LP(path). Props stay 0: nothing is promised about DNSSEC, logging or filtering.
+function lp(bytes) {
+  return [bytes.length, ...bytes];
+}
+function base64Url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+export function dnsStamp(item) {
+  if (!item || !item.doh) return '';
+  const u = new URL(item.doh);
+  const enc = new TextEncoder();
+  const addrHint = item.v4 || (item.v6 && item.v6[0] ? `[${item.v6[0]}]` : '');
+  const bytes = [
+    0x02,
+    0, 0, 0, 0, 0, 0, 0, 0,
+    ...lp(enc.encode(addrHint)),
+    0, // no certificate hashes
+    ...lp(enc.encode(u.host)),
+    ...lp(enc.encode(u.pathname || '/dns-query'))
+  ];
+  return `sdns://${base64Url(bytes)}`;
+}
+
+/* -------------------- Apple configuration profile -------------------- */
+function xmlEscape(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+// Same seed, same UUID: a re-downloaded profile replaces the installed one instead of adding a second
+async function uuidFromSeed(seed) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(seed)));
+  const b = Array.from(digest.slice(0, 16));
+  b[6] = (b[6] & 0x0f) | 0x50;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const hex = b.map(x => x.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`.toUpperCase();
+}
+
+// Returns the .mobileconfig XML, or '' when the entry has neither DoH nor DoT.
+// opts: { name: shown in Settings, identifier: reverse-DNS prefix }
+export async function appleDnsProfile(item, { name = 'DNS', identifier = 'dns.profile' } = {}) {
+  if (!item || !(item.doh || item.dot)) return '';
+  const rootId = `${identifier}.${item.id}`;
+  const rootUuid = await uuidFromSeed(rootId);
+  const dnsUuid = await uuidFromSeed(`${rootId}.dns`);
+  const proto = item.doh
+    ? `        <key>DNSProtocol</key>\n        <string>HTTPS</string>\n        <key>ServerURL</key>\n        <string>${xmlEscape(item.doh)}</string>`
+    : `        <key>DNSProtocol</key>\n        <string>TLS</string>\n        <key>ServerName</key>\n        <string>${xmlEscape(item.dot)}</string>`;
+  const addrs = entryAddresses(item);
+  const addrXml = addrs.length
+    ? `\n        <key>ServerAddresses</key>\n        <array>\n${addrs.map(a => `          <string>${xmlEscape(a)}</string>`).join('\n')}\n        </array>`
+    : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>PayloadContent</key>
+  <array>
+    <dict>
+      <key>DNSSettings</key>
+      <dict>
+${proto}${addrXml}
+      </dict>
+      <key>PayloadDisplayName</key>
+      <string>${xmlEscape(name)}</string>
+      <key>PayloadIdentifier</key>
+      <string>${xmlEscape(rootId)}.dns</string>
+      <key>PayloadType</key>
+      <string>com.apple.dnsSettings.managed</string>
+      <key>PayloadUUID</key>
+      <string>${dnsUuid}</string>
+      <key>PayloadVersion</key>
+      <integer>1</integer>
+    </dict>
+  </array>
+  <key>PayloadDisplayName</key>
+  <string>${xmlEscape(name)}</string>
+  <key>PayloadIdentifier</key>
+  <string>${xmlEscape(rootId)}</string>
+  <key>PayloadRemovalDisallowed</key>
+  <false/>
+  <key>PayloadType</key>
+  <string>Configuration</string>
+  <key>PayloadUUID</key>
+  <string>${rootUuid}</string>
+  <key>PayloadVersion</key>
+  <integer>1</integer>
+</dict>
+</plist>
+`;
+}
@@ -0,0 +1,228 @@
+// DNS server inventory: real resolvers sold as "dedicated DNS", allocated to purchases by health and load
+
+// KV `dns:servers` maps id -> {
+//   id, country, label, v4: ['1.2.3.4', ...], v6: ['2a01:4f8::1', ...],
+//   doh: 'https://dns.example.com/dns-query' | '', dot: 'dns.example.com' | '',
+//   max_users (0 = unlimited), disabled, created_at }  (admin edits only)
+// Seats: each user entry on a server holds one place in the ClaimDO set named after the server
+// (claims.js, scope 'dns:servers', holder '<uid>:<entryId>', kept on the entry as `seat`), so two
+// isolates allocating at the same moment can never pass max_users. The subscription expiry (or a
+// purchase that failed after allocating) gives the seat back.
+// KV `dns:server:<id>:assigned` -> entries allocated before seats existed. It only goes down, when
+//   such an entry (one without `seat`) gives its place back.
+// KV `dns:server:<id>:health` -> { status: 'unknown' | 'up' | 'down', checked_at, note }
+// Keeping the counters and health apart from the admin record means a purchase, a health check and
+// an admin edit never write over each other. Servers read from here carry `assigned` (old entries
+// plus seats) and `health` merged in. Records saved before the split still hold both fields and they
+// are read from there until first written.
+// Within a country, allocation skips disabled, down and full servers, prefers `up` over `unknown`,
+// then takes the lowest load (assigned / max_users; plain assigned when unlimited).
+
+import { isCountryCode } from './countries.js';
+import { takeSlot, returnSlot, countSlots } from './claims.js';
+
+export const DNS_HEALTH_STATUSES = ['unknown', 'up', 'down'];
+const SERVERS_KEY = 'dns:servers';
+const assignedKey = (id) => `dns:server:${id}:assigned`;
+const healthKey = (id) => `dns:server:${id}:health`;
+const UNKNOWN_HEALTH = { status: 'unknown', checked_at: 0, note: '' };
+const SEAT_SCOPE = 'dns:servers';
+
+let QUEUE = Promise.resolve();
+function serialized(fn) {
+  const run = QUEUE.then(fn);
+  QUEUE = run.catch(() => {});
+  return run;
+}
+
+async function loadServers(env, kvGetJson) {
+  const stored = await kvGetJson(env, SERVERS_KEY);
+  return stored && typeof stored === 'object' ? stored : {};
+}
+async function readAssigned(env, kvGetJson, s) {
+  const n = await kvGetJson(env, assignedKey(s.id));
+  return n == null ? Number(s.assigned || 0) : Number(n);
+}
+// Seats held per server id; empty when the ClaimDO cannot be reached (listings then show old entries only)
+async function readSeats(env, ids) {
+  try { return await countSlots(env, SEAT_SCOPE, ids); } catch (_) { return {}; }
+}
+// The admin record with its counters and health
+async function withState(env, kvGetJson, s, seats = null) {
+  const health = await kvGetJson(env, healthKey(s.id));
+  const held = seats || (await readSeats(env, [s.id]));
+  const { assigned, health: legacyHealth, ...rest } = s;
+  const legacy = await readAssigned(env, kvGetJson, s);
+  return { ...rest, assigned: legacy + Number(held[s.id] || 0), legacy_assigned: legacy, health: health || legacyHealth || { ...UNKNOWN_HEALTH } };
+}
+
+/* -------------------- Validation -------------------- */
+// Server ids end up in callback_data, so keep them short
+export function isValidDnsServerId(id) {
+  return /^[a-z0-9_-]{1,24}$/.test(String(id || ''));
+}
+export function isIPv4(ip) {
+  const parts = String(ip || '').split('.');
+  return parts.length === 4 && parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255);
+}
+export function isIPv6(ip) {
+  const s = String(ip || '').toLowerCase();
+  const halves = s.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.flatMap(h => (h ? h.split(':') : []));
+  if (groups.some(g => !/^[0-9a-f]{1,4}$/.test(g))) return false;
+  return halves.length === 2 ? groups.length < 8 : groups.length === 8;
+}
+export function isHostname(host) {
+  return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i.test(String(host || ''));
+}
+
+// Turns admin JSON into a server record (created_at is kept by saveDnsServer).
+// v4 / v6 may be a single address or a list. Returns { server } or { error }
+export function normalizeDnsServer(id, obj) {
+  if (!obj || typeof obj !== 'object') return { error: 'server must be an object' };
+  const country = String(obj.country || '').trim().toUpperCase();
+  if (!isCountryCode(country)) return { error: 'country must be an ISO 3166 code (e.g. DE)' };
+  const list = (v) => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]).map(x => String(x).trim()).filter(Boolean);
+  const v4 = list(obj.v4);
+  const v6 = list(obj.v6).map(x => x.toLowerCase());
+  if (!v4.length && !v6.length) return { error: 'at least one v4 or v6 address is required' };
+  const bad4 = v4.find(x => !isIPv4(x));
+  if (bad4) return { error: `bad IPv4: ${bad4}` };
+  const bad6 = v6.find(x => !isIPv6(x));
+  if (bad6) return { error: `bad IPv6: ${bad6}` };
+  const doh = String(obj.doh || '').trim();
+  if (doh) {
+    let u = null;
+    try { u = new URL(doh); } catch (_) {}
+    if (!u || u.protocol !== 'https:' || !isHostname(u.hostname)) return { error: 'doh must be an https:// URL with a hostname' };
+  }
+  const dot = String(obj.dot || '').trim().toLowerCase();
+  if (dot && !isHostname(dot)) return { error: 'dot must be a hostname' };
+  const maxUsers = obj.max_users == null ? 0 : Number(obj.max_users);
+  if (!(Number.isInteger(maxUsers) && maxUsers >= 0)) return { error: 'max_users must be an integer >= 0' };
+  return { server: {
+    id, country,
+    label: String(obj.label || '').trim().slice(0, 40),
+    v4, v6, doh, dot,
+    max_users: maxUsers,
+    disabled: Boolean(obj.disabled)
+  } };
+}
+
+/* -------------------- Storage -------------------- */
+// All servers, by country then id
+export async function listDnsServers(env, kvGetJson) {
+  const stored = Object.values(await loadServers(env, kvGetJson));
+  const seats = await readSeats(env, stored.map(s => s.id));
+  const all = [];
+  for (const s of stored) all.push(await withState(env, kvGetJson, s, seats));
+  return all.sort((a, b) => a.country.localeCompare(b.country) || a.id.localeCompare(b.id));
+}
+export async function getDnsServer(env, kvGetJson, id) {
+  const all = await loadServers(env, kvGetJson);
+  return all[id] ? withState(env, kvGetJson, all[id]) : null;
+}
+// Saving an existing server keeps its load counter and health
+export async function saveDnsServer(env, { kvGetJson, kvPutJson }, server) {
+  return serialized(async () => {
+    const all = await loadServers(env, kvGetJson);
+    const prev = all[server.id];
+    if (prev) {
+      // an old record still holding the counter and health hands them over before they are dropped
+      if (prev.assigned != null) await kvPutJson(env, assignedKey(server.id), await readAssigned(env, kvGetJson, prev));
+      if (prev.health && !(await kvGetJson(env, healthKey(server.id)))) await kvPutJson(env, healthKey(server.id), prev.health);
+    }
+    all[server.id] = { ...server, created_at: prev ? prev.created_at : Date.now() };
+    await kvPutJson(env, SERVERS_KEY, all);
+    return withState(env, kvGetJson, all[server.id]);
+  });
+}
+// Entries already on the server keep its addresses; nothing new is allocated to it
+export async function deleteDnsServer(env, { kvGetJson, kvPutJson }, id) {
+  return serialized(async () => {
+    const all = await loadServers(env, kvGetJson);
+    if (!all[id]) return false;
+    delete all[id];
+    await kvPutJson(env, SERVERS_KEY, all);
+    return true;
+  });
+}
+export async function setDnsServerDisabled(env, { kvGetJson, kvPutJson }, id, disabled) {
+  return serialized(async () => {
+    const all = await loadServers(env, kvGetJson);
+    if (!all[id]) return null;
+    all[id].disabled = Boolean(disabled);
+    await kvPutJson(env, SERVERS_KEY, all);
+    return withState(env, kvGetJson, all[id]);
+  });
+}
+export async function setDnsServerHealth(env, { kvGetJson, kvPutJson }, id, status, note = '') {
+  if (!DNS_HEALTH_STATUSES.includes(status)) throw new Error('bad_health_status');
+  const all = await loadServers(env, kvGetJson);
+  if (!all[id]) return null;
+  await kvPutJson(env, healthKey(id), { status, checked_at: Date.now(), note: String(note || '').slice(0, 200) });
+  return withState(env, kvGetJson, all[id]);
+}
+
+/* -------------------- Allocation -------------------- */
+export function isDnsServerUsable(s) {
+  if (!s || s.disabled) return false;
+  if (s.health && s.health.status === 'down') return false;
+  return !s.max_users || (s.assigned || 0) < s.max_users;
+}
+export function dnsServerLoad(s) {
+  return s.max_users ? (s.assigned || 0) / s.max_users : (s.assigned || 0);
+}
+// Best server of a country for the next purchase, or null
+export function pickDnsServer(servers, country) {
+  const rank = (s) => (s.health && s.health.status === 'up' ? 0 : 1);
+  const usable = servers.filter(s => s.country === country && isDnsServerUsable(s));
+  usable.sort((a, b) => rank(a) - rank(b) || dnsServerLoad(a) - dnsServerLoad(b) || a.id.localeCompare(b.id));
+  return usable[0] || null;
+}
+// Countries that can take a purchase right now, sorted
+export function dnsInventoryCountries(servers) {
+  return [...new Set(servers.filter(isDnsServerUsable).map(s => s.country))].sort();
+}
+// Seats `holder` on the best server of the country that still has room and returns it (with `seat`
+// set); null when none can take one or seats cannot be decided
+export async function allocateDnsServer(env, { kvGetJson }, country, holder) {
+  let servers = await listDnsServers(env, kvGetJson);
+  for (;;) {
+    const best = pickDnsServer(servers, country);
+    if (!best) return null;
+    // the seat limit leaves room for the entries counted before seats existed
+    const limit = best.max_users ? best.max_users - best.legacy_assigned : 0;
+    let taken;
+    try { taken = await takeSlot(env, SEAT_SCOPE, best.id, holder, limit); } catch (_) { return null; }
+    if (taken.ok) return { ...best, assigned: best.legacy_assigned + taken.count, seat: String(holder) };
+    // filled up since it was listed: try the next one
+    servers = servers.filter(s => s.id !== best.id);
+  }
+}
+// Gives back one user place (entry expired, or the purchase failed after allocating): the entry's
+// seat, or for an entry from before seats (seat null) one of the old counter. Entries on a deleted
+// server still give theirs back, in case it is added again under the same id
+export async function releaseDnsServer(env, { kvGetJson, kvPutJson }, id, seat = null) {
+  if (seat) return returnSlot(env, SEAT_SCOPE, id, seat);
+  return serialized(async () => {
+    const all = await loadServers(env, kvGetJson);
+    const n = await readAssigned(env, kvGetJson, all[id] || { id });
+    if (!(n > 0)) return false;
+    await kvPutJson(env, assignedKey(id), n - 1);
+    return true;
+  });
+}
+// Fields copied into a user's server entry; v4 / v6 keep the shape of the CIDR-generated entries
+export function dnsEntryAddresses(server) {
+  return {
+    server_id: server.id,
+    v4: server.v4[0] || '',
+    v4_alt: server.v4[1] || '',
+    v6: server.v6.slice(0, 2),
+    doh: server.doh || '',
+    dot: server.dot || '',
+    seat: server.seat || null
+  };
+}
@@ -0,0 +1,317 @@
+// Health checks: probe OpenVPN hosts, WireGuard backends and DNS resolvers from the cron, keep uptime
+// history, and switch locations off (and back on) in their own `health:disabled` list
+
+// KV `health:config`:
+//   { prober: { type: 'net' } | { type: 'stub', down: [targetId, ...] },
+//     interval_minutes: 5, timeout_ms: 5000, fail_after: 3, recover_after: 2 }
+//   The stub prober reports every target up except the listed ones, for local runs without network.
+// KV `health:state`:
+//   { last_run,
+//     targets: { <targetId>: { service, location, label, status: 'unknown' | 'up' | 'down', fails, oks,
+//                              ms, last_ok, last_error, checked_at, days: { YYYYMMDD: [ok, total] } } },
+//     locations: { '<service>:<code>': { status, since, auto_disabled } } }
+// KV `health:disabled` -> { '<service>:<code>': since }: locations switched off here. A location is
+//   off when it is in this list or in the admin's settings.disabled_locations (main.js checks both);
+//   each side only ever edits its own list, so the cron never writes the settings.
+// Targets (see collectHealthTargets):
+//   ovpn  one per server host:port (TCP connect); the location is the host, as in the OVPN disable toggle.
+//         Servers configured as UDP-only (proto: 'udp') are not probed: Workers can only open TCP sockets.
+//         Locations left without any probe are listed by listUnmonitoredLocations for the admin screen.
+//   wg    one per country sold with a REST backend (HTTP GET of base_url), including countries served
+//         by the `default` entry; mock backends are not probed
+//   dns   one per inventory server: DoH query, else TCP connect to DoT (853), else to port 53
+// A target turns down after fail_after failed probes in a row and up again after recover_after good ones.
+// A location is down when all its targets are down, and up again as soon as one of them is up.
+// Only locations switched off here are switched back on; an admin's own toggle is never undone.
+// A location switched off here whose targets are all gone from the config is switched back on.
+//
+// Every prober implements:
+//   probe(target) -> { ok, ms, error }
+
+import { resolveWgBackendEntry } from './wg_backend.js';
+
+export const HEALTH_PROBER_TYPES = ['net', 'stub'];
+const CONFIG_KEY = 'health:config';
+const STATE_KEY = 'health:state';
+const DISABLED_KEY = 'health:disabled';
+const HISTORY_DAYS = 30;
+// probes running at once; the cron invocation has a limited wall time
+const CONCURRENCY = 6;
+
+export const DEFAULT_HEALTH_CONFIG = {
+  prober: { type: 'net' },
+  interval_minutes: 5,
+  timeout_ms: 5000,
+  fail_after: 3,
+  recover_after: 2
+};
+
+/* -------------------- Config -------------------- */
+export async function getHealthConfig(env, kvGetJson) {
+  const stored = (await kvGetJson(env, CONFIG_KEY)) || {};
+  return { ...DEFAULT_HEALTH_CONFIG, ...stored, prober: { ...DEFAULT_HEALTH_CONFIG.prober, ...(stored.prober || {}) } };
+}
+export async function setHealthConfig(env, kvPutJson, cfg) {
+  await kvPutJson(env, CONFIG_KEY, cfg || {});
+}
+// Validates admin JSON; returns an error string or '' when ok
+export function validateHealthConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return 'config must be an object';
+  const prober = cfg.prober || DEFAULT_HEALTH_CONFIG.prober;
+  if (!HEALTH_PROBER_TYPES.includes(prober.type)) return `prober.type must be one of ${HEALTH_PROBER_TYPES.join(', ')}`;
+  if (prober.down != null && !(Array.isArray(prober.down) && prober.down.every(x => typeof x === 'string'))) return 'prober.down must be a list of target ids';
+  const ints = { interval_minutes: [1, 1440], timeout_ms: [500, 20000], fail_after: [1, 20], recover_after: [1, 20] };
+  for (const [k, [min, max]] of Object.entries(ints)) {
+    if (cfg[k] == null) continue;
+    const v = Number(cfg[k]);
+    if (!(Number.isInteger(v) && v >= min && v <= max)) return `${k} must be an integer ${min}-${max}`;
+  }
+  return '';
+}
+
+// Locations switched off by the checks: { '<service>:<code>': since }
+export async function getHealthDisabled(env, kvGetJson) {
+  return (await kvGetJson(env, DISABLED_KEY)) || {};
+}
+// Admin override: turns a location the checks switched off back on (until it goes down again)
+export async function clearHealthDisabled(env, { kvGetJson, kvPutJson }, service, code) {
+  const map = await getHealthDisabled(env, kvGetJson);
+  if (!map[`${service}:${code}`]) return false;
+  delete map[`${service}:${code}`];
+  await kvPutJson(env, DISABLED_KEY, map);
+  return true;
+}
+
+export async function getHealthState(env, kvGetJson) {
+  const st = (await kvGetJson(env, STATE_KEY)) || {};
+  return { last_run: st.last_run || 0, targets: st.targets || {}, locations: st.locations || {} };
+}
+
+/* -------------------- Targets -------------------- */
+// ovpnLocations: ps:dns:cidr OVPN.locations; dnsServers: listDnsServers(); wgBackends: wg:backends;
+// wgCountries: countries sold over WireGuard (wgBackendCountries), defaulting to those with an entry
+// of their own. Each WG country is probed through the backend it resolves to.
+const ownWgCountries = (wgBackends) => Object.keys(wgBackends || {}).filter(c => c !== 'default');
+export function collectHealthTargets({ ovpnLocations = {}, dnsServers = [], wgBackends = {}, wgCountries = null } = {}) {
+  const out = [];
+  for (const [code, loc] of Object.entries(ovpnLocations || {})) {
+    for (const s of (loc && loc.servers) || []) {
+      if (!s || !s.host || s.proto === 'udp') continue;
+      const port = Number(s.port) || 1194;
+      out.push({ id: `ovpn:${s.host}:${port}`, service: 'ovpn', location: s.host, country: code, kind: 'tcp', host: s.host, port, label: `OVPN ${code} ${s.host}:${port}` });
+    }
+  }
+  for (const code of wgCountries || ownWgCountries(wgBackends)) {
+    const b = resolveWgBackendEntry(wgBackends, code);
+    if (!b || b.type !== 'rest' || !b.base_url) continue;
+    out.push({ id: `wg:${code}`, service: 'wg', location: code, country: code, kind: 'http', url: b.base_url, label: `WG ${code}` });
+  }
+  for (const srv of dnsServers || []) {
+    if (srv.disabled) continue;
+    const base = { id: `dns:${srv.id}`, service: 'dns', location: srv.country, country: srv.country, dns_server_id: srv.id, label: `DNS ${srv.country} ${srv.id}` };
+    if (srv.doh) out.push({ ...base, kind: 'doh', url: srv.doh });
+    else if (srv.dot) out.push({ ...base, kind: 'tcp', host: srv.dot, port: 853 });
+    else out.push({ ...base, kind: 'tcp', host: srv.v4[0] || srv.v6[0], port: 53 });
+  }
+  return out;
+}
+
+// Locations on sale that no target covers: [{ service, location, reason: 'udp' | 'mock' }]
+export function listUnmonitoredLocations({ ovpnLocations = {}, wgBackends = {}, wgCountries = null } = {}) {
+  const out = [];
+  const probed = new Set(collectHealthTargets({ ovpnLocations }).map(t => t.location));
+  const udpOnly = new Set();
+  for (const loc of Object.values(ovpnLocations || {})) {
+    for (const s of (loc && loc.servers) || []) {
+      if (s && s.host && s.proto === 'udp' && !probed.has(s.host)) udpOnly.add(s.host);
+    }
+  }
+  for (const host of udpOnly) out.push({ service: 'ovpn', location: host, reason: 'udp' });
+  for (const code of wgCountries || ownWgCountries(wgBackends)) {
+    const b = resolveWgBackendEntry(wgBackends, code);
+    if (b && b.type !== 'rest') out.push({ service: 'wg', location: code, reason: 'mock' });
+  }
+  return out;
+}
+
+/* -------------------- Probers -------------------- */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Wire-format A query for example.com (RFC 1035), id 0 as RFC 8484 recommends for GET caching
+const DOH_QUERY = 'AAABAAABAAAAAAAAB2V4YW1wbGUDY29tAAABAAE';
+
+function createNetProber(cfg) {
+  const timeoutMs = cfg.timeout_ms;
+  const tcp = async (t) => {
+    const { connect } = await import('cloudflare:sockets');
+    const sock = connect({ hostname: t.host, port: t.port });
+    try { await withTimeout(sock.opened, timeoutMs); } finally { try { sock.close(); } catch (_) {} }
+  };
+  const http = async (t) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(t.url, { method: 'GET', signal: ctrl.signal, redirect: 'manual' });
+      // any answer from the API is fine (auth errors included); 5xx means the backend is broken
+      if (res.status >= 500) throw new Error(`http ${res.status}`);
+    } finally { clearTimeout(timer); }
+  };
+  const doh = async (t) => {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const u = new URL(t.url);
+      u.searchParams.set('dns', DOH_QUERY);
+      const res = await fetch(u.toString(), { headers: { accept: 'application/dns-message' }, signal: ctrl.signal });
+      if (!res.ok) throw new Error(`http ${res.status}`);
+      const body = new Uint8Array(await res.arrayBuffer());
+      // header is 12 bytes; QR bit set and RCODE 0 (NOERROR)
+      if (body.length < 12 || !(body[2] & 0x80) || (body[3] & 0x0f) !== 0) throw new Error('bad dns answer');
+    } finally { clearTimeout(timer); }
+  };
+  return {
+    async probe(t) {
+      const started = Date.now();
+      try {
+        if (t.kind === 'tcp') await tcp(t);
+        else if (t.kind === 'doh') await doh(t);
+        else await http(t);
+        return { ok: true, ms: Date.now() - started, error: '' };
+      } catch (e) {
+        return { ok: false, ms: Date.now() - started, error: String((e && e.message) || e).slice(0, 120) };
+      }
+    }
+  };
+}
+
+function createStubProber(cfg) {
+  const down = new Set(cfg.prober.down || []);
+  return {
+    async probe(t) {
+      return down.has(t.id) ? { ok: false, ms: 0, error: 'stub: down' } : { ok: true, ms: 0, error: '' };
+    }
+  };
+}
+
+export function createHealthProber(cfg) {
+  return cfg.prober.type === 'stub' ? createStubProber(cfg) : createNetProber(cfg);
+}
+
+/* -------------------- Uptime -------------------- */
+function dayStamp(ts) {
+  const d = new Date(ts);
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+// Percentage of good probes over the last `days` UTC days (today included), or null without data
+export function uptimePercent(target, days = 1, nowTs = Date.now()) {
+  let ok = 0;
+  let total = 0;
+  for (let i = 0; i < days; i++) {
+    const b = target && target.days && target.days[dayStamp(nowTs - i * 86400000)];
+    if (b) { ok += b[0]; total += b[1]; }
+  }
+  return total ? Math.round((ok / total) * 1000) / 10 : null;
+}
+
+/* -------------------- Run -------------------- */
+// Cron entry point. deps: { kvGetJson, kvPutJson, targets, prober?, force?,
+//   isDisabled(service, code) (the admin's own toggle), onTarget?(target, state) }
+// onTarget runs when a target changes status (DNS servers copy it into their own health).
+// Returns null when skipped (interval not reached), else { checked, up, down, changes: [...] }
+// where a change is { service, location, status: 'down' | 'up', switched, removed? } and switched
+// tells whether the location was actually switched; removed marks a location no longer checked.
+export async function runHealthChecks(env, deps) {
+  const { kvGetJson, kvPutJson, targets } = deps;
+  const cfg = await getHealthConfig(env, kvGetJson);
+  const state = await getHealthState(env, kvGetJson);
+  const nowTs = Date.now();
+  if (!deps.force && state.last_run && nowTs - state.last_run < cfg.interval_minutes * 60000 - 30000) return null;
+  state.last_run = nowTs;
+  await kvPutJson(env, STATE_KEY, state);
+
+  const prober = deps.prober || createHealthProber(cfg);
+  const results = new Array(targets.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < targets.length) {
+      const i = next++;
+      try { results[i] = await prober.probe(targets[i]); }
+      catch (e) { results[i] = { ok: false, ms: 0, error: String((e && e.message) || e).slice(0, 120) }; }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, targets.length) }, worker));
+
+  const today = dayStamp(nowTs);
+  const oldest = dayStamp(nowTs - (HISTORY_DAYS - 1) * 86400000);
+  const seen = {};
+  const stats = { checked: targets.length, up: 0, down: 0, changes: [] };
+  targets.forEach((t, i) => {
+    const r = results[i];
+    const prev = state.targets[t.id] || { status: 'unknown', fails: 0, oks: 0, days: {} };
+    const rec = { ...prev, service: t.service, location: t.location, label: t.label, checked_at: nowTs, ms: r.ms };
+    rec.days = Object.fromEntries(Object.entries(prev.days || {}).filter(([d]) => d >= oldest));
+    const bucket = rec.days[today] || [0, 0];
+    rec.days[today] = [bucket[0] + (r.ok ? 1 : 0), bucket[1] + 1];
+    if (r.ok) {
+      rec.oks = (prev.oks || 0) + 1; rec.fails = 0; rec.last_ok = nowTs;
+      if (rec.status === 'unknown' || (rec.status === 'down' && rec.oks >= cfg.recover_after)) rec.status = 'up';
+    } else {
+      rec.fails = (prev.fails || 0) + 1; rec.oks = 0; rec.last_error = r.error;
+      if (rec.status !== 'down' && rec.fails >= cfg.fail_after) rec.status = 'down';
+    }
+    if (rec.status === 'up') stats.up++;
+    if (rec.status === 'down') stats.down++;
+    rec.changed = rec.status !== prev.status;
+    seen[t.id] = rec;
+  });
+  // targets removed from the config drop out with their history
+  state.targets = seen;
+
+  for (const t of targets) {
+    const rec = state.targets[t.id];
+    if (rec.changed && deps.onTarget) { try { await deps.onTarget(t, rec); } catch (_) {} }
+    delete rec.changed;
+  }
+
+  const groups = {};
+  for (const t of targets) {
+    const key = `${t.service}:${t.location}`;
+    (groups[key] = groups[key] || { service: t.service, location: t.location, statuses: [] }).statuses.push(state.targets[t.id].status);
+  }
+  const disabled = await getHealthDisabled(env, kvGetJson);
+  const disabledBefore = JSON.stringify(disabled);
+  const locations = {};
+  for (const [key, g] of Object.entries(groups)) {
+    const prev = state.locations[key] || { status: 'unknown', since: nowTs, auto_disabled: false };
+    const status = g.statuses.every(s => s === 'down') ? 'down' : g.statuses.some(s => s === 'up') ? 'up' : prev.status;
+    const loc = { ...prev, status, since: status === prev.status ? prev.since : nowTs };
+    if (status === 'down' && prev.status !== 'down') {
+      const already = Boolean(disabled[key]) || await deps.isDisabled(g.service, g.location);
+      if (!already) disabled[key] = nowTs;
+      loc.auto_disabled = Boolean(disabled[key]);
+      stats.changes.push({ service: g.service, location: g.location, status, switched: !already });
+    } else if (status === 'up' && prev.status === 'down') {
+      const switched = Boolean(disabled[key]);
+      delete disabled[key];
+      loc.auto_disabled = false;
+      stats.changes.push({ service: g.service, location: g.location, status, switched });
+    }
+    // an admin may have switched it back on by hand meanwhile
+    if (!disabled[key]) loc.auto_disabled = false;
+    locations[key] = loc;
+  }
+  for (const key of Object.keys(disabled)) {
+    if (groups[key]) continue;
+    delete disabled[key];
+    const [service, ...rest] = key.split(':');
+    stats.changes.push({ service, location: rest.join(':'), status: 'up', switched: true, removed: true });
+  }
+  if (JSON.stringify(disabled) !== disabledBefore) await kvPutJson(env, DISABLED_KEY, disabled);
+  state.locations = locations;
+  await kvPutJson(env, STATE_KEY, state);
+  return stats;
+}
@@ -13,6 +13,16 @@ Features:
 
 Bindings required when deploying:
 - KV namespace binding named BOT_KV
+- Durable Object binding named ACCOUNTS (class AccountDO) for serialized balance updates; see wrangler.toml.
+  Without it balance changes are refused and the admins are alerted. Pages Functions cannot host the
+  class: deploy the Worker too and bind ACCOUNTS to its AccountDO (script_name)
+- Durable Object binding named CLAIMS (class ClaimDO): decides claims that must have one winner (update
+  ids, payment reviews and settlement, pooled logins, promo uses, DNS seats); without it those are refused
+- Secret WG_KEY_SECRET: encrypts stored WireGuard private keys so configs can be re-sent
+- Optional online payments: configure a gateway with /paygateway (KV pay:gateway); it returns to /pay/callback.
+  The mock gateway is for development only and needs the variable DEV_MOCK_PAYMENTS=1
+- Optional crypto payments: configure with /cryptopay (KV pay:crypto). Invoices are checked on every Cron
+  Trigger run, so add a frequent trigger (e.g. every 5 minutes); the daily tasks still run once per UTC day
 
 Sections (edit guide):
 1) Config & Runtime
@@ -31,11 +41,19 @@ Sections (edit guide):
    - File management, Gifts
    - Admin panel & Settings (Disable Buttons)
    - Backup (export)
-11) Storage helpers (tickets, missions, lottery, files, users)
+11) Storage helpers (tickets, missions, lottery, files, users, diamond ledger)
 12) Public endpoints (backup, file download)
 */
 
-import { handleWireguardCallback, handleWireguardMyConfig } from './wg.js';
+import { handleWireguardCallback, handleWireguardMyConfig, sendWireguardEntry, revokeWireguardEntry, reactivateWireguardEntry } from './wg.js';
+import { changeBalance, updateUserFields, verifyLedger, LEDGER_PAGE_SIZE } from './account.js';
+import { claim, releaseClaim } from './claims.js';
+import { getWgBackendsConfig, setWgBackendsConfig, validateWgBackendEntry, wgBackendCountries } from './wg_backend.js';
+import { encodeQr, qrToPng } from './qr.js';
+import { getWgTemplates, setWgTemplates, resetWgTemplates, isValidWgProfileId, validateWgProfile, validateWgCountryOverride } from './wg_templates.js';
+// Durable Object class must be exported from the Worker entry module
+export { AccountDO } from './account.js';
+export { ClaimDO } from './claims.js';
 
 /* ==================== 1) Config & Runtime (EDIT HERE) ==================== */
 // IMPORTANT: Set secrets in environment variables for production. The values
@@ -57,22 +75,15 @@ let RUNTIME = {
   joinChat: null,
 };
 
-// Main admin and payments config (EDIT: customize display name and packages)
+// Main admin config (EDIT: customize display name). Diamond packages and payout cards are managed
+// from the admin panel (packages.js).
 const MAIN_ADMIN_ID = (Array.isArray(ADMIN_IDS) && ADMIN_IDS.length ? ADMIN_IDS : [])[0];
 const MAIN_ADMIN_USERNAME = 'minimalcraft'; // for display only
-// EDIT: Payment packages (diamonds and prices)
-const DIAMOND_PACKAGES = [
-  { id: 'd10', diamonds: 10, price_toman: 15000 },
-  { id: 'd15', diamonds: 15, price_toman: 25000 },
-  { id: 'd25', diamonds: 25, price_toman: 35000 },
-  { id: 'd35', diamonds: 35, price_toman: 45000 }
-];
-// EDIT: Bank/card details for manual payments
-const BANK_CARD_NUMBER = '6219 8619 5014 5549';
-const BANK_CARD_NAME = 'اورمان قنبری';
 
-function getDiamondPackageById(id) {
-  return DIAMOND_PACKAGES.find(p => p.id === id) || DIAMOND_PACKAGES[0];
+// Package on sale right now, or null
+async function getDiamondPackageById(env, id) {
+  const pkg = await getDiamondPackage(env, kvGetJson, id);
+  return isPackageOnSale(pkg) ? pkg : null;
 }
 
 const TELEGRAM_API = (token) => `https://api.telegram.org/bot${token}`;
@@ -91,6 +102,10 @@ export default {
       populateRuntimeFromEnv(env);
     } catch (_) {}
 
+    // Online payment return URL; gateways may POST back, so it must come before the webhook catch-all
+    if (url.pathname === '/pay/callback') return handlePaymentCallback(request, env, url);
+    if (url.pathname.startsWith('/pay/mock/') && request.method === 'GET') return handleMockGatewayPage(env, url, { kvGetJson, kvPutJson });
+
     // Telegram webhook (POST to any path except /api/*) — ack immediately, process in background when possible
     if (request.method === 'POST' && !url.pathname.startsWith('/api/')) {
       // Secret validation disabled per user request
@@ -120,6 +135,9 @@ export default {
     // File public link
     if (url.pathname.startsWith('/f/')) return handleFileDownload(request, env, url);
 
+    // OpenVPN profile import link (target of the QR sent with each .ovpn)
+    if (url.pathname.startsWith('/ovpn/') && request.method === 'GET') return handleOvpnProfileDownload(env, url);
+
     // API endpoints for admin panel
   if (url.pathname.startsWith('/api/')) return handleApiRequest(request, env, url, ctx);
 
@@ -130,9 +148,10 @@ export default {
     return new Response('Not Found', { status: 404 });
   }
   ,
-  // Daily cron handler (configure a Cron Trigger in Cloudflare dashboard)
+  // Cron handler (configure a Cron Trigger in Cloudflare dashboard)
   async scheduled(controller, env, ctx) {
-    const run = runDailyTasks(env);
+    try { populateRuntimeFromEnv(env); } catch (_) {}
+    const run = runScheduledTasks(env);
     if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(run); else await run;
   }
 };
@@ -142,8 +161,8 @@ async function kvGetJson(env, key) {
   const v = await env.BOT_KV.get(key);
   return v ? JSON.parse(v) : null;
 }
-async function kvPutJson(env, key, obj) {
-  return env.BOT_KV.put(key, JSON.stringify(obj));
+async function kvPutJson(env, key, obj, opts) {
+  return env.BOT_KV.put(key, JSON.stringify(obj), opts);
 }
 async function kvDelete(env, key) {
   try { return await env.BOT_KV.delete(key); } catch (_) { return; }
@@ -182,6 +201,18 @@ async function tgGet(path) {
   return fetch(`${TELEGRAM_API(token)}/${path}`).then(r => r.json());
 }
 
+// Downloads a file the bot received (by file_id) as text; null on failure or when larger than maxBytes
+async function tgDownloadFileText(fileId, maxBytes = 512 * 1024) {
+  try {
+    const info = await tgGet(`getFile?file_id=${encodeURIComponent(fileId)}`);
+    const path = info && info.ok && info.result && info.result.file_path;
+    if (!path || Number(info.result.file_size || 0) > maxBytes) return null;
+    const res = await fetch(`${TELEGRAM_FILE_API(requireTelegramToken())}/${path}`);
+    if (!res.ok) return null;
+    return await res.text();
+  } catch (_) { return null; }
+}
+
 // Upload helper for multipart/form-data requests (e.g., sendDocument with a file)
 async function tgUpload(method, formData) {
   const token = requireTelegramToken();
@@ -285,9 +316,24 @@ function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
 // ===== Private Server / DNS helpers =====
 // Default ranges moved to external file `dns_ranges.json` for easier maintenance
 import dnsRanges from './dns_ranges.json' assert { type: 'json' };
-import { OVPN_TEMPLATE } from './ovpn_template.js';
+import { listOvpnTemplates, getOvpnTemplate, saveOvpnTemplate, deleteOvpnTemplate, ovpnTemplateIdFor, renderOvpnTemplate, templateFromOvpn, DEFAULT_OVPN_TEMPLATE_ID } from './ovpn_templates.js';
+import { getOvpnPoolStats, importOvpnCredentials, setOvpnPoolLowStock, takeOvpnCredential, returnOvpnCredential, revokeOvpnCredential } from './ovpn_pool.js';
+import { listPlans, planPrice, validatePlanPrices, isServerExpired, scheduleExpiry, runSubscriptionTasks, trimServerList } from './subscriptions.js';
+import { getPaymentGateway, getPaymentGatewayConfig, setPaymentGatewayConfig, validatePaymentGatewayConfig, handleMockGatewayPage, readCallbackParams, mockPaymentsAllowed, settlePaymentOnce } from './payments.js';
+import { listDiamondPackages, listActiveDiamondPackages, getDiamondPackage, isPackageOnSale, packageTotalDiamonds, isValidPackageId, normalizePackage, saveDiamondPackage, deleteDiamondPackage, getPayoutCards, setPayoutCards, parsePayoutCard, pickPayoutCard } from './packages.js';
+import { getCryptoPayConfig, setCryptoPayConfig, validateCryptoPayConfig, listCryptoAssets, createCryptoInvoice, closeCryptoInvoice, runCryptoPaymentCheck, settleCryptoTransfer, formatCryptoAmount, parseCryptoAmount, cryptoPaymentLink, addStubTransfer } from './crypto_pay.js';
+import { indexPurchase, scanPurchases, listPurchasesPage, listUserPurchases, runPurchaseExpiry, runPurchaseBackfill, recordUserPaid, hasUserPaid, isPaidPurchase, refundableDiamonds, applyRefund, reviewHolder, auditPurchase, takePurchaseReview, releasePurchaseReview, canDeliverPurchase, markPurchaseDelivered, DEFAULT_PURCHASE_EXPIRY_HOURS } from './purchases.js';
+import { normalizeTrackingNumber, findTrackingNumber, recordReceipt } from './receipts.js';
+import { normalizePromo, getPromo, listPromos, savePromo, deletePromo, checkPromo, computePromo, getPromoUse, reservePromoUse, releasePromoUse } from './promo.js';
+import { isValidDnsServerId, normalizeDnsServer, listDnsServers, getDnsServer, saveDnsServer, deleteDnsServer, setDnsServerDisabled, setDnsServerHealth, DNS_HEALTH_STATUSES, pickDnsServer, dnsInventoryCountries, allocateDnsServer, releaseDnsServer, dnsEntryAddresses } from './dns_servers.js';
+import { availableDnsProfiles, privateDnsHostname, dnsStamp, appleDnsProfile } from './dns_profiles.js';
+import { isCountryCode, countryFlag, countryName, countriesForService, unknownCountryCodes } from './countries.js';
+import { isValidCountryCode, applyCidrListEdit, normalizeOvpnLocation, normalizeCidrConfig, cidrCountries, diffCidrConfig, isEmptyCidrDiff, cidrConfigEtag } from './cidr_config.js';
+import { getHealthConfig, setHealthConfig, validateHealthConfig, getHealthState, getHealthDisabled, clearHealthDisabled, collectHealthTargets, listUnmonitoredLocations, runHealthChecks, uptimePercent } from './health.js';
+// The bundled defaults are a module-level object shared by every request in the isolate, so
+// callers get a copy they may edit
 async function getDnsCidrConfig(env) {
-  return (await kvGetJson(env, 'ps:dns:cidr')) || dnsRanges;
+  return (await kvGetJson(env, 'ps:dns:cidr')) || structuredClone(dnsRanges);
 }
 function randomIntInclusive(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
@@ -371,6 +417,7 @@ function randomIpv6FromCidr(cidr) {
     return bigIntToIpv6(network + offset);
   }
 }
+// Opt-in legacy mode: random addresses from the country CIDRs; nothing has to answer DNS there
 async function generateDnsAddresses(env, countryCode) {
   const cfg = await getDnsCidrConfig(env);
   const c = cfg[countryCode];
@@ -385,39 +432,51 @@ async function generateDnsAddresses(env, countryCode) {
   if (ip6b === ip6a) ip6b = randomIpv6FromCidr(v6cidrB);
   return { ip4, ip6a, ip6b };
 }
-function dnsCountryLabel(code) {
-  if (code === 'ES') return 'اسپانیا';
-  if (code === 'DE') return 'آلمان';
-  if (code === 'FR') return 'فرانسه';
-  if (code === 'SE') return 'سوئد';
-  if (code === 'TR') return 'ترکیه';
-  if (code === 'PH') return 'فیلیپین';
-  if (code === 'JP') return 'ژاپن';
-  if (code === 'NL') return 'هلند';
-  if (code === 'DK') return 'دانمارک';
-  if (code === 'BE') return 'بلژیک';
-  if (code === 'CH') return 'سوئیس';
-  if (code === 'CN') return 'چین';
-  if (code === 'TW') return 'تایوان';
-  if (code === 'IE') return 'ایرلند';
-  return code;
-}
-function countryFlag(code) {
-  if (code === 'ES') return '🇪🇸';
-  if (code === 'DE') return '🇩🇪';
-  if (code === 'FR') return '🇫🇷';
-  if (code === 'SE') return '🇸🇪';
-  if (code === 'TR') return '🇹🇷';
-  if (code === 'PH') return '🇵🇭';
-  if (code === 'JP') return '🇯🇵';
-  if (code === 'NL') return '🇳🇱';
-  if (code === 'DK') return '🇩🇰';
-  if (code === 'BE') return '🇧🇪';
-  if (code === 'CH') return '🇨🇭';
-  if (code === 'CN') return '🇨🇳';
-  if (code === 'TW') return '🇹🇼';
-  if (code === 'IE') return '🇮🇪';
-  return '';
+async function dnsSaleCountries(env) {
+  const settings = await getSettings(env);
+  // the random-CIDR mode offers every country with ranges in ps:dns:cidr
+  if (settings.dns_mode === 'cidr') return cidrCountries(await getDnsCidrConfig(env));
+  return dnsInventoryCountries(await listDnsServers(env, kvGetJson));
+}
+// What each service is configured for right now; user menus and admin lists are built from this
+async function countrySources(env) {
+  const cfg = await getDnsCidrConfig(env);
+  const backends = await getWgBackendsConfig(env, kvGetJson);
+  const locs = (cfg && cfg.OVPN && cfg.OVPN.locations) || {};
+  return {
+    dns: await dnsSaleCountries(env),
+    // countries with CIDR ranges are served by the `default` backend when there is one
+    wg: wgBackendCountries(backends, cidrCountries(cfg)),
+    ovpn: Object.keys(locs).filter(c => Array.isArray(locs[c].servers) && locs[c].servers.length)
+  };
+}
+// Warning naming configured codes outside the ISO registry (menus leave them out), or '' when there are none.
+// unknown: unknownCountryCodes(); labels: service -> title
+function unknownCountriesText(unknown, labels) {
+  const parts = Object.entries(unknown).map(([svc, codes]) => `${labels[svc] || svc}: ${codes.join('، ')}`);
+  return parts.length ? `⚠️ کد کشور ناشناخته (در منوها نمایش داده نمی‌شود) — ${parts.join(' | ')}` : '';
+}
+async function serviceCountries(env, service) {
+  return countriesForService(await countrySources(env), service);
+}
+function dnsServerDeps() {
+  return { kvGetJson, kvPutJson };
+}
+// Address block of a DNS entry (Markdown); inventory entries may add a second IPv4 and DoT / DoH
+function dnsEntryText(item) {
+  const lines = [];
+  if (item.v4) lines.push(`IPv4:\n\`${item.v4}\``);
+  if (item.v4_alt) lines.push(`IPv4-2:\n\`${item.v4_alt}\``);
+  (item.v6 || []).forEach((ip, i) => lines.push(`IPv6-${i + 1}:\n\`${ip}\``));
+  if (item.dot) lines.push(`DNS-over-TLS (Private DNS):\n\`${item.dot}\``);
+  if (item.doh) lines.push(`DNS-over-HTTPS:\n\`${item.doh}\``);
+  return lines.join('\n\n');
+}
+// DoH / DoT download buttons for an entry; empty for random-CIDR entries
+function dnsProfileButtons(item) {
+  const labels = { apple: '🍏 پروفایل iOS / macOS', android: '🤖 Private DNS اندروید', stamp: '🔏 DNSCrypt stamp' };
+  const btns = availableDnsProfiles(item).map(f => ({ text: labels[f], callback_data: `MYCFG:DNSP:${f}:${item.id}` }));
+  return btns.length ? [btns.slice(0, 2), btns.slice(2)].filter(r => r.length) : [];
 }
 function base64UrlToBase64(u) {
   const s = u.replace(/-/g, '+').replace(/_/g, '/');
@@ -440,7 +499,13 @@ async function getSettings(env) {
     disabled_locations: s.disabled_locations || { dns: {}, wg: {}, ovpn: {} },
     cost_dns: Number.isFinite(Number(s.cost_dns)) ? Number(s.cost_dns) : 1,
     cost_wg: Number.isFinite(Number(s.cost_wg)) ? Number(s.cost_wg) : 2,
-    cost_ovpn: Number.isFinite(Number(s.cost_ovpn)) ? Number(s.cost_ovpn) : 6
+    cost_ovpn: Number.isFinite(Number(s.cost_ovpn)) ? Number(s.cost_ovpn) : 6,
+    // only admin-set plans are stored; the rest are derived from cost_* by subscriptions.js
+    plan_prices: s.plan_prices && typeof s.plan_prices === 'object' ? s.plan_prices : null,
+    // 'inventory' sells resolvers from dns_servers.js; 'cidr' is the old random-address generator
+    dns_mode: s.dns_mode === 'cidr' ? 'cidr' : 'inventory',
+    // unpaid awaiting_receipt purchases expire after this many hours
+    purchase_expiry_hours: Number(s.purchase_expiry_hours) > 0 ? Number(s.purchase_expiry_hours) : DEFAULT_PURCHASE_EXPIRY_HOURS
   };
   SETTINGS_MEMO_AT = nowTs;
   return SETTINGS_MEMO;
@@ -463,9 +528,12 @@ function isLocationDisabledCached(settings, service, code) {
   const svcMap = map[svc] || {};
   return !!svcMap[code];
 }
+// Off when the admin switched it off (settings) or the health checks did (health.js keeps its own list)
 async function isLocationDisabled(env, service, code) {
   const s = await getSettings(env);
-  return isLocationDisabledCached(s, service, code);
+  if (isLocationDisabledCached(s, service, code)) return true;
+  const byHealth = await getHealthDisabled(env, kvGetJson);
+  return Boolean(byHealth[`${String(service || '').toLowerCase()}:${code}`]);
 }
 function labelFor(labels, key, fallback) {
   if (!labels) return fallback;
@@ -528,6 +596,25 @@ async function checkRateLimit(env, uid, action, maxOps, windowMs) {
     return true;
   } catch (_) { return true; }
 }
+// Idempotency keys for work that must run once: claim before the work, then finish it on success
+// or release it on failure so a retry can run it again. Claims are decided by the ClaimDO (claims.js,
+// scope 'updates'); a pending claim lapses after IDEMPOTENCY_PENDING_MS, so a run that dies without
+// releasing blocks retries for that long only. Returns a claim token, or null when the key is done
+// or claimed by another run. A claim that cannot be decided (no CLAIMS binding, DO error) throws:
+// the caller must not run the work then.
+const IDEMPOTENCY_PENDING_MS = 2 * 60 * 1000;
+const IDEMPOTENCY_DONE_MS = 24 * 60 * 60 * 1000;
+async function claimIdempotencyKey(env, key) {
+  const token = `${now()}:${Math.random().toString(36).slice(2)}`;
+  const c = await claim(env, 'updates', key, token, { ttlMs: IDEMPOTENCY_PENDING_MS });
+  return c.won ? token : null;
+}
+async function finishIdempotencyKey(env, key, token) {
+  try { await claim(env, 'updates', key, token, { ttlMs: IDEMPOTENCY_DONE_MS }); } catch (_) {}
+}
+async function releaseIdempotencyKey(env, key, token) {
+  try { await releaseClaim(env, 'updates', key, token); } catch (_) {}
+}
 
 /* ==================== 6) Session helpers ==================== */
 async function getSession(env, uid) {
@@ -548,6 +635,58 @@ async function getShareLink(env, token) {
   const domain = domainFromWebhook();
   return botUsername ? `https://t.me/${botUsername}?start=d_${token}` : (domain ? `${domain}/f/${token}` : `/f/${token}`);
 }
+// Import links (/ovpn/<token>) hand out the profile with its login, so each works once and for
+// OVPN_IMPORT_LINK_TTL only. The entry keeps its latest token; older ones are refused even while
+// their KV key lives. Callers persist the servers list afterwards.
+const OVPN_IMPORT_LINK_TTL = 24 * 60 * 60; // seconds
+async function issueOvpnImportToken(env, uid, item) {
+  if (item.import_token) await kvDelete(env, `ovpncfg:${item.import_token}`);
+  item.import_token = makeToken(24);
+  await kvPutJson(env, `ovpncfg:${item.import_token}`, { uid: Number(uid), id: item.id, issued_at: now() }, { expirationTtl: OVPN_IMPORT_LINK_TTL });
+  return item.import_token;
+}
+// Sends a .ovpn as a document followed by a QR of its import link
+async function sendOvpnProfile(chatId, { text, fileName, caption, importToken }) {
+  const form = new FormData();
+  form.append('chat_id', String(chatId));
+  form.append('document', new Blob([text], { type: 'text/plain' }), fileName);
+  form.append('caption', caption);
+  const res = await tgUpload('sendDocument', form);
+  if (!res || !res.ok) {
+    await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' });
+  }
+  // the profile itself (certs included) is too large for a QR, so encode its import link
+  const domain = domainFromWebhook();
+  if (domain && importToken) {
+    const importUrl = `${domain}/ovpn/${importToken}`;
+    await sendQrPhoto(chatId, `openvpn://import-profile/${importUrl}`, `QR لینک ایمپورت — با دوربین گوشی اسکن کنید تا پروفایل در OpenVPN Connect باز شود.\nلینک فقط یک بار و تا ۲۴ ساعت کار می‌کند.\n${importUrl}`);
+  }
+}
+// Sends `text` as a QR photo; returns false when it is too long for a QR code or upload fails
+async function sendQrPhoto(chatId, text, caption) {
+  try {
+    const png = await qrToPng(encodeQr(text, { ecc: 'M' }), { scale: 8 });
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('photo', new Blob([png], { type: 'image/png' }), 'qr.png');
+    if (caption) form.append('caption', caption);
+    const res = await tgUpload('sendPhoto', form);
+    return Boolean(res && res.ok);
+  } catch (_) { return false; }
+}
+// One-line name of a user:<uid>:servers entry for lists and reminders
+function serverEntryLabel(item) {
+  const typ = (item.type || 'dns').toUpperCase();
+  const where = item.country ? `${countryFlag(item.country)} ${countryName(item.country)}` : (item.host || '');
+  return `${where} — ${typ}${item.name ? ` (${item.name})` : ''}`.trim();
+}
+function subscriptionStatusLine(item) {
+  if (!item.expires_at) return '';
+  return isServerExpired(item) ? '⛔️ منقضی شده' : `⏳ اعتبار تا ${formatDate(item.expires_at)}`;
+}
+function planButtons(plans, cbPrefix) {
+  return plans.map(p => ([{ text: `✅ ${p.days} روزه — ${p.price} الماس`, callback_data: `${cbPrefix}:${p.days}` }]));
+}
 async function buildDynamicMainMenu(env, uid) {
   const isAdminUser = isAdmin(uid);
   const settings = await getSettings(env);
@@ -776,8 +915,29 @@ export async function handleUpdate(update, env, ctx) {
   try { populateRuntimeFromEnv(env); } catch (_) {}
   try { await kvPutJson(env, 'bot:last_webhook', now()); } catch (_) {}
   try { DYNAMIC_ADMIN_IDS = (await kvGetJson(env, 'bot:admins'))?.map(Number) || []; } catch (_) { DYNAMIC_ADMIN_IDS = []; }
-  try { if (update && update.message) await onMessage(update.message, env); } catch (_) {}
-  try { if (update && update.callback_query) await onCallback(update.callback_query, env); } catch (_) {}
+  // Telegram re-delivers updates it considers unacknowledged; process each update_id (and each
+  // callback query) once. A handler that throws releases its claims so the redelivery runs again.
+  // When a claim cannot be decided the update is dropped rather than risk running it twice.
+  const keys = [];
+  if (update && update.update_id != null) keys.push(`upd:${update.update_id}`);
+  if (update && update.callback_query && update.callback_query.id) keys.push(`cbq:${update.callback_query.id}`);
+  const claims = [];
+  for (const key of keys) {
+    let token = null;
+    try { token = await claimIdempotencyKey(env, key); } catch (_) { await alertUnboundDurableObject(env, 'CLAIMS', 'ClaimDO'); }
+    if (!token) {
+      for (const c of claims) await releaseIdempotencyKey(env, c.key, c.token);
+      return;
+    }
+    claims.push({ key, token });
+  }
+  let failed = false;
+  try { if (update && update.message) await onMessage(update.message, env); } catch (_) { failed = true; }
+  try { if (update && update.callback_query) await onCallback(update.callback_query, env); } catch (_) { failed = true; }
+  for (const c of claims) {
+    if (failed) await releaseIdempotencyKey(env, c.key, c.token);
+    else await finishIdempotencyKey(env, c.key, c.token);
+  }
 }
 
 /* -------------------- Message handlers -------------------- */
@@ -806,15 +966,14 @@ async function onMessage(msg, env) {
   }
 
   // save/update user
-  const userKey = `user:${uid}`;
-  let user = (await kvGetJson(env, userKey)) || { 
+  // goes through account.js so it cannot race a balance change for the same user
+  const profile = { last_seen: now() };
+  if (from.username) profile.username = from.username;
+  if (from.first_name) profile.first_name = from.first_name;
+  let { user } = await updateUser(env, uid, profile, {
     id: uid, username: from.username || null, first_name: from.first_name || '',
-    diamonds: 0, referrals: 0, joined: false, created_at: now() 
-  };
-  user.username = from.username || user.username;
-  user.first_name = from.first_name || user.first_name;
-  user.last_seen = now();
-  await kvPutJson(env, userKey, user);
+    referrals: 0, joined: false, created_at: now()
+  });
 
   // ensure users index
   const usersIndex = (await kvGetJson(env, 'index:users')) || [];
@@ -873,6 +1032,114 @@ async function onMessage(msg, env) {
 تعداد فایل‌های آپلودی: ${list.length}
 جمع دانلود فایل‌ها: ${totalDownloads}`;
     await tgApi('sendMessage', { chat_id: chatId, text: info });
+    // per-user diamond ledger (latest 15)
+    const ledger = await listLedgerEntries(env, targetId, { limit: 15 });
+    const ledgerLines = ledger.items.length ? ledger.items.map(r => `${formatLedgerLine(r)}${r.actor != null ? ` | توسط: ${r.actor}` : ''}`).join('\n') : '—';
+    const check = await verifyLedger(env, targetId);
+    const checkLine = check.ok
+      ? '✅ جمع دفتر با موجودی همخوان است.'
+      : `⚠️ ناهمخوانی دفتر: موجودی ${check.balance}، مورد انتظار از دفتر ${check.expected}${check.breaks.length ? ` | ردیف‌های ناپیوسته: ${check.breaks.slice(0, 10).join(', ')}` : ''}`;
+    await tgApi('sendMessage', { chat_id: chatId, text: `📒 دفتر الماس کاربر ${targetId} (کل: ${ledger.total})\n${checkLine}\n\n${ledgerLines}` });
+    return;
+  }
+
+  // Admin: WireGuard provisioning backends => /wgbackend [CODE|default] [json|off]
+  if (text.startsWith('/wgbackend') && isAdmin(uid)) {
+    const m = text.match(/^\/wgbackend(?:\s+(\S+))?(?:\s+([\s\S]+))?$/);
+    const code = m && m[1] ? (m[1] === 'default' ? 'default' : m[1].toUpperCase()) : '';
+    const arg = m && m[2] ? m[2].trim() : '';
+    const all = await getWgBackendsConfig(env, kvGetJson);
+    if (!code) {
+      // never echo api keys back into the chat
+      const masked = Object.fromEntries(Object.entries(all).map(([k, v]) => [k, { ...v, ...(v && v.api_key ? { api_key: '***' } : {}) }]));
+      await tgApi('sendMessage', { chat_id: chatId, text: `بک‌اند‌های وایرگارد (کشورهای بدون تنظیم از default استفاده می‌کنند؛ بدون آن فروخته نمی‌شوند. mock فقط برای تست):\n${JSON.stringify(masked, null, 2)}\n\nاستفاده: /wgbackend <CODE|default> <json|off>` });
+      return;
+    }
+    if (arg === 'off') {
+      delete all[code];
+      await setWgBackendsConfig(env, kvPutJson, all);
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ تنظیم بک‌اند ${code} حذف شد.` });
+      return;
+    }
+    if (code !== 'default' && !isCountryCode(code)) { await tgApi('sendMessage', { chat_id: chatId, text: 'کد کشور نامعتبر است (کد دو حرفی ISO مثل DE).' }); return; }
+    let entry;
+    try { entry = JSON.parse(arg); } catch (_) { entry = null; }
+    const err = validateWgBackendEntry(entry);
+    if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `JSON نامعتبر: ${err}` }); return; }
+    all[code] = entry;
+    await setWgBackendsConfig(env, kvPutJson, all);
+    await tgApi('sendMessage', { chat_id: chatId, text: `✅ بک‌اند ${code} روی ${entry.type} تنظیم شد.` });
+    return;
+  }
+
+  // Admin: online payment gateway => /paygateway [json|off]
+  if (text.startsWith('/paygateway') && isAdmin(uid)) {
+    const arg = text.replace(/^\/paygateway\s*/, '').trim();
+    if (!arg) {
+      const cfg = await getPaymentGatewayConfig(env, kvGetJson);
+      // never echo merchant ids or api keys back into the chat
+      const masked = cfg ? { ...cfg, ...(cfg.merchant_id ? { merchant_id: '***' } : {}), ...(cfg.api_key ? { api_key: '***' } : {}) } : null;
+      await tgApi('sendMessage', { chat_id: chatId, text: `درگاه پرداخت آنلاین: ${masked ? JSON.stringify(masked, null, 2) : 'غیرفعال (فقط کارت به کارت)'}\n\nاستفاده: /paygateway <json|off>\nمثال: {"type":"zarinpal","merchant_id":"...","sandbox":false} یا {"type":"idpay","api_key":"..."} یا {"type":"mock"}` });
+      return;
+    }
+    if (arg === 'off') {
+      await kvDelete(env, 'pay:gateway');
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ پرداخت آنلاین غیرفعال شد؛ فقط کارت به کارت فعال است.' });
+      return;
+    }
+    let cfg;
+    try { cfg = JSON.parse(arg); } catch (_) { cfg = null; }
+    const err = validatePaymentGatewayConfig(cfg);
+    if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `JSON نامعتبر: ${err}` }); return; }
+    await setPaymentGatewayConfig(env, kvPutJson, cfg);
+    const mockOff = cfg.type === 'mock' && !mockPaymentsAllowed(env);
+    await tgApi('sendMessage', { chat_id: chatId, text: `✅ درگاه پرداخت روی ${cfg.type} تنظیم شد.${domainFromWebhook() ? '' : '\n⚠️ WEBHOOK_URL تنظیم نشده؛ بدون آن آدرس بازگشت درگاه ساخته نمی‌شود.'}${mockOff ? '\n⚠️ درگاه mock فقط با متغیر DEV_MOCK_PAYMENTS=1 (محیط توسعه) فعال می‌شود و اکنون غیرفعال است.' : ''}` });
+    return;
+  }
+
+  // Admin: crypto payments => /cryptopay [json|off|check|stub <ASSET> <amount> [memo]]
+  if (text.startsWith('/cryptopay') && isAdmin(uid)) {
+    const arg = text.replace(/^\/cryptopay\s*/, '').trim();
+    const cfg = await getCryptoPayConfig(env, kvGetJson);
+    if (!arg) {
+      const masked = cfg ? { ...cfg, ...(cfg.explorer && cfg.explorer.api_key ? { explorer: { ...cfg.explorer, api_key: '***' } } : {}) } : null;
+      await tgApi('sendMessage', { chat_id: chatId, text: `پرداخت کریپتو: ${masked ? JSON.stringify(masked, null, 2) : 'غیرفعال'}\n\nاستفاده: /cryptopay <json|off|check>\nمثال: {"wallet":"UQ...","assets":{"TON":{"rate_toman":250000},"USDT":{"rate_toman":62000,"jetton_master":"EQ..."}},"explorer":{"type":"toncenter","api_key":"..."},"invoice_minutes":60}\nبرای تست با explorer از نوع stub: /cryptopay stub TON 1.234567 [memo]` });
+      return;
+    }
+    if (arg === 'off') {
+      await kvDelete(env, 'pay:crypto');
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ پرداخت کریپتو غیرفعال شد.' });
+      return;
+    }
+    if (arg === 'check') {
+      const st = await runCryptoPaymentCheck(env, cryptoPayDeps(env));
+      await tgApi('sendMessage', { chat_id: chatId, text: `بررسی انجام شد.\nفاکتورهای بررسی‌شده: ${st.checked}\nتایید شده: ${st.matched}\nرد شده (به ادمین اطلاع داده شد): ${st.refused}\nمنقضی و حذف‌شده: ${st.dropped}` });
+      return;
+    }
+    if (arg.startsWith('stub')) {
+      const [, asset, amountText, memo] = arg.split(/\s+/);
+      if (!cfg || !cfg.explorer || cfg.explorer.type !== 'stub') { await tgApi('sendMessage', { chat_id: chatId, text: 'فقط وقتی explorer از نوع stub است قابل استفاده است.' }); return; }
+      const units = asset && cfg.assets && cfg.assets[asset] ? parseCryptoAmount(amountText, asset) : null;
+      if (!units) { await tgApi('sendMessage', { chat_id: chatId, text: 'استفاده: /cryptopay stub <ASSET> <amount> [memo]' }); return; }
+      await addStubTransfer(env, { kvGetJson, kvPutJson }, asset, units, memo || '');
+      const st = await runCryptoPaymentCheck(env, cryptoPayDeps(env));
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ تراکنش آزمایشی ${amountText} ${asset} ثبت شد. تایید شده: ${st.matched}` });
+      return;
+    }
+    let next;
+    try { next = JSON.parse(arg); } catch (_) { next = null; }
+    const err = validateCryptoPayConfig(next);
+    if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `JSON نامعتبر: ${err}` }); return; }
+    await setCryptoPayConfig(env, kvPutJson, next);
+    await tgApi('sendMessage', { chat_id: chatId, text: `✅ پرداخت کریپتو فعال شد: ${Object.keys(next.assets).join(', ')} (${next.explorer.type})` });
+    return;
+  }
+
+  // Admin: revoke/rotate a user's OpenVPN credentials => /ovpncred <uid>
+  if (text.startsWith('/ovpncred') && isAdmin(uid)) {
+    const targetId = Number((text.split(/\s+/)[1] || '').trim());
+    if (!targetId) { await tgApi('sendMessage', { chat_id: chatId, text: 'استفاده: /ovpncred <uid>' }); return; }
+    await sendOvpnCredentialsAdmin(env, chatId, targetId);
     return;
   }
 
@@ -1162,42 +1429,50 @@ async function onMessage(msg, env) {
       const purchaseId = session.awaiting.split(':')[1];
       const pKey = `purchase:${purchaseId}`;
       const purchase = await kvGetJson(env, pKey);
-      if (!purchase || purchase.user_id !== uid || purchase.status !== 'awaiting_receipt') {
+      if (!purchase || purchase.user_id !== uid || (purchase.status !== 'awaiting_receipt' && !canReuploadReceipt(purchase))) {
         await setSession(env, uid, {});
         await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست خرید نامعتبر یا منقضی است.' });
         return;
       }
-      let fileId = null; let isPhoto = false;
-      if (msg.photo && msg.photo.length) { fileId = msg.photo[msg.photo.length - 1].file_id; isPhoto = true; }
-      else if (msg.document) { fileId = msg.document.file_id; }
+      let fileId = null; let uniqueId = null; let isPhoto = false;
+      if (msg.photo && msg.photo.length) { fileId = msg.photo[msg.photo.length - 1].file_id; uniqueId = msg.photo[msg.photo.length - 1].file_unique_id; isPhoto = true; }
+      else if (msg.document) { fileId = msg.document.file_id; uniqueId = msg.document.file_unique_id; }
       else if (msg.text) {
-        await tgApi('sendMessage', { chat_id: chatId, text: 'برای ادامه، تصویر رسید پرداخت را به صورت عکس یا فایل ارسال کنید.' });
+        // optional bank tracking number, typed before the receipt image
+        const trk = normalizeTrackingNumber(msg.text);
+        if (trk) {
+          purchase.tracking_no = trk;
+          await kvPutJson(env, pKey, purchase);
+          await tgApi('sendMessage', { chat_id: chatId, text: `✅ شماره پیگیری ${trk} ثبت شد. اکنون تصویر رسید را ارسال کنید.` });
+          return;
+        }
+        await tgApi('sendMessage', { chat_id: chatId, text: 'برای ادامه، تصویر رسید پرداخت را به صورت عکس یا فایل ارسال کنید. (شماره پیگیری باید فقط عدد باشد.)' });
         return;
       }
       if (!fileId) {
         await tgApi('sendMessage', { chat_id: chatId, text: 'لطفاً تصویر رسید پرداخت را ارسال کنید.' });
         return;
       }
+      if (!purchase.tracking_no && msg.caption) purchase.tracking_no = findTrackingNumber(msg.caption) || undefined;
+      const resubmitted = purchase.status === 'rejected';
+      if (resubmitted) await reopenRejectedPurchase(env, purchase);
+      purchase.receipt_uploads = receiptUploads(purchase) + 1;
+      try {
+        const dup = await recordReceipt(env, { kvGetJson, kvPutJson }, purchase.id, { uniqueId, tracking: purchase.tracking_no });
+        purchase.receipt_unique_id = uniqueId || null;
+        if (dup.receipt.length || dup.tracking.length) purchase.fraud = { receipt: dup.receipt, tracking: dup.tracking, at: now() };
+      } catch (_) {}
       purchase.receipt_file_id = fileId;
       purchase.status = 'pending_review';
       purchase.updated_at = now();
+      auditPurchase(purchase, 'receipt', uid, adminLabel(from));
       await kvPutJson(env, pKey, purchase);
       await setSession(env, uid, {});
 
-      // Build admin review message and actions depending on purchase type
-      const isPanelPurchase = purchase.type === 'panel';
-      const caption = isPanelPurchase
-        ? `درخواست خرید پنل\nشناسه: ${purchase.id}\nکاربر: ${uid}${from.username ? ` (@${from.username})` : ''}\nپنل: ${purchase.panel_title || '-'}\nمبلغ: ${purchase.price_toman.toLocaleString('fa-IR')} تومان`
-        : `درخواست خرید الماس\nشناسه: ${purchase.id}\nکاربر: ${uid}${from.username ? ` (@${from.username})` : ''}\nالماس: ${purchase.diamonds}\nمبلغ: ${purchase.price_toman.toLocaleString('fa-IR')} تومان`;
-      const kb = isPanelPurchase
-        ? { inline_keyboard: [[
-            { text: '✉️ رفتن به پیوی کاربر', url: `tg://user?id=${uid}` },
-            { text: '❌ رد', callback_data: `PAYREJ:${purchase.id}` }
-          ]] }
-        : { inline_keyboard: [[
-            { text: '✅ تایید و افزودن الماس', callback_data: `PAYAPP:${purchase.id}` },
-            { text: '❌ رد', callback_data: `PAYREJ:${purchase.id}` }
-          ]] };
+      // Every admin gets a copy; claims and decisions edit all copies (see syncReviewMessages)
+      purchase.user_username = from.username || '';
+      const caption = purchaseReviewCaption(purchase);
+      const kb = reviewKeyboard(purchase, null);
       try {
         const admins = await getAdminIds(env);
         let recipients = [];
@@ -1213,16 +1488,16 @@ async function onMessage(msg, env) {
         } else {
           for (const aid of recipients) {
             try {
-              if (isPhoto) {
-                await tgApi('sendPhoto', { chat_id: aid, photo: fileId, caption, reply_markup: kb });
-              } else {
-                await tgApi('sendDocument', { chat_id: aid, document: fileId, caption, reply_markup: kb });
-              }
+              const sent = isPhoto
+                ? await tgApi('sendPhoto', { chat_id: aid, photo: fileId, caption, reply_markup: kb })
+                : await tgApi('sendDocument', { chat_id: aid, document: fileId, caption, reply_markup: kb });
+              rememberReviewMessage(purchase, aid, sent, { media: true });
             } catch (_) {}
           }
+          await kvPutJson(env, pKey, purchase);
         }
       } catch (_) {}
-      await tgApi('sendMessage', { chat_id: chatId, text: `✅ رسید دریافت شد.\nشناسه خرید: ${purchase.id}\nنتیجه بررسی به شما اعلام می‌شود.` });
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${resubmitted ? 'رسید جدید' : 'رسید'} دریافت شد.\nشناسه خرید: ${purchase.id}\nنتیجه بررسی به شما اعلام می‌شود.`, reply_markup: { inline_keyboard: [[{ text: '🧾 پیگیری سفارش', callback_data: `MYPUR:VIEW:${purchase.id}` }]] } });
       return;
     }
     if (session.awaiting === 'broadcast' && isAdmin(uid) && text) {
@@ -1272,6 +1547,15 @@ async function onMessage(msg, env) {
       await tgApi('sendMessage', { chat_id: chatId, text: res.message });
       return;
     }
+    if (session.awaiting && session.awaiting.startsWith('promo_code:') && text) {
+      const pid = session.awaiting.split(':')[1];
+      const res = await applyPurchasePromo(env, uid, pid, text);
+      if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}`, reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } }); return; }
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ کد ${res.purchase.promo.code} اعمال شد.` });
+      await sendPurchaseCheckout(env, chatId, res.purchase);
+      return;
+    }
     if (session.awaiting?.startsWith('admin_create_gift:') && isAdmin(uid) && text) {
       const [, field, base] = session.awaiting.split(':');
       const draft = base ? JSON.parse(decodeURIComponent(base)) : {};
@@ -1332,22 +1616,17 @@ async function onMessage(msg, env) {
       const tid = Number(session.awaiting.split(':')[1]);
       const amount = Number(text.trim());
       if (!Number.isFinite(amount)) { await tgApi('sendMessage', { chat_id: chatId, text: 'مقدار نامعتبر است.' }); return; }
-      const tKey = `user:${tid}`;
-      const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-      target.diamonds = (target.diamonds || 0) + amount;
-      await kvPutJson(env, tKey, target);
+      const res = await adjustDiamonds(env, tid, amount, { reason: 'admin_give', actor: uid, idempotencyKey: `msg:${chatId}:${msg.message_id}` });
       await setSession(env, uid, {});
-      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس به کاربر ${tid} اضافه شد. موجودی جدید: ${target.diamonds}` });
+      if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(res, amount) }); return; }
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس به کاربر ${tid} اضافه شد. موجودی جدید: ${res.balance}` });
       try { await tgApi('sendMessage', { chat_id: tid, text: `🎯 ${amount} الماس به حساب شما اضافه شد.` }); } catch (_) {}
       return;
     }
     if (session.awaiting === 'freeze_uid' && text && isAdmin(uid)) {
       const tid = Number(text.trim());
       if (!Number.isFinite(tid)) { await tgApi('sendMessage', { chat_id: chatId, text: 'آی‌دی نامعتبر است.' }); return; }
-      const tKey = `user:${tid}`;
-      const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-      target.frozen = true;
-      await kvPutJson(env, tKey, target);
+      await updateUser(env, tid, { frozen: true });
       await setSession(env, uid, {});
       await tgApi('sendMessage', { chat_id: chatId, text: `✅ موجودی کاربر ${tid} فریز شد.` });
       try { await tgApi('sendMessage', { chat_id: tid, text: `❄️ موجودی الماس شما توسط مدیر فریز شد. تا اطلاع بعدی قابل استفاده نیست.` }); } catch (_) {}
@@ -1356,10 +1635,7 @@ async function onMessage(msg, env) {
     if (session.awaiting === 'unfreeze_uid' && text && isAdmin(uid)) {
       const tid = Number(text.trim());
       if (!Number.isFinite(tid)) { await tgApi('sendMessage', { chat_id: chatId, text: 'آی‌دی نامعتبر است.' }); return; }
-      const tKey = `user:${tid}`;
-      const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-      target.frozen = false;
-      await kvPutJson(env, tKey, target);
+      await updateUser(env, tid, { frozen: false });
       await setSession(env, uid, {});
       await tgApi('sendMessage', { chat_id: chatId, text: `✅ موجودی کاربر ${tid} آن‌فریز شد.` });
       try { await tgApi('sendMessage', { chat_id: tid, text: `🧊 موجودی الماس شما توسط مدیر آن‌فریز شد.` }); } catch (_) {}
@@ -1369,13 +1645,10 @@ async function onMessage(msg, env) {
       const tid = Number(session.awaiting.split(':')[1]);
       const amount = Number(text.trim());
       if (!Number.isFinite(amount) || amount <= 0) { await tgApi('sendMessage', { chat_id: chatId, text: 'مقدار نامعتبر است.' }); return; }
-      const tKey = `user:${tid}`;
-      const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-      const newDiamonds = Math.max(0, (target.diamonds || 0) - amount);
-      target.diamonds = newDiamonds;
-      await kvPutJson(env, tKey, target);
+      const res = await adjustDiamonds(env, tid, -amount, { reason: 'admin_take', actor: uid, clampZero: true, idempotencyKey: `msg:${chatId}:${msg.message_id}` });
       await setSession(env, uid, {});
-      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس از کاربر ${tid} کسر شد. موجودی جدید: ${target.diamonds}` });
+      if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(res, amount) }); return; }
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس از کاربر ${tid} کسر شد. موجودی جدید: ${res.balance}` });
       try { await tgApi('sendMessage', { chat_id: tid, text: `➖ ${amount} الماس از حساب شما کسر شد.` }); } catch (_) {}
       return;
     }
@@ -1398,6 +1671,58 @@ async function onMessage(msg, env) {
       await tgApi('sendMessage', { chat_id: chatId, text: '✅ محدودیت روزانه تنظیم شد.' });
       return;
     }
+    if (session.awaiting && session.awaiting.startsWith('pay_reject:') && isAdmin(uid) && text) {
+      const pid = session.awaiting.split(':')[1];
+      const p = await kvGetJson(env, `purchase:${pid}`);
+      await setSession(env, uid, {});
+      if (!p || p.status !== 'pending_review') { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست نامعتبر است.' }); return; }
+      const claim = await claimPurchaseReview(env, p, from);
+      if (!claim.ok) { await tgApi('sendMessage', { chat_id: chatId, text: reviewClaimErrorText(claim) }); return; }
+      await rejectPurchase(env, p, from, text.trim().slice(0, 300));
+      await tgApi('sendMessage', { chat_id: chatId, text: `درخواست ${pid} رد شد.` });
+      return;
+    }
+    if (session.awaiting && session.awaiting.startsWith('pay_refund:') && isAdmin(uid) && text) {
+      // sessions from before refund ids were kept fall back to the message id
+      const [, pid, refundId = `m${msg.message_id}`] = session.awaiting.split(':');
+      const key = `purchase:${pid}`;
+      const p = await kvGetJson(env, key);
+      if (p && (p.refunds || []).some(r => r.id === refundId)) { await setSession(env, uid, {}); await tgApi('sendMessage', { chat_id: chatId, text: 'این برگشت قبلاً ثبت شده است.', reply_markup: { inline_keyboard: [[{ text: '🧾 مشاهده خرید', callback_data: `ADMIN:PAY:VIEW:${p.id}` }]] } }); return; }
+      if (!isPaidPurchase(p)) { await setSession(env, uid, {}); await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ فقط خرید تایید شده قابل برگشت است.' }); return; }
+      const m = text.trim().match(/^(\d+)\s+([\s\S]+)$/);
+      const left = refundableDiamonds(p);
+      const amount = p.type !== 'panel' && m ? Number(m[1]) : left;
+      const reason = (p.type !== 'panel' && m ? m[2] : text).trim().slice(0, 200);
+      if (!(amount >= 0 && amount <= left) || (p.type !== 'panel' && amount === 0)) { await tgApi('sendMessage', { chat_id: chatId, text: `تعداد نامعتبر (۱ تا ${left}).` }); return; }
+      const res = await refundPurchase(env, p, { refundId, diamonds: amount, reason, actor: uid, actorName: adminLabel(from) });
+      if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'خطا در ثبت برگشت. لطفاً دوباره تلاش کنید.' }); return; }
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${res.full ? 'خرید بازپرداخت شد' : 'برگشت جزئی ثبت شد'}.${amount ? `\n${amount} الماس از کاربر ${p.user_id} کسر شد${res.balance == null ? '' : `؛ موجودی فعلی: ${res.balance}`}` : ''}${res.frozen ? '\n⚠️ موجودی کاربر منفی شد و فریز شد.' : ''}`, reply_markup: { inline_keyboard: [[{ text: '🧾 مشاهده خرید', callback_data: `ADMIN:PAY:VIEW:${p.id}` }]] } });
+      return;
+    }
+    if (session.awaiting && session.awaiting.startsWith('pay_deliver:') && isAdmin(uid)) {
+      const pid = session.awaiting.split(':')[1];
+      const p = await kvGetJson(env, `purchase:${pid}`);
+      if (!canDeliverPurchase(p)) { await setSession(env, uid, {}); await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ این خرید قابل تحویل نیست.' }); return; }
+      const delivery = deliveryFromMessage(msg);
+      if (!delivery) { await tgApi('sendMessage', { chat_id: chatId, text: 'مشخصات پنل را به صورت متن، عکس یا فایل ارسال کنید.', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } }); return; }
+      await setSession(env, uid, {});
+      const sent = await deliverPanelPurchase(env, p, delivery, from);
+      await tgApi('sendMessage', { chat_id: chatId, text: sent
+        ? `✅ پنل خرید ${pid} برای کاربر ${p.user_id} ارسال شد.`
+        : `⚠️ تحویل ثبت شد ولی ارسال به کاربر ${p.user_id} ناموفق بود (شاید ربات را مسدود کرده). کاربر می‌تواند آن را از «خریدهای من» ببیند.`, reply_markup: { inline_keyboard: [[{ text: '🧾 مشاهده خرید', callback_data: `ADMIN:PAY:VIEW:${p.id}` }]] } });
+      return;
+    }
+    if (session.awaiting === 'set_purchase_expiry' && isAdmin(uid) && text) {
+      const n = Number(text.trim());
+      if (!Number.isFinite(n) || n < 1 || n > 24 * 30) { await tgApi('sendMessage', { chat_id: chatId, text: 'عدد نامعتبر (۱ تا ۷۲۰ ساعت).' }); return; }
+      const s = await getSettings(env);
+      s.purchase_expiry_hours = n;
+      await setSettings(env, s);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ مهلت پرداخت تنظیم شد.' });
+      return;
+    }
     if (session.awaiting === 'set_cost_dns' && isAdmin(uid) && text) {
       const n = Number(text.trim());
       if (!Number.isFinite(n) || n < 0) { await tgApi('sendMessage', { chat_id: chatId, text: 'عدد نامعتبر.' }); return; }
@@ -1418,6 +1743,229 @@ async function onMessage(msg, env) {
       await tgApi('sendMessage', { chat_id: chatId, text: '✅ هزینه وایرگارد اختصاصی به‌روزرسانی شد.' });
       return;
     }
+    if (session.awaiting === 'set_plan_prices' && isAdmin(uid) && text) {
+      const s = await getSettings(env);
+      if (text.toLowerCase() === 'reset') {
+        s.plan_prices = null;
+      } else {
+        let obj;
+        try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر است.' }); return; }
+        const err = validatePlanPrices(obj);
+        if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${err}` }); return; }
+        s.plan_prices = obj;
+      }
+      await setSettings(env, s);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ پلن‌های اشتراک به‌روزرسانی شد.' });
+      return;
+    }
+    if (session.awaiting && session.awaiting.startsWith('pkg_edit:') && isAdmin(uid) && text) {
+      const id = session.awaiting.split(':')[1];
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const newId = id === 'NEW' ? String((obj && obj.id) || '') : id;
+      if (!isValidPackageId(newId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'شناسه نامعتبر (حداکثر ۱۶ کاراکتر: a-z، 0-9، _).' }); return; }
+      if (id === 'NEW' && await getDiamondPackage(env, kvGetJson, newId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'این شناسه قبلاً وجود دارد.' }); return; }
+      const res = normalizePackage(newId, obj);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await saveDiamondPackage(env, kvGetJson, kvPutJson, res.pkg);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ بسته ${newId} ذخیره شد.` });
+      await sendPackagesAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting && session.awaiting.startsWith('dnssrv_edit:') && isAdmin(uid) && text) {
+      const id = session.awaiting.split(':')[1];
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const newId = id === 'NEW' ? String((obj && obj.id) || '') : id;
+      if (!isValidDnsServerId(newId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'شناسه نامعتبر (حداکثر ۲۴ کاراکتر: a-z، 0-9، _ یا -).' }); return; }
+      if (id === 'NEW' && await getDnsServer(env, kvGetJson, newId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'این شناسه قبلاً وجود دارد.' }); return; }
+      const res = normalizeDnsServer(newId, obj);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await saveDnsServer(env, dnsServerDeps(), res.server);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ سرور ${newId} ذخیره شد.` });
+      await sendDnsServersAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'health_cfg' && isAdmin(uid) && text) {
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const err = validateHealthConfig(obj);
+      if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${err}` }); return; }
+      await setHealthConfig(env, kvPutJson, obj);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ تنظیمات پایش ذخیره شد.' });
+      await sendHealthAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'paycard_add' && isAdmin(uid) && text) {
+      const res = parsePayoutCard(text);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      const cfg = await getPayoutCards(env, kvGetJson);
+      if (cfg.cards.some(c => c.number === res.card.number)) { await tgApi('sendMessage', { chat_id: chatId, text: 'این کارت قبلاً ثبت شده است.' }); return; }
+      cfg.cards.push({ id: `c${now().toString(36)}`, ...res.card });
+      await setPayoutCards(env, kvPutJson, cfg);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: '✅ کارت اضافه شد.' });
+      await sendPayoutCardsAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'promo_edit' && isAdmin(uid) && text) {
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const res = normalizePromo(obj);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await savePromo(env, { kvGetJson, kvPutJson }, res.promo);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ کد ${res.promo.code} ذخیره شد.` });
+      await sendPromosAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting && session.awaiting.startsWith('wgtpl_profile:') && isAdmin(uid) && text) {
+      const id = session.awaiting.split(':')[1];
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const newId = id === 'NEW' ? String((obj && obj.id) || '') : id;
+      if (!isValidWgProfileId(newId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'شناسه نامعتبر (حداکثر ۱۶ کاراکتر: a-z، 0-9، _).' }); return; }
+      const cfg = await getWgTemplates(env, kvGetJson);
+      if (id === 'NEW' && cfg.profiles[newId]) { await tgApi('sendMessage', { chat_id: chatId, text: 'این شناسه قبلاً وجود دارد.' }); return; }
+      const profile = { title: obj.title, allowed_ips: obj.allowed_ips, mtu: obj.mtu, keepalive: obj.keepalive, dns: obj.dns, port: obj.port };
+      const err = validateWgProfile(profile);
+      if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${err}` }); return; }
+      cfg.profiles[newId] = profile;
+      await setWgTemplates(env, kvPutJson, cfg);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ پروفایل ${newId} ذخیره شد.` });
+      await sendWgTemplatesAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'wgtpl_country' && isAdmin(uid) && text) {
+      const m = text.trim().match(/^([A-Za-z]{2})\s+([\s\S]+)$/);
+      if (!m) { await tgApi('sendMessage', { chat_id: chatId, text: 'فرمت نامعتبر. مثال: DE {"default":"full"}' }); return; }
+      const code = m[1].toUpperCase();
+      const cfg = await getWgTemplates(env, kvGetJson);
+      if (m[2].trim().toLowerCase() === 'off') {
+        delete cfg.countries[code];
+      } else {
+        if (!isCountryCode(code)) { await tgApi('sendMessage', { chat_id: chatId, text: 'کد کشور نامعتبر است (کد دو حرفی ISO مثل DE).' }); return; }
+        let obj;
+        try { obj = JSON.parse(m[2]); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+        const err = validateWgCountryOverride(obj, cfg.profiles);
+        if (err) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${err}` }); return; }
+        cfg.countries[code] = obj;
+      }
+      await setWgTemplates(env, kvPutJson, cfg);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ تنظیمات وایرگارد ${code} به‌روزرسانی شد.` });
+      await sendWgTemplatesAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'ovpntpl_upload' && isAdmin(uid)) {
+      if (!msg.document) { await tgApi('sendMessage', { chat_id: chatId, text: 'لطفاً فایل (document) ارسال کنید.' }); return; }
+      const raw = await tgDownloadFileText(msg.document.file_id);
+      if (!raw) { await tgApi('sendMessage', { chat_id: chatId, text: 'دریافت فایل ناموفق بود (حداکثر ۵۱۲ کیلوبایت).' }); return; }
+      let parsed;
+      try { parsed = templateFromOvpn(raw); } catch (e) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ فایل قابل استفاده نیست: ${e.message}` }); return; }
+      const tpl = {
+        id: `t_${makeToken(6).toLowerCase()}`,
+        name: String(msg.document.file_name || 'profile.ovpn').replace(/\.ovpn$/i, '').slice(0, 40),
+        ...parsed,
+        created_at: now(),
+        created_by: uid
+      };
+      await saveOvpnTemplate(env, kvGetJson, kvPutJson, tpl);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ قالب ${tpl.id} ساخته شد.\nبلاک‌ها: ${tpl.summary.blocks.join(', ') || '—'}\nرمزنگاری: ${tpl.summary.ciphers.join(' | ') || 'پیش‌فرض کلاینت'}\nنام کاربری/رمز: ${tpl.credentials ? 'ذخیره شد' : (tpl.summary.auth_user_pass ? 'از کاربر پرسیده می‌شود' : 'ندارد')}` });
+      await sendOvpnTemplatesAdmin(env, chatId);
+      return;
+    }
+    if (session.awaiting === 'ovpntpl_assign' && isAdmin(uid) && text) {
+      const m = text.trim().match(/^([A-Za-z]{2})(?::(\d+))?\s+(\S+)$/);
+      if (!m) { await tgApi('sendMessage', { chat_id: chatId, text: 'فرمت نامعتبر. مثال: TW t_abc123' }); return; }
+      const code = m[1].toUpperCase();
+      const serverIdx = m[2] != null ? Number(m[2]) : null;
+      const tplId = m[3];
+      const templates = await listOvpnTemplates(env, kvGetJson);
+      if (!templates.some(t => t.id === tplId)) { await tgApi('sendMessage', { chat_id: chatId, text: 'قالب یافت نشد.' }); return; }
+      const cfg = structuredClone(await getDnsCidrConfig(env));
+      const loc = cfg.OVPN && cfg.OVPN.locations && cfg.OVPN.locations[code];
+      if (!loc) { await tgApi('sendMessage', { chat_id: chatId, text: 'لوکیشن یافت نشد.' }); return; }
+      const target = serverIdx == null ? loc : (loc.servers || [])[serverIdx];
+      if (!target) { await tgApi('sendMessage', { chat_id: chatId, text: 'سرور یافت نشد.' }); return; }
+      if (tplId === DEFAULT_OVPN_TEMPLATE_ID) delete target.template; else target.template = tplId;
+      await kvPutJson(env, 'ps:dns:cidr', cfg);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ قالب ${tplId} به ${code}${serverIdx == null ? '' : ` (سرور ${serverIdx})`} اختصاص یافت.` });
+      return;
+    }
+    if (session.awaiting?.startsWith('cidr_country:') && isAdmin(uid)) {
+      const id = session.awaiting.split(':')[1];
+      let raw = msg.document ? await tgDownloadFileText(msg.document.file_id) : text;
+      if (!raw) { await tgApi('sendMessage', { chat_id: chatId, text: 'لیست خالی است یا فایل دریافت نشد.' }); return; }
+      let code = id;
+      if (id === 'NEW') {
+        const m = raw.trim().match(/^([A-Za-z]{2})\s+([\s\S]+)$/);
+        if (!m) { await tgApi('sendMessage', { chat_id: chatId, text: 'اول کد دو حرفی کشور و بعد رنج‌ها را بفرستید.' }); return; }
+        code = m[1].toUpperCase();
+        raw = m[2];
+        if (!isValidCountryCode(code)) { await tgApi('sendMessage', { chat_id: chatId, text: 'کد کشور نامعتبر است (کد دو حرفی ISO مثل DE).' }); return; }
+      }
+      const cfg = await getDnsCidrConfig(env);
+      if (id === 'NEW' && cfg[code]) { await tgApi('sendMessage', { chat_id: chatId, text: 'این کشور قبلاً وجود دارد.' }); return; }
+      const res = applyCidrListEdit(cfg[code], raw);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await setSession(env, uid, {});
+      await previewCidrChange(env, uid, chatId, { ...cfg, [code]: res.ranges });
+      return;
+    }
+    if (session.awaiting?.startsWith('cidr_ovpn:') && isAdmin(uid) && text) {
+      const id = session.awaiting.split(':')[1];
+      let obj;
+      try { obj = JSON.parse(text); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      if (!obj || typeof obj !== 'object') { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const { code: newCode, ...body } = obj;
+      const code = id === 'NEW' ? String(newCode || '').toUpperCase() : id;
+      if (!isValidCountryCode(code)) { await tgApi('sendMessage', { chat_id: chatId, text: 'کد کشور نامعتبر است (کد دو حرفی ISO مثل DE).' }); return; }
+      const cfg = await getDnsCidrConfig(env);
+      const locs = (cfg.OVPN && cfg.OVPN.locations) || {};
+      if (id === 'NEW' && locs[code]) { await tgApi('sendMessage', { chat_id: chatId, text: 'این لوکیشن قبلاً وجود دارد.' }); return; }
+      const res = normalizeOvpnLocation(body);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await setSession(env, uid, {});
+      await previewCidrChange(env, uid, chatId, { ...cfg, OVPN: { ...(cfg.OVPN || {}), locations: { ...locs, [code]: res.location } } });
+      return;
+    }
+    if (session.awaiting === 'cidr_import' && isAdmin(uid)) {
+      const raw = msg.document ? await tgDownloadFileText(msg.document.file_id) : text;
+      if (!raw) { await tgApi('sendMessage', { chat_id: chatId, text: 'فایل دریافت نشد.' }); return; }
+      let obj;
+      try { obj = JSON.parse(raw); } catch (_) { await tgApi('sendMessage', { chat_id: chatId, text: 'JSON نامعتبر.' }); return; }
+      const res = normalizeCidrConfig(obj);
+      if (res.error) { await tgApi('sendMessage', { chat_id: chatId, text: `❌ ${res.error}` }); return; }
+      await setSession(env, uid, {});
+      await previewCidrChange(env, uid, chatId, res.config);
+      return;
+    }
+    if (session.awaiting?.startsWith('ovpnpool_import:') && isAdmin(uid)) {
+      const poolId = session.awaiting.split(':')[1];
+      const raw = msg.document ? await tgDownloadFileText(msg.document.file_id) : text;
+      if (!raw) { await tgApi('sendMessage', { chat_id: chatId, text: 'لیست خالی است یا فایل دریافت نشد.' }); return; }
+      const r = await importOvpnCredentials(env, ovpnPoolDeps(env), poolId, raw);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${r.added} اعتبارنامه اضافه شد.\nتکراری: ${r.duplicates} | نامعتبر: ${r.invalid}\nموجودی آزاد: ${r.available}` });
+      return;
+    }
+    if (session.awaiting?.startsWith('ovpnpool_low:') && isAdmin(uid) && text) {
+      const n = Number(text.trim());
+      if (!Number.isInteger(n) || n < 0) { await tgApi('sendMessage', { chat_id: chatId, text: 'عدد نامعتبر.' }); return; }
+      const poolId = session.awaiting.split(':')[1];
+      await setOvpnPoolLowStock(env, ovpnPoolDeps(env), poolId, n);
+      await setSession(env, uid, {});
+      await tgApi('sendMessage', { chat_id: chatId, text: `✅ آستانه هشدار استخر ${poolId} روی ${n} تنظیم شد.` });
+      return;
+    }
     if (session.awaiting === 'set_buttons' && isAdmin(uid) && text) {
       try {
         const obj = JSON.parse(text);
@@ -1718,7 +2266,7 @@ async function onMessage(msg, env) {
         } catch (_) {}
         const uKey = `user:${uid}`;
         const uMeta = (await kvGetJson(env, uKey)) || { id: uid };
-        if (!uMeta.referred_by) { uMeta.referred_by = refIdNum; await kvPutJson(env, uKey, uMeta); }
+        if (!uMeta.referred_by) await updateUser(env, uid, { referred_by: refIdNum });
         // Enforce join before crediting
         const requireJoin2 = await getRequiredChannels(env);
         if (requireJoin2.length && !isAdmin(uid)) {
@@ -1730,12 +2278,8 @@ async function onMessage(msg, env) {
         if (!userNow.ref_credited) {
           const refUser = (await kvGetJson(env, `user:${refIdNum}`)) || null;
           if (refUser) {
-            refUser.diamonds = (refUser.diamonds || 0) + 1;
-            refUser.referrals = (refUser.referrals || 0) + 1;
-            await kvPutJson(env, `user:${refIdNum}`, refUser);
-            userNow.ref_credited = true;
-            userNow.referred_by = userNow.referred_by || refIdNum;
-            await kvPutJson(env, uKey, userNow);
+            await adjustDiamonds(env, refIdNum, 1, { reason: 'referral', ref: uid, actor: uid, idempotencyKey: `referral:${uid}`, inc: { referrals: 1 } });
+            await updateUser(env, uid, { ref_credited: true, referred_by: userNow.referred_by || refIdNum });
             // track weekly referral for missions
             const wk = weekKey();
             const rk = `ref_week:${refIdNum}:${wk}`;
@@ -1766,7 +2310,7 @@ async function onMessage(msg, env) {
   // legacy /join kept for compatibility but routed to CHECK_JOIN
   if (text.startsWith('/join')) {
     const ok = await isUserJoinedAllRequiredChannels(env, uid);
-    user.joined = ok; await kvPutJson(env, userKey, user);
+    ({ user } = await updateUser(env, uid, { joined: ok }));
     if (!ok) {
       await tgApi('sendMessage', { chat_id: chatId, text: '❌ هنوز عضو تمام کانال‌های الزامی نیستید.' });
       return;
@@ -1778,12 +2322,8 @@ async function onMessage(msg, env) {
     if (Number.isFinite(refIdNum) && refIdNum !== Number(uid) && !user.ref_credited) {
       const refUser = (await kvGetJson(env, `user:${refIdNum}`)) || null;
       if (refUser) {
-        refUser.diamonds = (refUser.diamonds || 0) + 1;
-        refUser.referrals = (refUser.referrals || 0) + 1;
-        await kvPutJson(env, `user:${refIdNum}`, refUser);
-        user.ref_credited = true;
-        user.referred_by = user.referred_by || refIdNum;
-        await kvPutJson(env, userKey, user);
+        await adjustDiamonds(env, refIdNum, 1, { reason: 'referral', ref: uid, actor: uid, idempotencyKey: `referral:${uid}`, inc: { referrals: 1 } });
+        await updateUser(env, uid, { ref_credited: true, referred_by: user.referred_by || refIdNum });
         // track weekly referral for missions (credit to referrer)
         const wk = weekKey();
         const rk = `ref_week:${refIdNum}:${wk}`;
@@ -1829,11 +2369,9 @@ async function onMessage(msg, env) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'پارامتر نامعتبر است.' });
       return;
     }
-    const tKey = `user:${tid}`;
-  const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-  target.diamonds = (target.diamonds || 0) + amount;
-    await kvPutJson(env, tKey, target);
-  await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس به کاربر ${tid} اضافه شد. موجودی جدید: ${target.diamonds}` });
+    const res = await adjustDiamonds(env, tid, amount, { reason: 'admin_give', actor: uid, idempotencyKey: `msg:${chatId}:${msg.message_id}` });
+    if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(res, amount) }); return; }
+  await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس به کاربر ${tid} اضافه شد. موجودی جدید: ${res.balance}` });
   try { await tgApi('sendMessage', { chat_id: tid, text: `🎯 ${amount} الماس به حساب شما اضافه شد.` }); } catch (_) {}
     return;
   }
@@ -1851,12 +2389,9 @@ async function onMessage(msg, env) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'پارامتر نامعتبر است.' });
       return;
     }
-    const tKey = `user:${tid}`;
-    const target = (await kvGetJson(env, tKey)) || { id: tid, diamonds: 0 };
-    const newDiamonds = Math.max(0, (target.diamonds || 0) - amount);
-    target.diamonds = newDiamonds;
-    await kvPutJson(env, tKey, target);
-    await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس از کاربر ${tid} کسر شد. موجودی جدید: ${target.diamonds}` });
+    const res = await adjustDiamonds(env, tid, -amount, { reason: 'admin_take', actor: uid, clampZero: true, idempotencyKey: `msg:${chatId}:${msg.message_id}` });
+    if (!res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(res, amount) }); return; }
+    await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${amount} الماس از کاربر ${tid} کسر شد. موجودی جدید: ${res.balance}` });
     try { await tgApi('sendMessage', { chat_id: tid, text: `➖ ${amount} الماس از حساب شما کسر شد.` }); } catch (_) {}
     return;
   }
@@ -1928,6 +2463,10 @@ async function onMessage(msg, env) {
 async function onCallback(cb, env) {
   const data = cb.data; const chatId = cb.message.chat.id; const from = cb.from;
   const uid = from.id;
+  // repeated deliveries of the same callback query are dropped in handleUpdate
+  // Per-tap key for money-moving actions: a redelivered tap moves diamonds once, while pressing the
+  // same menu button again is a new purchase
+  const actionKey = `cbq:${cb.id}`;
   // Ignore callbacks in non-private chats
   try {
     const chatType = cb.message && cb.message.chat && cb.message.chat.type;
@@ -1999,22 +2538,25 @@ async function onCallback(cb, env) {
   }
   if (data === 'ADMIN:PAYMENTS' && isAdmin(uid)) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const idx = (await kvGetJson(env, 'index:purchases')) || [];
-    // Compute status counts (scan up to first 500 items for speed)
-    let pendingCount = 0, approvedCount = 0, rejectedCount = 0, totalCount = 0;
-    for (const pid of idx.slice(0, 500)) {
-      const p = await kvGetJson(env, `purchase:${pid}`);
-      if (!p) continue;
+    // Compute status counts (scan up to the newest 500 purchases for speed)
+    let pendingCount = 0, approvedCount = 0, undeliveredCount = 0, rejectedCount = 0, expiredCount = 0, refundedCount = 0, totalCount = 0;
+    await scanPurchases(env, purchaseIndexDeps(), (p) => {
       totalCount++;
       if (p.status === 'pending_review') pendingCount++;
-      else if (p.status === 'approved') approvedCount++;
+      else if (isPaidPurchase(p)) { approvedCount++; if (p.status === 'paid') undeliveredCount++; }
       else if (p.status === 'rejected') rejectedCount++;
-    }
+      else if (p.status === 'expired') expiredCount++;
+      else if (p.status === 'refunded') refundedCount++;
+      return false;
+    }, { maxScan: 500 });
     const summary = `💳 مدیریت پرداخت‌ها
 وضعیت‌ها:
 • در انتظار بررسی: ${pendingCount.toLocaleString('fa-IR')}
 • تایید شده: ${approvedCount.toLocaleString('fa-IR')}
+• پنل در انتظار تحویل: ${undeliveredCount.toLocaleString('fa-IR')}
 • رد شده: ${rejectedCount.toLocaleString('fa-IR')}
+• منقضی (پرداخت نشده): ${expiredCount.toLocaleString('fa-IR')}
+• بازپرداخت شده: ${refundedCount.toLocaleString('fa-IR')}
 • کل: ${totalCount.toLocaleString('fa-IR')}
 
 برای مشاهده لیست، یکی از فیلترها را انتخاب کنید.`;
@@ -2022,7 +2564,14 @@ async function onCallback(cb, env) {
       [
         { text: `در انتظار (${pendingCount})`, callback_data: 'ADMIN:PAYMENTS:pending:0' },
         { text: `تایید شده (${approvedCount})`, callback_data: 'ADMIN:PAYMENTS:approved:0' },
-        { text: `رد شده (${rejectedCount})`, callback_data: 'ADMIN:PAYMENTS:rejected:0' },
+        { text: `رد شده (${rejectedCount})`, callback_data: 'ADMIN:PAYMENTS:rejected:0' }
+      ],
+      [
+        { text: `📦 تحویل نشده (${undeliveredCount})`, callback_data: 'ADMIN:PAYMENTS:paid:0' },
+        { text: `منقضی (${expiredCount})`, callback_data: 'ADMIN:PAYMENTS:expired:0' }
+      ],
+      [
+        { text: `بازپرداخت (${refundedCount})`, callback_data: 'ADMIN:PAYMENTS:refunded:0' },
         { text: `همه (${totalCount})`, callback_data: 'ADMIN:PAYMENTS:all:0' }
       ],
       [{ text: '⬅️ بازگشت به پنل', callback_data: 'ADMIN:PANEL' }]
@@ -2030,16 +2579,7 @@ async function onCallback(cb, env) {
     await tgApi('sendMessage', { chat_id: chatId, text: summary, reply_markup: tabs });
 
     // Also show first page of pending by default
-    const pageSize = 10;
-    const list = [];
-    let hasMore = false;
-    for (const pid of idx) {
-      const p = await kvGetJson(env, `purchase:${pid}`);
-      if (!p) continue;
-      if (p.status === 'pending_review') {
-        if (list.length < pageSize) list.push(p); else { hasMore = true; break; }
-      }
-    }
+    const { items: list, hasMore } = await listPurchasesPage(env, purchaseIndexDeps(), { filter: (p) => p.status === 'pending_review' });
     if (!list.length) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'هیچ پرداخت در انتظاری وجود ندارد.', reply_markup: { inline_keyboard: [[{ text: '⬅️ انتخاب فیلتر دیگر', callback_data: 'ADMIN:PAYMENTS' }], [{ text: '⬅️ بازگشت به پنل', callback_data: 'ADMIN:PANEL' }]] } });
       return;
@@ -2066,26 +2606,18 @@ async function onCallback(cb, env) {
     const parts = data.split(':');
     const status = parts[2] || 'pending';
     const page = Math.max(0, parseInt(parts[3] || '0', 10) || 0);
-    const pageSize = 10;
-    const idx = (await kvGetJson(env, 'index:purchases')) || [];
-    const list = [];
-    let matchedCount = 0;
-    let hasMore = false;
     const matches = (p) => {
       if (status === 'all') return true;
       if (status === 'pending') return p.status === 'pending_review';
-      if (status === 'approved') return p.status === 'approved';
+      if (status === 'approved') return isPaidPurchase(p);
+      if (status === 'paid') return p.status === 'paid';
       if (status === 'rejected') return p.status === 'rejected';
+      if (status === 'expired') return p.status === 'expired';
+      if (status === 'refunded') return p.status === 'refunded';
       return false;
     };
-    for (const pid of idx) {
-      const p = await kvGetJson(env, `purchase:${pid}`);
-      if (!p || !matches(p)) continue;
-      if (matchedCount >= page * pageSize && list.length < pageSize) list.push(p);
-      matchedCount++;
-      if (list.length === pageSize && matchedCount > (page + 1) * pageSize) { hasMore = true; break; }
-    }
-    const headerLabel = status === 'pending' ? 'در انتظار' : status === 'approved' ? 'تایید شده' : status === 'rejected' ? 'رد شده' : 'همه';
+    const { items: list, hasMore } = await listPurchasesPage(env, purchaseIndexDeps(), { filter: matches, page });
+    const headerLabel = status === 'pending' ? 'در انتظار' : status === 'approved' ? 'تایید شده' : status === 'paid' ? 'در انتظار تحویل' : status === 'rejected' ? 'رد شده' : status === 'expired' ? 'منقضی' : status === 'refunded' ? 'بازپرداخت شده' : 'همه';
     if (!list.length) {
       await tgApi('sendMessage', { chat_id: chatId, text: `موردی برای «${headerLabel}» در این صفحه یافت نشد.`, reply_markup: { inline_keyboard: [
         [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:PAYMENTS' }],
@@ -2095,7 +2627,7 @@ async function onCallback(cb, env) {
     const lines = list.map(p => {
       const typeLabel = p.type === 'panel' ? `🛍 پنل: ${p.panel_title||'-'}` : `💎 الماس: ${p.diamonds}`;
       const amount = (p.price_toman||0).toLocaleString('fa-IR');
-      const st = p.status === 'pending_review' ? 'در انتظار' : p.status === 'approved' ? 'تایید شده' : p.status === 'rejected' ? 'رد شده' : p.status;
+      const st = PURCHASE_STATUS_LABELS[p.status] || p.status;
       return `#${String(p.id).padStart(8,'0')} | ${typeLabel} | کاربر: ${p.user_id} | مبلغ: ${amount}ت | وضعیت: ${st}`;
     });
     const text = `فهرست ${headerLabel} (صفحه ${page + 1}):\n${lines.join('\n')}`;
@@ -2109,6 +2641,8 @@ async function onCallback(cb, env) {
         { text: 'در انتظار', callback_data: 'ADMIN:PAYMENTS:pending:0' },
         { text: 'تایید شده', callback_data: 'ADMIN:PAYMENTS:approved:0' },
         { text: 'رد شده', callback_data: 'ADMIN:PAYMENTS:rejected:0' },
+        { text: 'منقضی', callback_data: 'ADMIN:PAYMENTS:expired:0' },
+        { text: 'بازپرداخت', callback_data: 'ADMIN:PAYMENTS:refunded:0' },
         { text: 'همه', callback_data: 'ADMIN:PAYMENTS:all:0' }
       ],
       [{ text: '⬅️ بازگشت به پنل', callback_data: 'ADMIN:PANEL' }]
@@ -2119,38 +2653,24 @@ async function onCallback(cb, env) {
   if (data.startsWith('ADMIN:PAY:VIEW:') && isAdmin(uid)) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     const id = data.split(':')[3];
-    const p = await kvGetJson(env, `purchase:${id}`);
+    const key = `purchase:${id}`;
+    const p = await kvGetJson(env, key);
     if (!p) { await tgApi('sendMessage', { chat_id: chatId, text: 'سفارش یافت نشد.' }); return; }
-    const isPanel = p.type === 'panel';
-    const hdr = isPanel
-      ? `خرید پنل #${String(p.id).padStart(8,'0')}
-کاربر: ${p.user_id}
-پنل: ${p.panel_title||'-'}
-مبلغ: ${(p.price_toman||0).toLocaleString('fa-IR')} تومان
-وضعیت: ${p.status}`
-      : `خرید #${String(p.id).padStart(8,'0')}
-کاربر: ${p.user_id}
-بسته: ${p.diamonds} الماس
-مبلغ: ${(p.price_toman||0).toLocaleString('fa-IR')} تومان
-وضعیت: ${p.status}`;
-    const actions = [];
-    if (p.status === 'pending_review') {
-      if (isPanel) {
-        actions.push([{ text: '✉️ رفتن به پیوی کاربر', url: `tg://user?id=${p.user_id}` }, { text: '❌ رد', callback_data: `PAYREJ:${p.id}` }]);
-      } else {
-        actions.push([{ text: '✅ تایید و افزودن الماس', callback_data: `PAYAPP:${p.id}` }, { text: '❌ رد', callback_data: `PAYREJ:${p.id}` }]);
-      }
-    }
-    actions.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:PAYMENTS' }]);
-    const kb = { inline_keyboard: actions };
+    // opening an unclaimed review claims it
+    if (p.status === 'pending_review' && !reviewHolder(p)) await claimPurchaseReview(env, p, from);
+    const hdr = purchaseReviewText(p);
+    const kb = reviewKeyboard(p, uid, { view: true });
+    let sent;
     if (p.receipt_file_id) {
-      try {
-        await tgApi('sendPhoto', { chat_id: chatId, photo: p.receipt_file_id, caption: hdr, reply_markup: kb });
-      } catch (_) {
-        await tgApi('sendDocument', { chat_id: chatId, document: p.receipt_file_id, caption: hdr, reply_markup: kb });
-      }
+      const caption = purchaseReviewCaption(p);
+      sent = await tgApi('sendPhoto', { chat_id: chatId, photo: p.receipt_file_id, caption, reply_markup: kb }).catch(() => null);
+      if (!sent || !sent.ok) sent = await tgApi('sendDocument', { chat_id: chatId, document: p.receipt_file_id, caption, reply_markup: kb });
     } else {
-      await tgApi('sendMessage', { chat_id: chatId, text: hdr, reply_markup: kb });
+      sent = await tgApi('sendMessage', { chat_id: chatId, text: hdr, reply_markup: kb });
+    }
+    if (p.status === 'pending_review' || p.status === 'paid') {
+      rememberReviewMessage(p, chatId, sent, { media: Boolean(p.receipt_file_id), view: true });
+      await kvPutJson(env, key, p);
     }
     return;
   }
@@ -2279,30 +2799,11 @@ async function onCallback(cb, env) {
     const it = await getPanelItem(env, id);
     if (!it) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد یافت نشد.' }); return; }
     const pid = await generatePurchaseId(env);
-    const rec = { id: pid, user_id: uid, panel_id: it.id, panel_title: it.title, price_toman: Number(it.price_toman||0), status: 'awaiting_receipt', created_at: now(), type: 'panel' };
+    const card = await pickPayoutCard(env, { kvGetJson, kvPutJson });
+    const rec = { id: pid, user_id: uid, panel_id: it.id, panel_title: it.title, price_toman: Number(it.price_toman||0), card: card ? { id: card.id, number: card.number, name: card.name } : null, status: 'awaiting_receipt', created_at: now(), type: 'panel' };
     await kvPutJson(env, `purchase:${pid}`, rec);
-    try {
-      const idxKey = 'index:purchases';
-      const idx = (await kvGetJson(env, idxKey)) || [];
-      idx.unshift(pid);
-      if (idx.length > 1000) idx.length = 1000;
-      await kvPutJson(env, idxKey, idx);
-    } catch (_) {}
-    const txt = `🛒 خرید پنل: ${it.title}
-مبلغ: ${(Number(it.price_toman||0)).toLocaleString('fa-IR')} تومان
-شناسه خرید: \`${pid}\`
-لطفاً مبلغ را به کارت زیر واریز کنید و سپس «پرداخت کردم» را بزنید:
-
-کارت:
-\`${BANK_CARD_NUMBER}\`
-نام: **${BANK_CARD_NAME}**
-
-پس از تایید رسید، ادمین برای ارسال پنل و توضیحات به پیوی شما پیام می‌دهد.`;
-    await tgApi('sendMessage', { chat_id: chatId, text: txt, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
-      [{ text: '✅ پرداخت کردم', callback_data: `PANEL:PAID:${pid}` }],
-      [{ text: '⬅️ بازگشت', callback_data: `PANEL:VIEW:${it.id}` }],
-      [{ text: '🏠 منو', callback_data: 'MENU' }]
-    ] } });
+    try { await indexPurchase(env, purchaseIndexDeps(), rec); } catch (_) {}
+    await sendPurchaseCheckout(env, chatId, rec);
     return;
   }
   if (data.startsWith('PANEL:PAID:')) {
@@ -2315,7 +2816,7 @@ async function onCallback(cb, env) {
       return;
     }
     await setSession(env, uid, { awaiting: `payment_receipt:${pid}` });
-    await tgApi('sendMessage', { chat_id: chatId, text: `شناسه خرید شما: \`${pid}\`\nلطفاً عکس رسید پرداخت را ارسال کنید.`, parse_mode: 'Markdown' });
+    await tgApi('sendMessage', { chat_id: chatId, text: `شناسه خرید شما: \`${pid}\`\nلطفاً عکس رسید پرداخت را ارسال کنید.\nدر صورت تمایل، قبل از آن شماره پیگیری تراکنش را هم بفرستید.`, parse_mode: 'Markdown' });
     return;
   }
   if (data === 'PRIVATE_SERVER') {
@@ -2331,11 +2832,9 @@ async function onCallback(cb, env) {
   }
   if (data === 'PS:OVPN') {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const cfg = await getDnsCidrConfig(env);
-    const locs = cfg && cfg.OVPN && cfg.OVPN.locations ? cfg.OVPN.locations : {};
-    const codes = Object.keys(locs);
+    const codes = await serviceCountries(env, 'ovpn');
     if (!codes.length) { await tgApi('sendMessage', { chat_id: chatId, text: 'در حال توسعه و آماده‌سازی لوکیشن‌ها.' }); return; }
-    const rows = codes.map(code => ([{ text: `${countryFlag(code)} ${dnsCountryLabel(code)}`, callback_data: `PS:OVPN_LOC:${code}` }]));
+    const rows = codes.map(code => ([{ text: `${countryFlag(code)} ${countryName(code)}`, callback_data: `PS:OVPN_LOC:${code}` }]));
     rows.push([{ text: '⬅️ بازگشت', callback_data: 'PRIVATE_SERVER' }]);
     rows.push([{ text: '🏠 منو', callback_data: 'MENU' }]);
     await safeUpdateText(chatId, '🔒 OpenVPN — کشور/لوکیشن را انتخاب کنید:', { inline_keyboard: rows }, cb);
@@ -2362,7 +2861,7 @@ async function onCallback(cb, env) {
     }
     rows.push([{ text: '⬅️ بازگشت', callback_data: 'PS:OVPN' }]);
     rows.push([{ text: '🏠 منو', callback_data: 'MENU' }]);
-    await safeUpdateText(chatId, `🔒 OpenVPN — ${countryFlag(code)} ${dnsCountryLabel(code)} — سرور را انتخاب کنید:`, { inline_keyboard: rows }, cb);
+    await safeUpdateText(chatId, `🔒 OpenVPN — ${countryFlag(code)} ${countryName(code)} — سرور را انتخاب کنید:`, { inline_keyboard: rows }, cb);
     return;
   }
   if (data.startsWith('PS:OVPN_SEL2:')) {
@@ -2373,13 +2872,15 @@ async function onCallback(cb, env) {
     const cfg = await getDnsCidrConfig(env);
     const loc = cfg && cfg.OVPN && cfg.OVPN.locations && cfg.OVPN.locations[code];
     const s = loc && loc.servers && loc.servers[idx];
+    if (!s) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد نامعتبر.' }); return; }
+    const protos = s.proto ? [s.proto] : ['udp', 'tcp'];
     const kb = { inline_keyboard: [
-      [{ text: 'UDP', callback_data: `PS:OVPN_CONF2:${code}:${idx}:udp` }, { text: 'TCP', callback_data: `PS:OVPN_CONF2:${code}:${idx}:tcp` }],
+      protos.map(p => ({ text: p.toUpperCase(), callback_data: `PS:OVPN_CONF2:${code}:${idx}:${p}` })),
       [{ text: '⬅️ بازگشت', callback_data: `PS:OVPN_LOC:${code}` }],
       [{ text: '🏠 منو', callback_data: 'MENU' }]
     ] };
     await safeUpdateText(chatId, `لوکیشن انتخاب شد:
-${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
+${countryFlag(code)} ${countryName(code)} — ${s.host}:${s.port}
 نوع پروتکل را انتخاب کنید:`, kb, cb);
     return;
   }
@@ -2388,16 +2889,15 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const parts = data.split(':');
     const code = parts[2];
     const idx = Number(parts[3] || 0);
-    const proto = (parts[4] || 'udp').toLowerCase() === 'tcp' ? 'tcp' : 'udp';
     const cfg = await getDnsCidrConfig(env);
     const loc = cfg && cfg.OVPN && cfg.OVPN.locations && cfg.OVPN.locations[code];
     const s = loc && loc.servers && loc.servers[idx];
     if (!s) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد نامعتبر.' }); return; }
+    const proto = s.proto || ((parts[4] || 'udp').toLowerCase() === 'tcp' ? 'tcp' : 'udp');
     const settings = await getSettings(env);
-    const cost = settings.cost_ovpn || 6;
-    const text = `🔒 OpenVPN\nلوکیشن: ${s.host}:${s.port}\nپروتکل: ${proto.toUpperCase()}\n\n💎 هزینه: ${cost} الماس\nآیا پرداخت انجام شود؟`;
+    const text = `🔒 OpenVPN\nلوکیشن: ${s.host}:${s.port}\nپروتکل: ${proto.toUpperCase()}\n\n⏳ مدت اشتراک را انتخاب کنید:`;
     const kb = { inline_keyboard: [
-      [{ text: '✅ پرداخت و دریافت', callback_data: `PS:OVPN_BUY2:${code}:${idx}:${proto}` }],
+      ...planButtons(listPlans(settings, 'ovpn'), `PS:OVPN_BUY2:${code}:${idx}:${proto}`),
       [{ text: '⬅️ بازگشت', callback_data: `PS:OVPN_SEL2:${code}:${idx}` }],
       [{ text: '🏠 منو', callback_data: 'MENU' }]
     ] };
@@ -2408,12 +2908,13 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const parts = data.split(':');
     const code = parts[2];
     const idx = Number(parts[3] || 0);
-    const chosenProto = (parts[4] || 'udp').toLowerCase() === 'tcp' ? 'tcp' : 'udp';
+    const days = Number(parts[5] || 30);
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     const cfg = await getDnsCidrConfig(env);
     const loc = cfg && cfg.OVPN && cfg.OVPN.locations && cfg.OVPN.locations[code];
     const s = loc && loc.servers && loc.servers[idx];
     if (!s) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد نامعتبر.' }); return; }
+    const chosenProto = s.proto || ((parts[4] || 'udp').toLowerCase() === 'tcp' ? 'tcp' : 'udp');
     // location disable check
     if (await isLocationDisabled(env, 'ovpn', s.host)) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'این بخش درحال توسعه و بروزرسانی می‌باشد و موقتا غیر فعال است.' });
@@ -2423,43 +2924,51 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const user = (await kvGetJson(env, userKey)) || { id: uid, diamonds: 0 };
     if (user.frozen && !isAdmin(uid)) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ موجودی شما فریز است.' }); return; }
     const settings = await getSettings(env);
-    const cost = settings.cost_ovpn || 6;
+    const cost = planPrice(settings, 'ovpn', days);
+    if (cost == null) { await tgApi('sendMessage', { chat_id: chatId, text: 'این پلن دیگر موجود نیست.' }); return; }
     if ((user.diamonds || 0) < cost) {
       await tgApi('sendMessage', { chat_id: chatId, text: `⚠️ الماس کافی نیست. این سرویس ${cost} الماس هزینه دارد.` });
       return;
     }
-    user.diamonds = (user.diamonds || 0) - cost;
-    await kvPutJson(env, userKey, user);
-    // build .ovpn content from template
-    const ovpnText = OVPN_TEMPLATE
-      .replace(/\{\{HOST\}\}/g, String(s.host))
-      .replace(/\{\{PORT\}\}/g, String(s.port))
-      .replace(/\{\{PROTO\}\}/g, String(chosenProto));
+    const entryId = `${now()}`;
+    let importToken = null;
+    // build .ovpn content from the template assigned to this server/location
+    const tpl = await getOvpnTemplate(env, kvGetJson, ovpnTemplateIdFor(loc, s));
+    // templates with a credential pool get a dedicated login per purchase; nothing is charged when it is empty
+    const taken = await takeOvpnCredential(env, ovpnPoolDeps(env), tpl.id, { uid, entryId });
+    if (taken.pooled && !taken.credential) { await tgApi('sendMessage', { chat_id: chatId, text: 'ظرفیت این لوکیشن موقتاً تکمیل است. لطفاً بعداً تلاش کنید.' }); return; }
+    const charged = await adjustDiamonds(env, uid, -cost, { reason: 'ovpn', ref: entryId, actor: uid, requireFunds: true, idempotencyKey: actionKey });
+    if (!charged.ok) {
+      if (taken.credential) await returnOvpnCredential(env, ovpnPoolDeps(env), tpl.id, taken.credential.username);
+      await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(charged, cost) });
+      return;
+    }
+    const ovpnText = renderOvpnTemplate(tpl, { host: s.host, port: s.port, proto: chosenProto, credentials: taken.credential });
     // build file name
     const purchaseId = await generatePurchaseId(env).catch(() => `${now()}`);
     const fileName = `NoiD${String(purchaseId).replace(/\D/g,'').slice(0,7) || String(now()).slice(-7)}.ovpn`;
+    const expiresAt = now() + days * 24 * 60 * 60 * 1000;
     // store in user's servers list
     try {
       const listKey = `user:${uid}:servers`;
       const list = (await kvGetJson(env, listKey)) || [];
-      list.unshift({ id: `${now()}`, type: 'ovpn', host: s.host, port: s.port, proto: chosenProto, name: fileName, conf: ovpnText, created_at: now() });
-      if (list.length > 200) list.length = 200;
+      const entry = { id: entryId, type: 'ovpn', country: code, host: s.host, port: s.port, proto: chosenProto, template: tpl.id, credential: taken.credential ? { pool: tpl.id, username: taken.credential.username } : null, name: fileName, conf: ovpnText, plan_days: days, expires_at: expiresAt, created_at: now() };
+      importToken = await issueOvpnImportToken(env, uid, entry);
+      list.unshift(entry);
+      trimServerList(list);
       await kvPutJson(env, listKey, list);
+      await scheduleExpiry(env, { kvGetJson, kvPutJson }, uid, entryId, expiresAt);
     } catch (_) {}
-    // send as document
-    const form = new FormData();
-    form.append('chat_id', String(chatId));
-    form.append('document', new Blob([ovpnText], { type: 'text/plain' }), fileName);
-    form.append('caption', `کانفیگ OpenVPN\nلوکیشن: ${s.host}\nنام فایل: ${fileName}`);
-    const res = await tgUpload('sendDocument', form);
-    if (!res || !res.ok) {
-      await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' });
-    }
+    await sendOvpnProfile(chatId, { text: ovpnText, fileName, caption: `کانفیگ OpenVPN\nلوکیشن: ${s.host}\nنام فایل: ${fileName}\n⏳ اعتبار: ${days} روز`, importToken });
     return;
   }
   if (data === 'PS:DNS') {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const countries = ['ES','DE','FR','PH','JP','TR','SE','NL','DK','BE','CH','CN'];
+    const countries = await serviceCountries(env, 'dns');
+    if (!countries.length) {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'در حال حاضر سرور دی ان اس آزادی موجود نیست. لطفاً بعداً دوباره سر بزنید.', reply_markup: { inline_keyboard: [[{ text: '⬅️ بازگشت', callback_data: 'PRIVATE_SERVER' }]] } });
+      return;
+    }
     const page = 0;
     const perPage = 12;
     const totalPages = Math.ceil(countries.length / perPage);
@@ -2467,8 +2976,8 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const slice = countries.slice(page*perPage, page*perPage + perPage);
     for (let i = 0; i < slice.length; i += 2) {
       const c1 = slice[i]; const c2 = slice[i+1];
-      const r = [{ text: `${countryFlag(c1)} ${dnsCountryLabel(c1)}`, callback_data: `PS:DNS:${c1}` }];
-      if (c2) r.push({ text: `${countryFlag(c2)} ${dnsCountryLabel(c2)}`, callback_data: `PS:DNS:${c2}` });
+      const r = [{ text: `${countryFlag(c1)} ${countryName(c1)}`, callback_data: `PS:DNS:${c1}` }];
+      if (c2) r.push({ text: `${countryFlag(c2)} ${countryName(c2)}`, callback_data: `PS:DNS:${c2}` });
       rows.push(r);
     }
     rows.push([{ text: '⬅️ بازگشت', callback_data: 'PRIVATE_SERVER' }]);
@@ -2484,9 +2993,9 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
   }
   if (data.startsWith('PS:DNS_PAGE:')) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const countries = ['ES','DE','FR','PH','JP','TR','SE','NL','DK','BE','CH','CN'];
+    const countries = await serviceCountries(env, 'dns');
     const perPage = 12;
-    const totalPages = Math.ceil(countries.length / perPage);
+    const totalPages = Math.max(1, Math.ceil(countries.length / perPage));
     let page = parseInt(data.split(':')[2], 10) || 0;
     if (page < 0) page = 0;
     if (page >= totalPages) page = totalPages - 1;
@@ -2495,8 +3004,8 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const rows = [];
     for (let i = 0; i < slice.length; i += 2) {
       const c1 = slice[i]; const c2 = slice[i+1];
-      const r = [{ text: `${countryFlag(c1)} ${dnsCountryLabel(c1)}`, callback_data: `PS:DNS:${c1}` }];
-      if (c2) r.push({ text: `${countryFlag(c2)} ${dnsCountryLabel(c2)}`, callback_data: `PS:DNS:${c2}` });
+      const r = [{ text: `${countryFlag(c1)} ${countryName(c1)}`, callback_data: `PS:DNS:${c1}` }];
+      if (c2) r.push({ text: `${countryFlag(c2)} ${countryName(c2)}`, callback_data: `PS:DNS:${c2}` });
       rows.push(r);
     }
     if (totalPages > 1) {
@@ -2520,22 +3029,22 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       await tgApi('sendMessage', { chat_id: chatId, text: 'این بخش درحال توسعه و بروزرسانی می‌باشد و موقتا غیر فعال است.' });
       return;
     }
-    // ask to confirm payment of 1 diamond
+    // ask for a plan before payment
     const userKey = `user:${uid}`;
     const user = (await kvGetJson(env, userKey)) || { id: uid, diamonds: 0 };
     if (user.frozen && !isAdmin(uid)) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ موجودی شما فریز است.' }); return; }
     const settings = await getSettings(env);
-    const cost = settings.cost_dns || 1;
-    const text = `🧩 دی ان اس اختصاصی (${dnsCountryLabel(code)})\n\n💎 هزینه: ${cost} الماس\n💳 آیا پرداخت انجام شود؟\n\n👤 موجودی شما: ${user.diamonds || 0}`;
+    const text = `🧩 دی ان اس اختصاصی (${countryName(code)})\n\n⏳ مدت اشتراک را انتخاب کنید:\n\n👤 موجودی شما: ${user.diamonds || 0}`;
     const kb = { inline_keyboard: [
-      [{ text: '✅ پرداخت و دریافت', callback_data: `PS:DNSCONF:${code}` }],
+      ...planButtons(listPlans(settings, 'dns'), `PS:DNSCONF:${code}`),
       [{ text: '❌ انصراف', callback_data: 'PS:DNS' }]
     ] };
     await tgApi('sendMessage', { chat_id: chatId, text, reply_markup: kb });
     return;
   }
   if (data.startsWith('PS:DNSCONF:')) {
-    const code = data.split(':')[2];
+    const [, , code, daysArg] = data.split(':');
+    const days = Number(daysArg || 30);
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     // location disable check safety on confirm
     if (await isLocationDisabled(env, 'dns', code)) {
@@ -2545,34 +3054,50 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const userKey = `user:${uid}`;
     const user = (await kvGetJson(env, userKey)) || { id: uid, diamonds: 0 };
     const settings = await getSettings(env);
-    const cost = settings.cost_dns || 1;
+    const cost = planPrice(settings, 'dns', days);
+    if (cost == null) { await tgApi('sendMessage', { chat_id: chatId, text: 'این پلن دیگر موجود نیست.' }); return; }
     if ((user.diamonds || 0) < cost) {
       await tgApi('sendMessage', { chat_id: chatId, text: `⚠️ الماس کافی نیست. این سرویس ${cost} الماس هزینه دارد.` });
       return;
     }
-    user.diamonds = (user.diamonds || 0) - cost;
-    await kvPutJson(env, userKey, user);
+    const entryId = `${now()}`;
+    // addresses first: a sold-out country must not cost anything
     let addrs;
-    try {
-      addrs = await generateDnsAddresses(env, code);
-    } catch (_) {
-      await tgApi('sendMessage', { chat_id: chatId, text: 'کشور انتخاب‌شده پشتیبانی نمی‌شود.' });
+    if (settings.dns_mode === 'cidr') {
+      try {
+        const g = await generateDnsAddresses(env, code);
+        addrs = { v4: g.ip4, v6: [g.ip6a, g.ip6b] };
+      } catch (_) {
+        await tgApi('sendMessage', { chat_id: chatId, text: 'کشور انتخاب‌شده پشتیبانی نمی‌شود.' });
+        return;
+      }
+    } else {
+      const server = await allocateDnsServer(env, dnsServerDeps(), code, `${uid}:${entryId}`);
+      if (!server) { await tgApi('sendMessage', { chat_id: chatId, text: 'ظرفیت این لوکیشن موقتاً تکمیل است. لطفاً بعداً تلاش کنید.' }); return; }
+      addrs = dnsEntryAddresses(server);
+    }
+    const charged = await adjustDiamonds(env, uid, -cost, { reason: 'dns', ref: entryId, actor: uid, requireFunds: true, idempotencyKey: actionKey });
+    if (!charged.ok) {
+      if (addrs.server_id) { try { await releaseDnsServer(env, dnsServerDeps(), addrs.server_id, addrs.seat); } catch (_) {} }
+      await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(charged, cost) });
       return;
     }
     // save server entry for user
+    const expiresAt = now() + days * 24 * 60 * 60 * 1000;
     try {
       const listKey = `user:${uid}:servers`;
       const list = (await kvGetJson(env, listKey)) || [];
-      list.unshift({ id: `${now()}`, type: 'dns', country: code, v4: addrs.ip4, v6: [addrs.ip6a, addrs.ip6b], created_at: now() });
-      if (list.length > 200) list.length = 200;
+      list.unshift({ id: entryId, type: 'dns', country: code, ...addrs, plan_days: days, expires_at: expiresAt, created_at: now() });
+      trimServerList(list);
       await kvPutJson(env, listKey, list);
+      await scheduleExpiry(env, { kvGetJson, kvPutJson }, uid, entryId, expiresAt);
     } catch (_) {}
-    const caption = `🔧 سرور اختصاصی (${dnsCountryLabel(code)})\n\n` +
+    const caption = `🔧 سرور اختصاصی (${countryName(code)})\n\n` +
       `ℹ️ دی‌ان‌اس اول (تانل) را از این پست بردارید:\nhttps://t.me/NoiDUsers/117\n\n` +
-      `IPv4:\n\`${addrs.ip4}\`\n\n` +
-      `IPv6-1:\n\`${addrs.ip6a}\`\n\n` +
-      `IPv6-2:\n\`${addrs.ip6b}\``;
+      `${dnsEntryText(addrs)}\n\n` +
+      `⏳ اعتبار: ${days} روز`;
     await tgApi('sendMessage', { chat_id: chatId, text: caption, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
+      ...dnsProfileButtons({ id: entryId, ...addrs }),
       [{ text: '⬅️ بازگشت', callback_data: 'PS:DNS' }],
       [{ text: '🏠 منو', callback_data: 'MENU' }]
     ] } });
@@ -2596,7 +3121,7 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const rows = [];
     for (const [k, arr] of Object.entries(groups)) {
       const [code, typ] = k.split(':');
-      const label = `${countryFlag(code)} ${dnsCountryLabel(code)} — ${typ}`.trim();
+      const label = `${countryFlag(code)} ${countryName(code)} — ${typ}`.trim();
       rows.push([{ text: label, callback_data: `MY_SERVERS_VIEW:${code}:${typ}` }]);
     }
     rows.push([{ text: '🏠 منو', callback_data: 'MENU' }]);
@@ -2618,14 +3143,14 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       const row = [];
       // Left: WG
       if (left) {
-        const label = `${countryFlag(left.country)} ${dnsCountryLabel(left.country)} — WG${left.name ? ` (${left.name})` : ''}`;
+        const label = `${isServerExpired(left) ? '⛔️ ' : ''}${countryFlag(left.country)} ${countryName(left.country)} — WG${left.name ? ` (${left.name})` : ''}`;
         row.push({ text: label, callback_data: `MYCFG:WG:${left.id}` });
       } else {
         row.push({ text: ' ', callback_data: 'NOOP' });
       }
       // Right: DNS
       if (right) {
-        const label = `${countryFlag(right.country)} ${dnsCountryLabel(right.country)} — DNS`;
+        const label = `${isServerExpired(right) ? '⛔️ ' : ''}${countryFlag(right.country)} ${countryName(right.country)} — DNS`;
         row.push({ text: label, callback_data: `MYCFG:DNS:${right.id}` });
       } else {
         row.push({ text: ' ', callback_data: 'NOOP' });
@@ -2643,12 +3168,44 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     const list = (await kvGetJson(env, listKey)) || [];
     const item = list.find(s => String(s.id) === String(id) && (s.type||'dns') === 'dns');
     if (!item) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد یافت نشد.' }); return; }
-    const text = `${countryFlag(item.country)} DNS — ${dnsCountryLabel(item.country)}\n\nIPv4: \`${item.v4}\`\nIPv6-1: \`${(item.v6&&item.v6[0])||'-'}\`\nIPv6-2: \`${(item.v6&&item.v6[1])||'-'}\``;
-    await tgApi('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown' });
+    if (isServerExpired(item)) {
+      await tgApi('sendMessage', { chat_id: chatId, text: `⛔️ اشتراک ${serverEntryLabel(item)} منقضی شده است.`, reply_markup: { inline_keyboard: [[{ text: '🔁 تمدید', callback_data: `RENEW:${item.id}` }]] } });
+      return;
+    }
+    const text = `${countryFlag(item.country)} DNS — ${countryName(item.country)}\n\n${dnsEntryText(item)}`;
+    await tgApi('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown', reply_markup: { inline_keyboard: dnsProfileButtons(item) } });
+    return;
+  }
+  if (data.startsWith('MYCFG:DNSP:')) {
+    const [, , fmt, id] = data.split(':');
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const list = (await kvGetJson(env, `user:${uid}:servers`)) || [];
+    const item = list.find(s => String(s.id) === String(id) && (s.type||'dns') === 'dns');
+    if (!item) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد یافت نشد.' }); return; }
+    if (isServerExpired(item)) {
+      await tgApi('sendMessage', { chat_id: chatId, text: `⛔️ اشتراک ${serverEntryLabel(item)} منقضی شده است.`, reply_markup: { inline_keyboard: [[{ text: '🔁 تمدید', callback_data: `RENEW:${item.id}` }]] } });
+      return;
+    }
+    if (!availableDnsProfiles(item).includes(fmt)) { await tgApi('sendMessage', { chat_id: chatId, text: 'این خروجی برای سرور شما در دسترس نیست.' }); return; }
+    if (fmt === 'apple') {
+      const xml = await appleDnsProfile(item, { name: `DNS ${countryName(item.country)}` });
+      const form = new FormData();
+      form.append('chat_id', String(chatId));
+      form.append('document', new Blob([xml], { type: 'application/x-apple-aspen-config' }), `dns-${String(item.country || 'xx').toLowerCase()}-${item.id}.mobileconfig`);
+      form.append('caption', `🍏 پروفایل DNS (${item.doh ? 'DoH' : 'DoT'})\niOS: فایل را در Files ذخیره و باز کنید، سپس از Settings › General › VPN & Device Management نصب کنید.\nmacOS: فایل را باز کنید و از System Settings › Profiles نصب کنید.`);
+      const res = await tgUpload('sendDocument', form);
+      if (!res || !res.ok) await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' });
+      return;
+    }
+    if (fmt === 'android') {
+      await tgApi('sendMessage', { chat_id: chatId, text: `🤖 Private DNS (اندروید ۹ به بالا)\nSettings › Network & internet › Private DNS › Private DNS provider hostname را انتخاب کرده و این مقدار را وارد کنید:\n\n\`${privateDnsHostname(item)}\``, parse_mode: 'Markdown' });
+      return;
+    }
+    await tgApi('sendMessage', { chat_id: chatId, text: `🔏 DNSCrypt-proxy\nاین بخش را به dnscrypt-proxy.toml اضافه کنید و نام آن را در server_names بگذارید:\n\n\`\`\`\n[static.'dns-${item.id}']\nstamp = '${dnsStamp(item)}'\n\`\`\``, parse_mode: 'Markdown' });
     return;
   }
   if (data.startsWith('MYCFG:WG:')) {
-    await handleWireguardMyConfig(data, { uid, chatId, env, tgApi, tgUpload, kvGetJson, countryFlag, dnsCountryLabel, cbId: cb.id });
+    await handleWireguardMyConfig(data, { uid, chatId, env, tgApi, tgUpload, kvGetJson, countryFlag, countryName, cbId: cb.id });
     return;
   }
   if (data.startsWith('MY_SERVERS_VIEW:')) {
@@ -2661,28 +3218,135 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       await tgApi('sendMessage', { chat_id: chatId, text: 'موردی یافت نشد.' });
       return;
     }
-    const lines = filtered.slice(0, 10).map((it, idx) => {
-      const v6a = (it.v6 && it.v6[0]) ? it.v6[0] : '-';
-      const v6b = (it.v6 && it.v6[1]) ? it.v6[1] : '-';
-      return `#${idx+1}\nIPv4: \`${it.v4}\`\nIPv6-1: \`${v6a}\`\nIPv6-2: \`${v6b}\``;
+    const shown = filtered.slice(0, 10);
+    const lines = shown.map((it, idx) => {
+      const status = subscriptionStatusLine(it);
+      let body;
+      if (isServerExpired(it)) {
+        // expired configs are not handed out until renewed
+        body = 'برای دریافت دوباره، اشتراک را تمدید کنید.';
+      } else if ((it.type || 'dns') === 'dns') {
+        const v6a = (it.v6 && it.v6[0]) ? it.v6[0] : '-';
+        const v6b = (it.v6 && it.v6[1]) ? it.v6[1] : '-';
+        body = `IPv4: \`${it.v4}\`\nIPv6-1: \`${v6a}\`\nIPv6-2: \`${v6b}\``;
+      } else if (it.type === 'wg') {
+        body = `نام: ${it.name || '-'}\nEndpoint: \`${it.endpoint || '-'}\``;
+      } else {
+        body = `نام: ${it.name || '-'}\nسرور: \`${it.host}:${it.port}\` (${String(it.proto || '').toUpperCase()})`;
+      }
+      return `#${idx+1}\n${body}${status ? `\n${status}` : ''}`;
     }).join('\n\n');
-    const text = `${countryFlag(code)} ${dnsCountryLabel(code)} — ${typ}\n\n${lines}`;
+    const text = `${countryFlag(code)} ${countryName(code)} — ${typ}\n\n${lines}`;
+    const rows = shown.map((it, idx) => it.expires_at ? [{ text: `🔁 تمدید #${idx+1}`, callback_data: `RENEW:${it.id}` }] : null).filter(Boolean);
     await tgApi('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
+      ...rows,
       [{ text: '⬅️ بازگشت', callback_data: 'MY_SERVERS' }],
       [{ text: '🏠 منو', callback_data: 'MENU' }]
     ] } });
     return;
   }
-  if (data === 'PS:WG' || data.startsWith('PS:WG_PAGE:') || data.startsWith('PS:WG:') || data.startsWith('PS:WGCONF:')) {
+  if (data.startsWith('RENEW:')) {
+    const id = data.split(':')[1];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const list = (await kvGetJson(env, `user:${uid}:servers`)) || [];
+    const item = list.find(s => String(s.id) === String(id));
+    if (!item || !item.expires_at) { await tgApi('sendMessage', { chat_id: chatId, text: 'این مورد اشتراک زمان‌دار ندارد.' }); return; }
+    const settings = await getSettings(env);
+    const text = `🔁 تمدید ${serverEntryLabel(item)}\n${subscriptionStatusLine(item)}\n\nمدت تمدید را انتخاب کنید:`;
+    await tgApi('sendMessage', { chat_id: chatId, text, reply_markup: { inline_keyboard: [
+      ...planButtons(listPlans(settings, item.type || 'dns'), `RENEW_OK:${item.id}`),
+      [{ text: '❌ انصراف', callback_data: 'MY_SERVERS' }]
+    ] } });
+    return;
+  }
+  if (data.startsWith('RENEW_OK:')) {
+    const [, id, daysArg] = data.split(':');
+    const days = Number(daysArg);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const user = (await kvGetJson(env, `user:${uid}`)) || { id: uid, diamonds: 0 };
+    if (user.frozen && !isAdmin(uid)) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ موجودی شما فریز است.' }); return; }
+    const listKey = `user:${uid}:servers`;
+    const list = (await kvGetJson(env, listKey)) || [];
+    const item = list.find(s => String(s.id) === String(id));
+    if (!item || !item.expires_at) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد یافت نشد.' }); return; }
+    if (item.revoked_at) { await tgApi('sendMessage', { chat_id: chatId, text: 'این کانفیگ توسط پشتیبانی غیرفعال شده و قابل تمدید نیست.' }); return; }
+    const svc = item.type || 'dns';
+    const settings = await getSettings(env);
+    const cost = planPrice(settings, svc, days);
+    if (cost == null) { await tgApi('sendMessage', { chat_id: chatId, text: 'این پلن دیگر موجود نیست.' }); return; }
+    // the cron released the peer / login of an expired entry; claim a new one before charging
+    const released = Boolean(item.expired_at);
+    let undo = null;
+    let ovpnCredential = null;
+    if (released && svc === 'wg') {
+      const r = await reactivateWireguardEntry(env, item, { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr });
+      if (!r.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'فعال‌سازی دوباره این کانفیگ ممکن نیست. با پشتیبانی تماس بگیرید.' }); return; }
+      undo = r.revoke;
+    }
+    let dnsAddrs = null;
+    if (released && svc === 'dns' && item.server_id) {
+      const server = await allocateDnsServer(env, dnsServerDeps(), item.country, `${uid}:${item.id}`);
+      if (!server) { await tgApi('sendMessage', { chat_id: chatId, text: 'ظرفیت این لوکیشن موقتاً تکمیل است. لطفاً بعداً تلاش کنید.' }); return; }
+      dnsAddrs = dnsEntryAddresses(server);
+      undo = () => releaseDnsServer(env, dnsServerDeps(), server.id, server.seat);
+    }
+    if (released && svc === 'ovpn' && item.credential) {
+      const poolId = item.credential.pool;
+      const taken = await takeOvpnCredential(env, ovpnPoolDeps(env), poolId, { uid, entryId: item.id });
+      if (!taken.credential) { await tgApi('sendMessage', { chat_id: chatId, text: 'ظرفیت این لوکیشن موقتاً تکمیل است. لطفاً بعداً تلاش کنید.' }); return; }
+      ovpnCredential = taken.credential;
+      undo = () => returnOvpnCredential(env, ovpnPoolDeps(env), poolId, taken.credential.username);
+    }
+    const charged = await adjustDiamonds(env, uid, -cost, { reason: 'renew', ref: item.id, actor: uid, requireFunds: true, idempotencyKey: actionKey });
+    if (!charged.ok) {
+      if (undo) { try { await undo(); } catch (_) {} }
+      await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(charged, cost) });
+      return;
+    }
+    // the list read above may be seconds old: the cron may have expired the entry (releasing what
+    // this renewal would keep) or another renewal may have saved it. Save into a fresh list only
+    // when the entry is still as read; otherwise undo and refund so the user can retry.
+    const fresh = (await kvGetJson(env, listKey)) || [];
+    const at = fresh.findIndex(s => String(s.id) === String(id));
+    if (at < 0 || Boolean(fresh[at].expired_at) !== released || fresh[at].expires_at !== item.expires_at) {
+      if (undo) { try { await undo(); } catch (_) {} }
+      const refunded = await adjustDiamonds(env, uid, cost, { reason: 'refund', ref: item.id, actor: uid, idempotencyKey: `refund:${actionKey}` });
+      if (!refunded.ok && refunded.error !== 'duplicate') await notifyAdmins(env, `⚠️ تمدید ناقص: ${cost} الماس از کاربر ${uid} کسر شد، تمدید ${serverEntryLabel(item)} ذخیره نشد و برگشت الماس هم ناموفق بود. لطفاً دستی بررسی کنید.`);
+      await tgApi('sendMessage', { chat_id: chatId, text: 'وضعیت این اشتراک همزمان تغییر کرد و الماس شما برگشت داده شد. لطفاً دوباره تمدید کنید.' });
+      return;
+    }
+    if (released && svc === 'ovpn') {
+      const tpl = await getOvpnTemplate(env, kvGetJson, item.template);
+      item.conf = renderOvpnTemplate(tpl, { host: item.host, port: item.port, proto: item.proto, credentials: ovpnCredential });
+      if (ovpnCredential) item.credential = { pool: item.credential.pool, username: ovpnCredential.username };
+      await issueOvpnImportToken(env, uid, item);
+    }
+    if (dnsAddrs) Object.assign(item, dnsAddrs);
+    item.expires_at = Math.max(now(), item.expires_at) + days * 24 * 60 * 60 * 1000;
+    item.plan_days = days;
+    item.renewed_at = now();
+    delete item.expired_at;
+    delete item.reminded;
+    fresh[at] = item;
+    await kvPutJson(env, listKey, fresh);
+    await scheduleExpiry(env, { kvGetJson, kvPutJson }, uid, item.id, item.expires_at);
+    await tgApi('sendMessage', { chat_id: chatId, text: `✅ ${serverEntryLabel(item)} تمدید شد.\n⏳ اعتبار تا ${formatDate(item.expires_at)}` });
+    // re-activated entries may have a new address or login, so send the config again
+    if (released && svc === 'wg') await sendWireguardEntry(item, { chatId, env, tgApi, tgUpload, countryFlag, countryName });
+    if (dnsAddrs) await tgApi('sendMessage', { chat_id: chatId, text: `${countryFlag(item.country)} DNS — ${countryName(item.country)}\n\n${dnsEntryText(item)}`, parse_mode: 'Markdown', reply_markup: { inline_keyboard: dnsProfileButtons(item) } });
+    if (released && svc === 'ovpn') await sendOvpnProfile(chatId, { text: item.conf, fileName: item.name, caption: `کانفیگ OpenVPN تمدیدشده\nلوکیشن: ${item.host}\nنام فایل: ${item.name}`, importToken: item.import_token });
+    return;
+  }
+  if (data === 'PS:WG' || data.startsWith('PS:WG_PAGE:') || data.startsWith('PS:WG:') || data.startsWith('PS:WGPLAN:') || data.startsWith('PS:WGCONF:')) {
     await handleWireguardCallback(data, {
       uid, chatId, env,
       tgApi, tgUpload,
-      kvGetJson, kvPutJson,
+      kvGetJson, kvPutJson, adjustDiamonds, balanceErrorText,
       now, getSettings, getDnsCidrConfig,
-      countryFlag, dnsCountryLabel,
+      countryFlag, countryName, serviceCountries,
       randomIp4FromCidr, randomIpv6FromCidr,
-      isLocationDisabled,
-      cbId: cb.id,
+      isLocationDisabled, notifyAdmins,
+      cbId: cb.id, actionKey,
     });
     return;
   }
@@ -2696,9 +3360,13 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
   if (data === 'BUY_DIAMONDS') {
     if (await isButtonDisabled(env, 'BUY_DIAMONDS')) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id }); await tgApi('sendMessage', { chat_id: chatId, text: 'این بخش موقتاً غیرفعال است.' }); return; }
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const info = `💳 خرید الماس
-یک بسته را انتخاب کنید:`;
-    const rows = DIAMOND_PACKAGES.map(p => ([{ text: `${p.diamonds} الماس — ${p.price_toman.toLocaleString('fa-IR')} تومان`, callback_data: `DPKG:${p.id}` }]));
+    const packages = await listActiveDiamondPackages(env, kvGetJson);
+    const sales = packages.filter(p => p.ends_at);
+    const info = packages.length
+      ? `💳 خرید الماس
+یک بسته را انتخاب کنید:${sales.map(p => `\n⏳ بسته ${packageTotalDiamonds(p)} الماسی تا ${formatDate(p.ends_at)}`).join('')}`
+      : 'در حال حاضر بسته‌ای برای فروش موجود نیست.';
+    const rows = packages.map(p => ([{ text: `${packageTotalDiamonds(p)} الماس${p.bonus_pct ? ` (${p.bonus_pct}٪ هدیه)` : ''} — ${p.price_toman.toLocaleString('fa-IR')} تومان`, callback_data: `DPKG:${p.id}` }]));
     rows.push([{ text: '🏠 منو', callback_data: 'MENU' }]);
     await tgApi('sendMessage', { chat_id: chatId, text: info, reply_markup: { inline_keyboard: rows } });
     return;
@@ -2706,43 +3374,120 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
   if (data.startsWith('DPKG:')) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     const pkgId = data.split(':')[1];
-    const pkg = getDiamondPackageById(pkgId);
+    const pkg = await getDiamondPackageById(env, pkgId);
+    if (!pkg) { await tgApi('sendMessage', { chat_id: chatId, text: 'این بسته دیگر موجود نیست.', reply_markup: { inline_keyboard: [[{ text: '💳 بسته‌ها', callback_data: 'BUY_DIAMONDS' }]] } }); return; }
     const id = await generatePurchaseId(env);
-    const purchase = { id, user_id: uid, diamonds: pkg.diamonds, price_toman: pkg.price_toman, pkg_id: pkg.id, status: 'awaiting_receipt', created_at: now() };
+    const card = await pickPayoutCard(env, { kvGetJson, kvPutJson });
+    const purchase = { id, user_id: uid, diamonds: packageTotalDiamonds(pkg), bonus_pct: pkg.bonus_pct || 0, price_toman: pkg.price_toman, pkg_id: pkg.id, card: card ? { id: card.id, number: card.number, name: card.name } : null, status: 'awaiting_receipt', created_at: now() };
     await kvPutJson(env, `purchase:${id}`, purchase);
-    // update purchases index (prepend newest)
+    try { await indexPurchase(env, purchaseIndexDeps(), purchase); } catch (_) {}
+    await sendPurchaseCheckout(env, chatId, purchase);
+    return;
+  }
+  if (data.startsWith('PROMO:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const pid = data.split(':')[1];
+    const p = await kvGetJson(env, `purchase:${pid}`);
+    const err = promoBlockReason(p, uid);
+    if (err) { await tgApi('sendMessage', { chat_id: chatId, text: err }); return; }
+    await setSession(env, uid, { awaiting: `promo_code:${pid}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: '🏷 کد تخفیف را ارسال کنید:', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('PAYONLINE:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const pid = data.split(':')[1];
+    const key = `purchase:${pid}`;
+    const p = await kvGetJson(env, key);
+    if (!p || p.user_id !== uid || p.status !== 'awaiting_receipt') {
+      await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست خرید نامعتبر یا منقضی است.' });
+      return;
+    }
+    const domain = domainFromWebhook();
+    const gw = domain ? await getPaymentGateway(env, paymentGatewayDeps()) : null;
+    if (!gw) { await tgApi('sendMessage', { chat_id: chatId, text: 'پرداخت آنلاین در حال حاضر در دسترس نیست. لطفاً از کارت به کارت استفاده کنید.' }); return; }
+    let started;
     try {
-      const idxKey = 'index:purchases';
-      const idx = (await kvGetJson(env, idxKey)) || [];
-      idx.unshift(id);
-      // keep at most 1000 entries
-      if (idx.length > 1000) idx.length = 1000;
-      await kvPutJson(env, idxKey, idx);
-    } catch (_) {}
-    const txt = `✅ بسته انتخاب شد: ${pkg.diamonds} الماس (${pkg.price_toman.toLocaleString('fa-IR')} تومان)
-شناسه خرید شما: \`${id}\`
-لطفاً مبلغ را به کارت زیر واریز کنید و سپس روی «پرداخت کردم» بزنید:
-
-کارت:
-\`${BANK_CARD_NUMBER}\`
-نام: **${BANK_CARD_NAME}**`;
-    await tgApi('sendMessage', { chat_id: chatId, text: txt, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
-      [{ text: '✅ پرداخت کردم', callback_data: `PAID_CONFIRM:${id}` }],
+      started = await gw.request({
+        amountRial: Number(p.price_toman || 0) * 10,
+        orderId: p.id,
+        description: p.type === 'panel' ? `خرید پنل ${p.panel_title || ''} (${p.id})` : `خرید ${p.diamonds} الماس (${p.id})`,
+        callbackUrl: `${domain}/pay/callback?pid=${p.id}`
+      });
+    } catch (_) {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'اتصال به درگاه پرداخت ناموفق بود. لطفاً دوباره تلاش کنید یا از کارت به کارت استفاده کنید.' });
+      return;
+    }
+    // keep earlier authorities too: the user may pay through an older link
+    const prev = p.gateway && p.gateway.type === gw.type ? (p.gateway.authorities || []) : [];
+    p.gateway = { type: gw.type, authorities: [started.authority, ...prev].slice(0, 5), requested_at: now() };
+    await kvPutJson(env, key, p);
+    await tgApi('sendMessage', { chat_id: chatId, text: `💳 پرداخت آنلاین\nشناسه خرید: ${p.id}\nمبلغ: ${Number(p.price_toman || 0).toLocaleString('fa-IR')} تومان\n\nپس از پرداخت، خرید به‌صورت خودکار تایید می‌شود.`, reply_markup: { inline_keyboard: [
+      [{ text: '🔗 ورود به درگاه پرداخت', url: started.payUrl }],
       [{ text: '🏠 منو', callback_data: 'MENU' }]
     ] } });
     return;
   }
-  if (data.startsWith('PAID_CONFIRM:')) {
+  if (data.startsWith('CRYPTO:')) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
-    const purchaseId = data.split(':')[1];
-    const pKey = `purchase:${purchaseId}`;
-    const purchase = await kvGetJson(env, pKey);
-    if (!purchase || purchase.user_id !== uid || purchase.status !== 'awaiting_receipt') {
+    const [, pid, asset] = data.split(':');
+    const key = `purchase:${pid}`;
+    const p = await kvGetJson(env, key);
+    if (!p || p.user_id !== uid || p.status !== 'awaiting_receipt' || p.type === 'panel') {
       await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست خرید نامعتبر یا منقضی است.' });
       return;
     }
-    await setSession(env, uid, { awaiting: `payment_receipt:${purchaseId}` });
-    await tgApi('sendMessage', { chat_id: chatId, text: `شناسه خرید شما: \`${purchaseId}\`\nلطفاً عکس رسید پرداخت را ارسال کنید.`, parse_mode: 'Markdown' });
+    const res = await createCryptoInvoice(env, { kvGetJson, kvPutJson }, p, asset);
+    if (!res.invoice) {
+      await tgApi('sendMessage', { chat_id: chatId, text: res.error === 'busy' ? 'در حال حاضر امکان ساخت فاکتور نیست. چند دقیقه دیگر تلاش کنید.' : 'پرداخت کریپتو در حال حاضر در دسترس نیست.' });
+      return;
+    }
+    const inv = res.invoice;
+    if (p.crypto !== inv) { p.crypto = inv; await kvPutJson(env, key, p); }
+    const cfg = await getCryptoPayConfig(env, kvGetJson);
+    const amount = formatCryptoAmount(inv.units, inv.asset);
+    const txt = `🪙 پرداخت با ${inv.asset}${inv.asset === 'USDT' ? ' (شبکه TON)' : ''}
+شناسه خرید: \`${p.id}\`
+مبلغ دقیق: \`${amount}\` ${inv.asset}
+آدرس کیف پول:
+\`${inv.wallet}\`
+کامنت/ممو: \`${inv.memo}\`
+
+⚠️ دقیقاً همین مبلغ را ارسال کنید؛ خرید با همین مبلغ شناسایی می‌شود.
+⏳ مهلت پرداخت: تا ${formatDate(inv.expires_at)}
+پس از تایید در شبکه، الماس‌ها خودکار اضافه می‌شوند.`;
+    await tgApi('sendMessage', { chat_id: chatId, text: txt, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
+      [{ text: '👛 پرداخت با کیف پول', url: cryptoPaymentLink(inv, cfg) }],
+      [{ text: '🔄 بررسی پرداخت', callback_data: `CRYPTOCHECK:${p.id}` }],
+      [{ text: '🏠 منو', callback_data: 'MENU' }]
+    ] } });
+    return;
+  }
+  if (data.startsWith('CRYPTOCHECK:')) {
+    const pid = data.split(':')[1];
+    const key = `purchase:${pid}`;
+    const p = await kvGetJson(env, key);
+    if (!p || p.user_id !== uid || !p.crypto) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'خرید یافت نشد.' }); return; }
+    if (isPaidPurchase(p)) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: '✅ این خرید تایید شده است.', show_alert: true }); return; }
+    // explorer APIs are rate limited; one manual check per purchase every 20 seconds
+    if (p.crypto.checked_at && now() - p.crypto.checked_at < 20000) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'کمی صبر کنید و دوباره بررسی کنید.' }); return; }
+    p.crypto.checked_at = now();
+    await kvPutJson(env, key, p);
+    const stats = await runCryptoPaymentCheck(env, cryptoPayDeps(env), pid);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: stats.matched ? '✅ پرداخت پیدا شد.' : stats.refused ? 'پرداخت شما دریافت شد ولی این سفارش دیگر قابل پرداخت نیست؛ پشتیبانی آن را بررسی می‌کند.' : 'پرداختی پیدا نشد. اگر ارسال کرده‌اید، چند دقیقه دیگر بررسی کنید.', show_alert: true });
+    return;
+  }
+  if (data.startsWith('PAID_CONFIRM:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const purchaseId = data.split(':')[1];
+    const pKey = `purchase:${purchaseId}`;
+    const purchase = await kvGetJson(env, pKey);
+    if (!purchase || purchase.user_id !== uid || purchase.status !== 'awaiting_receipt') {
+      await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست خرید نامعتبر یا منقضی است.' });
+      return;
+    }
+    await setSession(env, uid, { awaiting: `payment_receipt:${purchaseId}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `شناسه خرید شما: \`${purchaseId}\`\nلطفاً عکس رسید پرداخت را ارسال کنید.\nدر صورت تمایل، قبل از آن شماره پیگیری تراکنش را هم بفرستید.`, parse_mode: 'Markdown' });
     return;
   }
   if (data === 'PAID_CONFIRM') {
@@ -2794,10 +3539,7 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       return;
     }
     // mark user joined
-    const uKey = `user:${uid}`;
-    const uMeta = (await kvGetJson(env, uKey)) || { id: uid };
-    uMeta.joined = true;
-    await kvPutJson(env, uKey, uMeta);
+    const { user: uMeta } = await updateUser(env, uid, { joined: true });
 
     // credit referrer (once) if pending or recorded
     const s = await getSession(env, uid);
@@ -2806,12 +3548,8 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     if (Number.isFinite(refIdNum) && refIdNum !== Number(uid) && !uMeta.ref_credited) {
       const refUser = (await kvGetJson(env, `user:${refIdNum}`)) || null;
       if (refUser) {
-          refUser.diamonds = (refUser.diamonds || 0) + 1;
-          refUser.referrals = (refUser.referrals || 0) + 1;
-        await kvPutJson(env, `user:${refIdNum}`, refUser);
-        uMeta.ref_credited = true;
-        uMeta.referred_by = uMeta.referred_by || refIdNum;
-        await kvPutJson(env, uKey, uMeta);
+        await adjustDiamonds(env, refIdNum, 1, { reason: 'referral', ref: uid, actor: uid, idempotencyKey: `referral:${uid}`, inc: { referrals: 1 } });
+        await updateUser(env, uid, { ref_credited: true, referred_by: uMeta.referred_by || refIdNum });
         // track weekly referral for missions (credit to referrer)
         const wk = weekKey();
         const rk = `ref_week:${refIdNum}:${wk}`;
@@ -2907,6 +3645,10 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
         { text: '🧩 کانفیگ‌های من', callback_data: 'MY_CONFIGS' },
         { text: '💸 انتقال موجودی', callback_data: 'BAL:START' }
       ],
+      [
+        { text: '🛒 خریدهای من', callback_data: 'MYPUR:0' },
+        { text: '📒 تاریخچه تراکنش‌ها', callback_data: 'LEDGER:0' }
+      ],
       [
         { text: '🏠 منو', callback_data: 'MENU' },
         { text: '🆘 پشتیبانی', callback_data: 'SUPPORT' }
@@ -2915,6 +3657,79 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     await tgApi('sendMessage', { chat_id: chatId, text, reply_markup });
     return;
   }
+  // ===== Diamond transaction history (ledger)
+  if (data.startsWith('LEDGER:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const page = Math.max(0, Number(data.split(':')[1] || 0) || 0);
+    const perPage = 10;
+    const { items, total } = await listLedgerEntries(env, uid, { limit: perPage, offset: page * perPage });
+    const lines = items.length ? items.map(formatLedgerLine).join('\n') : '— تراکنشی ثبت نشده است —';
+    const nav = [];
+    if (page > 0) nav.push({ text: '⬅️ جدیدتر', callback_data: `LEDGER:${page - 1}` });
+    if ((page + 1) * perPage < total) nav.push({ text: 'قدیمی‌تر ➡️', callback_data: `LEDGER:${page + 1}` });
+    const rows = [];
+    if (nav.length) rows.push(nav);
+    rows.push([{ text: '⬅️ بازگشت', callback_data: 'SUB:ACCOUNT' }]);
+    await tgApi('sendMessage', { chat_id: chatId, text: `📒 تاریخچه تراکنش‌ها (${total})\n\n${lines}`, reply_markup: { inline_keyboard: rows } });
+    return;
+  }
+  // ===== My purchases (order history and status)
+  if (data.startsWith('MYPUR:VIEW:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const p = await kvGetJson(env, `purchase:${data.split(':')[2]}`);
+    if (!p || p.user_id !== uid) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ سفارش یافت نشد.' }); return; }
+    const rows = [];
+    if (p.status === 'awaiting_receipt') rows.push([{ text: '💳 ادامه پرداخت', callback_data: `MYPUR:PAY:${p.id}` }]);
+    if (p.delivery && p.status === 'delivered') rows.push([{ text: '📦 مشاهده پنل تحویلی', callback_data: `MYPUR:DLV:${p.id}` }]);
+    if (canReuploadReceipt(p)) rows.push([{ text: '📤 ارسال مجدد رسید', callback_data: `MYPUR:REUP:${p.id}` }]);
+    if (p.status === 'rejected' || p.status === 'pending_review') rows.push([{ text: '🆘 پشتیبانی', callback_data: 'SUPPORT' }]);
+    rows.push([{ text: '⬅️ بازگشت', callback_data: 'MYPUR:0' }]);
+    await tgApi('sendMessage', { chat_id: chatId, text: userPurchaseText(p), reply_markup: { inline_keyboard: rows } });
+    return;
+  }
+  if (data.startsWith('MYPUR:PAY:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const p = await kvGetJson(env, `purchase:${data.split(':')[2]}`);
+    if (!p || p.user_id !== uid || p.status !== 'awaiting_receipt') {
+      await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست خرید نامعتبر یا منقضی است.' });
+      return;
+    }
+    await sendPurchaseCheckout(env, chatId, p);
+    return;
+  }
+  if (data.startsWith('MYPUR:DLV:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const p = await kvGetJson(env, `purchase:${data.split(':')[2]}`);
+    if (!p || p.user_id !== uid || p.status !== 'delivered' || !p.delivery) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ برای این سفارش تحویلی ثبت نشده است.' }); return; }
+    await sendPurchaseDelivery(p, chatId, '📦 پنل خریداری‌شده');
+    return;
+  }
+  if (data.startsWith('MYPUR:REUP:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const p = await kvGetJson(env, `purchase:${data.split(':')[2]}`);
+    if (!p || p.user_id !== uid || !canReuploadReceipt(p)) {
+      await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ ارسال مجدد رسید برای این سفارش ممکن نیست.' });
+      return;
+    }
+    await setSession(env, uid, { awaiting: `payment_receipt:${p.id}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `شناسه خرید شما: \`${p.id}\`\nلطفاً عکس رسید جدید را ارسال کنید (ارسال ${receiptUploads(p) + 1} از ${MAX_RECEIPT_UPLOADS}).\nدر صورت تمایل، قبل از آن شماره پیگیری تراکنش را هم بفرستید.`, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('MYPUR:')) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const page = Math.max(0, Number(data.split(':')[1] || 0) || 0);
+    const perPage = 10;
+    const { items, total } = await listUserPurchases(env, purchaseIndexDeps(), uid, { offset: page * perPage, limit: perPage });
+    const lines = items.length ? items.map(p => `#${String(p.id).padStart(8,'0')} | ${purchaseSummary(p)} | ${PURCHASE_STATUS_LABELS[p.status] || p.status}`).join('\n') : '— خریدی ثبت نشده است —';
+    const nav = [];
+    if (page > 0) nav.push({ text: '⬅️ جدیدتر', callback_data: `MYPUR:${page - 1}` });
+    if ((page + 1) * perPage < total) nav.push({ text: 'قدیمی‌تر ➡️', callback_data: `MYPUR:${page + 1}` });
+    const rows = items.map(p => ([{ text: `🧾 ${String(p.id).padStart(8,'0')} — ${PURCHASE_STATUS_LABELS[p.status] || p.status}`, callback_data: `MYPUR:VIEW:${p.id}` }]));
+    if (nav.length) rows.push(nav);
+    rows.push([{ text: '⬅️ بازگشت', callback_data: 'SUB:ACCOUNT' }]);
+    await tgApi('sendMessage', { chat_id: chatId, text: `🛒 خریدهای من (${total})\n\n${lines}`, reply_markup: { inline_keyboard: rows } });
+    return;
+  }
   
   // ===== Balance transfer flow (callbacks)
   if (data === 'BAL:START') {
@@ -2940,13 +3755,22 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     if (!usersIndex.includes(toId)) {
       usersIndex.push(toId);
       await kvPutJson(env, 'index:users', usersIndex);
-      const existing = await kvGetJson(env, toKey);
-      if (!existing) { await kvPutJson(env, toKey, toUser); }
+      await updateUser(env, toId, {}, toUser);
+    }
+    // each confirmation message confirms one transfer, so a second tap on it is a duplicate
+    const transferKey = `transfer:${cb.message.message_id}`;
+    const debited = await adjustDiamonds(env, uid, -amount, { reason: 'transfer_out', ref: toId, actor: uid, requireFunds: true, idempotencyKey: transferKey });
+    if (!debited.ok) { await tgApi('sendMessage', { chat_id: chatId, text: debited.error === 'duplicate' ? balanceErrorText(debited, amount) : 'الماس کافی نیست.' }); return; }
+    const credited = await adjustDiamonds(env, toId, amount, { reason: 'transfer_in', ref: uid, actor: uid, idempotencyKey: `transfer:${uid}:${transferKey}` });
+    if (!credited.ok && credited.error !== 'duplicate') {
+      // the receiver was not credited: give the sender the diamonds back
+      const reverted = await adjustDiamonds(env, uid, amount, { reason: 'transfer_revert', ref: toId, actor: uid, idempotencyKey: `transfer-revert:${uid}:${transferKey}` });
+      const revertedOk = reverted.ok || reverted.error === 'duplicate';
+      if (!revertedOk) await notifyAdmins(env, `⚠️ انتقال ناقص: ${amount} الماس از کاربر ${uid} کسر شد اما به ${toId} واریز نشد و برگشت هم ناموفق بود. لطفاً دستی بررسی کنید.`);
+      try { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'ناموفق' }); } catch (_) {}
+      await tgApi('sendMessage', { chat_id: chatId, text: revertedOk ? '❌ انتقال انجام نشد و الماس به حساب شما برگشت داده شد.' : '❌ انتقال انجام نشد. موضوع به مدیر اطلاع داده شد.' });
+      return;
     }
-    fromUser.diamonds = (fromUser.diamonds || 0) - amount;
-    toUser.diamonds = (toUser.diamonds || 0) + amount;
-    await kvPutJson(env, fromKey, fromUser);
-    await kvPutJson(env, toKey, toUser);
     try { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'انجام شد' }); } catch (_) {}
     await tgApi('sendMessage', { chat_id: chatId, text: `✅ انتقال انجام شد. ${amount} الماس به کاربر ${toId} منتقل شد.` });
     try { await tgApi('sendMessage', { chat_id: toId, text: `💸 ${amount} الماس از سوی کاربر ${uid} به حساب شما واریز شد.` }); } catch(_) {}
@@ -3134,11 +3958,9 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     prog.weekly_last_ts = nowTs;
     await setUserMissionProgress(env, uid, prog);
 
-    const uKey = `user:${uid}`;
-    const user = (await kvGetJson(env, uKey)) || { id: uid, diamonds: 0 };
     const reward = 2; // weekly reward amount
-    user.diamonds = (user.diamonds || 0) + reward;
-    await kvPutJson(env, uKey, user);
+    const credited = await adjustDiamonds(env, uid, reward, { reason: 'weekly_checkin', ref: weekKey(), actor: uid, idempotencyKey: `weekly_checkin:${dayKey()}` });
+    if (!credited.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(credited, reward) }); return; }
     const humanNext = formatDurationFull(WEEK_MS);
     await tgApi('sendMessage', { chat_id: chatId, text: `✅ پاداش هفتگی دریافت شد. ${reward} الماس دریافت کردید.\n⏱ زمان تا دریافت بعدی: ${humanNext}` });
     return;
@@ -3322,9 +4144,9 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     }
 
     // Deduct and persist
-    user.diamonds = (user.diamonds || 0) - cost;
-    await kvPutJson(env, uKey, user);
+    const charged = await adjustDiamonds(env, uid, -cost, { reason: 'file_spend', ref: token, actor: uid, requireFunds: true, idempotencyKey: actionKey });
     await setSession(env, uid, {});
+    if (!charged.ok) { await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(charged, cost) }); return; }
 
     // Optional referral credit on first successful paid download
     if (ref && String(ref) !== String(file.owner)) {
@@ -3332,12 +4154,8 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       if (!currentUser.ref_credited) {
         const refUser = (await kvGetJson(env, `user:${ref}`)) || null;
         if (refUser) {
-          refUser.diamonds = (refUser.diamonds || 0) + 1;
-          refUser.referrals = (refUser.referrals || 0) + 1;
-          await kvPutJson(env, `user:${ref}`, refUser);
-          currentUser.ref_credited = true;
-          currentUser.referred_by = currentUser.referred_by || Number(ref);
-          await kvPutJson(env, `user:${uid}`, currentUser);
+          await adjustDiamonds(env, ref, 1, { reason: 'referral', ref: uid, actor: uid, idempotencyKey: `referral:${uid}`, inc: { referrals: 1 } });
+          await updateUser(env, uid, { ref_credited: true, referred_by: currentUser.referred_by || Number(ref) });
           try { await tgApi('sendMessage', { chat_id: Number(ref), text: '🎉 یک الماس بابت معرفی دریافت کردید.' }); } catch (_) {}
         }
       }
@@ -3530,7 +4348,7 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
     return;
   }
   if (data.startsWith('PAYAPP:') && isAdmin(uid)) {
-    const id = data.split(':')[1];
+    const [, id, force] = data.split(':');
     const key = `purchase:${id}`;
     const purchase = await kvGetJson(env, key);
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
@@ -3538,22 +4356,39 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست نامعتبر است.' });
       return;
     }
+    const claim = await claimPurchaseReview(env, purchase, from);
+    if (!claim.ok) { await tgApi('sendMessage', { chat_id: chatId, text: reviewClaimErrorText(claim) }); return; }
+    // a reused receipt or tracking number needs an explicit second confirmation
+    if (purchase.fraud && force !== 'FORCE') {
+      await tgApi('sendMessage', { chat_id: chatId, text: `${receiptWarning(purchase)}خرید ${purchase.id} با وجود این هشدار تایید شود؟`, reply_markup: { inline_keyboard: [
+        [{ text: purchase.type === 'panel' ? '⚠️ بله، تایید پرداخت' : '⚠️ بله، تایید و افزودن الماس', callback_data: `PAYAPP:${purchase.id}:FORCE` }],
+        [{ text: '❌ رد', callback_data: `PAYREJ:${purchase.id}` }, { text: '🧾 مشاهده', callback_data: `ADMIN:PAY:VIEW:${purchase.id}` }]
+      ] } });
+      return;
+    }
     if (purchase.type === 'panel') {
-      await tgApi('sendMessage', { chat_id: chatId, text: 'این درخواست مربوط به پنل است. برای ادامه، از دکمه رفتن به پیوی استفاده کنید.' });
+      purchase.status = 'paid'; purchase.processed_by = uid; purchase.processed_at = now();
+      await decidePurchase(env, purchase, 'approve', uid, adminLabel(from));
+      await markUserPaid(env, purchase.user_id);
+      await tgApi('sendMessage', { chat_id: purchase.user_id, text: `✅ پرداخت خرید پنل ${purchase.panel_title || ''} تایید شد.\nپنل به‌زودی از طریق همین ربات برای شما ارسال می‌شود.` });
+      await tgApi('sendMessage', { chat_id: chatId, text: `پرداخت ${purchase.id} تایید شد. اکنون پنل را تحویل دهید.`, reply_markup: { inline_keyboard: [[{ text: '📦 تحویل پنل', callback_data: `PAYDELIVER:${purchase.id}` }]] } });
       return;
     }
-    const userKey = `user:${purchase.user_id}`;
-    const user = (await kvGetJson(env, userKey)) || { id: purchase.user_id, diamonds: 0 };
-    user.diamonds = (user.diamonds || 0) + (purchase.diamonds || 0);
-    await kvPutJson(env, userKey, user);
+    // keyed on the purchase id so a purchase can only ever be credited once
+    const credited = await adjustDiamonds(env, purchase.user_id, purchase.diamonds || 0, { reason: 'purchase', ref: purchase.id, actor: uid, idempotencyKey: `purchase:${purchase.id}` });
+    if (!credited.ok && credited.error !== 'duplicate') { await tgApi('sendMessage', { chat_id: chatId, text: 'خطا در ثبت تراکنش. لطفاً دوباره تلاش کنید.' }); return; }
     purchase.status = 'approved'; purchase.processed_by = uid; purchase.processed_at = now();
-    await kvPutJson(env, key, purchase);
+    await decidePurchase(env, purchase, 'approve', uid, adminLabel(from));
+    await markUserPaid(env, purchase.user_id);
+    if (purchase.crypto) { try { await closeCryptoInvoice(env, { kvGetJson, kvPutJson }, purchase.id); } catch (_) {} }
+    // already credited by an earlier attempt: only fix the status, do not notify twice
+    if (!credited.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'این خرید قبلاً شارژ شده است.' }); return; }
     await tgApi('sendMessage', { chat_id: purchase.user_id, text: `✅ پرداخت شما تایید شد. ${purchase.diamonds} الماس به حساب شما اضافه شد.` });
     await tgApi('sendMessage', { chat_id: chatId, text: `انجام شد. ${purchase.diamonds} الماس به کاربر ${purchase.user_id} اضافه شد.` });
     return;
   }
   if (data.startsWith('PAYREJ:') && isAdmin(uid)) {
-    const id = data.split(':')[1];
+    const [, id, skip] = data.split(':');
     const key = `purchase:${id}`;
     const purchase = await kvGetJson(env, key);
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
@@ -3561,15 +4396,62 @@ ${countryFlag(code)} ${dnsCountryLabel(code)} — ${s.host}:${s.port}
       await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ درخواست نامعتبر است.' });
       return;
     }
-    purchase.status = 'rejected'; purchase.processed_by = uid; purchase.processed_at = now();
-    await kvPutJson(env, key, purchase);
-    const msg = purchase.type === 'panel'
-      ? '❌ پرداخت شما تایید نشد. برای پیگیری با پشتیبانی در ارتباط باشید.'
-      : '❌ پرداخت شما تایید نشد. لطفاً با پشتیبانی تماس بگیرید.';
-    await tgApi('sendMessage', { chat_id: purchase.user_id, text: msg });
+    const claim = await claimPurchaseReview(env, purchase, from);
+    if (!claim.ok) { await tgApi('sendMessage', { chat_id: chatId, text: reviewClaimErrorText(claim) }); return; }
+    if (skip !== '-') {
+      await setSession(env, uid, { awaiting: `pay_reject:${id}` });
+      await tgApi('sendMessage', { chat_id: chatId, text: `دلیل رد خرید ${id} را بنویسید (برای کاربر هم ارسال می‌شود):`, reply_markup: { inline_keyboard: [
+        [{ text: '❌ رد بدون توضیح', callback_data: `PAYREJ:${id}:-` }],
+        [{ text: 'انصراف', callback_data: 'CANCEL' }]
+      ] } });
+      return;
+    }
+    await setSession(env, uid, {});
+    await rejectPurchase(env, purchase, from, '');
     await tgApi('sendMessage', { chat_id: chatId, text: `درخواست ${id} رد شد.` });
     return;
   }
+  if (data.startsWith('PAYCLAIM:') && isAdmin(uid)) {
+    const id = data.split(':')[1];
+    const p = await kvGetJson(env, `purchase:${id}`);
+    if (!p || p.status !== 'pending_review') { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'این خرید دیگر در انتظار بررسی نیست.' }); return; }
+    const claim = await claimPurchaseReview(env, p, from);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: claim.ok ? '🔒 بررسی این خرید با شماست.' : reviewClaimErrorText(claim), show_alert: !claim.ok });
+    return;
+  }
+  if (data.startsWith('PAYUNCLAIM:') && isAdmin(uid)) {
+    const id = data.split(':')[1];
+    const key = `purchase:${id}`;
+    const p = await kvGetJson(env, key);
+    if (!p || !(await releasePurchaseReview(env, p, { id: uid, name: adminLabel(from) }))) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'این بررسی در دست شما نیست.' }); return; }
+    await kvPutJson(env, key, p);
+    await syncReviewMessages(env, p);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'بررسی رها شد.' });
+    return;
+  }
+  if (data.startsWith('PAYREFUND:') && isAdmin(uid)) {
+    const id = data.split(':')[1];
+    const p = await kvGetJson(env, `purchase:${id}`);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    if (!isPaidPurchase(p)) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ فقط خرید تایید شده قابل برگشت است.' }); return; }
+    await setSession(env, uid, { awaiting: `pay_refund:${id}:${now()}${Math.random().toString(36).slice(2, 6)}` });
+    const left = refundableDiamonds(p);
+    const prompt = p.type === 'panel'
+      ? `↩️ بازپرداخت خرید پنل ${p.id}\nدلیل بازپرداخت را ارسال کنید. خرید «بازپرداخت شده» علامت می‌خورد؛ واریز وجه به کاربر با شماست.`
+      : `↩️ برگشت خرید ${p.id}\nالماس قابل برگشت: ${left}\n\nبرای برگشت کامل فقط دلیل را بفرستید.\nبرای برگشت جزئی: تعداد الماس و سپس دلیل، مثل:\n10 پرداخت تکراری\n\nاگر موجودی کاربر کافی نباشد منفی می‌شود و موجودی او فریز می‌شود.`;
+    await tgApi('sendMessage', { chat_id: chatId, text: prompt, reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('PAYDELIVER:') && isAdmin(uid)) {
+    const id = data.split(':')[1];
+    const p = await kvGetJson(env, `purchase:${id}`);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    if (!canDeliverPurchase(p)) { await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ فقط خرید پنلِ پرداخت‌شده قابل تحویل است.' }); return; }
+    await setSession(env, uid, { awaiting: `pay_deliver:${id}` });
+    const prev = p.delivery ? `\n\n⚠️ این خرید قبلاً توسط ${p.delivery.name} (${formatDate(p.delivery.at)}) تحویل شده است؛ ارسال جدید جایگزین آن می‌شود.` : '';
+    await tgApi('sendMessage', { chat_id: chatId, text: `📦 تحویل پنل «${p.panel_title || '-'}» به کاربر ${p.user_id}\nمشخصات پنل (نام کاربری، رمز، لینک و ...) را به صورت متن بفرستید، یا فایل/عکس آن را با توضیح در کپشن ارسال کنید.${prev}`, reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
   if (data.startsWith('OPENPM:') && isAdmin(uid)) {
     const target = Number(data.split(':')[1]);
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
@@ -3679,7 +4561,7 @@ ${link}
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     const top = await computeTopPurchasers(env, 10);
     const text = top.length
-      ? '💰 خریداران برتر (۱۰ نفر):\n' + top.map((u, i) => `${i+1}. ${u.user_id} ${u.username ? `(@${u.username})` : ''} — خرید: ${u.count||0} | الماس: ${u.diamonds||0} | مبلغ: ${(u.amount||0).toLocaleString('fa-IR')}ت`).join('\n')
+      ? `💰 خریداران برتر (۱۰ نفر، از ${STATS_MAX_SCAN.toLocaleString('fa-IR')} خرید اخیر):\n` + top.map((u, i) => `${i+1}. ${u.user_id} ${u.username ? `(@${u.username})` : ''} — خرید: ${u.count||0} | الماس: ${u.diamonds||0} | مبلغ: ${(u.amount||0).toLocaleString('fa-IR')}ت`).join('\n')
       : '— هیچ داده‌ای یافت نشد.';
     const kb = { inline_keyboard: [
       [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:STATS' }]
@@ -3861,6 +4743,10 @@ ${link}
       [{ text: '✏️ ویرایش پیام خوش‌آمد', callback_data: 'ADMIN:SET:WELCOME' }, { text: '🔢 تغییر سقف روزانه', callback_data: 'ADMIN:SET:DAILY' }],
       [{ text: '📝 ویرایش عنوان دکمه‌ها', callback_data: 'ADMIN:SET:BUTTONS' }],
       [{ text: '💎 تغییر هزینه‌ها', callback_data: 'ADMIN:SET:COSTS' }],
+      [{ text: '🛍 بسته‌های الماس', callback_data: 'ADMIN:PKGS' }, { text: '💳 کارت‌های واریز', callback_data: 'ADMIN:CARDS' }],
+      [{ text: '🏷 کدهای تخفیف', callback_data: 'ADMIN:PROMOS' }, { text: `⌛️ مهلت پرداخت: ${s.purchase_expiry_hours} ساعت`, callback_data: 'ADMIN:SET:PAYEXP' }],
+      [{ text: '🛰 قالب‌های وایرگارد', callback_data: 'ADMIN:WGTPL' }, { text: '🔒 قالب‌های OpenVPN', callback_data: 'ADMIN:OVPNTPL' }],
+      [{ text: '🧩 سرورهای DNS', callback_data: 'ADMIN:DNSSRV' }, { text: '🗺 رنج‌ها و لوکیشن‌های OpenVPN', callback_data: 'ADMIN:CIDR' }],
       [{ text: '🚫 مدیریت دکمه‌های غیرفعال', callback_data: 'ADMIN:DISABLE_BTNS' }],
       [{ text: '🌐 وضعیت لوکیشن‌ها', callback_data: 'ADMIN:DISABLE_LOCS' }],
       [{ text: '⬅️ بازگشت به پنل', callback_data: 'ADMIN:PANEL' }]
@@ -3873,6 +4759,7 @@ ${link}
     const rows = [
       [{ text: `DNS: ${s.cost_dns} الماس`, callback_data: 'NOOP' }, { text: '✏️ تغییر DNS', callback_data: 'ADMIN:SET:COST:DNS' }],
       [{ text: `WG: ${s.cost_wg} الماس`, callback_data: 'NOOP' }, { text: '✏️ تغییر WG', callback_data: 'ADMIN:SET:COST:WG' }],
+      [{ text: `⏳ پلن‌های اشتراک${s.plan_prices ? '' : ' (پیش‌فرض)'}`, callback_data: 'ADMIN:SET:PLANS' }],
       [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]
     ];
     await tgApi('sendMessage', { chat_id: chatId, text: '💎 تنظیم هزینه سرویس‌ها:', reply_markup: { inline_keyboard: rows } });
@@ -3888,21 +4775,387 @@ ${link}
     await tgApi('sendMessage', { chat_id: chatId, text: 'مقدار جدید هزینه وایرگارد اختصاصی (الماس) را وارد کنید:' });
     return;
   }
-  if (data === 'ADMIN:DISABLE_LOCS' && isAdmin(uid)) {
+  if (data === 'ADMIN:SET:PLANS' && isAdmin(uid)) {
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
     const s = await getSettings(env);
-    const map = s.disabled_locations || { dns: {}, wg: {} };
-    const countries = ['ES','DE','FR','PH','JP','TR','SE','NL','DK','BE','CH','CN'];
-    const dnsRows = countries.map(c => ([{ text: `${map.dns?.[c] ? '🟢 فعال‌سازی' : '🔴 غیرفعال'} DNS — ${countryFlag(c)} ${dnsCountryLabel(c)}`, callback_data: `ADMIN:LOC_TOGGLE:${c}:dns` }]));
-    const wgRows = countries.map(c => ([{ text: `${map.wg?.[c] ? '🟢 فعال‌سازی' : '🔴 غیرفعال'} WG — ${countryFlag(c)} ${dnsCountryLabel(c)}`, callback_data: `ADMIN:LOC_TOGGLE:${c}:wg` }]));
-    const rows = [
-      [{ text: '🔽 DNS', callback_data: 'NOOP' }],
-      ...dnsRows,
-      [{ text: '🔽 WireGuard', callback_data: 'NOOP' }],
-      ...wgRows,
-      [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]
-    ];
-    await tgApi('sendMessage', { chat_id: chatId, text: '🌐 مدیریت وضعیت لوکیشن‌ها:', reply_markup: { inline_keyboard: rows } });
+    const current = {};
+    for (const svc of ['dns', 'wg', 'ovpn']) current[svc] = Object.fromEntries(listPlans(s, svc).map(p => [p.days, p.price]));
+    await setSession(env, uid, { awaiting: 'set_plan_prices' });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON پلن‌ها را ارسال کنید: برای هر سرویس «روز: قیمت الماس».\nسرویسی که حذف شود از هزینه تکی خودش محاسبه می‌شود (۳۰ روز = هزینه تکی). برای بازگشت به پیش‌فرض، کلمه reset را بفرستید.\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(current, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data === 'ADMIN:PKGS' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendPackagesAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:PKG:EDIT:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const current = id === 'NEW' ? { id: 'd50', diamonds: 50, bonus_pct: 0, price_toman: 60000, active: true, sort: 10, starts_at: null, ends_at: null } : await getDiamondPackage(env, kvGetJson, id);
+    if (!current) { await tgApi('sendMessage', { chat_id: chatId, text: 'بسته یافت نشد.' }); return; }
+    const shown = { ...current, starts_at: current.starts_at ? new Date(current.starts_at).toISOString() : null, ends_at: current.ends_at ? new Date(current.ends_at).toISOString() : null };
+    await setSession(env, uid, { awaiting: `pkg_edit:${id}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON بسته را ارسال کنید${id === 'NEW' ? ' (فیلد id الزامی است: حروف کوچک، عدد یا _)' : ''}.\nbonus_pct: درصد الماس هدیه | starts_at / ends_at: تاریخ ISO (UTC) یا null برای فروش بدون محدودیت زمانی.\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(shown, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:PKG:TOGGLE:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const pkg = await getDiamondPackage(env, kvGetJson, id);
+    if (!pkg) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'بسته یافت نشد.' }); return; }
+    pkg.active = !pkg.active;
+    await saveDiamondPackage(env, kvGetJson, kvPutJson, pkg);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: pkg.active ? 'فعال شد' : 'غیرفعال شد' });
+    await sendPackagesAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:PKG:DEL:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const ok = await deleteDiamondPackage(env, kvGetJson, kvPutJson, id);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: ok ? 'حذف شد' : 'بسته یافت نشد.' });
+    await sendPackagesAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:CIDR' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendCidrAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:CIDR:C:') && isAdmin(uid)) {
+    const code = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const cancel = [{ text: '❌ انصراف', callback_data: 'CANCEL' }];
+    await setSession(env, uid, { awaiting: `cidr_country:${code}` });
+    if (code === 'NEW') {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'کد دو حرفی کشور و بعد رنج‌های آن را بفرستید (متن یا فایل txt)، هر رنج در یک خط:\n<code>FR\n2.0.0.0/16\n2a01:cb00::/32</code>\nحداقل یک رنج IPv4 و یک رنج IPv6 لازم است.', parse_mode: 'HTML', reply_markup: { inline_keyboard: [cancel] } });
+      return;
+    }
+    const cfg = await getDnsCidrConfig(env);
+    const c = cfg[code];
+    if (!c) { await setSession(env, uid, {}); await tgApi('sendMessage', { chat_id: chatId, text: 'کشور یافت نشد.' }); return; }
+    const list = [...c.v4, ...c.v6].join('\n');
+    const help = `${countryFlag(code)} ${code} — v4: ${c.v4.length} | v6: ${c.v6.length}\n\nبرای جایگزینی کامل، لیست جدید را بفرستید (متن یا فایل txt، هر رنج در یک خط).\nبرای افزودن یا حذف، هر رنج را با + یا - شروع کنید (بدون فاصله)، مثل:\n<code>+1.2.3.0/24\n-2001:db8::/32</code>`;
+    const kb = { inline_keyboard: [[{ text: `🗑 حذف ${code}`, callback_data: `ADMIN:CIDR:CDEL:${code}` }], cancel] };
+    if (list.length < 3000) {
+      await tgApi('sendMessage', { chat_id: chatId, text: `${help}\n\nفعلی:\n<pre>${escapeHtml(list)}</pre>`, parse_mode: 'HTML', reply_markup: kb });
+    } else {
+      const form = new FormData();
+      form.append('chat_id', String(chatId));
+      form.append('caption', `رنج‌های فعلی ${code}`);
+      form.append('document', new Blob([list], { type: 'text/plain' }), `ranges_${code}.txt`);
+      await tgUpload('sendDocument', form);
+      await tgApi('sendMessage', { chat_id: chatId, text: help, parse_mode: 'HTML', reply_markup: kb });
+    }
+    return;
+  }
+  if (data.startsWith('ADMIN:CIDR:O:') && isAdmin(uid)) {
+    const code = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const cfg = await getDnsCidrConfig(env);
+    const loc = code === 'NEW'
+      ? { code: 'DE', servers: [{ host: 'de1.example.com', port: 443 }] }
+      : cfg.OVPN && cfg.OVPN.locations && cfg.OVPN.locations[code];
+    if (!loc) { await tgApi('sendMessage', { chat_id: chatId, text: 'لوکیشن یافت نشد.' }); return; }
+    const rows = [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]];
+    if (code !== 'NEW') rows.unshift([{ text: `🗑 حذف ${code}`, callback_data: `ADMIN:CIDR:ODEL:${code}` }]);
+    await setSession(env, uid, { awaiting: `cidr_ovpn:${code}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON لوکیشن OpenVPN را ارسال کنید${code === 'NEW' ? ' (فیلد code الزامی است: کد دو حرفی)' : ''}.\nservers: لیست سرورها با host و port و در صورت نیاز template (شناسه قالب) | template: قالب پیش‌فرض لوکیشن\nخریدها با شماره ترتیب سرور ثبت می‌شوند؛ ترتیب سرورهای فعلی را جابه‌جا نکنید.\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(loc, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+    return;
+  }
+  if ((data.startsWith('ADMIN:CIDR:CDEL:') || data.startsWith('ADMIN:CIDR:ODEL:')) && isAdmin(uid)) {
+    const [, , kind, code] = data.split(':');
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, {});
+    const cfg = await getDnsCidrConfig(env);
+    const next = { ...cfg, OVPN: { ...(cfg.OVPN || {}), locations: { ...((cfg.OVPN && cfg.OVPN.locations) || {}) } } };
+    if (kind === 'CDEL') delete next[code];
+    else delete next.OVPN.locations[code];
+    await previewCidrChange(env, uid, chatId, next);
+    return;
+  }
+  if (data === 'ADMIN:CIDR:EXPORT' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const filename = `dns_ranges_${new Date().toISOString().slice(0, 10)}.json`;
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('caption', filename);
+    form.append('document', new Blob([JSON.stringify(await getDnsCidrConfig(env), null, 2)], { type: 'application/json' }), filename);
+    await tgUpload('sendDocument', form);
+    return;
+  }
+  if (data === 'ADMIN:CIDR:IMPORT' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: 'cidr_import' });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'فایل JSON کامل (همان قالب خروجی) را ارسال کنید. جایگزین همه کشورها و لوکیشن‌های OpenVPN می‌شود و قبل از ذخیره تغییرات نمایش داده می‌شود.', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data === 'ADMIN:CIDR:RESET' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await previewCidrChange(env, uid, chatId, dnsRanges);
+    return;
+  }
+  if (data === 'ADMIN:CIDR:APPLY' && isAdmin(uid)) {
+    const draft = await kvGetJson(env, cidrDraftKey(uid));
+    if (!draft) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'پیش‌نمایش منقضی شده؛ دوباره ویرایش کنید.', show_alert: true }); return; }
+    await kvDelete(env, cidrDraftKey(uid));
+    // another admin may have saved since this preview was made
+    if (JSON.stringify(await getDnsCidrConfig(env)) !== draft.base) {
+      await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'تنظیمات در این فاصله تغییر کرده؛ دوباره ویرایش کنید.', show_alert: true });
+      await sendCidrAdmin(env, chatId);
+      return;
+    }
+    await kvPutJson(env, 'ps:dns:cidr', draft.config);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'ذخیره شد' });
+    await sendCidrAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:CIDR:DISCARD' && isAdmin(uid)) {
+    await kvDelete(env, cidrDraftKey(uid));
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'لغو شد' });
+    await sendCidrAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:DNSSRV' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendDnsServersAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:DNSSRV:MODE' && isAdmin(uid)) {
+    const s = await getSettings(env);
+    s.dns_mode = s.dns_mode === 'cidr' ? 'inventory' : 'cidr';
+    await setSettings(env, s);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: s.dns_mode === 'cidr' ? 'حالت رندوم CIDR فعال شد' : 'تخصیص از سرورهای ثبت‌شده فعال شد' });
+    await sendDnsServersAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:DNSSRV:EDIT:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const current = id === 'NEW'
+      ? { id: 'de1', country: 'DE', label: '', v4: ['203.0.113.10'], v6: ['2001:db8::10'], doh: 'https://dns.example.com/dns-query', dot: 'dns.example.com', max_users: 100, disabled: false }
+      : await getDnsServer(env, kvGetJson, id);
+    if (!current) { await tgApi('sendMessage', { chat_id: chatId, text: 'سرور یافت نشد.' }); return; }
+    const { assigned, health, created_at, ...shown } = current;
+    await setSession(env, uid, { awaiting: `dnssrv_edit:${id}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON سرور DNS را ارسال کنید${id === 'NEW' ? ' (فیلد id الزامی است: حروف کوچک، عدد، _ یا -)' : ''}.\nv4 / v6: آدرس‌های resolver | doh: آدرس https | dot: نام میزبان | max_users: سقف کاربر (0 = نامحدود).\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(shown, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:DNSSRV:TOGGLE:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const srv = await getDnsServer(env, kvGetJson, id);
+    const res = srv && await setDnsServerDisabled(env, dnsServerDeps(), id, !srv.disabled);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: !res ? 'سرور یافت نشد.' : res.disabled ? 'غیرفعال شد' : 'فعال شد' });
+    await sendDnsServersAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:DNSSRV:HEALTH:') && isAdmin(uid)) {
+    // manual override: unknown -> up -> down -> unknown
+    const id = data.split(':')[3];
+    const srv = await getDnsServer(env, kvGetJson, id);
+    if (!srv) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'سرور یافت نشد.' }); return; }
+    const cur = DNS_HEALTH_STATUSES.indexOf((srv.health && srv.health.status) || 'unknown');
+    const next = DNS_HEALTH_STATUSES[(cur + 1) % DNS_HEALTH_STATUSES.length];
+    await setDnsServerHealth(env, dnsServerDeps(), id, next, `manual: ${adminLabel(from)}`);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: `وضعیت: ${next}` });
+    await sendDnsServersAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:DNSSRV:DEL:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const ok = await deleteDnsServer(env, dnsServerDeps(), id);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: ok ? 'حذف شد' : 'سرور یافت نشد.' });
+    await sendDnsServersAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:PROMOS' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendPromosAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:PROMO:EDIT:') && isAdmin(uid)) {
+    const code = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const current = code === 'NEW'
+      ? { code: 'OFF20', kind: 'percent', value: 20, applies_to: 'all', max_uses: 100, per_user_once: true, expires_at: null, min_price_toman: 0, first_purchase_only: false, disabled: false }
+      : await getPromo(env, kvGetJson, code);
+    if (!current) { await tgApi('sendMessage', { chat_id: chatId, text: 'کد یافت نشد.' }); return; }
+    const { used, created_at, ...shown } = current;
+    shown.expires_at = shown.expires_at ? new Date(shown.expires_at).toISOString() : null;
+    await setSession(env, uid, { awaiting: 'promo_edit' });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON کد تخفیف را ارسال کنید. ارسال کد موجود آن را ویرایش می‌کند.\nkind: percent (درصد تخفیف) | amount (تخفیف تومانی) | bonus (الماس هدیه، فقط بسته الماس)\napplies_to: all | diamonds | panel — max_uses: 0 یعنی نامحدود — expires_at: تاریخ ISO (UTC) یا null\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(shown, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:PROMO:TOGGLE:') && isAdmin(uid)) {
+    const code = data.split(':')[3];
+    const promo = await getPromo(env, kvGetJson, code);
+    if (!promo) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'کد یافت نشد.' }); return; }
+    promo.disabled = !promo.disabled;
+    await kvPutJson(env, `promo:${promo.code}`, promo);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: promo.disabled ? 'غیرفعال شد' : 'فعال شد' });
+    await sendPromosAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:PROMO:DEL:') && isAdmin(uid)) {
+    const code = data.split(':')[3];
+    await deletePromo(env, { kvGetJson, kvPutJson, kvDelete }, code);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'حذف شد' });
+    await sendPromosAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:CARDS' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendPayoutCardsAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:CARDS:ADD' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: 'paycard_add' });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'کارت جدید را به این شکل ارسال کنید:\nشماره کارت | نام صاحب کارت | بانک (اختیاری)', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data === 'ADMIN:CARDS:MODE' && isAdmin(uid)) {
+    const cfg = await getPayoutCards(env, kvGetJson);
+    cfg.mode = cfg.mode === 'rotate' ? 'random' : 'rotate';
+    await setPayoutCards(env, kvPutJson, cfg);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'ذخیره شد' });
+    await sendPayoutCardsAdmin(env, chatId);
+    return;
+  }
+  if ((data.startsWith('ADMIN:CARDS:TOGGLE:') || data.startsWith('ADMIN:CARDS:DEL:')) && isAdmin(uid)) {
+    const [, , op, cid] = data.split(':');
+    const cfg = await getPayoutCards(env, kvGetJson);
+    const card = cfg.cards.find(c => c.id === cid);
+    if (!card) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'کارت یافت نشد.' }); return; }
+    if (op === 'DEL') cfg.cards = cfg.cards.filter(c => c.id !== cid);
+    else card.active = !card.active;
+    await setPayoutCards(env, kvPutJson, cfg);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'ذخیره شد' });
+    await sendPayoutCardsAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:WGTPL' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendWgTemplatesAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:WGTPL:EDIT:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const cfg = await getWgTemplates(env, kvGetJson);
+    const current = id === 'NEW' ? { id: 'custom', title: 'پروفایل سفارشی', allowed_ips: '0.0.0.0/0', mtu: 1410, keepalive: 25, dns: ['@v4', '10.202.10.10'], port: 51820 } : cfg.profiles[id];
+    if (!current) { await tgApi('sendMessage', { chat_id: chatId, text: 'پروفایل یافت نشد.' }); return; }
+    await setSession(env, uid, { awaiting: `wgtpl_profile:${id}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON پروفایل را ارسال کنید${id === 'NEW' ? ' (فیلد id الزامی است: حروف کوچک، عدد یا _)' : ''}.\nDNS: آی‌پی یا @v4 / @v6 برای آی‌پی تصادفی از رنج کشور.\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(current, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:WGTPL:DEL:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const cfg = await getWgTemplates(env, kvGetJson);
+    const inUse = Object.entries(cfg.countries).filter(([, o]) => o.default === id || (Array.isArray(o.profiles) && o.profiles.includes(id))).map(([cc]) => cc);
+    if (inUse.length) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: `در تنظیمات کشورها استفاده شده: ${inUse.join(', ')}`, show_alert: true }); return; }
+    if (Object.keys(cfg.profiles).length <= 1) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'حداقل یک پروفایل لازم است.', show_alert: true }); return; }
+    delete cfg.profiles[id];
+    await setWgTemplates(env, kvPutJson, cfg);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'حذف شد' });
+    await sendWgTemplatesAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:WGTPL:COUNTRY' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: 'wgtpl_country' });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'کد کشور و JSON تنظیمات را ارسال کنید. مثال:\n<code>DE {"profiles":["full","gaming"],"default":"full","mtu":1380}</code>\nبرای حذف تنظیمات کشور: <code>DE off</code>', parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data === 'ADMIN:WGTPL:RESET' && isAdmin(uid)) {
+    await resetWgTemplates(env, kvPutJson);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'به پیش‌فرض برگشت' });
+    await sendWgTemplatesAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:OVPNTPL' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendOvpnTemplatesAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:OVPNTPL:UPLOAD' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: 'ovpntpl_upload' });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'فایل .ovpn پایه را به صورت document ارسال کنید.\nخط remote و proto با جای‌خالی جایگزین می‌شوند و نام کاربری/رمز داخل <auth-user-pass> جدا ذخیره می‌شود.', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data === 'ADMIN:OVPNTPL:ASSIGN' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: 'ovpntpl_assign' });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'کد لوکیشن و شناسه قالب را ارسال کنید:\n<code>TW t_abc123</code> برای کل لوکیشن\n<code>TW:0 t_abc123</code> برای یک سرور (شماره از ۰)\nبرای برگشت به پیش‌فرض به جای شناسه بنویسید default', parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:OVPNTPL:DEL:') && isAdmin(uid)) {
+    const id = data.split(':')[3];
+    const cfg = await getDnsCidrConfig(env);
+    const locs = (cfg.OVPN && cfg.OVPN.locations) || {};
+    const inUse = Object.entries(locs).filter(([, loc]) => loc.template === id || (loc.servers || []).some(sv => sv.template === id)).map(([cc]) => cc);
+    if (inUse.length) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: `به این لوکیشن‌ها اختصاص داده شده: ${inUse.join(', ')}`, show_alert: true }); return; }
+    const ok = await deleteOvpnTemplate(env, kvGetJson, kvPutJson, id);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: ok ? 'حذف شد' : 'یافت نشد' });
+    await sendOvpnTemplatesAdmin(env, chatId);
+    return;
+  }
+  if (data.startsWith('ADMIN:OVPNPOOL:IMPORT:') && isAdmin(uid)) {
+    const poolId = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: `ovpnpool_import:${poolId}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: `لیست اعتبارنامه‌ها برای قالب ${poolId} را ارسال کنید (متن یا فایل txt)، هر خط یک مورد:\n<code>username:password</code>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:OVPNPOOL:LOW:') && isAdmin(uid)) {
+    const poolId = data.split(':')[3];
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await setSession(env, uid, { awaiting: `ovpnpool_low:${poolId}` });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'وقتی تعداد اعتبارنامه‌های آزاد به این عدد برسد به ادمین‌ها هشدار داده می‌شود. عدد را ارسال کنید:', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
+  if (data.startsWith('ADMIN:OVPNPOOL:') && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendOvpnPoolAdmin(env, chatId, data.split(':')[2]);
+    return;
+  }
+  if ((data.startsWith('ADMIN:OVPNCRED:REVOKE:') || data.startsWith('ADMIN:OVPNCRED:ROTATE:')) && isAdmin(uid)) {
+    const [, , action, targetUid, entryId] = data.split(':');
+    const listKey = `user:${targetUid}:servers`;
+    const list = (await kvGetJson(env, listKey)) || [];
+    const item = list.find(it => String(it.id) === String(entryId) && it.type === 'ovpn');
+    if (!item || item.revoked_at) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'مورد یافت نشد یا قبلاً باطل شده است.', show_alert: true }); return; }
+    const poolId = (item.credential && item.credential.pool) || item.template || DEFAULT_OVPN_TEMPLATE_ID;
+    if (action === 'REVOKE') {
+      if (item.credential) await revokeOvpnCredential(env, ovpnPoolDeps(env), poolId, item.credential.username);
+      item.revoked_at = now();
+      item.revoked_by = uid;
+      if (item.import_token) { try { await kvDelete(env, `ovpncfg:${item.import_token}`); } catch (_) {} }
+      await kvPutJson(env, listKey, list);
+      await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'باطل شد' });
+      await tgApi('sendMessage', { chat_id: chatId, text: `⛔️ کانفیگ ${item.name} کاربر ${targetUid} باطل شد.${item.credential ? `\nنام کاربری ${item.credential.username} را روی سرور هم غیرفعال کنید.` : '\nاین کانفیگ اعتبارنامه اختصاصی نداشت؛ برای قطع دسترسی باید رمز مشترک قالب عوض شود.'}` });
+      try { await tgApi('sendMessage', { chat_id: Number(targetUid), text: `⛔️ کانفیگ OpenVPN ${item.name} توسط پشتیبانی غیرفعال شد.` }); } catch (_) {}
+      return;
+    }
+    // rotate: new pair from the pool, same server and template
+    const taken = await takeOvpnCredential(env, ovpnPoolDeps(env), poolId, { uid: Number(targetUid), entryId: item.id });
+    if (!taken.credential) { await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: taken.pooled ? 'استخر این قالب خالی است.' : 'این قالب استخر اعتبارنامه ندارد.', show_alert: true }); return; }
+    if (item.credential) await revokeOvpnCredential(env, ovpnPoolDeps(env), poolId, item.credential.username);
+    const tpl = await getOvpnTemplate(env, kvGetJson, item.template);
+    const ovpnText = renderOvpnTemplate(tpl, { host: item.host, port: item.port, proto: item.proto, credentials: taken.credential });
+    const importToken = await issueOvpnImportToken(env, targetUid, item);
+    item.conf = ovpnText;
+    item.credential = { pool: poolId, username: taken.credential.username };
+    item.rotated_at = now();
+    await kvPutJson(env, listKey, list);
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'تعویض شد' });
+    await tgApi('sendMessage', { chat_id: chatId, text: `🔄 اعتبارنامه ${item.name} کاربر ${targetUid} تعویض شد: ${taken.credential.username}` });
+    try { await sendOvpnProfile(Number(targetUid), { text: ovpnText, fileName: item.name, caption: `🔄 کانفیگ OpenVPN شما به‌روزرسانی شد؛ فایل قبلی دیگر کار نمی‌کند.\nلوکیشن: ${item.host}\nنام فایل: ${item.name}`, importToken }); } catch (_) {}
+    return;
+  }
+  if (data === 'ADMIN:DISABLE_LOCS' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendLocationTogglesAdmin(env, chatId);
     return;
   }
   if (data.startsWith('ADMIN:LOC_TOGGLE:') && isAdmin(uid)) {
@@ -3911,22 +5164,32 @@ ${link}
     const map = s.disabled_locations || { dns: {}, wg: {} };
     const svcKey = (svc || '').toLowerCase();
     map[svcKey] = map[svcKey] || {};
-    map[svcKey][code] = !map[svcKey][code];
-    s.disabled_locations = map;
-    await setSettings(env, s);
+    // a location only the health checks switched off is switched back on without touching the settings
+    if (map[svcKey][code] || !(await clearHealthDisabled(env, { kvGetJson, kvPutJson }, svcKey, code))) {
+      map[svcKey][code] = !map[svcKey][code];
+      s.disabled_locations = map;
+      await setSettings(env, s);
+    }
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'به‌روزرسانی شد' });
-    // Re-render list
-    const countries = ['ES','DE','FR','PH','JP','TR','SE','NL','DK','BE','CH','CN'];
-    const dnsRows = countries.map(c => ([{ text: `${map.dns?.[c] ? '🟢 فعال‌سازی' : '🔴 غیرفعال'} DNS — ${countryFlag(c)} ${dnsCountryLabel(c)}`, callback_data: `ADMIN:LOC_TOGGLE:${c}:dns` }]));
-    const wgRows = countries.map(c => ([{ text: `${map.wg?.[c] ? '🟢 فعال‌سازی' : '🔴 غیرفعال'} WG — ${countryFlag(c)} ${dnsCountryLabel(c)}`, callback_data: `ADMIN:LOC_TOGGLE:${c}:wg` }]));
-    const rows = [
-      [{ text: '🔽 DNS', callback_data: 'NOOP' }],
-      ...dnsRows,
-      [{ text: '🔽 WireGuard', callback_data: 'NOOP' }],
-      ...wgRows,
-      [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]
-    ];
-    await tgApi('sendMessage', { chat_id: chatId, text: '🌐 مدیریت وضعیت لوکیشن‌ها:', reply_markup: { inline_keyboard: rows } });
+    await sendLocationTogglesAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:HEALTH' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await sendHealthAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:HEALTH:RUN' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id, text: 'در حال بررسی...' });
+    try { await runLocationHealth(env, { force: true }); } catch (_) {}
+    await sendHealthAdmin(env, chatId);
+    return;
+  }
+  if (data === 'ADMIN:HEALTH:CFG' && isAdmin(uid)) {
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    const cfg = await getHealthConfig(env, kvGetJson);
+    await setSession(env, uid, { awaiting: 'health_cfg' });
+    await tgApi('sendMessage', { chat_id: chatId, text: `JSON تنظیمات پایش را ارسال کنید.\nprober.type: net (اتصال واقعی) یا stub (بدون شبکه؛ شناسه‌های داخل down قطع فرض می‌شوند)\ninterval_minutes: فاصله بررسی | timeout_ms: مهلت هر بررسی | fail_after / recover_after: تعداد خطا یا موفقیت پشت‌سرهم برای تغییر وضعیت\n\nفعلی:\n<pre>${escapeHtml(JSON.stringify(cfg, null, 2))}</pre>`, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
     return;
   }
   if (data === 'ADMIN:DISABLE_BTNS' && isAdmin(uid)) {
@@ -3980,6 +5243,12 @@ ${link}
     await tgApi('sendMessage', { chat_id: chatId, text: 'محدودیت روزانه (عدد) را ارسال کنید. 0 برای غیرفعال:', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
     return;
   }
+  if (data === 'ADMIN:SET:PAYEXP' && isAdmin(uid)) {
+    await setSession(env, uid, { awaiting: 'set_purchase_expiry' });
+    await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
+    await tgApi('sendMessage', { chat_id: chatId, text: 'مهلت پرداخت سفارش‌ها (ساعت) را ارسال کنید. سفارش‌های پرداخت‌نشده پس از این مدت منقضی می‌شوند:', reply_markup: { inline_keyboard: [[{ text: '❌ انصراف', callback_data: 'CANCEL' }]] } });
+    return;
+  }
   if (data === 'ADMIN:SET:BUTTONS' && isAdmin(uid)) {
     await setSession(env, uid, { awaiting: 'set_buttons' });
     await tgApi('answerCallbackQuery', { callback_query_id: cb.id });
@@ -4290,6 +5559,272 @@ async function deliverStoredContent(chatId, fileMeta) {
   }
 }
 
+/* -------------------- Diamond packages & payout cards admin -------------------- */
+async function sendPackagesAdmin(env, chatId) {
+  const list = await listDiamondPackages(env, kvGetJson);
+  const lines = list.map(p => {
+    const state = !p.active ? '⛔️ غیرفعال' : (isPackageOnSale(p) ? '✅ در فروش' : '⏳ خارج از بازه فروش');
+    const span = p.starts_at || p.ends_at ? `\n  بازه: ${p.starts_at ? formatDate(p.starts_at) : '—'} تا ${p.ends_at ? formatDate(p.ends_at) : '—'}` : '';
+    return `• <b>${escapeHtml(p.id)}</b> — ${p.diamonds} الماس${p.bonus_pct ? ` + ${p.bonus_pct}٪` : ''} = ${packageTotalDiamonds(p)} | ${p.price_toman.toLocaleString('fa-IR')} تومان | ترتیب ${p.sort}\n  ${state}${span}`;
+  });
+  const rows = list.map(p => ([
+    { text: `✏️ ${p.id}`, callback_data: `ADMIN:PKG:EDIT:${p.id}` },
+    { text: p.active ? '⛔️ غیرفعال' : '✅ فعال', callback_data: `ADMIN:PKG:TOGGLE:${p.id}` },
+    { text: '🗑', callback_data: `ADMIN:PKG:DEL:${p.id}` }
+  ]));
+  rows.push([{ text: '➕ بسته جدید', callback_data: 'ADMIN:PKG:EDIT:NEW' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text: `🛍 بسته‌های الماس\n\n${lines.join('\n') || '—'}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+async function sendPayoutCardsAdmin(env, chatId) {
+  const cfg = await getPayoutCards(env, kvGetJson);
+  const lines = cfg.cards.map(c => `• ${c.active ? '✅' : '⛔️'} <code>${escapeHtml(c.number)}</code> — ${escapeHtml(c.name)}${c.bank ? ` (${escapeHtml(c.bank)})` : ''}`);
+  const rows = cfg.cards.map(c => ([
+    { text: `${c.active ? '⛔️ غیرفعال' : '✅ فعال'} ${c.number.slice(-4)}`, callback_data: `ADMIN:CARDS:TOGGLE:${c.id}` },
+    { text: '🗑', callback_data: `ADMIN:CARDS:DEL:${c.id}` }
+  ]));
+  rows.push([{ text: '➕ کارت جدید', callback_data: 'ADMIN:CARDS:ADD' }, { text: `🔀 حالت: ${cfg.mode === 'rotate' ? 'چرخشی' : 'تصادفی'}`, callback_data: 'ADMIN:CARDS:MODE' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text: `💳 کارت‌های واریز\nهر خرید کارت به کارت یکی از کارت‌های فعال را ${cfg.mode === 'rotate' ? 'به نوبت' : 'به‌صورت تصادفی'} نشان می‌دهد.\n\n${lines.join('\n') || '—'}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+/* -------------------- DNS servers admin -------------------- */
+async function sendDnsServersAdmin(env, chatId) {
+  const s = await getSettings(env);
+  const list = await listDnsServers(env, kvGetJson);
+  const healthIcon = { up: '🟢', down: '🔴', unknown: '⚪️' };
+  const lines = list.map(srv => {
+    const h = (srv.health && srv.health.status) || 'unknown';
+    const load = `${srv.assigned || 0}/${srv.max_users || '∞'}`;
+    const next = pickDnsServer(list, srv.country);
+    const addrs = [...srv.v4, ...srv.v6].slice(0, 3).join(' ، ');
+    return `${healthIcon[h]} <b>${escapeHtml(srv.id)}</b> — ${countryFlag(srv.country)} ${srv.country}${srv.label ? ` (${escapeHtml(srv.label)})` : ''} | کاربران: ${load}${srv.disabled ? ' | ⛔️ غیرفعال' : ''}${next && next.id === srv.id ? ' | ⬅️ تخصیص بعدی' : ''}\n  ${escapeHtml(addrs)}${srv.dot ? `\n  DoT: ${escapeHtml(srv.dot)}` : ''}${srv.doh ? `\n  DoH: ${escapeHtml(srv.doh)}` : ''}`;
+  });
+  const mode = s.dns_mode === 'cidr'
+    ? '⚠️ حالت فعلی: آدرس رندوم از رنج‌های CIDR کشورها (این آدرس‌ها دی ان اس واقعی نیستند).'
+    : 'حالت فعلی: تخصیص از سرورهای زیر؛ سالم و کم‌بارترین سرور هر کشور انتخاب می‌شود.';
+  const rows = list.map(srv => ([
+    { text: `✏️ ${srv.id}`, callback_data: `ADMIN:DNSSRV:EDIT:${srv.id}` },
+    { text: '🩺', callback_data: `ADMIN:DNSSRV:HEALTH:${srv.id}` },
+    { text: srv.disabled ? '✅ فعال' : '⛔️ غیرفعال', callback_data: `ADMIN:DNSSRV:TOGGLE:${srv.id}` },
+    { text: '🗑', callback_data: `ADMIN:DNSSRV:DEL:${srv.id}` }
+  ]));
+  rows.push([{ text: '➕ سرور جدید', callback_data: 'ADMIN:DNSSRV:EDIT:NEW' }]);
+  rows.push([{ text: s.dns_mode === 'cidr' ? '🔁 تخصیص از سرورهای ثبت‌شده' : '🔁 حالت رندوم CIDR (قدیمی)', callback_data: 'ADMIN:DNSSRV:MODE' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text: `🧩 سرورهای DNS\n${mode}\n🩺 تغییر دستی وضعیت سلامت (نامشخص ← سالم ← قطع)؛ پایش خودکار در بررسی بعدی آن را به‌روز می‌کند\n\n${lines.join('\n') || '—'}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+/* -------------------- Location toggles & health admin -------------------- */
+// DNS and WireGuard rows for every configured country, plus any still switched off that no longer is
+async function sendLocationTogglesAdmin(env, chatId) {
+  const s = await getSettings(env);
+  const map = s.disabled_locations || { dns: {}, wg: {} };
+  const byHealth = await getHealthDisabled(env, kvGetJson);
+  const sources = await countrySources(env);
+  const rows = [];
+  const configured = {};
+  for (const [svc, title, header] of [['dns', 'DNS', '🔽 DNS'], ['wg', 'WG', '🔽 WireGuard']]) {
+    const off = map[svc] || {};
+    const healthOff = (c) => Boolean(byHealth[`${svc}:${c}`]);
+    const stillOff = Object.keys(off).filter(c => off[c]).concat(Object.keys(byHealth).filter(k => k.startsWith(`${svc}:`)).map(k => k.slice(svc.length + 1)));
+    configured[svc] = [...sources[svc], ...stillOff];
+    const codes = countriesForService(configured, svc);
+    rows.push([{ text: header, callback_data: 'NOOP' }]);
+    rows.push(...codes.map(c => ([{ text: `${off[c] ? '🟢 فعال‌سازی' : healthOff(c) ? '🩺 فعال‌سازی (خاموش توسط پایش)' : '🔴 غیرفعال'} ${title} — ${countryFlag(c)} ${countryName(c)}`, callback_data: `ADMIN:LOC_TOGGLE:${c}:${svc}` }])));
+  }
+  rows.push([{ text: '🩺 پایش خودکار سرورها', callback_data: 'ADMIN:HEALTH' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  const unknown = unknownCountriesText(unknownCountryCodes(configured), { dns: 'DNS', wg: 'WireGuard' });
+  await tgApi('sendMessage', { chat_id: chatId, text: `🌐 مدیریت وضعیت لوکیشن‌ها:${unknown ? `\n\n${unknown}` : ''}`, reply_markup: { inline_keyboard: rows } });
+}
+/* ---- CIDR ranges & OVPN locations editor (see cidr_config.js) ---- */
+const cidrDraftKey = (uid) => `cidr:draft:${uid}`;
+const CIDR_DRAFT_TTL_SEC = 3600;
+function cidrDiffText(diff) {
+  const MAX_ITEMS = 6;
+  const few = (list) => list.slice(0, MAX_ITEMS).join('، ') + (list.length > MAX_ITEMS ? ` … (+${list.length - MAX_ITEMS})` : '');
+  const mark = { added: '➕', removed: '➖', changed: '✏️' };
+  const lines = [];
+  for (const c of diff.countries) {
+    lines.push(`${mark[c.change]} ${countryFlag(c.code)} ${c.code} (رنج DNS)`);
+    for (const fam of ['v4', 'v6']) {
+      if (c[fam].added.length) lines.push(`   + ${fam}: ${few(c[fam].added)}`);
+      if (c[fam].removed.length) lines.push(`   − ${fam}: ${few(c[fam].removed)}`);
+    }
+  }
+  for (const o of diff.ovpn) {
+    lines.push(`${mark[o.change]} ${countryFlag(o.code)} ${o.code} (OpenVPN)`);
+    if (o.servers.added.length) lines.push(`   + سرور: ${few(o.servers.added)}`);
+    if (o.servers.removed.length) lines.push(`   − سرور: ${few(o.servers.removed)}`);
+    if (o.servers.moved.length) lines.push(`   ↕️ جابجا شده: ${few(o.servers.moved.map(m => `${m.server} (#${m.from + 1} → #${m.to + 1})`))}`);
+    if (o.template) lines.push(`   قالب: ${o.template[0] || 'پیش‌فرض'} ← ${o.template[1] || 'پیش‌فرض'}`);
+  }
+  // purchases keep the server's index, so they would point at another server after this
+  if (diff.ovpn.some(o => o.change === 'changed' && (o.servers.moved.length || o.servers.removed.length))) {
+    lines.push('', '⚠️ شماره سرورهای OpenVPN عوض می‌شود؛ خریدهای قبلی با شماره سرور ذخیره شده‌اند و به سرور دیگری اشاره خواهند کرد.');
+  }
+  const text = lines.join('\n');
+  return text.length > 3500 ? `${text.slice(0, 3500)}\n…` : text;
+}
+// Keeps a validated edit for an hour and shows its diff; ADMIN:CIDR:APPLY saves it
+async function previewCidrChange(env, uid, chatId, next) {
+  const current = await getDnsCidrConfig(env);
+  const diff = diffCidrConfig(current, next);
+  if (isEmptyCidrDiff(diff)) {
+    await tgApi('sendMessage', { chat_id: chatId, text: 'این تغییر با تنظیمات فعلی یکی است.', reply_markup: { inline_keyboard: [[{ text: '⬅️ بازگشت', callback_data: 'ADMIN:CIDR' }]] } });
+    return;
+  }
+  await kvPutJson(env, cidrDraftKey(uid), { config: next, base: JSON.stringify(current) }, { expirationTtl: CIDR_DRAFT_TTL_SEC });
+  await tgApi('sendMessage', { chat_id: chatId, text: `🔍 پیش‌نمایش تغییرات (هنوز ذخیره نشده):\n\n${cidrDiffText(diff)}`, reply_markup: { inline_keyboard: [[{ text: '✅ ذخیره', callback_data: 'ADMIN:CIDR:APPLY' }, { text: '❌ انصراف', callback_data: 'ADMIN:CIDR:DISCARD' }]] } });
+}
+async function sendCidrAdmin(env, chatId) {
+  const cfg = await getDnsCidrConfig(env);
+  const stored = await kvGetJson(env, 'ps:dns:cidr');
+  const countries = Object.keys(cfg).filter(k => k !== 'OVPN').sort();
+  const locs = (cfg.OVPN && cfg.OVPN.locations) || {};
+  const lines = countries.map(c => `${countryFlag(c)} ${c} — v4: ${(cfg[c].v4 || []).length} | v6: ${(cfg[c].v6 || []).length}`);
+  const ovpnLines = Object.entries(locs).map(([code, loc]) => `🔒 ${countryFlag(code)} ${code}: ${(loc.servers || []).map(sv => `${sv.host}:${sv.port}`).join('، ') || '—'}`);
+  const rows = [];
+  for (let i = 0; i < countries.length; i += 4) rows.push(countries.slice(i, i + 4).map(c => ({ text: `✏️ ${c}`, callback_data: `ADMIN:CIDR:C:${c}` })));
+  const ovpnCodes = Object.keys(locs);
+  for (let i = 0; i < ovpnCodes.length; i += 4) rows.push(ovpnCodes.slice(i, i + 4).map(c => ({ text: `🔒 ${c}`, callback_data: `ADMIN:CIDR:O:${c}` })));
+  rows.push([{ text: '➕ کشور جدید', callback_data: 'ADMIN:CIDR:C:NEW' }, { text: '➕ لوکیشن OpenVPN', callback_data: 'ADMIN:CIDR:O:NEW' }]);
+  rows.push([{ text: '📤 خروجی JSON', callback_data: 'ADMIN:CIDR:EXPORT' }, { text: '📥 ورود JSON', callback_data: 'ADMIN:CIDR:IMPORT' }]);
+  if (stored) rows.push([{ text: '↩️ برگشت به فایل پیش‌فرض', callback_data: 'ADMIN:CIDR:RESET' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  const source = stored ? 'منبع: تنظیمات ذخیره‌شده' : 'منبع: فایل پیش‌فرض dns_ranges.json (هنوز ویرایشی ذخیره نشده)';
+  // the bundled file and documents saved before validation may still hold such codes
+  const unknown = unknownCountriesText(unknownCountryCodes({ dns: countries, ovpn: ovpnCodes }), { dns: 'رنج DNS', ovpn: 'OpenVPN' });
+  await tgApi('sendMessage', { chat_id: chatId, text: `🗺 رنج‌های DNS و لوکیشن‌های OpenVPN\n${source}\nهر تغییر قبل از ذخیره به صورت پیش‌نمایش نمایش داده می‌شود.\n\n${lines.join('\n') || '—'}\n\nOpenVPN:\n${ovpnLines.join('\n') || '—'}${unknown ? `\n\n${unknown}` : ''}`, reply_markup: { inline_keyboard: rows } });
+}
+async function sendHealthAdmin(env, chatId) {
+  const cfg = await getHealthConfig(env, kvGetJson);
+  const st = await getHealthState(env, kvGetJson);
+  const sources = await healthSources(env);
+  const targets = collectHealthTargets(sources);
+  const unmonitored = listUnmonitoredLocations(sources).map(u => `• ${healthLocationText(u.service, u.location)} (${u.reason === 'udp' ? 'فقط UDP' : 'بک‌اند آزمایشی'})`);
+  const icon = { up: '🟢', down: '🔴', unknown: '⚪️' };
+  const pct = (v) => (v == null ? '—' : `${v}%`);
+  const MAX_LINES = 40;
+  const lines = targets.slice(0, MAX_LINES).map(t => {
+    const r = st.targets[t.id];
+    const status = (r && r.status) || 'unknown';
+    const err = r && r.fails && r.last_error ? `\n  ⚠️ ${escapeHtml(r.last_error)} (${r.fails} بار پشت‌سرهم)` : '';
+    return `${icon[status]} <code>${escapeHtml(t.id)}</code>\n  ۲۴ ساعت: ${pct(uptimePercent(r, 1))} | ۷ روز: ${pct(uptimePercent(r, 7))} | ۳۰ روز: ${pct(uptimePercent(r, 30))}${r && r.ms != null ? ` | ${r.ms}ms` : ''}${err}`;
+  });
+  if (targets.length > MAX_LINES) lines.push(`… و ${targets.length - MAX_LINES} مورد دیگر`);
+  const autoOff = Object.keys(await getHealthDisabled(env, kvGetJson)).map(k => {
+    const [service, ...rest] = k.split(':');
+    return `• ${healthLocationText(service, rest.join(':'))}`;
+  });
+  const head = [
+    '🩺 پایش خودکار سرورها',
+    `روش: ${cfg.prober.type === 'stub' ? 'شبیه‌سازی (stub)' : 'اتصال شبکه'} | هر ${cfg.interval_minutes} دقیقه | قطع پس از ${cfg.fail_after} خطا، وصل پس از ${cfg.recover_after} موفقیت`,
+    `آخرین بررسی: ${st.last_run ? formatDate(st.last_run) : '—'}`,
+    'لوکیشنی که همه سرورهایش قطع باشند خودکار غیرفعال و پس از وصل شدن دوباره فعال می‌شود (غیرفعال‌سازی دستی دست نمی‌خورد).'
+  ];
+  if (autoOff.length) head.push(`\n⛔️ غیرفعال‌شده توسط پایش:\n${autoOff.join('\n')}`);
+  if (unmonitored.length) head.push(`\n👁‍🗨 بدون پایش (خودکار غیرفعال نمی‌شوند):\n${unmonitored.slice(0, 30).join('\n')}${unmonitored.length > 30 ? `\n… و ${unmonitored.length - 30} مورد دیگر` : ''}`);
+  const rows = [
+    [{ text: '▶️ بررسی الان', callback_data: 'ADMIN:HEALTH:RUN' }, { text: '⚙️ تنظیمات پایش', callback_data: 'ADMIN:HEALTH:CFG' }],
+    [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:DISABLE_LOCS' }]
+  ];
+  await tgApi('sendMessage', { chat_id: chatId, text: `${head.join('\n')}\n\n${lines.join('\n') || 'سروری برای بررسی ثبت نشده است (OpenVPN، بک‌اند REST وایرگارد یا سرور DNS).'}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+/* -------------------- Promo codes admin -------------------- */
+async function sendPromosAdmin(env, chatId) {
+  const list = await listPromos(env, kvGetJson);
+  const kindText = (p) => p.kind === 'percent' ? `${p.value}٪ تخفیف` : p.kind === 'amount' ? `${p.value.toLocaleString('fa-IR')} تومان تخفیف` : `${p.value} الماس هدیه`;
+  const target = { all: 'همه', diamonds: 'الماس', panel: 'پنل' };
+  const lines = list.map(p => {
+    const expired = p.expires_at && now() >= p.expires_at;
+    const state = p.disabled ? '⛔️ غیرفعال' : expired ? '⌛️ منقضی' : '✅ فعال';
+    const rules = [
+      p.per_user_once ? 'یک‌بار برای هر کاربر' : '',
+      p.first_purchase_only ? 'فقط خرید اول' : '',
+      p.min_price_toman ? `حداقل ${p.min_price_toman.toLocaleString('fa-IR')} تومان` : '',
+      p.expires_at ? `تا ${formatDate(p.expires_at)}` : ''
+    ].filter(Boolean).join(' | ');
+    return `• <b>${escapeHtml(p.code)}</b> — ${kindText(p)} (${target[p.applies_to] || p.applies_to}) | ${p.used || 0}/${p.max_uses || '∞'}\n  ${state}${rules ? ` | ${rules}` : ''}`;
+  });
+  const rows = list.map(p => ([
+    { text: `✏️ ${p.code}`, callback_data: `ADMIN:PROMO:EDIT:${p.code}` },
+    { text: p.disabled ? '✅ فعال' : '⛔️ غیرفعال', callback_data: `ADMIN:PROMO:TOGGLE:${p.code}` },
+    { text: '🗑', callback_data: `ADMIN:PROMO:DEL:${p.code}` }
+  ]));
+  rows.push([{ text: '➕ کد جدید', callback_data: 'ADMIN:PROMO:EDIT:NEW' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text: `🏷 کدهای تخفیف\nکاربر کد را هنگام خرید بسته الماس یا پنل وارد می‌کند.\n\n${lines.join('\n') || '—'}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+
+/* -------------------- WireGuard templates admin -------------------- */
+async function sendWgTemplatesAdmin(env, chatId) {
+  const cfg = await getWgTemplates(env, kvGetJson);
+  const profLines = Object.entries(cfg.profiles).map(([id, p]) => `• <b>${escapeHtml(id)}</b> — ${escapeHtml(p.title || '')}\n  AllowedIPs: <code>${escapeHtml(String(p.allowed_ips || '').slice(0, 120))}</code>\n  MTU ${p.mtu ?? '-'} | Keepalive ${p.keepalive ?? '-'} | Port ${p.port ?? '-'} | DNS ${escapeHtml((p.dns || []).join(', '))}`);
+  const ccLines = Object.entries(cfg.countries).map(([cc, o]) => `• ${countryFlag(cc)} ${cc}: <code>${escapeHtml(JSON.stringify(o))}</code>`);
+  const text = `🛰 قالب‌های وایرگارد\n\nپروفایل‌ها:\n${profLines.join('\n') || '—'}\n\nتنظیمات کشورها:\n${ccLines.join('\n') || '—'}`;
+  const rows = Object.keys(cfg.profiles).map(id => ([
+    { text: `✏️ ${id}`, callback_data: `ADMIN:WGTPL:EDIT:${id}` },
+    { text: '🗑 حذف', callback_data: `ADMIN:WGTPL:DEL:${id}` }
+  ]));
+  rows.push([{ text: '➕ پروفایل جدید', callback_data: 'ADMIN:WGTPL:EDIT:NEW' }, { text: '🌍 تنظیم کشور', callback_data: 'ADMIN:WGTPL:COUNTRY' }]);
+  rows.push([{ text: '♻️ بازگشت به پیش‌فرض', callback_data: 'ADMIN:WGTPL:RESET' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+
+/* -------------------- OpenVPN templates admin -------------------- */
+function ovpnPoolDeps(env) {
+  return { kvGetJson, kvPutJson, kvDelete, onLowStock: (st) => notifyOvpnPoolLow(env, st) };
+}
+async function notifyOvpnPoolLow(env, { poolId, left, low_stock }) {
+  const admins = await getAdminIds(env);
+  const text = left ? `⚠️ موجودی استخر اعتبارنامه OpenVPN (${poolId}) کم است: ${left} عدد باقی مانده (آستانه ${low_stock}).` : `⛔️ استخر اعتبارنامه OpenVPN (${poolId}) خالی است و فروش این قالب متوقف شده است.`;
+  for (const aid of admins) {
+    try { await tgApi('sendMessage', { chat_id: aid, text, reply_markup: { inline_keyboard: [[{ text: '🔑 مدیریت استخر', callback_data: `ADMIN:OVPNPOOL:${poolId}` }]] } }); } catch (_) {}
+  }
+}
+async function sendOvpnPoolAdmin(env, chatId, poolId) {
+  const st = await getOvpnPoolStats(env, kvGetJson, poolId);
+  const text = st
+    ? `🔑 استخر اعتبارنامه قالب ${poolId}\n\nآزاد: ${st.available}\nاختصاص‌یافته: ${st.assigned}\nباطل‌شده: ${st.revoked}\nآستانه هشدار: ${st.low_stock}`
+    : `🔑 قالب ${poolId} هنوز استخر اعتبارنامه ندارد و از نام کاربری/رمز داخل قالب استفاده می‌کند.\nبا ورود اولین لیست، هر خرید یک اعتبارنامه جدا می‌گیرد.`;
+  await tgApi('sendMessage', { chat_id: chatId, text, reply_markup: { inline_keyboard: [
+    [{ text: '📥 ورود گروهی', callback_data: `ADMIN:OVPNPOOL:IMPORT:${poolId}` }, { text: '⚠️ آستانه هشدار', callback_data: `ADMIN:OVPNPOOL:LOW:${poolId}` }],
+    [{ text: '⬅️ بازگشت', callback_data: 'ADMIN:OVPNTPL' }]
+  ] } });
+}
+// Lists a user's OpenVPN profiles with revoke/rotate buttons
+async function sendOvpnCredentialsAdmin(env, chatId, targetUid) {
+  const list = ((await kvGetJson(env, `user:${targetUid}:servers`)) || []).filter(it => it.type === 'ovpn');
+  if (!list.length) { await tgApi('sendMessage', { chat_id: chatId, text: 'این کاربر کانفیگ OpenVPN ندارد.' }); return; }
+  const lines = list.slice(0, 15).map(it => `• ${it.name} — ${it.host}:${it.port}/${it.proto} — ${it.credential ? `<code>${escapeHtml(it.credential.username)}</code>` : 'اعتبارنامه مشترک قالب'}${it.revoked_at ? ' — ⛔️ باطل' : ''}`);
+  const rows = list.slice(0, 15).filter(it => !it.revoked_at).map(it => ([
+    { text: `🔄 ${it.name}`, callback_data: `ADMIN:OVPNCRED:ROTATE:${targetUid}:${it.id}` },
+    { text: '⛔️ ابطال', callback_data: `ADMIN:OVPNCRED:REVOKE:${targetUid}:${it.id}` }
+  ]));
+  await tgApi('sendMessage', { chat_id: chatId, text: `🔒 کانفیگ‌های OpenVPN کاربر ${targetUid}:\n${lines.join('\n')}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+async function sendOvpnTemplatesAdmin(env, chatId) {
+  const templates = await listOvpnTemplates(env, kvGetJson);
+  const cfg = await getDnsCidrConfig(env);
+  const locs = (cfg.OVPN && cfg.OVPN.locations) || {};
+  const usedBy = (id) => Object.entries(locs).flatMap(([cc, loc]) => {
+    const out = [];
+    if (ovpnTemplateIdFor(loc, null) === id) out.push(cc);
+    (loc.servers || []).forEach((sv, i) => { if (sv.template === id) out.push(`${cc}:${i}`); });
+    return out;
+  });
+  const lines = templates.map(t => `• <b>${escapeHtml(t.id)}</b> — ${escapeHtml(t.name || '')}${t.builtin ? ' (داخلی)' : ''}\n  بلاک‌ها: ${escapeHtml((t.summary?.blocks || []).join(', ') || '—')}\n  رمزنگاری: ${escapeHtml((t.summary?.ciphers || []).join(' | ') || '—')}\n  لوکیشن‌ها: ${escapeHtml(usedBy(t.id).join(', ') || '—')}`);
+  const rows = templates.map(t => {
+    const row = [{ text: `🔑 استخر ${t.id}`, callback_data: `ADMIN:OVPNPOOL:${t.id}` }];
+    if (!t.builtin) row.push({ text: `🗑 حذف ${t.id}`, callback_data: `ADMIN:OVPNTPL:DEL:${t.id}` });
+    return row;
+  });
+  rows.push([{ text: '⬆️ آپلود .ovpn جدید', callback_data: 'ADMIN:OVPNTPL:UPLOAD' }, { text: '📍 اختصاص به لوکیشن', callback_data: 'ADMIN:OVPNTPL:ASSIGN' }]);
+  rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:SETTINGS' }]);
+  await tgApi('sendMessage', { chat_id: chatId, text: `🔒 قالب‌های OpenVPN\n\n${lines.join('\n\n')}`, parse_mode: 'HTML', reply_markup: { inline_keyboard: rows } });
+}
+
 /* -------------------- File download handler -------------------- */
 async function handleFileDownload(req, env, url) {
   const token = url.pathname.split('/f/')[1];
@@ -4316,6 +5851,526 @@ async function handleFileDownload(req, env, url) {
   return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
 }
 
+/* -------------------- OpenVPN profile download -------------------- */
+async function handleOvpnProfileDownload(env, url) {
+  const token = url.pathname.split('/ovpn/')[1] || '';
+  if (!/^[A-Za-z0-9]{8,64}$/.test(token)) return new Response('Not Found', { status: 404 });
+  const ref = await kvGetJson(env, `ovpncfg:${token}`);
+  // links issued before they expired have no issued_at and are refused as well
+  if (!ref || !ref.issued_at || now() - ref.issued_at > OVPN_IMPORT_LINK_TTL * 1000) return new Response('Not Found', { status: 404 });
+  const list = (await kvGetJson(env, `user:${ref.uid}:servers`)) || [];
+  const item = list.find(s => String(s.id) === String(ref.id) && s.type === 'ovpn');
+  if (!item || !item.conf || item.revoked_at || isServerExpired(item) || item.import_token !== token) return new Response('Not Found', { status: 404 });
+  // single use (see issueOvpnImportToken)
+  await kvDelete(env, `ovpncfg:${token}`);
+  const fileName = String(item.name || 'profile.ovpn').replace(/[^A-Za-z0-9._-]/g, '');
+  return new Response(item.conf, { headers: {
+    'Content-Type': 'application/x-openvpn-profile',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  } });
+}
+
+/* -------------------- Online payments -------------------- */
+function paymentGatewayDeps() {
+  return { kvGetJson, kvPutJson, baseUrl: domainFromWebhook() };
+}
+async function onlinePaymentAvailable(env) {
+  if (!domainFromWebhook()) return false;
+  try { return Boolean(await getPaymentGateway(env, paymentGatewayDeps())); } catch (_) { return false; }
+}
+function payoutCardText(card) {
+  return `کارت:\n\`${card.number}\`\nنام: **${card.name}**${card.bank ? `\nبانک: ${card.bank}` : ''}`;
+}
+function payoutCardLine(p) {
+  return p.card ? `\nکارت مقصد: ${p.card.number} (${p.card.name})` : '';
+}
+function trackingLine(p) {
+  return p.tracking_no ? `\nشماره پیگیری: ${p.tracking_no}` : '';
+}
+// Shown above the admin review text when the receipt or tracking number was already used
+function receiptWarning(p) {
+  const f = p.fraud;
+  if (!f) return '';
+  const lines = [];
+  if (f.receipt && f.receipt.length) lines.push(`• همین فایل رسید قبلاً برای خرید ${f.receipt.join('، ')} ارسال شده است.`);
+  if (f.tracking && f.tracking.length) lines.push(`• شماره پیگیری ${p.tracking_no} قبلاً برای خرید ${f.tracking.join('، ')} ثبت شده است.`);
+  return `🚨🚨 هشدار: رسید تکراری 🚨🚨\n${lines.join('\n')}\n\n`;
+}
+function promoLine(p) {
+  const pr = p.promo;
+  if (!pr) return '';
+  const what = pr.bonus_diamonds ? `${pr.bonus_diamonds} الماس هدیه` : `${Number(pr.discount_toman || 0).toLocaleString('fa-IR')} تومان تخفیف از ${Number(pr.original_price_toman || 0).toLocaleString('fa-IR')}`;
+  return `\nکد تخفیف: ${pr.code} (${what})${pr.released_at ? ' — آزاد شد' : ''}`;
+}
+// Payment instructions for a new (or re-priced) purchase; used by DPKG, PANEL:BUY and the promo flow
+async function sendPurchaseCheckout(env, chatId, p) {
+  const isPanel = p.type === 'panel';
+  const card = p.card;
+  const online = await onlinePaymentAvailable(env);
+  const cryptoAssets = isPanel ? [] : await listCryptoAssets(env, kvGetJson);
+  const price = Number(p.price_toman || 0).toLocaleString('fa-IR');
+  const pr = p.promo;
+  const promoText = !pr ? '' : pr.bonus_diamonds
+    ? `\n🏷 کد ${pr.code}: ${pr.bonus_diamonds} الماس هدیه`
+    : `\n🏷 کد ${pr.code}: ${Number(pr.discount_toman).toLocaleString('fa-IR')} تومان تخفیف (قیمت قبلی ${Number(pr.original_price_toman).toLocaleString('fa-IR')} تومان)`;
+  const txt = isPanel
+    ? `🛒 خرید پنل: ${p.panel_title}
+مبلغ: ${price} تومان${promoText}
+شناسه خرید: \`${p.id}\`
+${card ? `${online ? 'پرداخت آنلاین را بزنید، یا ' : 'لطفاً '}مبلغ را به کارت زیر واریز کنید و سپس «پرداخت کردم» را بزنید:
+
+${payoutCardText(card)}` : 'کارت به کارت موقتاً در دسترس نیست.'}
+
+پس از تایید پرداخت، پنل از طریق همین ربات برای شما ارسال می‌شود و در «خریدهای من» هم در دسترس است.`
+    : `✅ بسته انتخاب شد: ${p.diamonds} الماس (${price} تومان)${promoText}
+شناسه خرید شما: \`${p.id}\`
+${card ? `${online ? 'با پرداخت آنلاین الماس‌ها خودکار اضافه می‌شوند. یا ' : 'لطفاً '}مبلغ را به کارت زیر واریز کنید و سپس روی «پرداخت کردم» بزنید:
+
+${payoutCardText(card)}` : 'کارت به کارت موقتاً در دسترس نیست؛ از روش‌های دیگر پرداخت استفاده کنید.'}`;
+  await tgApi('sendMessage', { chat_id: chatId, text: txt, parse_mode: 'Markdown', reply_markup: { inline_keyboard: [
+    ...(online ? [[{ text: '💳 پرداخت آنلاین', callback_data: `PAYONLINE:${p.id}` }]] : []),
+    ...(cryptoAssets.length ? [cryptoAssets.map(a => ({ text: `🪙 پرداخت با ${a}`, callback_data: `CRYPTO:${p.id}:${a}` }))] : []),
+    ...(card ? [[{ text: '✅ پرداخت کردم', callback_data: isPanel ? `PANEL:PAID:${p.id}` : `PAID_CONFIRM:${p.id}` }]] : []),
+    ...(pr ? [] : [[{ text: '🏷 کد تخفیف', callback_data: `PROMO:${p.id}` }]]),
+    ...(isPanel ? [[{ text: '⬅️ بازگشت', callback_data: `PANEL:VIEW:${p.panel_id}` }]] : []),
+    [{ text: '🏠 منو', callback_data: 'MENU' }]
+  ] } });
+}
+
+/* -------------------- Promo codes at checkout -------------------- */
+// A code can only change a purchase nobody has started paying: the gateway and crypto invoices are
+// issued for the price at that moment.
+function promoBlockReason(p, uid) {
+  if (!p || p.user_id !== uid || p.status !== 'awaiting_receipt') return '⛔️ این خرید قابل تغییر نیست.';
+  if (p.gateway || p.crypto) return 'پرداخت این خرید شروع شده است؛ برای استفاده از کد تخفیف یک خرید جدید ثبت کنید.';
+  if (p.promo) return 'روی این خرید قبلاً کد تخفیف اعمال شده است.';
+  return '';
+}
+// `user:<uid>:paid` is set whenever a purchase is approved; older buyers get it from the
+// purchase backfill (purchases.js), and until that has finished first_purchase_only codes wait.
+async function markUserPaid(env, userId) {
+  try { await recordUserPaid(env, purchaseIndexDeps(), userId); } catch (_) {}
+}
+async function applyPurchasePromo(env, uid, pid, codeText) {
+  const key = `purchase:${pid}`;
+  const p = await kvGetJson(env, key);
+  const blocked = promoBlockReason(p, uid);
+  if (blocked) return { ok: false, error: blocked };
+  const promo = await getPromo(env, kvGetJson, codeText);
+  const paidBefore = await hasUserPaid(env, purchaseIndexDeps(), uid);
+  const err = checkPromo(promo, p, { hasPaidBefore: paidBefore === true });
+  if (err) return { ok: false, error: err };
+  if (promo.first_purchase_only && paidBefore == null) return { ok: false, error: 'سوابق خرید هنوز در حال بررسی است؛ این کد را چند دقیقه دیگر دوباره وارد کنید.' };
+  if (promo.per_user_once) {
+    const use = await getPromoUse(env, kvGetJson, promo.code, uid);
+    if (use) {
+      // the code may sit on an unpaid purchase the user abandoned; move it to this one
+      const prev = await kvGetJson(env, `purchase:${use.pid}`);
+      if (!prev || promoBlockReason({ ...prev, promo: null }, uid) || !prev.promo || prev.promo.code !== promo.code) {
+        return { ok: false, error: 'شما قبلاً از این کد استفاده کرده‌اید.' };
+      }
+      prev.price_toman = prev.promo.original_price_toman;
+      prev.diamonds = prev.promo.original_diamonds;
+      delete prev.promo;
+      await kvPutJson(env, `purchase:${prev.id}`, prev);
+      await releasePromoUse(env, { kvGetJson, kvPutJson, kvDelete }, promo.code, uid, prev.id);
+    }
+  }
+  let reserved;
+  try { reserved = await reservePromoUse(env, { kvGetJson, kvPutJson }, promo.code, uid, p.id); } catch (_) { return { ok: false, error: 'ثبت کد تخفیف موقتاً ممکن نیست. لطفاً کمی بعد دوباره تلاش کنید.' }; }
+  if (!reserved) return { ok: false, error: 'ظرفیت این کد تکمیل شده است.' };
+  const r = computePromo(promo, p);
+  p.promo = {
+    code: promo.code, kind: promo.kind, value: promo.value,
+    original_price_toman: p.price_toman, original_diamonds: p.diamonds,
+    discount_toman: r.discount_toman, bonus_diamonds: r.bonus_diamonds, applied_at: now()
+  };
+  p.price_toman = r.price_toman;
+  if (p.type !== 'panel') p.diamonds = r.diamonds;
+  p.updated_at = now();
+  await kvPutJson(env, key, p);
+  return { ok: true, purchase: p };
+}
+// Frees the code's use when a purchase will never be paid; the discount stays recorded on it
+async function releasePurchasePromo(env, p) {
+  if (!p.promo || p.promo.released_at) return;
+  try {
+    await releasePromoUse(env, { kvGetJson, kvPutJson, kvDelete }, p.promo.code, p.user_id, p.id);
+    p.promo.released_at = now();
+  } catch (_) {}
+}
+function paymentGatewayLine(p) {
+  const g = p.gateway;
+  const c = p.crypto;
+  if (c && c.tx_hash) return `\nپرداخت کریپتو: ${formatCryptoAmount(c.paid_units || c.units, c.asset)} ${c.asset} | تراکنش ${c.tx_hash}`;
+  if (!g || !g.ref_id) return '';
+  return `\nپرداخت آنلاین (${g.type}): کد پیگیری ${g.ref_id}${g.card_pan ? ` | کارت ${g.card_pan}` : ''}`;
+}
+function purchaseIndexDeps() {
+  return { kvGetJson, kvPutJson, kvDelete };
+}
+function cryptoPayDeps(env) {
+  return {
+    kvGetJson, kvPutJson,
+    settle: (pid, transfer) => settleCryptoTransfer(env, {
+      kvGetJson,
+      isPaid: isPaidPurchase,
+      // an order may expire while its invoice is still being watched; money that arrives is still honoured
+      isPayable: (p) => ['awaiting_receipt', 'pending_review', 'expired'].includes(p.status),
+      settle: (p) => settleOnlinePayment(env, p, { via: 'crypto', refId: p.crypto.tx_hash }),
+      refuse: (id, p, t, reason) => refuseCryptoPayment(env, id, p, t, reason)
+    }, pid, transfer)
+  };
+}
+// On-chain money for an order that cannot take it (rejected, cancelled, paid another way): nothing is
+// credited automatically, the admins get the details to credit or refund it by hand.
+async function refuseCryptoPayment(env, pid, p, { asset, units, hash }, reason) {
+  const user = p && p.user_id ? `\nکاربر: ${p.user_id}` : '';
+  await notifyAdmins(env, `⚠️ پرداخت کریپتو برای سفارش ${pid} دریافت شد ولی سفارش قابل پرداخت نیست (${reason}).${user}\nمبلغ: ${formatCryptoAmount(units, asset)} ${asset}\nتراکنش: ${hash}\nشارژ دستی یا بازگرداندن مبلغ را بررسی کنید.`);
+}
+function paymentResultPage(ok, message, botUsername) {
+  const back = botUsername ? `<p><a href="https://t.me/${botUsername}">بازگشت به ربات</a></p>` : '';
+  const html = `<!doctype html><html lang="fa" dir="rtl"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>نتیجه پرداخت</title></head>
+  <body style="font-family:sans-serif;text-align:center;padding:40px">
+  <h2>${ok ? '✅ پرداخت موفق' : '❌ پرداخت ناموفق'}</h2>
+  <p>${escapeHtml(message)}</p>
+  ${back}
+  </body></html>`;
+  return new Response(html, { status: 200, headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' } });
+}
+// Gateway return URL: /pay/callback?pid=<purchaseId> plus the gateway's own fields.
+// The purchase is only settled after the gateway confirms the transaction server-side.
+async function handlePaymentCallback(request, env, url) {
+  const params = await readCallbackParams(request, url);
+  const botUsername = await getBotUsername(env).catch(() => '');
+  const pid = String(params.pid || '');
+  const key = `purchase:${pid}`;
+  const p = /^\d{1,12}$/.test(pid) ? await kvGetJson(env, key) : null;
+  if (!p || !p.gateway) return paymentResultPage(false, 'سفارش یافت نشد.', botUsername);
+  if (isPaidPurchase(p) && p.gateway.ref_id) return paymentResultPage(true, `این سفارش قبلاً پرداخت شده است. کد پیگیری: ${p.gateway.ref_id}`, botUsername);
+  const gw = await getPaymentGateway(env, paymentGatewayDeps());
+  if (!gw || gw.type !== p.gateway.type) return paymentResultPage(false, 'درگاه پرداخت در دسترس نیست. با پشتیبانی تماس بگیرید.', botUsername);
+  const { authority, ok } = gw.parseCallback(params);
+  if (!authority || !(p.gateway.authorities || []).includes(authority)) return paymentResultPage(false, 'تراکنش نامعتبر است.', botUsername);
+  if (!ok) return paymentResultPage(false, 'پرداخت لغو شد یا ناموفق بود. در صورت کسر مبلغ، طی ۷۲ ساعت به حساب شما بازمی‌گردد.', botUsername);
+  if (!['awaiting_receipt', 'pending_review', 'expired'].includes(p.status)) return paymentResultPage(false, 'این سفارش دیگر قابل پرداخت نیست. با پشتیبانی تماس بگیرید.', botUsername);
+  let v;
+  try { v = await gw.verify({ authority, amountRial: Number(p.price_toman || 0) * 10, orderId: p.id }); } catch (_) { v = { ok: false, error: 'verify_exception' }; }
+  if (!v.ok) {
+    p.gateway.last_error = v.error || 'verify_failed';
+    await kvPutJson(env, key, p);
+    return paymentResultPage(false, 'تایید پرداخت از سمت درگاه انجام نشد. در صورت کسر مبلغ، طی ۷۲ ساعت به حساب شما بازمی‌گردد.', botUsername);
+  }
+  p.gateway = { ...p.gateway, authority, ref_id: v.refId || '', card_pan: v.cardPan || '', verified_at: now() };
+  if (!(await settleOnlinePayment(env, p, { via: 'gateway', refId: v.refId }))) {
+    return paymentResultPage(true, `این سفارش قبلاً پرداخت شده است. کد پیگیری: ${v.refId || '-'}`, botUsername);
+  }
+  return paymentResultPage(true, `پرداخت تایید شد. کد پیگیری: ${v.refId || '-'}\nنتیجه در ربات برای شما ارسال شد.`, botUsername);
+}
+// Marks a purchase paid by gateway or crypto and credits it; the caller has stored the payment details on p.
+// via: 'gateway' | 'crypto'. Runs once per purchase (settlePaymentOnce); returns false for a duplicate.
+async function settleOnlinePayment(env, p, { via, refId }) {
+  return settlePaymentOnce(env, { kvGetJson, isPaid: isPaidPurchase }, p.id, () => settleOnlinePaymentNow(env, p, { via, refId }));
+}
+// Returns false when the purchase turned out to be settled already (nothing is announced then)
+async function settleOnlinePaymentNow(env, p, { via, refId }) {
+  const key = `purchase:${p.id}`;
+  p.paid_via = via;
+  const viaLabel = via === 'crypto' ? 'پرداخت کریپتو' : 'پرداخت آنلاین';
+  const admins = await getAdminIds(env);
+  if (p.crypto) { try { await closeCryptoInvoice(env, { kvGetJson, kvPutJson }, p.id); } catch (_) {} }
+  if (p.type !== 'panel') {
+    // same key as PAYAPP, so a purchase is credited once however it was approved
+    const credited = await adjustDiamonds(env, p.user_id, p.diamonds || 0, { reason: 'purchase', ref: p.id, actor: via, idempotencyKey: `purchase:${p.id}` });
+    // credited before: by an admin or another callback (then it is paid), or by a run that died
+    // before saving the purchase (then this run finishes it)
+    if (credited.error === 'duplicate' && isPaidPurchase((await kvGetJson(env, key)) || {})) return false;
+    if (!credited.ok && credited.error !== 'duplicate') {
+      // money was taken but crediting failed: hand it to the admins as a normal review
+      p.status = 'pending_review';
+      p.settle_error = 'credit_failed';
+      for (const aid of admins) {
+        try {
+          const sent = await tgApi('sendMessage', { chat_id: aid, text: `⚠️ ${viaLabel}\n${purchaseReviewText(p)}`, reply_markup: reviewKeyboard(p, aid) });
+          rememberReviewMessage(p, aid, sent);
+        } catch (_) {}
+      }
+      await kvPutJson(env, key, p);
+      try { await tgApi('sendMessage', { chat_id: p.user_id, text: `✅ پرداخت شما (کد پیگیری ${refId || '-'}) دریافت شد و به‌زودی توسط پشتیبانی شارژ می‌شود.` }); } catch (_) {}
+      return;
+    }
+  }
+  p.status = p.type === 'panel' ? 'paid' : 'approved'; p.processed_by = via; p.processed_at = now();
+  await decidePurchase(env, p, 'approve', via, viaLabel);
+  await markUserPaid(env, p.user_id);
+  if (p.type === 'panel') {
+    try { await tgApi('sendMessage', { chat_id: p.user_id, text: `✅ پرداخت خرید پنل ${p.panel_title || ''} تایید شد (کد پیگیری ${refId || '-'}).\nپنل به‌زودی از طریق همین ربات برای شما ارسال می‌شود.` }); } catch (_) {}
+  } else {
+    try { await tgApi('sendMessage', { chat_id: p.user_id, text: `✅ پرداخت شما تایید شد. ${p.diamonds} الماس به حساب شما اضافه شد.\nکد پیگیری: ${refId || '-'}` }); } catch (_) {}
+  }
+  const summary = p.type === 'panel' ? `پنل: ${p.panel_title || '-'}` : `الماس: ${p.diamonds}`;
+  for (const aid of admins) {
+    try { await tgApi('sendMessage', { chat_id: aid, text: `💳 ${viaLabel} تایید شد\nشناسه: ${p.id}\nکاربر: ${p.user_id}\n${summary}\nمبلغ: ${Number(p.price_toman || 0).toLocaleString('fa-IR')} تومان${paymentGatewayLine(p)}`, reply_markup: p.type === 'panel' ? { inline_keyboard: [[{ text: '📦 تحویل پنل', callback_data: `PAYDELIVER:${p.id}` }], [{ text: '✉️ رفتن به پیوی کاربر', url: `tg://user?id=${p.user_id}` }]] } : undefined }); } catch (_) {}
+  }
+}
+
+/* -------------------- Payment review (multi-admin) -------------------- */
+// Every admin gets the review message. The first admin to claim it (🙋 button, opening it from the
+// payments list, or pressing approve/reject) holds it (takePurchaseReview in purchases.js), and
+// every admin's copy is edited to show who has it. The final decision is also kept as
+// purchase.decision for the user view.
+function adminLabel(from) {
+  if (!from) return '-';
+  return from.username ? `@${from.username}` : (from.first_name || String(from.id));
+}
+function rememberReviewMessage(p, chatId, res, { media = false, view = false } = {}) {
+  const mid = res && res.ok && res.result && res.result.message_id;
+  if (mid) p.review_msgs = [...(p.review_msgs || []), { chat_id: chatId, message_id: mid, media, view }].slice(-20);
+}
+const DECISION_LABELS = { approve: '✅ تایید شد', reject: '❌ رد شد', refund: '↩️ بازپرداخت شد', deliver: '📦 تحویل شد' };
+function purchaseReviewText(p) {
+  const user = `${p.user_id}${p.user_username ? ` (@${p.user_username})` : ''}`;
+  const body = p.type === 'panel'
+    ? `خرید پنل #${String(p.id).padStart(8,'0')}
+کاربر: ${user}
+پنل: ${p.panel_title||'-'}
+مبلغ: ${(p.price_toman||0).toLocaleString('fa-IR')} تومان${promoLine(p)}
+وضعیت: ${p.status}${p.expired_at ? ` (${formatDate(p.expired_at)})` : ''}${payoutCardLine(p)}${paymentGatewayLine(p)}${trackingLine(p)}${refundLines(p)}`
+    : `خرید #${String(p.id).padStart(8,'0')}
+کاربر: ${user}
+بسته: ${p.diamonds} الماس
+مبلغ: ${(p.price_toman||0).toLocaleString('fa-IR')} تومان${promoLine(p)}
+وضعیت: ${p.status}${p.expired_at ? ` (${formatDate(p.expired_at)})` : ''}${payoutCardLine(p)}${paymentGatewayLine(p)}${trackingLine(p)}${refundLines(p)}`;
+  const settle = p.settle_error === 'credit_failed' && p.status === 'pending_review' ? '\n⚠️ پرداخت آنلاین انجام شده ولی افزودن الماس ناموفق بود.' : '';
+  return receiptWarning(p) + body + settle + resubmitLine(p) + reviewStatusLine(p);
+}
+// Telegram rejects captions over 1024 characters; the middle of the text is cut so the review
+// status at the end stays visible
+const CAPTION_LIMIT = 1024;
+function purchaseReviewCaption(p) {
+  const text = purchaseReviewText(p);
+  if (text.length <= CAPTION_LIMIT) return text;
+  const status = reviewStatusLine(p);
+  return `${text.slice(0, CAPTION_LIMIT - status.length - 1)}…${status}`;
+}
+function reviewStatusLine(p) {
+  const d = p.decision;
+  if (d) return `\n\n${DECISION_LABELS[d.action] || d.action} توسط ${d.name} — ${formatDate(d.at)}${d.note ? `\nیادداشت: ${d.note}` : ''}`;
+  const h = p.status === 'pending_review' ? reviewHolder(p) : null;
+  return h ? `\n\n🔒 در حال بررسی توسط ${h.name} (از ${formatDate(h.at)})` : '';
+}
+// Actions for one admin's copy; viewerId null = not claimed by anyone yet
+function reviewKeyboard(p, viewerId, { view = false } = {}) {
+  const rows = [];
+  if (p.status === 'pending_review') {
+    const h = reviewHolder(p);
+    if (!h || String(h.by) === String(viewerId)) {
+      const approve = p.fraud ? '⚠️ تایید با وجود هشدار' : p.type === 'panel' ? '✅ تایید پرداخت' : '✅ تایید و افزودن الماس';
+      rows.push([{ text: approve, callback_data: `PAYAPP:${p.id}` }, { text: '❌ رد', callback_data: `PAYREJ:${p.id}` }]);
+      rows.push(h ? [{ text: '🔓 رها کردن بررسی', callback_data: `PAYUNCLAIM:${p.id}` }] : [{ text: '🙋 بررسی با من', callback_data: `PAYCLAIM:${p.id}` }]);
+    }
+  }
+  if (p.type === 'panel' && (p.status === 'paid' || p.status === 'delivered')) {
+    rows.push([{ text: p.status === 'paid' ? '📦 تحویل پنل' : '📦 ارسال مجدد تحویل', callback_data: `PAYDELIVER:${p.id}` }]);
+  }
+  if (p.type === 'panel' && p.status !== 'delivered') rows.push([{ text: '✉️ رفتن به پیوی کاربر', url: `tg://user?id=${p.user_id}` }]);
+  if (isPaidPurchase(p)) rows.push([{ text: '↩️ بازپرداخت / برگشت', callback_data: `PAYREFUND:${p.id}` }]);
+  if (view) rows.push([{ text: '⬅️ بازگشت', callback_data: 'ADMIN:PAYMENTS' }]);
+  return { inline_keyboard: rows };
+}
+async function syncReviewMessages(env, p) {
+  const text = purchaseReviewText(p);
+  for (const m of p.review_msgs || []) {
+    try {
+      const reply_markup = reviewKeyboard(p, m.chat_id, { view: m.view });
+      if (m.media) await tgApi('editMessageCaption', { chat_id: m.chat_id, message_id: m.message_id, caption: purchaseReviewCaption(p), reply_markup });
+      else await tgApi('editMessageText', { chat_id: m.chat_id, message_id: m.message_id, text, reply_markup });
+    } catch (_) {}
+  }
+}
+// { ok: true } when `from` holds the review (claiming it if free); otherwise { ok: false, holder }
+// or { ok: false, error } (see takePurchaseReview). Either way p is refreshed from a fresh read, so
+// a caller acting on ok acts on the current status and never writes an older copy back.
+async function claimPurchaseReview(env, p, from) {
+  const res = await takePurchaseReview(env, { kvGetJson, kvPutJson }, p, { id: from.id, name: adminLabel(from) });
+  if (res.ok) await syncReviewMessages(env, p);
+  if (res.error === 'unavailable') await alertUnboundDurableObject(env, 'CLAIMS', 'ClaimDO');
+  return res;
+}
+function reviewClaimErrorText(claim) {
+  if (claim.holder) return `🔒 این خرید در حال بررسی توسط ${claim.holder.name} است.`;
+  if (claim.error === 'decided') return '⛔️ این خرید دیگر در انتظار بررسی نیست.';
+  return 'ثبت بررسی موقتاً ممکن نیست. لطفاً کمی بعد دوباره تلاش کنید.';
+}
+// Records the final decision, saves the purchase and updates every admin's copy
+async function decidePurchase(env, p, action, by, name, note = '') {
+  p.decision = { action, by, name, at: now(), note };
+  auditPurchase(p, action, by, name, note);
+  await releasePurchaseReview(env, p);
+  await kvPutJson(env, `purchase:${p.id}`, p);
+  await syncReviewMessages(env, p);
+}
+async function rejectPurchase(env, p, from, note) {
+  p.status = 'rejected'; p.processed_by = from.id; p.processed_at = now();
+  await releasePurchasePromo(env, p);
+  await decidePurchase(env, p, 'reject', from.id, adminLabel(from), note);
+  const msg = p.type === 'panel'
+    ? '❌ پرداخت شما تایید نشد. برای پیگیری با پشتیبانی در ارتباط باشید.'
+    : '❌ پرداخت شما تایید نشد. لطفاً با پشتیبانی تماس بگیرید.';
+  const again = canReuploadReceipt(p) ? '\nاگر رسید اشتباه ارسال شده، می‌توانید از «خریدهای من» رسید جدید بفرستید.' : '';
+  await tgApi('sendMessage', { chat_id: p.user_id, text: `${msg}${note ? `\nدلیل: ${note}` : ''}${again}`, reply_markup: { inline_keyboard: [[{ text: '🧾 جزئیات سفارش', callback_data: `MYPUR:VIEW:${p.id}` }]] } });
+}
+
+/* -------------------- Refunds -------------------- */
+// Paid purchases can be reversed in steps (applyRefund in purchases.js). The step id is picked when
+// the admin presses the refund button and kept in their session, so a re-sent reason applies once.
+function refundLines(p) {
+  return (p.refunds || []).map(r => `\n↩️ برگشت ${r.diamonds ? `${r.diamonds} الماس / ` : ''}${Number(r.toman || 0).toLocaleString('fa-IR')} تومان توسط ${r.by} (${formatDate(r.at)}): ${r.reason}`).join('');
+}
+async function refundPurchase(env, p, { refundId, diamonds, reason, actor, actorName }) {
+  const key = `purchase:${p.id}`;
+  const freezeUser = async (uid, why) => {
+    const u = (await kvGetJson(env, `user:${uid}`)) || { id: uid };
+    if (!u.frozen) await updateUser(env, uid, { frozen: true, frozen_reason: why });
+  };
+  const res = await applyRefund(env, { adjustDiamonds, freezeUser }, p, { id: refundId, diamonds, reason, by: actor, at: now() });
+  if (!res.ok || res.duplicate) return res;
+  const { full, balance, frozen } = res;
+  if (full) {
+    await decidePurchase(env, p, 'refund', actor, actorName, reason);
+  } else {
+    auditPurchase(p, 'partial_refund', actor, actorName, `${diamonds}: ${reason}`);
+    await kvPutJson(env, key, p);
+  }
+  const what = p.type === 'panel' ? `خرید پنل ${p.panel_title || ''}` : `خرید ${p.id}`;
+  const taken = diamonds ? `\n${diamonds} الماس از حساب شما کسر شد.${frozen ? ' موجودی شما منفی شده و تا تسویه فریز است.' : ''}` : '';
+  try { await tgApi('sendMessage', { chat_id: p.user_id, text: `↩️ ${what} ${full ? 'بازپرداخت شد' : 'به‌صورت جزئی برگشت خورد'}.\nدلیل: ${reason}${taken}` }); } catch (_) {}
+  return { ok: true, full, balance, frozen };
+}
+
+/* -------------------- Panel delivery -------------------- */
+// After a panel payment is approved (status paid) an admin sends the panel through the bot: text,
+// a photo or a file, stored as purchase.delivery = { text, file_id, file_kind, file_name, by, name, at }.
+// The user gets it right away and can open it again from "My purchases". Sending again replaces it.
+function deliveryFromMessage(msg) {
+  const text = String(msg.text || msg.caption || '').trim().slice(0, 3500);
+  let file = null;
+  if (msg.document) file = { file_id: msg.document.file_id, file_kind: 'document', file_name: msg.document.file_name || '' };
+  else if (msg.photo && msg.photo.length) file = { file_id: msg.photo[msg.photo.length - 1].file_id, file_kind: 'photo', file_name: '' };
+  if (!text && !file) return null;
+  return { text, file_id: null, file_kind: null, file_name: '', ...file };
+}
+// Returns true when Telegram accepted every part
+async function sendPurchaseDelivery(p, chatId, title) {
+  const d = p.delivery;
+  const head = `${title}: ${p.panel_title || '-'}\nشناسه خرید: ${p.id}`;
+  let ok = true;
+  if (d.text) {
+    const res = await tgApi('sendMessage', { chat_id: chatId, text: `${head}\n\n${d.text}` });
+    ok = Boolean(res && res.ok);
+  }
+  if (d.file_id) {
+    const caption = d.text ? `📎 ${p.panel_title || '-'}` : head;
+    const res = d.file_kind === 'photo'
+      ? await tgApi('sendPhoto', { chat_id: chatId, photo: d.file_id, caption })
+      : await tgApi('sendDocument', { chat_id: chatId, document: d.file_id, caption });
+    ok = ok && Boolean(res && res.ok);
+  }
+  return ok;
+}
+async function deliverPanelPurchase(env, p, delivery, from) {
+  const again = markPurchaseDelivered(p, delivery, { id: from.id, name: adminLabel(from) }, now());
+  await decidePurchase(env, p, 'deliver', from.id, adminLabel(from), again ? 'ارسال مجدد' : '');
+  try {
+    return await sendPurchaseDelivery(p, p.user_id, again ? '📦 اطلاعات پنل شما به‌روزرسانی شد' : '📦 پنل شما تحویل شد');
+  } catch (_) {
+    return false;
+  }
+}
+
+/* -------------------- My purchases -------------------- */
+// The user's side of a purchase: status, a timeline built from created_at / expired_at and the
+// audit trail (admin names left out), and another receipt upload after a rejection. A re-upload puts
+// the purchase back to pending_review; the earlier decision stays in the audit trail.
+const MAX_RECEIPT_UPLOADS = 3;
+const PURCHASE_STATUS_LABELS = {
+  awaiting_receipt: 'در انتظار پرداخت',
+  pending_review: 'در انتظار بررسی',
+  approved: 'تایید شده',
+  paid: 'پرداخت شده — در انتظار تحویل',
+  delivered: 'تحویل شده',
+  rejected: 'رد شده',
+  expired: 'منقضی',
+  refunded: 'بازپرداخت شده'
+};
+const TIMELINE_LABELS = {
+  receipt: '📤 ارسال رسید',
+  claim: '🔎 شروع بررسی',
+  approve: '✅ تایید پرداخت',
+  deliver: '📦 تحویل پنل',
+  reject: '❌ رد پرداخت',
+  refund: '↩️ بازپرداخت کامل',
+  partial_refund: '↩️ برگشت بخشی از خرید'
+};
+// purchases from before the counter existed had at most the one receipt
+function receiptUploads(p) {
+  return p.receipt_uploads || (p.receipt_file_id ? 1 : 0);
+}
+function canReuploadReceipt(p) {
+  return p.status === 'rejected' && !p.paid_via && receiptUploads(p) < MAX_RECEIPT_UPLOADS;
+}
+function purchaseSummary(p) {
+  return p.type === 'panel' ? `🛍 پنل: ${p.panel_title||'-'}` : `💎 ${p.diamonds} الماس`;
+}
+// Clears the previous review so the new receipt goes through a normal one
+async function reopenRejectedPurchase(env, p) {
+  p.decision = null;
+  p.review = null;
+  p.review_msgs = [];
+  delete p.fraud;
+  if (p.promo && p.promo.released_at) {
+    // the price already includes the discount; if the code ran out meanwhile it stays released
+    try {
+      if (await reservePromoUse(env, { kvGetJson, kvPutJson }, p.promo.code, p.user_id, p.id)) delete p.promo.released_at;
+    } catch (_) {}
+  }
+}
+function resubmitLine(p) {
+  if (receiptUploads(p) < 2 || p.status !== 'pending_review') return '';
+  const last = [...(p.audit || [])].reverse().find(a => a.action === 'reject');
+  return `\n🔁 رسید مجدد (بار ${receiptUploads(p)})${last && last.note ? ` — دلیل رد قبلی: ${last.note}` : ''}`;
+}
+function purchaseTimeline(p) {
+  const events = [{ at: p.created_at || 0, text: '🆕 ثبت سفارش' }];
+  let prev = '';
+  for (const a of p.audit || []) {
+    // one "review started" per round, however often admins claim and release it
+    if (!TIMELINE_LABELS[a.action] || (a.action === 'claim' && prev === 'claim')) continue;
+    if (a.action !== 'release') prev = a.action;
+    const note = a.action === 'reject' || a.action === 'refund' || a.action === 'partial_refund' ? a.note : '';
+    events.push({ at: a.at, text: `${TIMELINE_LABELS[a.action]}${note ? `\n    دلیل: ${note}` : ''}` });
+  }
+  // purchases decided before the audit trail existed
+  if (!p.audit && p.processed_at) events.push({ at: p.processed_at, text: PURCHASE_STATUS_LABELS[p.status] || p.status });
+  if (p.expired_at) events.push({ at: p.expired_at, text: '⌛️ منقضی شد (پرداختی انجام نشد)' });
+  return events.sort((a, b) => a.at - b.at).map(e => `${formatDate(e.at)} — ${e.text}`).join('\n');
+}
+function userPurchaseText(p) {
+  const d = p.decision;
+  const reason = p.status === 'rejected' && d && d.action === 'reject'
+    ? `\n\nدلیل رد: ${d.note || 'ذکر نشده؛ برای جزئیات با پشتیبانی تماس بگیرید.'}`
+    : '';
+  const uploads = canReuploadReceipt(p) ? `\nامکان ارسال مجدد رسید: ${MAX_RECEIPT_UPLOADS - receiptUploads(p)} بار دیگر` : '';
+  return `🧾 سفارش #${String(p.id).padStart(8,'0')}
+${purchaseSummary(p)}
+مبلغ: ${Number(p.price_toman || 0).toLocaleString('fa-IR')} تومان
+وضعیت: ${PURCHASE_STATUS_LABELS[p.status] || p.status}${trackingLine(p)}${reason}${uploads}
+
+📍 روند سفارش:
+${purchaseTimeline(p)}`;
+}
+
 /* -------------------- Main Page with Admin Panel -------------------- */
 async function handleMainPage(req, env, url, ctx) {
   const key = url.searchParams.get('key');
@@ -4535,6 +6590,7 @@ async function handleMainPage(req, env, url, ctx) {
   const topPurchasers = isAuthenticated ? await computeTopPurchasers(env, 5) : [];
   const topReferrers = isAuthenticated ? await computeTopReferrers(env, 5) : [];
   const overallStats = isAuthenticated ? await computeOverallStats(env) : null;
+  const purchasesScope = overallStats && overallStats.purchases_truncated ? ` — ${STATS_MAX_SCAN.toLocaleString('fa-IR')} خرید اخیر` : '';
   const html = `<!DOCTYPE html>
 <html lang="fa" dir="rtl">
 <head>
@@ -5107,8 +7163,8 @@ async function handleMainPage(req, env, url, ctx) {
                     <tr><td>کل الماس کاربران</td><td>${overallStats.total_diamonds.toLocaleString('fa-IR')}</td></tr>
                     <tr><td>میانگین الماس به ازای هر کاربر</td><td>${overallStats.avg_diamonds.toLocaleString('fa-IR')}</td></tr>
                     <tr><td>کل معرفی‌ها</td><td>${overallStats.total_referrals.toLocaleString('fa-IR')}</td></tr>
-                    <tr><td>تعداد خرید تایید شده</td><td>${overallStats.approved_purchases_count.toLocaleString('fa-IR')}</td></tr>
-                    <tr><td>مبلغ خریدهای تایید شده (تومان)</td><td>${overallStats.approved_purchases_amount.toLocaleString('fa-IR')}</td></tr>
+                    <tr><td>تعداد خرید تایید شده${purchasesScope}</td><td>${overallStats.approved_purchases_count.toLocaleString('fa-IR')}</td></tr>
+                    <tr><td>مبلغ خریدهای تایید شده (تومان)${purchasesScope}</td><td>${overallStats.approved_purchases_amount.toLocaleString('fa-IR')}</td></tr>
                   </tbody>
                 </table>
                 ` : ''}
@@ -5391,6 +7447,30 @@ async function handleApiRequest(req, env, url, ctx) {
     });
   }
 
+  // DNS CIDR ranges and OVPN locations: GET exports them with an ETag, POST replaces them
+  // (?dry_run=1 only returns the diff). A save needs the ETag it was made against in If-Match,
+  // like the bot's preview, so it cannot silently overwrite another admin's edit.
+  if (path === 'cidr' && req.method === 'GET') {
+    const cfg = await getDnsCidrConfig(env);
+    return new Response(JSON.stringify(cfg), { headers: { 'Content-Type': 'application/json', 'ETag': await cidrConfigEtag(cfg) } });
+  }
+  if (path === 'cidr' && req.method === 'POST') {
+    const body = await req.json().catch(() => null);
+    const res = normalizeCidrConfig(body);
+    if (res.error) return new Response(JSON.stringify({ ok: false, error: res.error }), { headers: { 'Content-Type': 'application/json' }, status: 400 });
+    const current = await getDnsCidrConfig(env);
+    const etag = await cidrConfigEtag(current);
+    const diff = diffCidrConfig(current, res.config);
+    const save = url.searchParams.get('dry_run') !== '1';
+    if (save) {
+      const base = req.headers.get('If-Match');
+      if (!base) return new Response(JSON.stringify({ ok: false, error: 'If-Match with the ETag from GET /api/cidr is required', etag }), { headers: { 'Content-Type': 'application/json' }, status: 428 });
+      if (base !== etag) return new Response(JSON.stringify({ ok: false, error: 'config changed since that ETag; fetch it again', etag, diff }), { headers: { 'Content-Type': 'application/json' }, status: 412 });
+      await kvPutJson(env, 'ps:dns:cidr', res.config);
+    }
+    return new Response(JSON.stringify({ ok: true, saved: save, diff, etag: save ? await cidrConfigEtag(res.config) : etag }), { headers: { 'Content-Type': 'application/json' } });
+  }
+
   if (path === 'backup' && req.method === 'GET') {
     const backup = await createKvBackup(env);
     return new Response(JSON.stringify(backup), { headers: { 'Content-Type': 'application/json' } });
@@ -5507,6 +7587,91 @@ function escapeHtml(s) {
     .replace(/'/g, '&#39;');
 }
 
+/* -------------------- Diamond ledger -------------------- */
+// Append-only per-user history of diamond changes. Rows live in fixed-size pages
+// (ledger:<uid>:<page>) so old entries are never rewritten or trimmed; rows are
+// written by account.js inside the serialized balance update.
+const LEDGER_REASON_LABELS = {
+  purchase: '💳 خرید الماس',
+  transfer_out: '💸 انتقال به کاربر',
+  transfer_in: '💸 دریافت از کاربر',
+  transfer_revert: '↩️ برگشت انتقال ناموفق',
+  mission: '📆 ماموریت',
+  weekly_checkin: '✅ پاداش هفتگی',
+  gift: '🎁 کد هدیه',
+  lottery: '🎟 قرعه‌کشی',
+  referral: '👥 معرفی کاربر',
+  file_spend: '📥 دریافت فایل',
+  dns: '🧩 خرید DNS',
+  wg: '🛰️ خرید وایرگارد',
+  ovpn: '🔐 خرید OpenVPN',
+  renew: '🔁 تمدید اشتراک',
+  refund: '↩️ برگشت خرید',
+  admin_give: '➕ افزایش توسط مدیر',
+  admin_take: '➖ کسر توسط مدیر'
+};
+function ledgerReasonLabel(reason) {
+  return LEDGER_REASON_LABELS[reason] || reason || '-';
+}
+async function getLedgerMeta(env, uid) {
+  return (await kvGetJson(env, `ledger:${uid}:meta`)) || { count: 0 };
+}
+// Newest first; offset counts from the most recent entry
+async function listLedgerEntries(env, uid, { limit = 10, offset = 0 } = {}) {
+  const { count = 0 } = await getLedgerMeta(env, uid);
+  const end = Math.max(0, count - offset);
+  const start = Math.max(0, end - limit);
+  const res = [];
+  const pages = {};
+  for (let i = end - 1; i >= start; i--) {
+    const p = Math.floor(i / LEDGER_PAGE_SIZE);
+    if (!pages[p]) pages[p] = (await kvGetJson(env, `ledger:${uid}:${p}`)) || [];
+    const row = pages[p][i % LEDGER_PAGE_SIZE];
+    if (row) res.push(row);
+  }
+  return { items: res, total: count };
+}
+function formatLedgerLine(row) {
+  const sign = row.delta > 0 ? '+' : '';
+  return `${sign}${row.delta} 💎 | ${ledgerReasonLabel(row.reason)}${row.ref ? ` (${row.ref})` : ''} | موجودی: ${row.balance} | ${formatDate(row.at)}`;
+}
+// Single entry point for changing user.diamonds (serialized per uid, see account.js).
+// inc: { field: n } bumps other counters (e.g. referrals) in the same write.
+// requireFunds refuses a debit that would go below zero; idempotencyKey makes the change
+// apply at most once per account. Returns { ok, balance, user } or { ok: false, error }.
+async function adjustDiamonds(env, uid, delta, { reason, ref = null, actor = null, clampZero = false, requireFunds = false, idempotencyKey = null, inc = null } = {}) {
+  try {
+    const res = await changeBalance(env, uid, { delta: Number(delta || 0), reason, ref, actor, clampZero, requireFunds, idempotencyKey, inc });
+    if (res && res.error === 'unavailable') await alertUnboundDurableObject(env, 'ACCOUNTS', 'AccountDO');
+    return res || { ok: false, error: 'exception' };
+  } catch (_) {
+    return { ok: false, error: 'exception' };
+  }
+}
+// Balance changes (ACCOUNTS, account.js) and claimed work (CLAIMS, claims.js) are refused while their
+// Durable Object cannot be reached; admins hear of it at most once an hour per binding
+async function alertUnboundDurableObject(env, binding, className) {
+  try {
+    const key = `alert:unbound:${binding}`;
+    if (await kvGetJson(env, key)) return;
+    await kvPutJson(env, key, now(), { expirationTtl: 3600 });
+    const what = binding === 'ACCOUNTS' ? 'تراکنش‌های الماس انجام نمی‌شوند' : 'پیام‌ها و دکمه‌های ربات پردازش نمی‌شوند';
+    await notifyAdmins(env, `⚠️ ${what}: Durable Object با نام ${binding} (کلاس ${className}) در دسترس نیست${env[binding] ? '' : ' یا به این Worker متصل نشده'} (wrangler.toml را ببینید).`);
+  } catch (_) {}
+}
+// Sets profile fields of user:<uid> through the same serialized path as balance changes, so a
+// record read earlier never overwrites a newer balance. `defaults` seed a missing record.
+async function updateUser(env, uid, fields, defaults = null) {
+  const res = await updateUserFields(env, uid, fields, { defaults });
+  return res && res.ok ? res : { ok: false, user: { id: uid, diamonds: 0, ...(defaults || {}), ...fields } };
+}
+// User-facing text for a failed adjustDiamonds debit
+function balanceErrorText(res, cost) {
+  if (res && res.error === 'duplicate') return 'این درخواست قبلاً انجام شده است.';
+  if (res && res.error === 'insufficient_funds') return `⚠️ الماس کافی نیست. این سرویس ${cost} الماس هزینه دارد.`;
+  return 'خطا در ثبت تراکنش. لطفاً دوباره تلاش کنید.';
+}
+
 /* -------------------- Tickets storage & helpers -------------------- */
 async function ticketsIndexKey() { return 'tickets:index'; }
 function newTicketId() {
@@ -5661,12 +7826,8 @@ async function handleBotDownload(env, uid, chatId, token, ref) {
     if (!currentUser.ref_credited) {
       const refUser = (await kvGetJson(env, `user:${ref}`)) || null;
       if (refUser) {
-        refUser.diamonds = (refUser.diamonds || 0) + 1;
-        refUser.referrals = (refUser.referrals || 0) + 1;
-        await kvPutJson(env, `user:${ref}`, refUser);
-        currentUser.ref_credited = true;
-        currentUser.referred_by = currentUser.referred_by || Number(ref);
-        await kvPutJson(env, `user:${uid}`, currentUser);
+        await adjustDiamonds(env, ref, 1, { reason: 'referral', ref: uid, actor: uid, idempotencyKey: `referral:${uid}`, inc: { referrals: 1 } });
+        await updateUser(env, uid, { ref_credited: true, referred_by: currentUser.referred_by || Number(ref) });
          await tgApi('sendMessage', { chat_id: Number(ref), text: '🎉 یک الماس بابت معرفی دریافت کردید.' });
       }
     }
@@ -5743,10 +7904,7 @@ async function completeMissionIfEligible(env, uid, mission) {
   prog.completed = (prog.completed || 0) + 1;
   await setUserMissionProgress(env, uid, prog);
   // reward diamonds
-  const uKey = `user:${uid}`;
-  const user = (await kvGetJson(env, uKey)) || { id: uid, diamonds: 0 };
-  user.diamonds = (user.diamonds || 0) + (mission.reward || 0);
-  await kvPutJson(env, uKey, user);
+  await adjustDiamonds(env, uid, mission.reward || 0, { reason: 'mission', ref: mission.id, actor: 'system', idempotencyKey: `mission:${doneKey}` });
   // track weekly earned points for stats
   const wk = weekKey();
   const psKey = `points_week:${uid}:${wk}`;
@@ -5812,10 +7970,7 @@ async function runLotteryPickAndReward(env, dateKey) {
   const shuffled = pool.slice().sort(() => Math.random() - 0.5);
   const winners = shuffled.slice(0, Math.min(cfg.winners, shuffled.length));
   for (const w of winners) {
-    const uKey = `user:${w}`;
-    const u = (await kvGetJson(env, uKey)) || { id: w, diamonds: 0 };
-    u.diamonds = (u.diamonds || 0) + cfg.reward_diamonds;
-    await kvPutJson(env, uKey, u);
+    await adjustDiamonds(env, w, cfg.reward_diamonds, { reason: 'lottery', ref: dateKey, actor: 'system', idempotencyKey: `lottery:${dateKey}` });
   }
   const hist = (await kvGetJson(env, 'lottery:hist')) || [];
   hist.unshift({ at: now(), dateKey, winners, reward_diamonds: cfg.reward_diamonds });
@@ -5828,21 +7983,23 @@ async function getLotteryHistory(env, limit = 20) {
 }
 
 /* -------------------- Aggregates for Admin Insights -------------------- */
+// The web panel computes these on every load, so they read at most the newest STATS_MAX_SCAN
+// purchases (as many as the old capped index held)
+const STATS_MAX_SCAN = 1000;
 async function computeTopPurchasers(env, limit = 5) {
   try {
-    const idx = (await kvGetJson(env, 'index:purchases')) || [];
     const map = new Map();
-    for (const id of idx) {
-      const p = await kvGetJson(env, `purchase:${id}`);
-      if (!p || p.status !== 'approved') continue;
+    await scanPurchases(env, purchaseIndexDeps(), (p) => {
+      if (!isPaidPurchase(p)) return false;
       const key = String(p.user_id);
       const acc = map.get(key) || { user_id: p.user_id, count: 0, diamonds: 0, amount: 0, last_at: 0 };
       acc.count += 1;
-      acc.diamonds += Number(p.diamonds || 0);
-      acc.amount += Number(p.price_toman || 0);
+      acc.diamonds += Number(p.diamonds || 0) - Number(p.refunded_diamonds || 0);
+      acc.amount += Number(p.price_toman || 0) - Number(p.refunded_toman || 0);
       acc.last_at = Math.max(acc.last_at || 0, Number(p.processed_at || p.updated_at || p.created_at || 0));
       map.set(key, acc);
-    }
+      return false;
+    }, { maxScan: STATS_MAX_SCAN });
     const all = Array.from(map.values());
     // Enrich with username
     for (const it of all) {
@@ -5885,15 +8042,14 @@ async function computeOverallStats(env) {
       totalReferrals += Number(u.referrals || 0);
     }
     // purchases aggregates
-    const idx = (await kvGetJson(env, 'index:purchases')) || [];
     let apprCount = 0, apprAmount = 0;
-    for (const id of idx) {
-      const p = await kvGetJson(env, `purchase:${id}`);
-      if (p && p.status === 'approved') {
+    const scan = await scanPurchases(env, purchaseIndexDeps(), (p) => {
+      if (isPaidPurchase(p)) {
         apprCount++;
-        apprAmount += Number(p.price_toman || 0);
+        apprAmount += Number(p.price_toman || 0) - Number(p.refunded_toman || 0);
       }
-    }
+      return false;
+    }, { maxScan: STATS_MAX_SCAN });
     const totalUsers = users.length;
     const avgDiamonds = totalUsers ? (totalDiamonds / totalUsers) : 0;
     return {
@@ -5905,13 +8061,96 @@ async function computeOverallStats(env) {
       avg_diamonds: Math.round(avgDiamonds),
       total_referrals: Math.round(totalReferrals),
       approved_purchases_count: apprCount,
-      approved_purchases_amount: Math.round(apprAmount)
+      approved_purchases_amount: Math.round(apprAmount),
+      purchases_truncated: scan.truncated
     };
   } catch (_) {
     return null;
   }
 }
-/* -------------------- Daily tasks (cron) -------------------- */
+/* -------------------- Scheduled tasks (cron) -------------------- */
+// Every trigger checks crypto invoices; the daily tasks run on the first trigger of each UTC day,
+// so a frequent trigger can be added without repeating backups or lottery draws.
+async function runScheduledTasks(env) {
+  try { await runCryptoPaymentCheck(env, cryptoPayDeps(env)); } catch (_) {}
+  try { await expireAbandonedPurchases(env); } catch (_) {}
+  try { await runPurchaseBackfill(env, purchaseIndexDeps()); } catch (_) {}
+  try { await runLocationHealth(env); } catch (_) {}
+  const today = dayKey();
+  if ((await kvGetJson(env, 'cron:daily:last')) === today) return;
+  await kvPutJson(env, 'cron:daily:last', today);
+  await runDailyTasks(env);
+}
+// The expired record may have moved on (a late crypto or gateway payment settles expired orders),
+// so the promo is released and recorded on fresh reads rather than on the record the cron saved
+async function releaseExpiredPurchasePromo(env, pid) {
+  const key = `purchase:${pid}`;
+  const p = await kvGetJson(env, key);
+  if (!p || p.status !== 'expired' || !p.promo) return;
+  await releasePurchasePromo(env, p);
+  if (!p.promo.released_at) return;
+  const fresh = await kvGetJson(env, key);
+  if (!fresh || fresh.status !== 'expired' || !fresh.promo) return;
+  fresh.promo.released_at = p.promo.released_at;
+  await kvPutJson(env, key, fresh);
+}
+async function expireAbandonedPurchases(env) {
+  const s = await getSettings(env);
+  await runPurchaseExpiry(env, {
+    ...purchaseIndexDeps(),
+    windowMs: s.purchase_expiry_hours * 60 * 60 * 1000,
+    expire: async (p) => {
+      if (p.promo) await releaseExpiredPurchasePromo(env, p.id);
+      const again = p.type === 'panel' ? { text: '🛍 خرید دوباره', callback_data: `PANEL:VIEW:${p.panel_id}` } : { text: '💳 خرید دوباره', callback_data: 'BUY_DIAMONDS' };
+      await tgApi('sendMessage', { chat_id: p.user_id, text: `⌛️ خرید ${p.id} (${p.type === 'panel' ? `پنل ${p.panel_title || ''}` : `${p.diamonds} الماس`}) چون در ${s.purchase_expiry_hours} ساعت پرداخت نشد، منقضی شد.\nاگر مبلغ را واریز کرده‌اید، با پشتیبانی تماس بگیرید.`, reply_markup: { inline_keyboard: [[again]] } });
+    }
+  });
+}
+/* ---- Location health checks (see health.js) ---- */
+const HEALTH_SERVICE_LABELS = { ovpn: 'OpenVPN', wg: 'WireGuard', dns: 'DNS' };
+async function healthSources(env) {
+  const cfg = await getDnsCidrConfig(env);
+  const wgBackends = await getWgBackendsConfig(env, kvGetJson);
+  return {
+    ovpnLocations: (cfg && cfg.OVPN && cfg.OVPN.locations) || {},
+    dnsServers: await listDnsServers(env, kvGetJson),
+    wgBackends,
+    // same countries as the WG menu, so those served by the `default` backend are probed too
+    wgCountries: wgBackendCountries(wgBackends, cidrCountries(cfg))
+  };
+}
+async function healthTargets(env) {
+  return collectHealthTargets(await healthSources(env));
+}
+// OVPN locations are toggled per host, the others per country
+function healthLocationText(service, code) {
+  const place = service === 'ovpn' ? code : `${countryFlag(code)} ${countryName(code)}`;
+  return `${HEALTH_SERVICE_LABELS[service] || service} — ${place}`;
+}
+// Runs on every trigger; health.js skips until its own interval has passed unless forced
+async function runLocationHealth(env, { force = false } = {}) {
+  const stats = await runHealthChecks(env, {
+    kvGetJson, kvPutJson, force,
+    targets: await healthTargets(env),
+    isDisabled: async (service, code) => isLocationDisabledCached(await getSettings(env), service, code),
+    // inventory servers carry their own health, which DNS allocation reads
+    onTarget: async (t, rec) => {
+      if (t.dns_server_id) await setDnsServerHealth(env, dnsServerDeps(), t.dns_server_id, rec.status, rec.status === 'down' ? rec.last_error : '');
+    }
+  });
+  if (!stats || !stats.changes.length) return stats;
+  const lines = stats.changes.map(c => {
+    const where = healthLocationText(c.service, c.location);
+    if (c.status === 'down') return `🔴 ${where}: از دسترس خارج شد${c.switched ? ' و خودکار غیرفعال شد.' : ' (از قبل غیرفعال بود).'}`;
+    if (c.removed) return `🟢 ${where}: دیگر پایش نمی‌شود و دوباره فعال شد.`;
+    return `🟢 ${where}: دوباره در دسترس است${c.switched ? ' و خودکار فعال شد.' : '.'}`;
+  });
+  const kb = { inline_keyboard: [[{ text: '🩺 پایش سرورها', callback_data: 'ADMIN:HEALTH' }]] };
+  for (const adminId of await getAdminIds(env)) {
+    try { await tgApi('sendMessage', { chat_id: adminId, text: `🩺 تغییر وضعیت سرورها:\n${lines.join('\n')}`, reply_markup: kb }); } catch (_) {}
+  }
+  return stats;
+}
 async function runDailyTasks(env) {
   try {
     // 1) Automatic KV backup to main admin
@@ -5936,6 +8175,33 @@ async function runDailyTasks(env) {
     const yKey = dayKey(yesterday.getTime());
     await runLotteryPickAndReward(env, yKey);
   } catch (_) {}
+
+  try {
+    // 3) Private-server subscriptions: reminders before expiry, release resources at expiry
+    const expiredLogins = [];
+    await runSubscriptionTasks(env, {
+      kvGetJson, kvPutJson, kvDelete,
+      remind: async (uid, item, daysLeft) => {
+        await tgApi('sendMessage', { chat_id: uid, text: `⏰ اشتراک ${serverEntryLabel(item)} ${daysLeft} روز دیگر منقضی می‌شود.\n⏳ اعتبار تا ${formatDate(item.expires_at)}`, reply_markup: { inline_keyboard: [[{ text: '🔁 تمدید', callback_data: `RENEW:${item.id}` }]] } });
+      },
+      expire: async (uid, item) => {
+        if (item.type === 'wg') await revokeWireguardEntry(env, item, { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr });
+        if ((item.type || 'dns') === 'dns' && item.server_id) await releaseDnsServer(env, dnsServerDeps(), item.server_id, item.seat || null);
+        if (item.type === 'ovpn') {
+          if (item.credential && await revokeOvpnCredential(env, ovpnPoolDeps(env), item.credential.pool, item.credential.username)) {
+            expiredLogins.push(`${item.credential.pool}: ${item.credential.username}`);
+          }
+          if (item.import_token) { try { await kvDelete(env, `ovpncfg:${item.import_token}`); } catch (_) {} }
+        }
+        await tgApi('sendMessage', { chat_id: uid, text: `⛔️ اشتراک ${serverEntryLabel(item)} منقضی شد و کانفیگ آن غیرفعال است.\nبا تمدید، کانفیگ دوباره برای شما ارسال می‌شود.`, reply_markup: { inline_keyboard: [[{ text: '🔁 تمدید', callback_data: `RENEW:${item.id}` }]] } });
+      }
+    });
+    // pooled OpenVPN logins can only be disabled on the servers by an admin
+    const adminIds = await getAdminIds(env);
+    if (expiredLogins.length && adminIds.length) {
+      await tgApi('sendMessage', { chat_id: adminIds[0], text: `⛔️ اعتبارنامه‌های OpenVPN منقضی‌شده (روی سرور غیرفعال کنید):\n${expiredLogins.slice(0, 100).join('\n')}` });
+    }
+  } catch (_) {}
 }
 
 /* -------------------- Gift codes -------------------- */
@@ -5974,9 +8240,8 @@ async function redeemGiftCode(env, uid, code) {
   const already = await kvGetJson(env, usedKey);
   if (already) return { ok: false, message: 'شما قبلا از این کد استفاده کرده‌اید.' };
   // credit diamonds
-  const user = (await kvGetJson(env, `user:${uid}`)) || { id: uid, diamonds: 0 };
-  user.diamonds = (user.diamonds || 0) + (meta.amount || 0);
-  await kvPutJson(env, `user:${uid}`, user);
+  const credited = await adjustDiamonds(env, uid, meta.amount || 0, { reason: 'gift', ref: meta.code, actor: uid, idempotencyKey: `gift:${meta.code}` });
+  if (!credited.ok) return { ok: false, message: credited.error === 'duplicate' ? 'شما قبلا از این کد استفاده کرده‌اید.' : 'خطا در ثبت تراکنش.' };
   // mark used
   await kvPutJson(env, usedKey, { used_at: now() });
   meta.used = (meta.used || 0) + 1;
@@ -6033,6 +8298,11 @@ async function getAdminIds(env) {
   if (Array.isArray(list) && list.length) return list.map(Number);
   return ADMIN_IDS.map(Number);
 }
+async function notifyAdmins(env, text, extra = {}) {
+  for (const adminId of await getAdminIds(env)) {
+    try { await tgApi('sendMessage', { chat_id: adminId, text, ...extra }); } catch (_) {}
+  }
+}
 async function setAdminIds(env, list) {
   await kvPutJson(env, 'bot:admins', list.map(Number));
 }
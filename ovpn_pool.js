@@ -0,0 +1,171 @@
+// OpenVPN credential pool: one username/password pair per sold profile instead of a shared login
+
+// One pool per OpenVPN template (credentials belong to the servers behind that template), in KV
+// `ovpn:pool:<templateId>`:
+//   { available: [{ username, password, added_at }],
+//     assigned: { <username>: { password, uid, entry_id, assigned_at } },
+//     revoked: [{ username, uid, entry_id, revoked_at }],
+//     low_stock: 10, alerted: false | 'low' | 'empty' }
+// A template without a pool record keeps using the credentials embedded in the template.
+// KV `ovpn:pool:<templateId>:claim:<username>` (one per pair ever handed out):
+//   { uid, entry_id, password, claimed_at, revoked_at? }
+// Updates of the pool record are queued per pool inside this isolate only, so another isolate may
+// write it back from an older copy. What keeps a pair with one buyer is its claim in the ClaimDO
+// (claims.js, scope 'ovpn:<templateId>', key = username): a pair is handed out only to the run that
+// won the claim, a returned pair has its claim released, and a revoked pair keeps it for good. The
+// KV claim record only tells who holds the pair when the pool record lost it. The revoked list is
+// never trimmed.
+
+import { claim, releaseClaim } from './claims.js';
+
+export const DEFAULT_LOW_STOCK = 10;
+
+const poolKey = (poolId) => `ovpn:pool:${poolId}`;
+const claimKey = (poolId, username) => `ovpn:pool:${poolId}:claim:${username}`;
+
+const QUEUES = new Map();
+function serialized(poolId, fn) {
+  const k = String(poolId);
+  const run = (QUEUES.get(k) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  QUEUES.set(k, tail);
+  tail.then(() => { if (QUEUES.get(k) === tail) QUEUES.delete(k); });
+  return run;
+}
+
+const claimScope = (poolId) => `ovpn:${poolId}`;
+
+// true when this run now holds the pair; false when it was claimed before (here or elsewhere).
+// Throws when the claim cannot be decided.
+async function claimCredential(env, { kvPutJson }, poolId, c, holder) {
+  const won = await claim(env, claimScope(poolId), c.username, `${holder.uid}:${holder.entry_id}`, { data: holder });
+  if (!won.won) return false;
+  try { await kvPutJson(env, claimKey(poolId, c.username), { ...holder, password: c.password, claimed_at: Date.now() }); } catch (_) {}
+  return true;
+}
+
+function emptyPool() {
+  return { available: [], assigned: {}, revoked: [], low_stock: DEFAULT_LOW_STOCK, alerted: false };
+}
+async function loadPool(env, kvGetJson, poolId) {
+  const p = await kvGetJson(env, poolKey(poolId));
+  return p ? { ...emptyPool(), ...p } : null;
+}
+
+export async function getOvpnPoolStats(env, kvGetJson, poolId) {
+  const p = await loadPool(env, kvGetJson, poolId);
+  if (!p) return null;
+  return { available: p.available.length, assigned: Object.keys(p.assigned).length, revoked: p.revoked.length, low_stock: p.low_stock };
+}
+
+// Accepts one pair per line as `user:pass`, `user,pass`, `user;pass` or `user pass`
+export function parseCredentialLines(text) {
+  const pairs = [];
+  let invalid = 0;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const m = line.match(/^([^\s:,;]+)\s*[:,;\s]\s*(\S+)$/);
+    if (!m) { invalid++; continue; }
+    pairs.push({ username: m[1], password: m[2] });
+  }
+  return { pairs, invalid };
+}
+
+// Returns { added, duplicates, invalid, available }
+export async function importOvpnCredentials(env, { kvGetJson, kvPutJson }, poolId, text) {
+  return serialized(poolId, async () => {
+    const pool = (await loadPool(env, kvGetJson, poolId)) || emptyPool();
+    const { pairs, invalid } = parseCredentialLines(text);
+    const known = new Set([...pool.available.map(c => c.username), ...Object.keys(pool.assigned), ...pool.revoked.map(c => c.username)]);
+    let added = 0; let duplicates = 0;
+    for (const c of pairs) {
+      if (known.has(c.username)) { duplicates++; continue; }
+      known.add(c.username);
+      pool.available.push({ ...c, added_at: Date.now() });
+      added++;
+    }
+    if (pool.available.length > pool.low_stock) pool.alerted = false;
+    else if (pool.available.length && pool.alerted === 'empty') pool.alerted = 'low';
+    await kvPutJson(env, poolKey(poolId), pool);
+    return { added, duplicates, invalid, available: pool.available.length };
+  });
+}
+
+export async function setOvpnPoolLowStock(env, { kvGetJson, kvPutJson }, poolId, n) {
+  return serialized(poolId, async () => {
+    const pool = (await loadPool(env, kvGetJson, poolId)) || emptyPool();
+    pool.low_stock = Math.max(0, Math.floor(Number(n) || 0));
+    pool.alerted = pool.available.length <= pool.low_stock ? pool.alerted : false;
+    await kvPutJson(env, poolKey(poolId), pool);
+  });
+}
+
+// Takes the oldest unused pair for a purchase.
+// Returns { credential } ; { credential: null, pooled: false } when the template has no pool;
+// { credential: null, pooled: true } when the pool is empty or no pair could be claimed.
+// onLowStock(stats) is called once when the pool drops to its threshold and once when it runs dry.
+export async function takeOvpnCredential(env, { kvGetJson, kvPutJson, onLowStock }, poolId, { uid, entryId }) {
+  const res = await serialized(poolId, async () => {
+    const pool = await loadPool(env, kvGetJson, poolId);
+    if (!pool) return { credential: null, pooled: false };
+    let c = null;
+    while (!c && pool.available.length) {
+      const next = pool.available.shift();
+      // a pair claimed elsewhere is only dropped from this copy of the list; when claims cannot be
+      // decided nothing is handed out and the record is left as it was
+      let won;
+      try { won = await claimCredential(env, { kvPutJson }, poolId, next, { uid, entry_id: entryId }); } catch (_) { return { credential: null, pooled: true, alert: false }; }
+      if (won) c = next;
+    }
+    if (!c) {
+      const alert = pool.alerted !== 'empty';
+      pool.alerted = 'empty';
+      await kvPutJson(env, poolKey(poolId), pool);
+      return { credential: null, pooled: true, alert, left: 0, low_stock: pool.low_stock };
+    }
+    pool.assigned[c.username] = { password: c.password, uid, entry_id: entryId, assigned_at: Date.now() };
+    const alert = pool.available.length <= pool.low_stock && !pool.alerted;
+    if (alert) pool.alerted = 'low';
+    await kvPutJson(env, poolKey(poolId), pool);
+    return { credential: { username: c.username, password: c.password }, pooled: true, alert, left: pool.available.length, low_stock: pool.low_stock };
+  });
+  if (res.alert && onLowStock) { try { await onLowStock({ poolId, left: res.left, low_stock: res.low_stock }); } catch (_) {} }
+  return { credential: res.credential, pooled: res.pooled };
+}
+
+// Puts a pair back (purchase failed after it was taken)
+export async function returnOvpnCredential(env, { kvGetJson, kvPutJson, kvDelete }, poolId, username) {
+  return serialized(poolId, async () => {
+    const pool = await loadPool(env, kvGetJson, poolId);
+    const claim = await kvGetJson(env, claimKey(poolId, username));
+    const a = (pool && pool.assigned[username]) || (claim && !claim.revoked_at ? claim : null);
+    if (!pool || !a || (claim && claim.revoked_at)) return false;
+    // the pair is offered again only once its claim is gone
+    try { await releaseClaim(env, claimScope(poolId), username); } catch (_) { return false; }
+    delete pool.assigned[username];
+    pool.available.unshift({ username, password: a.password, added_at: Date.now() });
+    await kvPutJson(env, poolKey(poolId), pool);
+    await kvDelete(env, claimKey(poolId, username));
+    return true;
+  });
+}
+
+// Marks an assigned pair as revoked; it keeps its ClaimDO claim, so it is never handed out again.
+// The KV claim record tells who holds the pair when a pool record written from an older copy lost
+// it from `assigned`.
+export async function revokeOvpnCredential(env, { kvGetJson, kvPutJson }, poolId, username) {
+  return serialized(poolId, async () => {
+    const pool = await loadPool(env, kvGetJson, poolId);
+    const claim = await kvGetJson(env, claimKey(poolId, username));
+    const a = (pool && pool.assigned[username]) || (claim && !claim.revoked_at ? claim : null);
+    if (!pool || !a) return false;
+    const revokedAt = Date.now();
+    delete pool.assigned[username];
+    pool.available = pool.available.filter(c => c.username !== username);
+    if (!pool.revoked.some(r => r.username === username)) pool.revoked.unshift({ username, uid: a.uid, entry_id: a.entry_id, revoked_at: revokedAt });
+    await kvPutJson(env, poolKey(poolId), pool);
+    await kvPutJson(env, claimKey(poolId, username), { ...(claim || { uid: a.uid, entry_id: a.entry_id }), revoked_at: revokedAt });
+    return true;
+  });
+}
@@ -0,0 +1,110 @@
+// OpenVPN templates: stored .ovpn bases with their own CA/cert/tls blocks, ciphers and credentials
+
+// KV `ovpn:templates` maps id -> { id, name, body, credentials: { username, password } | null, summary, created_at }.
+// `body` is a full client profile with {{HOST}}, {{PORT}}, {{PROTO}} and, when the profile
+// embeds credentials, {{AUTH_USER}} / {{AUTH_PASS}} placeholders.
+// A location (or a single server) in the OVPN config picks its template with `"template": "<id>"`;
+// without one the built-in profile from ovpn_template.js is used.
+
+import { OVPN_TEMPLATE } from './ovpn_template.js';
+
+const TEMPLATES_KEY = 'ovpn:templates';
+export const DEFAULT_OVPN_TEMPLATE_ID = 'default';
+
+const INLINE_BLOCKS = ['ca', 'cert', 'key', 'tls-crypt', 'tls-crypt-v2', 'tls-auth', 'extra-certs', 'pkcs12'];
+const CIPHER_DIRECTIVES = ['cipher', 'data-ciphers', 'data-ciphers-fallback', 'ncp-ciphers', 'auth', 'tls-cipher', 'tls-ciphersuites'];
+
+// Turns a client .ovpn into a template. Throws Error(<reason>) when the file is not usable.
+export function templateFromOvpn(text) {
+  let src = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (!/^\s*client\s*$/m.test(src) && !/^\s*tls-client\s*$/m.test(src)) throw new Error('not a client profile');
+  if (!/<ca>[\s\S]*?<\/ca>/.test(src) && !/^\s*ca\s+\S+/m.test(src)) throw new Error('missing CA');
+  if (/^\s*ca\s+\S+/m.test(src) && !/<ca>/.test(src)) throw new Error('CA must be inline (<ca> block)');
+
+  // credentials: pull them out of an inline block so they can be swapped per purchase
+  let credentials = null;
+  src = src.replace(/<auth-user-pass>\n?([\s\S]*?)<\/auth-user-pass>\n?/, (_, inner) => {
+    const lines = inner.split('\n').map(l => l.trim()).filter(Boolean);
+    if (lines.length >= 2) credentials = { username: lines[0], password: lines[1] };
+    return '<auth-user-pass>\n{{AUTH_USER}}\n{{AUTH_PASS}}\n</auth-user-pass>\n';
+  });
+
+  // one remote line with placeholders; the host/port come from the location config
+  const lines = src.split('\n');
+  const out = [];
+  let remoteSeen = false;
+  let protoSeen = false;
+  for (const line of lines) {
+    const t = line.trim();
+    if (/^remote\s+/.test(t)) {
+      if (!remoteSeen) out.push('remote {{HOST}} {{PORT}}');
+      remoteSeen = true;
+      continue;
+    }
+    if (/^remote-random\b/.test(t)) continue;
+    if (/^proto\s+/.test(t)) {
+      if (!protoSeen) out.push('proto {{PROTO}}');
+      protoSeen = true;
+      continue;
+    }
+    out.push(line);
+  }
+  if (!remoteSeen) throw new Error('missing remote line');
+  if (!protoSeen) {
+    const i = out.findIndex(l => l === 'remote {{HOST}} {{PORT}}');
+    out.splice(i + 1, 0, 'proto {{PROTO}}');
+  }
+  const body = out.join('\n').replace(/\n*$/, '\n');
+
+  const summary = {
+    blocks: INLINE_BLOCKS.filter(b => new RegExp(`<${b}>`).test(body)),
+    ciphers: body.split('\n').map(l => l.trim()).filter(l => CIPHER_DIRECTIVES.includes(l.split(/\s+/)[0])),
+    auth_user_pass: /^\s*auth-user-pass\b/m.test(body)
+  };
+  return { body, credentials, summary };
+}
+
+function builtinTemplate() {
+  const t = templateFromOvpn(OVPN_TEMPLATE);
+  return { id: DEFAULT_OVPN_TEMPLATE_ID, name: 'پیش‌فرض', ...t, builtin: true, created_at: 0 };
+}
+
+export async function listOvpnTemplates(env, kvGetJson) {
+  const stored = (await kvGetJson(env, TEMPLATES_KEY)) || {};
+  const all = { [DEFAULT_OVPN_TEMPLATE_ID]: builtinTemplate(), ...stored };
+  return Object.values(all);
+}
+export async function getOvpnTemplate(env, kvGetJson, id) {
+  const stored = (await kvGetJson(env, TEMPLATES_KEY)) || {};
+  if (id && stored[id]) return stored[id];
+  if (stored[DEFAULT_OVPN_TEMPLATE_ID]) return stored[DEFAULT_OVPN_TEMPLATE_ID];
+  return builtinTemplate();
+}
+export async function saveOvpnTemplate(env, kvGetJson, kvPutJson, tpl) {
+  const stored = (await kvGetJson(env, TEMPLATES_KEY)) || {};
+  stored[tpl.id] = tpl;
+  await kvPutJson(env, TEMPLATES_KEY, stored);
+}
+export async function deleteOvpnTemplate(env, kvGetJson, kvPutJson, id) {
+  const stored = (await kvGetJson(env, TEMPLATES_KEY)) || {};
+  if (!stored[id]) return false;
+  delete stored[id];
+  await kvPutJson(env, TEMPLATES_KEY, stored);
+  return true;
+}
+
+// Template id for a server: server entry, then its location, then the default
+export function ovpnTemplateIdFor(loc, server) {
+  return (server && server.template) || (loc && loc.template) || DEFAULT_OVPN_TEMPLATE_ID;
+}
+
+// credentials overrides the template's own pair (e.g. one allocated from a pool)
+export function renderOvpnTemplate(tpl, { host, port, proto, credentials }) {
+  const cred = credentials || tpl.credentials || { username: '', password: '' };
+  return String(tpl.body)
+    .replace(/\{\{HOST\}\}/g, String(host))
+    .replace(/\{\{PORT\}\}/g, String(port))
+    .replace(/\{\{PROTO\}\}/g, String(proto))
+    .replace(/\{\{AUTH_USER\}\}/g, String(cred.username || ''))
+    .replace(/\{\{AUTH_PASS\}\}/g, String(cred.password || ''));
+}
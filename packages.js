@@ -0,0 +1,126 @@
+// Diamond packages and payout cards: admin-managed sales catalog in KV
+
+// KV `pay:packages` maps id -> { id, diamonds, bonus_pct, price_toman, active, sort, starts_at, ends_at }
+//   starts_at / ends_at are optional ms timestamps bounding a sale; null means open-ended.
+// KV `pay:cards` holds { mode: 'rotate' | 'random', cards: [{ id, number, name, bank, active }] }
+//   rotate walks the active cards in order (cursor in `pay:cards:cursor`), random picks one per purchase.
+// Until an admin saves a catalog, the built-in defaults below are used.
+
+const PACKAGES_KEY = 'pay:packages';
+const CARDS_KEY = 'pay:cards';
+const CARD_CURSOR_KEY = 'pay:cards:cursor';
+
+export const DEFAULT_DIAMOND_PACKAGES = [
+  { id: 'd10', diamonds: 10, bonus_pct: 0, price_toman: 15000, active: true, sort: 1, starts_at: null, ends_at: null },
+  { id: 'd15', diamonds: 15, bonus_pct: 0, price_toman: 25000, active: true, sort: 2, starts_at: null, ends_at: null },
+  { id: 'd25', diamonds: 25, bonus_pct: 0, price_toman: 35000, active: true, sort: 3, starts_at: null, ends_at: null },
+  { id: 'd35', diamonds: 35, bonus_pct: 0, price_toman: 45000, active: true, sort: 4, starts_at: null, ends_at: null }
+];
+const DEFAULT_PAYOUT_CARDS = {
+  mode: 'rotate',
+  cards: [{ id: 'c1', number: '6219 8619 5014 5549', name: 'اورمان قنبری', bank: '', active: true }]
+};
+
+/* -------------------- Packages -------------------- */
+async function loadPackages(env, kvGetJson) {
+  const stored = await kvGetJson(env, PACKAGES_KEY);
+  if (stored && typeof stored === 'object') return stored;
+  return Object.fromEntries(DEFAULT_DIAMOND_PACKAGES.map(p => [p.id, { ...p }]));
+}
+
+// All packages, sorted for display
+export async function listDiamondPackages(env, kvGetJson) {
+  const all = Object.values(await loadPackages(env, kvGetJson));
+  return all.sort((a, b) => (Number(a.sort) || 0) - (Number(b.sort) || 0) || a.price_toman - b.price_toman);
+}
+export function isPackageOnSale(pkg, nowTs = Date.now()) {
+  if (!pkg || !pkg.active) return false;
+  if (pkg.starts_at && nowTs < pkg.starts_at) return false;
+  if (pkg.ends_at && nowTs >= pkg.ends_at) return false;
+  return true;
+}
+export async function listActiveDiamondPackages(env, kvGetJson, nowTs = Date.now()) {
+  return (await listDiamondPackages(env, kvGetJson)).filter(p => isPackageOnSale(p, nowTs));
+}
+export async function getDiamondPackage(env, kvGetJson, id) {
+  const all = await loadPackages(env, kvGetJson);
+  return all[id] || null;
+}
+// Diamonds credited for a package, bonus included
+export function packageTotalDiamonds(pkg) {
+  return Number(pkg.diamonds) + Math.floor(Number(pkg.diamonds) * (Number(pkg.bonus_pct) || 0) / 100);
+}
+
+// Package ids end up in callback_data, so keep them short
+export function isValidPackageId(id) {
+  return /^[a-z0-9_]{1,16}$/.test(String(id || ''));
+}
+// Turns admin JSON into a package; dates may be ISO strings or ms timestamps.
+// Returns { pkg } or { error }
+export function normalizePackage(id, obj) {
+  if (!obj || typeof obj !== 'object') return { error: 'package must be an object' };
+  const diamonds = Number(obj.diamonds);
+  const price = Number(obj.price_toman);
+  const bonus = obj.bonus_pct == null ? 0 : Number(obj.bonus_pct);
+  if (!(Number.isInteger(diamonds) && diamonds > 0)) return { error: 'diamonds must be a positive integer' };
+  if (!(Number.isInteger(price) && price >= 1000)) return { error: 'price_toman must be an integer >= 1000' };
+  if (!(Number.isFinite(bonus) && bonus >= 0 && bonus <= 500)) return { error: 'bonus_pct must be 0-500' };
+  const date = (v, name) => {
+    if (v == null || v === '') return { ok: null };
+    const t = typeof v === 'number' ? v : Date.parse(String(v));
+    return Number.isFinite(t) ? { ok: t } : { error: `bad ${name}` };
+  };
+  const s = date(obj.starts_at, 'starts_at');
+  const e = date(obj.ends_at, 'ends_at');
+  if (s.error || e.error) return { error: s.error || e.error };
+  if (s.ok && e.ok && e.ok <= s.ok) return { error: 'ends_at must be after starts_at' };
+  return { pkg: {
+    id, diamonds, bonus_pct: bonus, price_toman: price,
+    active: obj.active == null ? true : Boolean(obj.active),
+    sort: Number.isFinite(Number(obj.sort)) ? Number(obj.sort) : 0,
+    starts_at: s.ok, ends_at: e.ok
+  } };
+}
+export async function saveDiamondPackage(env, kvGetJson, kvPutJson, pkg) {
+  const all = await loadPackages(env, kvGetJson);
+  all[pkg.id] = pkg;
+  await kvPutJson(env, PACKAGES_KEY, all);
+}
+export async function deleteDiamondPackage(env, kvGetJson, kvPutJson, id) {
+  const all = await loadPackages(env, kvGetJson);
+  if (!all[id]) return false;
+  delete all[id];
+  await kvPutJson(env, PACKAGES_KEY, all);
+  return true;
+}
+
+/* -------------------- Payout cards -------------------- */
+export async function getPayoutCards(env, kvGetJson) {
+  const stored = await kvGetJson(env, CARDS_KEY);
+  if (!stored || !Array.isArray(stored.cards)) return { mode: DEFAULT_PAYOUT_CARDS.mode, cards: DEFAULT_PAYOUT_CARDS.cards.map(c => ({ ...c })) };
+  return { mode: stored.mode === 'random' ? 'random' : 'rotate', cards: stored.cards };
+}
+export async function setPayoutCards(env, kvPutJson, cfg) {
+  await kvPutJson(env, CARDS_KEY, { mode: cfg.mode, cards: cfg.cards });
+}
+// "6037 9911 2233 4455 | Name | Bank" -> card, or { error }
+export function parsePayoutCard(text) {
+  const [num, name, bank] = String(text || '').split('|').map(x => x.trim());
+  const digits = String(num || '').replace(/[\s-]/g, '');
+  if (!/^\d{16}$/.test(digits)) return { error: 'card number must have 16 digits' };
+  if (!name) return { error: 'card holder name is required' };
+  return { card: { number: digits.replace(/(\d{4})(?=\d)/g, '$1 '), name, bank: bank || '', active: true } };
+}
+// Card to show for a new purchase; null when no card is active
+export async function pickPayoutCard(env, { kvGetJson, kvPutJson }) {
+  const cfg = await getPayoutCards(env, kvGetJson);
+  const active = cfg.cards.filter(c => c.active);
+  if (!active.length) return null;
+  if (cfg.mode === 'random') return active[Math.floor(Math.random() * active.length)];
+  // Plain read-then-write, not atomic: purchases started at the same moment can read the same cursor
+  // and be shown the same card. That only skews the spread between cards for a moment; the card
+  // shown is stored on the purchase, so nothing else depends on the cursor being exact.
+  const cursor = Number(await kvGetJson(env, CARD_CURSOR_KEY)) || 0;
+  await kvPutJson(env, CARD_CURSOR_KEY, cursor + 1);
+  return active[cursor % active.length];
+}
@@ -0,0 +1,206 @@
+// Payment gateways: online payment for purchases (request -> redirect -> verify) via Zarinpal, IDPay or a mock
+
+// Gateway config lives in KV `pay:gateway`:
+//   { "type": "zarinpal", "merchant_id": "...", "sandbox": false }
+//   { "type": "idpay", "api_key": "...", "sandbox": true }
+//   { "type": "mock" }
+// Without a config (or with "disabled": true) only the manual card-to-card receipt flow is offered.
+// The mock gateway lets anyone mark their own order paid, so it only runs on deployments with the
+// dev-only variable DEV_MOCK_PAYMENTS=1; elsewhere a mock config counts as no gateway.
+//
+// Every gateway implements:
+//   request({ amountRial, orderId, description, callbackUrl }) -> { authority, payUrl }
+//   parseCallback(params) -> { authority, ok }        params: query string merged with POSTed form fields
+//   verify({ authority, amountRial, orderId }) -> { ok, refId?, cardPan?, error? }
+// verify() must be called server-side before crediting anything; the callback alone proves nothing.
+
+import { claim, releaseClaim } from './claims.js';
+
+const GATEWAY_KEY = 'pay:gateway';
+const GATEWAY_TYPES = ['zarinpal', 'idpay', 'mock'];
+const SETTLE_CLAIM_MS = 2 * 60 * 1000; // a settle that dies mid-way can be retried after this
+const SETTLED_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function mockPaymentsAllowed(env) {
+  return ['1', 'true'].includes(String((env && env.DEV_MOCK_PAYMENTS) || '').toLowerCase());
+}
+
+export async function getPaymentGatewayConfig(env, kvGetJson) {
+  return (await kvGetJson(env, GATEWAY_KEY)) || null;
+}
+export async function setPaymentGatewayConfig(env, kvPutJson, cfg) {
+  await kvPutJson(env, GATEWAY_KEY, cfg);
+}
+
+// Returns an error string or '' when ok
+export function validatePaymentGatewayConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object') return 'config must be an object';
+  if (!GATEWAY_TYPES.includes(cfg.type)) return `type must be one of ${GATEWAY_TYPES.join(', ')}`;
+  if (cfg.type === 'zarinpal' && !/^[0-9a-f-]{36}$/i.test(String(cfg.merchant_id || ''))) return 'zarinpal needs a 36-character merchant_id';
+  if (cfg.type === 'idpay' && !String(cfg.api_key || '').trim()) return 'idpay needs an api_key';
+  return '';
+}
+
+// deps: { kvGetJson, kvPutJson, baseUrl } — baseUrl is the worker origin (mock gateway page lives there)
+export async function getPaymentGateway(env, deps) {
+  const cfg = await getPaymentGatewayConfig(env, deps.kvGetJson);
+  if (!cfg || cfg.disabled || validatePaymentGatewayConfig(cfg)) return null;
+  if (cfg.type === 'zarinpal') return createZarinpalGateway(cfg);
+  if (cfg.type === 'idpay') return createIdpayGateway(cfg);
+  return mockPaymentsAllowed(env) ? createMockGateway(env, deps) : null;
+}
+
+// Runs settle() once per purchase however many callbacks or crypto matches arrive for it.
+// The money is safe without this: settle() credits with the idempotency key `purchase:<pid>`, which
+// the AccountDO applies once (manual approval uses the same key), and returns false when that credit
+// was a duplicate so nothing is announced twice. The ClaimDO claim (claims.js, scope 'pay', key pid)
+// keeps concurrent duplicates from running settle() at all; it is released when settle() throws and
+// kept for SETTLED_MS once done. isPaid(purchase) is checked on a fresh read after the claim. When
+// the claim cannot be decided settle() runs anyway and relies on the credit's key.
+// Returns true when this call settled. deps: { kvGetJson, isPaid }
+export async function settlePaymentOnce(env, { kvGetJson, isPaid }, pid, settle) {
+  const token = `${Date.now()}:${Math.random().toString(36).slice(2)}`;
+  let claimed = false;
+  try {
+    if (!(await claim(env, 'pay', pid, token, { ttlMs: SETTLE_CLAIM_MS })).won) return false;
+    claimed = true;
+  } catch (_) {}
+  const done = async () => {
+    if (claimed) { try { await claim(env, 'pay', pid, token, { ttlMs: SETTLED_MS }); } catch (_) {} }
+  };
+  const fresh = await kvGetJson(env, `purchase:${pid}`);
+  if (fresh && isPaid(fresh)) { await done(); return false; }
+  let settled;
+  try {
+    settled = await settle();
+  } catch (e) {
+    if (claimed) { try { await releaseClaim(env, 'pay', pid, token); } catch (_) {} }
+    throw e;
+  }
+  await done();
+  return settled !== false;
+}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers }, body: JSON.stringify(body) });
+  let j = null;
+  try { j = await res.json(); } catch (_) {}
+  return { status: res.status, body: j };
+}
+
+/* -------------------- Zarinpal (v4) -------------------- */
+// Callback: GET ?Authority=...&Status=OK|NOK ; verify code 100 = verified now, 101 = verified before
+function createZarinpalGateway(cfg) {
+  const host = cfg.sandbox ? 'https://sandbox.zarinpal.com' : 'https://payment.zarinpal.com';
+  return {
+    type: 'zarinpal',
+    async request({ amountRial, orderId, description, callbackUrl }) {
+      const { body } = await postJson(`${host}/pg/v4/payment/request.json`, {
+        merchant_id: cfg.merchant_id, amount: amountRial, callback_url: callbackUrl, description, metadata: { order_id: String(orderId) }
+      });
+      const d = body && body.data;
+      if (!d || d.code !== 100 || !d.authority) throw new Error(`zarinpal_request_${(body && body.errors && body.errors.code) || 'failed'}`);
+      return { authority: String(d.authority), payUrl: `${host}/pg/StartPay/${d.authority}` };
+    },
+    parseCallback(params) {
+      return { authority: String(params.Authority || ''), ok: params.Status === 'OK' };
+    },
+    async verify({ authority, amountRial }) {
+      const { body } = await postJson(`${host}/pg/v4/payment/verify.json`, { merchant_id: cfg.merchant_id, amount: amountRial, authority });
+      const d = body && body.data;
+      if (d && (d.code === 100 || d.code === 101)) return { ok: true, refId: String(d.ref_id || ''), cardPan: d.card_pan || '' };
+      return { ok: false, error: `zarinpal_${(body && body.errors && body.errors.code) || 'verify_failed'}` };
+    }
+  };
+}
+
+/* -------------------- IDPay (v1.1) -------------------- */
+// Callback: POST (or GET) with status, id, order_id; status 10 = waiting for verify.
+// Verify status 100 = verified now, 101 = verified before.
+function createIdpayGateway(cfg) {
+  const base = 'https://api.idpay.ir/v1.1';
+  const headers = { 'X-API-KEY': cfg.api_key, ...(cfg.sandbox ? { 'X-SANDBOX': '1' } : {}) };
+  return {
+    type: 'idpay',
+    async request({ amountRial, orderId, description, callbackUrl }) {
+      const { status, body } = await postJson(`${base}/payment`, { order_id: String(orderId), amount: amountRial, callback: callbackUrl, desc: description }, headers);
+      if (status !== 201 || !body || !body.id || !body.link) throw new Error(`idpay_request_${(body && body.error_code) || status}`);
+      return { authority: String(body.id), payUrl: String(body.link) };
+    },
+    parseCallback(params) {
+      return { authority: String(params.id || ''), ok: Number(params.status) === 10 };
+    },
+    async verify({ authority, amountRial, orderId }) {
+      const { status, body } = await postJson(`${base}/payment/verify`, { id: authority, order_id: String(orderId) }, headers);
+      if (status === 200 && body && (Number(body.status) === 100 || Number(body.status) === 101)) {
+        if (Number(body.amount) !== Number(amountRial)) return { ok: false, error: 'idpay_amount_mismatch' };
+        return { ok: true, refId: String(body.track_id || ''), cardPan: (body.payment && body.payment.card_no) || '' };
+      }
+      return { ok: false, error: `idpay_${(body && body.error_code) || status}` };
+    }
+  };
+}
+
+/* -------------------- Mock gateway -------------------- */
+// Local stand-in for development and tests: payUrl is a page on this worker (/pay/mock/<authority>)
+// with "pay" and "cancel" links. Transactions live in KV `pay:mock:<authority>`.
+function createMockGateway(env, { kvGetJson, kvPutJson, baseUrl }) {
+  return {
+    type: 'mock',
+    async request({ amountRial, orderId, callbackUrl }) {
+      const authority = `M${Date.now()}${Math.floor(Math.random() * 1e6)}`;
+      await kvPutJson(env, `pay:mock:${authority}`, { amount: amountRial, order_id: String(orderId), callback_url: callbackUrl, paid: false, created_at: Date.now() }, { expirationTtl: 86400 });
+      return { authority, payUrl: `${baseUrl}/pay/mock/${authority}` };
+    },
+    parseCallback(params) {
+      return { authority: String(params.Authority || ''), ok: params.Status === 'OK' };
+    },
+    async verify({ authority, amountRial, orderId }) {
+      const tx = await kvGetJson(env, `pay:mock:${authority}`);
+      if (!tx || !tx.paid) return { ok: false, error: 'mock_not_paid' };
+      if (Number(tx.amount) !== Number(amountRial) || tx.order_id !== String(orderId)) return { ok: false, error: 'mock_mismatch' };
+      return { ok: true, refId: `MOCK-${authority.slice(-6)}`, cardPan: '6037-99**-****-0000' };
+    }
+  };
+}
+
+// GET /pay/mock/<authority>[?action=pay|cancel]; only served while the mock gateway is configured
+// and allowed (mockPaymentsAllowed)
+export async function handleMockGatewayPage(env, url, { kvGetJson, kvPutJson }) {
+  if (!mockPaymentsAllowed(env)) return new Response('Not Found', { status: 404 });
+  const cfg = await getPaymentGatewayConfig(env, kvGetJson);
+  if (!cfg || cfg.type !== 'mock' || cfg.disabled) return new Response('Not Found', { status: 404 });
+  const authority = url.pathname.split('/pay/mock/')[1] || '';
+  if (!/^M\d{6,30}$/.test(authority)) return new Response('Not Found', { status: 404 });
+  const key = `pay:mock:${authority}`;
+  const tx = await kvGetJson(env, key);
+  if (!tx) return new Response('Not Found', { status: 404 });
+  const action = url.searchParams.get('action');
+  if (action === 'pay' || action === 'cancel') {
+    if (action === 'pay') { tx.paid = true; await kvPutJson(env, key, tx, { expirationTtl: 86400 }); }
+    const back = new URL(tx.callback_url);
+    back.searchParams.set('Authority', authority);
+    back.searchParams.set('Status', action === 'pay' ? 'OK' : 'NOK');
+    return Response.redirect(back.toString(), 302);
+  }
+  const html = `<!doctype html><html lang="fa" dir="rtl"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>درگاه آزمایشی</title></head>
+  <body style="font-family:sans-serif;text-align:center;padding:40px">
+  <h2>درگاه پرداخت آزمایشی</h2>
+  <p>مبلغ: ${Number(tx.amount).toLocaleString('fa-IR')} ریال — سفارش ${tx.order_id}</p>
+  <p><a href="?action=pay">✅ پرداخت موفق</a> &nbsp; | &nbsp; <a href="?action=cancel">❌ انصراف</a></p>
+  </body></html>`;
+  return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+// Callback params: query string plus form/JSON body for gateways that POST back
+export async function readCallbackParams(request, url) {
+  const params = Object.fromEntries(url.searchParams.entries());
+  if (request.method === 'POST') {
+    const ct = request.headers.get('content-type') || '';
+    try {
+      if (ct.includes('application/json')) Object.assign(params, await request.json());
+      else Object.assign(params, Object.fromEntries((await request.formData()).entries()));
+    } catch (_) {}
+  }
+  return params;
+}
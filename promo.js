@@ -0,0 +1,178 @@
+// Promo codes: checkout discounts and bonus diamonds applied to a purchase before it is paid
+
+// KV `promo:<CODE>`:
+//   { code, kind: 'percent' | 'amount' | 'bonus', value, applies_to: 'all' | 'diamonds' | 'panel',
+//     max_uses, used, per_user_once, expires_at, min_price_toman, first_purchase_only, disabled, created_at }
+//   percent: value% off the price; amount: value toman off; bonus: value extra diamonds (diamond packages only).
+//   max_uses 0 means unlimited; expires_at is a ms timestamp or null.
+// KV `promo:index` lists codes, newest first (KV has no listing here).
+// KV `promoused:<CODE>:<uid>` -> { pid, at }: the purchase holding this user's use of the code.
+// KV `promohold:<CODE>:<pid>` -> { uid, slot, at }: the use held by one purchase.
+// For codes with max_uses each use holds one of max_uses places in the ClaimDO set `<created_at>`
+// (claims.js, scope 'promo:<CODE>', holder = pid; slot is that set's name), so the limit does not
+// rest on a KV counter. Holds from before the ClaimDO carry a slot number and a KV
+// `promoslot:<CODE>:<created_at>:<n>` record, which is deleted when they are released.
+// A use is reserved when the code is applied at checkout and released again when that purchase is
+// rejected or abandoned. `used` counts codes on live or paid purchases for the admin list; it is a
+// plain read-modify-write and may drift under concurrent checkouts, so nothing is enforced with it.
+
+import { takeSlot, returnSlot } from './claims.js';
+
+const INDEX_KEY = 'promo:index';
+export const PROMO_KINDS = ['percent', 'amount', 'bonus'];
+const PROMO_TARGETS = ['all', 'diamonds', 'panel'];
+// gateways refuse tiny amounts, so a discount never takes the price below this
+export const MIN_PROMO_PRICE_TOMAN = 1000;
+
+const promoKey = (code) => `promo:${code}`;
+const usedKey = (code, uid) => `promoused:${code}:${uid}`;
+const holdKey = (code, pid) => `promohold:${code}:${pid}`;
+// created_at keeps a deleted and re-created code from seeing the old code's slots
+const slotKey = (promo, n) => `promoslot:${promo.code}:${promo.created_at || 0}:${n}`;
+const slotScope = (code) => `promo:${code}`;
+const slotSet = (promo) => String(promo.created_at || 0);
+
+export function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+export function isValidPromoCode(code) {
+  return /^[A-Z0-9-]{3,24}$/.test(code);
+}
+
+// Turns admin JSON into a promo record; expires_at may be an ISO string or ms timestamp.
+// Returns { promo } or { error }
+export function normalizePromo(obj) {
+  if (!obj || typeof obj !== 'object') return { error: 'promo must be an object' };
+  const code = normalizePromoCode(obj.code);
+  if (!isValidPromoCode(code)) return { error: 'code must be 3-24 of A-Z, 0-9 or -' };
+  if (!PROMO_KINDS.includes(obj.kind)) return { error: `kind must be one of ${PROMO_KINDS.join(', ')}` };
+  const value = Number(obj.value);
+  if (!(Number.isInteger(value) && value > 0)) return { error: 'value must be a positive integer' };
+  if (obj.kind === 'percent' && value > 90) return { error: 'percent value must be 1-90' };
+  const appliesTo = obj.applies_to == null ? (obj.kind === 'bonus' ? 'diamonds' : 'all') : String(obj.applies_to);
+  if (!PROMO_TARGETS.includes(appliesTo)) return { error: `applies_to must be one of ${PROMO_TARGETS.join(', ')}` };
+  if (obj.kind === 'bonus' && appliesTo !== 'diamonds') return { error: 'bonus codes only apply to diamonds' };
+  const maxUses = obj.max_uses == null ? 0 : Number(obj.max_uses);
+  if (!(Number.isInteger(maxUses) && maxUses >= 0)) return { error: 'max_uses must be an integer >= 0' };
+  const minPrice = obj.min_price_toman == null ? 0 : Number(obj.min_price_toman);
+  if (!(Number.isInteger(minPrice) && minPrice >= 0)) return { error: 'min_price_toman must be an integer >= 0' };
+  let expiresAt = null;
+  if (obj.expires_at != null && obj.expires_at !== '') {
+    expiresAt = typeof obj.expires_at === 'number' ? obj.expires_at : Date.parse(String(obj.expires_at));
+    if (!Number.isFinite(expiresAt)) return { error: 'bad expires_at' };
+  }
+  return { promo: {
+    code, kind: obj.kind, value, applies_to: appliesTo,
+    max_uses: maxUses,
+    per_user_once: obj.per_user_once == null ? true : Boolean(obj.per_user_once),
+    expires_at: expiresAt,
+    min_price_toman: minPrice,
+    first_purchase_only: Boolean(obj.first_purchase_only),
+    disabled: Boolean(obj.disabled)
+  } };
+}
+
+export async function getPromo(env, kvGetJson, code) {
+  const c = normalizePromoCode(code);
+  return isValidPromoCode(c) ? await kvGetJson(env, promoKey(c)) : null;
+}
+export async function listPromos(env, kvGetJson, limit = 50) {
+  const idx = (await kvGetJson(env, INDEX_KEY)) || [];
+  const out = [];
+  for (const c of idx.slice(0, limit)) {
+    const p = await kvGetJson(env, promoKey(c));
+    if (p) out.push(p);
+  }
+  return out;
+}
+// Saving an existing code keeps its usage counter
+export async function savePromo(env, { kvGetJson, kvPutJson }, promo) {
+  const prev = await kvGetJson(env, promoKey(promo.code));
+  const rec = { ...promo, used: prev ? (prev.used || 0) : 0, created_at: prev ? prev.created_at : Date.now() };
+  await kvPutJson(env, promoKey(promo.code), rec);
+  const idx = (await kvGetJson(env, INDEX_KEY)) || [];
+  if (!idx.includes(promo.code)) { idx.unshift(promo.code); await kvPutJson(env, INDEX_KEY, idx); }
+  return rec;
+}
+export async function deletePromo(env, { kvGetJson, kvPutJson, kvDelete }, code) {
+  const c = normalizePromoCode(code);
+  await kvDelete(env, promoKey(c));
+  const idx = (await kvGetJson(env, INDEX_KEY)) || [];
+  await kvPutJson(env, INDEX_KEY, idx.filter(x => x !== c));
+}
+
+// Code-level checks against a purchase (price before any discount). The per-user check needs KV
+// and is done by the caller with getPromoUse(); max_uses is enforced by reservePromoUse().
+// Returns a user-facing error or '' when ok.
+export function checkPromo(promo, purchase, { hasPaidBefore = false, nowTs = Date.now() } = {}) {
+  if (!promo || promo.disabled) return 'کد تخفیف نامعتبر است.';
+  if (promo.expires_at && nowTs >= promo.expires_at) return 'مهلت استفاده از این کد تمام شده است.';
+  const isPanel = purchase.type === 'panel';
+  if (promo.applies_to === 'panel' && !isPanel) return 'این کد فقط برای خرید پنل است.';
+  if (promo.applies_to === 'diamonds' && isPanel) return 'این کد فقط برای خرید الماس است.';
+  if (promo.min_price_toman && Number(purchase.price_toman || 0) < promo.min_price_toman) {
+    return `این کد برای خریدهای ${promo.min_price_toman.toLocaleString('fa-IR')} تومان به بالا است.`;
+  }
+  if (promo.first_purchase_only && hasPaidBefore) return 'این کد فقط برای اولین خرید است.';
+  return '';
+}
+
+// New price and diamonds for a purchase; percent and amount discounts stop at MIN_PROMO_PRICE_TOMAN
+export function computePromo(promo, purchase) {
+  const price = Number(purchase.price_toman || 0);
+  let discount = 0;
+  let bonus = 0;
+  if (promo.kind === 'percent') discount = Math.floor(price * promo.value / 100);
+  else if (promo.kind === 'amount') discount = promo.value;
+  else bonus = promo.value;
+  discount = Math.max(0, Math.min(discount, price - MIN_PROMO_PRICE_TOMAN));
+  return {
+    price_toman: price - discount,
+    diamonds: purchase.type === 'panel' ? purchase.diamonds : Number(purchase.diamonds || 0) + bonus,
+    discount_toman: discount,
+    bonus_diamonds: bonus
+  };
+}
+
+export async function getPromoUse(env, kvGetJson, code, uid) {
+  return await kvGetJson(env, usedKey(code, uid));
+}
+// Counts one use for purchase pid; false when the code has no free use left.
+// A purchase that already holds a use keeps it. Throws when a limited code's place cannot be decided.
+export async function reservePromoUse(env, { kvGetJson, kvPutJson }, code, uid, pid) {
+  const promo = await kvGetJson(env, promoKey(code));
+  if (!promo) return false;
+  if (await kvGetJson(env, holdKey(code, pid))) return true;
+  let slot = null;
+  if (promo.max_uses) {
+    if (!(await takeSlot(env, slotScope(code), slotSet(promo), pid, promo.max_uses)).ok) return false;
+    slot = slotSet(promo);
+  }
+  await kvPutJson(env, holdKey(code, pid), { uid, slot, at: Date.now() });
+  await kvPutJson(env, usedKey(code, uid), { pid, at: Date.now() });
+  await addUsed(env, { kvGetJson, kvPutJson }, code, 1);
+  return true;
+}
+async function addUsed(env, { kvGetJson, kvPutJson }, code, delta) {
+  const promo = await kvGetJson(env, promoKey(code));
+  if (!promo) return;
+  promo.used = Math.max(0, (promo.used || 0) + delta);
+  await kvPutJson(env, promoKey(code), promo);
+}
+// Gives back the use held by purchase pid (rejected or abandoned purchase); nothing happens when pid
+// holds no use of this code. The hold stays when its place cannot be given back.
+export async function releasePromoUse(env, { kvGetJson, kvPutJson, kvDelete }, code, uid, pid) {
+  const use = await kvGetJson(env, usedKey(code, uid));
+  if (use && String(use.pid) === String(pid)) await kvDelete(env, usedKey(code, uid));
+  const hold = await kvGetJson(env, holdKey(code, pid));
+  if (!hold || String(hold.uid) !== String(uid)) return;
+  const promo = await kvGetJson(env, promoKey(code));
+  if (typeof hold.slot === 'string') {
+    try { await returnSlot(env, slotScope(code), hold.slot, pid); } catch (_) { return; }
+  } else if (promo && hold.slot != null) {
+    const slot = await kvGetJson(env, slotKey(promo, hold.slot));
+    if (slot && slot.pid === String(pid)) await kvDelete(env, slotKey(promo, hold.slot));
+  }
+  await kvDelete(env, holdKey(code, pid));
+  await addUsed(env, { kvGetJson, kvPutJson }, code, -1);
+}
@@ -0,0 +1,324 @@
+// Purchases: lifecycle of purchase:<id> records and the time-bucketed purchase index
+
+// Lifecycle: awaiting_receipt -> pending_review -> approved | rejected; approved -> refunded (admin reversal)
+//            panels: pending_review -> paid (payment approved) -> delivered (admin sent it through the bot);
+//            paid and delivered can be refunded like approved
+//            rejected -> pending_review (the user re-uploads a receipt, up to MAX_RECEIPT_UPLOADS in main.js)
+//            awaiting_receipt -> expired (nobody paid within the expiry window; see runPurchaseExpiry)
+// Index: one bucket per UTC month of created_at, `purchases:idx:<YYYYMM>` -> [id, ...] newest first,
+// and `purchases:idx:months` -> ['202610', ...] newest first. Nothing is ever cut off.
+// The old capped `index:purchases` list is moved as-is into a trailing `legacy` bucket the first
+// time the index is touched (no purchase reads needed).
+// KV `user:<uid>:purchases` -> [id, ...] newest first, for the user's own history. Purchases made
+// before it existed are added by the backfill below to `user:<uid>:purchases:old` (also newest
+// first, all older than the ones in the main list); listUserPurchases shows both.
+// KV `purchases:open` -> [{ id, created_at }] purchases that may still be awaiting_receipt; only the
+// expiry cron reads it, and entries that moved on are dropped there.
+// KV `user:<uid>:paid` -> ts once the user has a paid purchase (first_purchase_only promo codes).
+// KV `purchases:backfill` -> { bucket, seen, done }: a one-off cron pass over the whole index, oldest
+// first, that fills the per-user keys for purchases made before they were kept.
+
+import { claim, releaseClaim } from './claims.js';
+
+export const PURCHASE_STATUSES = ['awaiting_receipt', 'pending_review', 'approved', 'paid', 'delivered', 'rejected', 'expired', 'refunded'];
+// money was received and kept: diamond purchases end at approved, panels at paid / delivered
+export const PAID_STATUSES = ['approved', 'paid', 'delivered'];
+export function isPaidPurchase(p) {
+  return Boolean(p) && PAID_STATUSES.includes(p.status);
+}
+export const DEFAULT_PURCHASE_EXPIRY_HOURS = 48;
+const MONTHS_KEY = 'purchases:idx:months';
+const OPEN_KEY = 'purchases:open';
+const LEGACY_KEY = 'index:purchases';
+const LEGACY_BUCKET = 'legacy';
+const USER_KEEP = 500;
+// purchase records loaded per expiry run; the rest wait for the next trigger
+const EXPIRY_BATCH = 100;
+const BACKFILL_KEY = 'purchases:backfill';
+const BACKFILL_BATCH = 200;
+
+const bucketKey = (month) => `purchases:idx:${month}`;
+function monthKeyUtc(ts) {
+  const d = new Date(ts);
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// Months list, migrating the legacy index on first use
+async function loadMonths(env, { kvGetJson, kvPutJson, kvDelete }) {
+  const months = await kvGetJson(env, MONTHS_KEY);
+  if (Array.isArray(months)) return months;
+  const legacy = (await kvGetJson(env, LEGACY_KEY)) || [];
+  const next = [];
+  if (legacy.length) {
+    await kvPutJson(env, bucketKey(LEGACY_BUCKET), legacy);
+    next.push(LEGACY_BUCKET);
+    // created_at unknown without reading each record; 0 makes the cron check them on its next runs
+    const open = (await kvGetJson(env, OPEN_KEY)) || [];
+    await kvPutJson(env, OPEN_KEY, [...open, ...legacy.map(id => ({ id, created_at: 0 }))]);
+  }
+  await kvPutJson(env, MONTHS_KEY, next);
+  if (legacy.length) { try { await kvDelete(env, LEGACY_KEY); } catch (_) {} }
+  return next;
+}
+
+// Call once when a purchase record is first stored
+export async function indexPurchase(env, deps, p) {
+  const { kvGetJson, kvPutJson } = deps;
+  const month = monthKeyUtc(p.created_at || Date.now());
+  const months = await loadMonths(env, deps);
+  if (!months.includes(month)) {
+    // keep newest first; the legacy bucket always stays last
+    const dated = months.filter(m => m !== LEGACY_BUCKET);
+    dated.push(month);
+    dated.sort((a, b) => b.localeCompare(a));
+    await kvPutJson(env, MONTHS_KEY, months.includes(LEGACY_BUCKET) ? [...dated, LEGACY_BUCKET] : dated);
+  }
+  const ids = (await kvGetJson(env, bucketKey(month))) || [];
+  if (!ids.includes(p.id)) { ids.unshift(p.id); await kvPutJson(env, bucketKey(month), ids); }
+  const userKey = `user:${p.user_id}:purchases`;
+  const mine = (await kvGetJson(env, userKey)) || [];
+  if (!mine.includes(p.id)) { mine.unshift(p.id); await kvPutJson(env, userKey, mine.slice(0, USER_KEEP)); }
+  if (p.status === 'awaiting_receipt') {
+    const open = (await kvGetJson(env, OPEN_KEY)) || [];
+    open.push({ id: p.id, created_at: p.created_at || Date.now() });
+    await kvPutJson(env, OPEN_KEY, open);
+  }
+}
+
+// Walks purchases newest first. visit(p) returns true to stop.
+// Options: maxScan caps how many records are read (null = all).
+// Returns { scanned, truncated } (truncated: maxScan was reached before the end of the index)
+export async function scanPurchases(env, deps, visit, { maxScan = null } = {}) {
+  const months = await loadMonths(env, deps);
+  let scanned = 0;
+  for (const m of months) {
+    const ids = (await deps.kvGetJson(env, bucketKey(m))) || [];
+    for (const id of ids) {
+      if (maxScan != null && scanned >= maxScan) return { scanned, truncated: true };
+      scanned++;
+      const p = await deps.kvGetJson(env, `purchase:${id}`);
+      if (p && await visit(p)) return { scanned, truncated: false };
+    }
+  }
+  return { scanned, truncated: false };
+}
+
+// A user's purchases, newest first. Returns { items, total }
+export async function listUserPurchases(env, { kvGetJson }, uid, { offset = 0, limit = 10 } = {}) {
+  const recent = (await kvGetJson(env, `user:${uid}:purchases`)) || [];
+  const old = (await kvGetJson(env, `user:${uid}:purchases:old`)) || [];
+  const ids = [...recent, ...old.filter(id => !recent.includes(id))].slice(0, USER_KEEP);
+  const items = [];
+  for (const id of ids.slice(offset, offset + limit)) {
+    const p = await kvGetJson(env, `purchase:${id}`);
+    if (p) items.push(p);
+  }
+  return { items, total: ids.length };
+}
+
+// One page of purchases matching filter(p), newest first. Returns { items, hasMore }
+export async function listPurchasesPage(env, deps, { filter = () => true, page = 0, pageSize = 10 } = {}) {
+  const items = [];
+  let matched = 0;
+  let hasMore = false;
+  await scanPurchases(env, deps, (p) => {
+    if (!filter(p)) return false;
+    if (matched >= page * pageSize) {
+      if (items.length === pageSize) { hasMore = true; return true; }
+      items.push(p);
+    }
+    matched++;
+    return false;
+  });
+  return { items, hasMore };
+}
+
+// Review: the first admin to claim a pending_review purchase holds it for REVIEW_CLAIM_TTL_MS (each
+// action by the holder extends it). The claim is decided by the ClaimDO (claims.js, scope 'review',
+// key = purchase id, owner = admin id); purchase.review = { by, name, at, until } only shows it.
+// Claims, releases and decisions go to purchase.audit as { action, by, name, at, note }.
+export const REVIEW_CLAIM_TTL_MS = 30 * 60 * 1000;
+export function reviewHolder(p, nowTs = Date.now()) {
+  const r = p && p.review;
+  return r && r.by && nowTs < (r.until || r.at + REVIEW_CLAIM_TTL_MS) ? r : null;
+}
+export function auditPurchase(p, action, by, name, note = '', at = Date.now()) {
+  p.audit = [...(p.audit || []), { action, by, name, at, note }].slice(-50);
+}
+// Claims the review of p for admin { id, name } and refreshes p from a fresh read.
+// Returns { ok: true }; { ok: false, holder } when another admin holds it; { ok: false, error }
+// with 'decided' when the fresh record is no longer pending_review, 'unavailable' when the claim
+// could not be decided. deps: { kvGetJson, kvPutJson }
+export async function takePurchaseReview(env, { kvGetJson, kvPutJson }, p, admin) {
+  let c;
+  try {
+    c = await claim(env, 'review', p.id, admin.id, { ttlMs: REVIEW_CLAIM_TTL_MS, data: { name: admin.name } });
+  } catch (_) { return { ok: false, error: 'unavailable' }; }
+  if (!c.won) return { ok: false, holder: { by: c.owner, name: (c.data && c.data.name) || '-', at: c.at } };
+  const key = `purchase:${p.id}`;
+  const fresh = await kvGetJson(env, key);
+  if (fresh) { for (const k of Object.keys(p)) delete p[k]; Object.assign(p, fresh); }
+  if (!fresh || fresh.status !== 'pending_review') {
+    try { await releaseClaim(env, 'review', p.id, admin.id); } catch (_) {}
+    return { ok: false, error: 'decided' };
+  }
+  const held = reviewHolder(p);
+  const nowTs = Date.now();
+  p.review = { by: admin.id, name: admin.name, at: c.at, until: nowTs + REVIEW_CLAIM_TTL_MS };
+  if (!held || String(held.by) !== String(admin.id)) auditPurchase(p, 'claim', admin.id, admin.name, '', nowTs);
+  await kvPutJson(env, key, p);
+  return { ok: true };
+}
+// Gives the review back: with an admin only when that admin holds it (false otherwise); without one
+// (a decision was made) always, a claim left behind lapses with its ttl. The caller saves p.
+export async function releasePurchaseReview(env, p, admin = null) {
+  try {
+    if (!(await releaseClaim(env, 'review', p.id, admin ? admin.id : null)) && admin) return false;
+  } catch (_) {
+    if (admin) return false;
+  }
+  if (admin) auditPurchase(p, 'release', admin.id, admin.name);
+  p.review = null;
+  return true;
+}
+
+// Delivery: a paid panel purchase becomes delivered when an admin sends the panel through the bot.
+// Sending again replaces p.delivery and keeps it delivered; each send is in the audit trail.
+export function canDeliverPurchase(p) {
+  return Boolean(p) && p.type === 'panel' && ['paid', 'delivered'].includes(p.status);
+}
+// Records the delivery on p; the caller audits and saves p. Returns true when it replaces an earlier one
+export function markPurchaseDelivered(p, delivery, admin, at = Date.now()) {
+  const again = p.status === 'delivered';
+  p.delivery = { ...delivery, by: admin.id, name: admin.name, at };
+  p.status = 'delivered';
+  p.delivered_at = at;
+  p.updated_at = at;
+  return again;
+}
+
+// Refunds: paid purchases can be reversed in steps. Each step takes diamonds back and records the
+// matching share of the price in p.refunds; reversing what is left marks the purchase `refunded`,
+// which drops it from the purchase stats, while partial steps keep its status and the stats count
+// the net. A step's id is picked once when the admin starts it; the debit uses the idempotency key
+// `refund:<pid>:<id>` and a step already in p.refunds is not applied again.
+export function refundableDiamonds(p) {
+  return p.type === 'panel' ? 0 : Math.max(0, Number(p.diamonds || 0) - Number(p.refunded_diamonds || 0));
+}
+// Debits the step (the balance may go negative: the diamonds could already be spent; the user is
+// frozen then) and records it on p; the caller saves p. deps: { adjustDiamonds, freezeUser(uid, why) }
+// Returns { ok, duplicate, full, toman, balance, frozen }; ok false when the debit failed
+export async function applyRefund(env, { adjustDiamonds, freezeUser }, p, { id, diamonds, reason, by, at = Date.now() }) {
+  const refunds = p.refunds || [];
+  if (refunds.some(r => r.id && String(r.id) === String(id))) return { ok: true, duplicate: true, full: p.status === 'refunded', toman: 0, balance: null, frozen: false };
+  const full = diamonds >= refundableDiamonds(p);
+  let balance = null;
+  let frozen = false;
+  if (diamonds > 0) {
+    const res = await adjustDiamonds(env, p.user_id, -diamonds, { reason: 'refund', ref: p.id, actor: by, idempotencyKey: `refund:${p.id}:${id}` });
+    // duplicate: an earlier attempt took the diamonds but did not get to record the step
+    if (!res.ok && res.error !== 'duplicate') return { ok: false };
+    balance = res.ok ? res.balance : null;
+    if (res.ok && res.balance < 0) {
+      await freezeUser(p.user_id, `refund:${p.id}`);
+      frozen = true;
+    }
+  }
+  const paidLeft = Number(p.price_toman || 0) - Number(p.refunded_toman || 0);
+  const toman = full ? paidLeft : Math.min(paidLeft, Math.round(Number(p.price_toman || 0) * diamonds / Math.max(1, Number(p.diamonds || 0))));
+  refunds.push({ id: String(id), diamonds, toman, reason, by, at });
+  p.refunds = refunds;
+  p.refunded_diamonds = Number(p.refunded_diamonds || 0) + diamonds;
+  p.refunded_toman = Number(p.refunded_toman || 0) + toman;
+  p.updated_at = at;
+  if (full) { p.status = 'refunded'; p.refunded_at = at; }
+  return { ok: true, duplicate: false, full, toman, balance, frozen };
+}
+
+export async function recordUserPaid(env, { kvPutJson }, uid) {
+  await kvPutJson(env, `user:${uid}:paid`, Date.now());
+}
+// true / false, or null while the backfill has not reached every older purchase and the user has
+// no marker yet (an older buyer cannot be told from a new user then)
+export async function hasUserPaid(env, { kvGetJson }, uid) {
+  if (await kvGetJson(env, `user:${uid}:paid`)) return true;
+  const state = await kvGetJson(env, BACKFILL_KEY);
+  return state && state.done ? false : null;
+}
+
+// Cron: walks the index oldest bucket first, BACKFILL_BATCH records per run. Positions are counted
+// from the end of each bucket, which new purchases (added at the front) do not move.
+// Returns { scanned, done }
+export async function runPurchaseBackfill(env, deps) {
+  const { kvGetJson, kvPutJson } = deps;
+  const state = (await kvGetJson(env, BACKFILL_KEY)) || { bucket: null, seen: 0 };
+  if (state.done) return { scanned: 0, done: true };
+  const order = [...(await loadMonths(env, deps))].reverse();
+  let i = state.bucket == null ? 0 : order.indexOf(state.bucket);
+  if (i < 0) { i = 0; state.seen = 0; }
+  let scanned = 0;
+  for (; i < order.length && scanned < BACKFILL_BATCH; i++) {
+    if (state.bucket !== order[i]) { state.bucket = order[i]; state.seen = 0; }
+    const ids = (await kvGetJson(env, bucketKey(order[i]))) || [];
+    while (state.seen < ids.length && scanned < BACKFILL_BATCH) {
+      const id = ids[ids.length - 1 - state.seen];
+      state.seen++;
+      scanned++;
+      const p = await kvGetJson(env, `purchase:${id}`);
+      if (p && p.user_id) await backfillUserPurchase(env, deps, p);
+    }
+    if (state.seen < ids.length) break;
+  }
+  if (i >= order.length) state.done = true;
+  await kvPutJson(env, BACKFILL_KEY, state);
+  return { scanned, done: Boolean(state.done) };
+}
+
+async function backfillUserPurchase(env, { kvGetJson, kvPutJson }, p) {
+  if (isPaidPurchase(p)) await kvPutJson(env, `user:${p.user_id}:paid`, p.processed_at || p.created_at || Date.now());
+  const recent = (await kvGetJson(env, `user:${p.user_id}:purchases`)) || [];
+  if (recent.includes(p.id)) return;
+  const key = `user:${p.user_id}:purchases:old`;
+  const old = (await kvGetJson(env, key)) || [];
+  // visited oldest first, so each one goes in front of those already there
+  if (!old.includes(p.id)) { old.unshift(p.id); await kvPutJson(env, key, old.slice(0, USER_KEEP)); }
+}
+
+// Cron: marks awaiting_receipt purchases older than windowMs as expired.
+// deps: { kvGetJson, kvPutJson, kvDelete, windowMs, expire(p) } — expire() runs after the record is saved
+// (release promo uses, notify the user). Returns { expired, dropped, pending }
+export async function runPurchaseExpiry(env, deps) {
+  const { kvGetJson, kvPutJson, windowMs } = deps;
+  await loadMonths(env, deps);
+  const nowTs = Date.now();
+  const open = (await kvGetJson(env, OPEN_KEY)) || [];
+  const stats = { expired: 0, dropped: 0, pending: 0 };
+  const done = new Set();
+  let loaded = 0;
+  for (const o of open) {
+    if (o.created_at && o.created_at + windowMs > nowTs) continue;
+    if (loaded >= EXPIRY_BATCH) { stats.pending++; continue; }
+    loaded++;
+    try {
+      const key = `purchase:${o.id}`;
+      const p = await kvGetJson(env, key);
+      if (!p || p.status !== 'awaiting_receipt') { done.add(String(o.id)); stats.dropped++; continue; }
+      // legacy entries had no created_at in the open list; the record has it
+      if ((p.created_at || 0) + windowMs > nowTs) { o.created_at = p.created_at || nowTs; continue; }
+      p.status = 'expired';
+      p.expired_at = nowTs;
+      await kvPutJson(env, key, p);
+      done.add(String(o.id));
+      stats.expired++;
+      try { await deps.expire(p); } catch (_) {}
+    } catch (_) {}
+  }
+  // purchases may have been added while this ran: re-read and only drop what was handled here
+  const fixed = new Map(open.filter(o => o.created_at).map(o => [String(o.id), o.created_at]));
+  const fresh = (await kvGetJson(env, OPEN_KEY)) || [];
+  const keep = fresh
+    .filter(o => !done.has(String(o.id)))
+    .map(o => (!o.created_at && fixed.has(String(o.id)) ? { ...o, created_at: fixed.get(String(o.id)) } : o));
+  await kvPutJson(env, OPEN_KEY, keep);
+  return stats;
+}
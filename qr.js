@@ -0,0 +1,379 @@
+// QR module: pure-JS QR Code encoder (byte mode, versions 1-40) with PNG and SVG output
+//
+// Follows ISO/IEC 18004: data codewords + Reed-Solomon ECC, block interleaving,
+// function patterns, and the mask with the lowest penalty score.
+
+const ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed [ecc ordinal][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+function numRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+function numDataCodewords(ver, ecl) {
+  return Math.floor(numRawDataModules(ver) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+}
+
+/* -------------------- Reed-Solomon over GF(2^8), poly 0x11D -------------------- */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/* -------------------- Codeword construction -------------------- */
+function buildDataCodewords(bytes, ver, ecl) {
+  const bits = [];
+  const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0x4, 4); // byte mode
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  const capacityBits = numDataCodewords(ver, ecl) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) push(pad, 8);
+  const out = new Array(bits.length / 8).fill(0);
+  bits.forEach((bit, i) => { out[i >>> 3] |= bit << (7 - (i & 7)); });
+  return out;
+}
+function addEccAndInterleave(data, ver, ecl) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][ver];
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/* -------------------- Matrix -------------------- */
+function alignmentPositions(ver, size) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function buildMatrix(ver, ecl, codewords, mask) {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFn = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+  const bit = (x, i) => ((x >>> i) & 1) !== 0;
+
+  // timing patterns
+  for (let i = 0; i < size; i++) { setFn(6, i, i % 2 === 0); setFn(i, 6, i % 2 === 0); }
+  // finder patterns with separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx; const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) setFn(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  // alignment patterns
+  const align = alignmentPositions(ver, size);
+  const n = align.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFn(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+  // format bits
+  const drawFormat = (m) => {
+    const data = (ecl.formatBits << 3) | m;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) setFn(8, i, bit(bits, i));
+    setFn(8, 7, bit(bits, 6));
+    setFn(8, 8, bit(bits, 7));
+    setFn(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) setFn(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i++) setFn(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) setFn(8, size - 15 + i, bit(bits, i));
+    setFn(8, size - 8, true);
+  };
+  drawFormat(mask);
+  // version bits
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3; const b = Math.floor(i / 3);
+      setFn(a, b, bit(bits, i));
+      setFn(b, a, bit(bits, i));
+    }
+  }
+  // data in zigzag order
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+  // mask
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (isFunction[y][x]) continue;
+      let invert;
+      switch (mask) {
+        case 0: invert = (x + y) % 2 === 0; break;
+        case 1: invert = y % 2 === 0; break;
+        case 2: invert = x % 3 === 0; break;
+        case 3: invert = (x + y) % 3 === 0; break;
+        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+        case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+        default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+      }
+      if (invert) modules[y][x] = !modules[y][x];
+    }
+  }
+  return modules;
+}
+
+function penaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let y = 0; y < size; y++) lines.push(modules[y]);
+  for (let x = 0; x < size; x++) lines.push(modules.map(row => row[x]));
+  const finderA = [true, false, true, true, true, false, true, false, false, false, false];
+  const finderB = finderA.slice().reverse();
+  for (const line of lines) {
+    // runs of five or more
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) score += 3 + (run - 5);
+      run = 1;
+    }
+    // finder-like patterns
+    for (let i = 0; i + 11 <= size; i++) {
+      let a = true; let b = true;
+      for (let k = 0; k < 11; k++) {
+        if (line[i + k] !== finderA[k]) a = false;
+        if (line[i + k] !== finderB[k]) b = false;
+      }
+      if (a) score += 40;
+      if (b) score += 40;
+    }
+  }
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  score += Math.max(0, k) * 10;
+  return score;
+}
+
+// Returns { version, size, modules } where modules[y][x] === true is a dark module.
+// Throws 'qr_data_too_long' when the input does not fit in version 40.
+export function encodeQr(input, { ecc = 'M' } = {}) {
+  const ecl = ECC_LEVELS[ecc] || ECC_LEVELS.M;
+  const bytes = typeof input === 'string' ? Array.from(new TextEncoder().encode(input)) : Array.from(input);
+  let ver = 1;
+  for (; ver <= 40; ver++) {
+    const needBits = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+    if (needBits <= numDataCodewords(ver, ecl) * 8) break;
+  }
+  if (ver > 40) throw new Error('qr_data_too_long');
+  const codewords = addEccAndInterleave(buildDataCodewords(bytes, ver, ecl), ver, ecl);
+  let best = null; let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = buildMatrix(ver, ecl, codewords, mask);
+    const score = penaltyScore(modules);
+    if (score < bestScore) { best = modules; bestScore = score; }
+  }
+  return { version: ver, size: best.length, modules: best };
+}
+
+// Largest byte payload that fits in a QR code at the given ECC level
+export function qrCapacityBytes(ecc = 'M') {
+  const ecl = ECC_LEVELS[ecc] || ECC_LEVELS.M;
+  return Math.floor((numDataCodewords(40, ecl) * 8 - 4 - 16) / 8);
+}
+
+export function qrToSvg(qr, { scale = 8, border = 4 } = {}) {
+  const dim = (qr.size + border * 2) * scale;
+  let path = '';
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) path += `M${(x + border) * scale},${(y + border) * scale}h${scale}v${scale}h-${scale}z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim}" height="${dim}"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+/* -------------------- PNG (8-bit grayscale) -------------------- */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+function adler32(bytes) {
+  let a = 1; let b = 0;
+  for (let i = 0; i < bytes.length; i++) { a = (a + bytes[i]) % 65521; b = (b + a) % 65521; }
+  return ((b << 16) | a) >>> 0;
+}
+function u32(n) { return [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF]; }
+function pngChunk(type, data) {
+  const typeBytes = Array.from(type).map(c => c.charCodeAt(0));
+  const body = new Uint8Array(typeBytes.length + data.length);
+  body.set(typeBytes, 0);
+  body.set(data, typeBytes.length);
+  const out = new Uint8Array(12 + data.length);
+  out.set(u32(data.length), 0);
+  out.set(body, 4);
+  out.set(u32(crc32(body)), 8 + data.length);
+  return out;
+}
+// zlib stream; uses CompressionStream when the runtime has it, stored blocks otherwise
+async function zlibDeflate(raw) {
+  if (typeof CompressionStream === 'function') {
+    try {
+      const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (_) {}
+  }
+  const blocks = [];
+  for (let i = 0; i < raw.length || i === 0; i += 65535) {
+    const chunk = raw.subarray(i, Math.min(raw.length, i + 65535));
+    const last = i + 65535 >= raw.length ? 1 : 0;
+    const len = chunk.length;
+    blocks.push(Uint8Array.from([last, len & 0xFF, len >>> 8, ~len & 0xFF, (~len >>> 8) & 0xFF]), chunk);
+    if (last) break;
+  }
+  const total = 2 + blocks.reduce((s, b) => s + b.length, 0) + 4;
+  const out = new Uint8Array(total);
+  out.set([0x78, 0x01], 0);
+  let off = 2;
+  for (const b of blocks) { out.set(b, off); off += b.length; }
+  out.set(u32(adler32(raw)), off);
+  return out;
+}
+
+export async function qrToPng(qr, { scale = 8, border = 4 } = {}) {
+  const dim = (qr.size + border * 2) * scale;
+  const raw = new Uint8Array((dim + 1) * dim).fill(255);
+  for (let py = 0; py < dim; py++) {
+    raw[py * (dim + 1)] = 0; // filter: none
+    const my = Math.floor(py / scale) - border;
+    if (my < 0 || my >= qr.size) continue;
+    for (let px = 0; px < dim; px++) {
+      const mx = Math.floor(px / scale) - border;
+      if (mx >= 0 && mx < qr.size && qr.modules[my][mx]) raw[py * (dim + 1) + 1 + px] = 0;
+    }
+  }
+  const ihdr = new Uint8Array([...u32(dim), ...u32(dim), 8, 0, 0, 0, 0]);
+  const idat = await zlibDeflate(raw);
+  const parts = [
+    Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0))
+  ];
+  const out = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
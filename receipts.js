@@ -0,0 +1,43 @@
+// Receipt checks: spot card-to-card receipts and bank tracking numbers reused across purchases
+
+// KV `receipt:file:<file_unique_id>` -> [pid, ...]  purchases that were sent this exact file
+//   (Telegram keeps file_unique_id stable for the same photo/document, even when forwarded)
+// KV `receipt:trk:<tracking>` -> [pid, ...]         purchases that quoted this tracking number
+// A match only raises a warning for the reviewing admin; nothing is rejected automatically.
+
+const PIDS_KEEP = 20;
+const fileKey = (uniqueId) => `receipt:file:${uniqueId}`;
+const trackingKey = (trk) => `receipt:trk:${trk}`;
+
+function toAsciiDigits(text) {
+  return String(text || '')
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+}
+// Persian/Arabic digits to ASCII, separators dropped. Returns '' unless 6-30 digits remain,
+// which covers Shaparak tracking (peigiri) and reference (marja) numbers.
+export function normalizeTrackingNumber(text) {
+  const digits = toAsciiDigits(text).replace(/[\s\-_.:/]/g, '');
+  return /^\d{6,30}$/.test(digits) ? digits : '';
+}
+// First tracking-number-like run of digits in free text (e.g. a photo caption)
+export function findTrackingNumber(text) {
+  const m = toAsciiDigits(text).match(/\d[\d\s-]{4,40}\d/);
+  return m ? normalizeTrackingNumber(m[0]) : '';
+}
+
+async function remember(env, { kvGetJson, kvPutJson }, key, pid) {
+  const pids = (await kvGetJson(env, key)) || [];
+  const others = pids.filter(x => String(x) !== String(pid));
+  if (others.length === pids.length) await kvPutJson(env, key, [String(pid), ...pids].slice(0, PIDS_KEEP));
+  return others;
+}
+
+// Stores the receipt of purchase pid and returns the other purchases that used the same proof:
+// { receipt: [pid...], tracking: [pid...] } (empty arrays when clean)
+export async function recordReceipt(env, deps, pid, { uniqueId, tracking }) {
+  return {
+    receipt: uniqueId ? await remember(env, deps, fileKey(uniqueId), pid) : [],
+    tracking: tracking ? await remember(env, deps, trackingKey(tracking), pid) : []
+  };
+}
@@ -0,0 +1,42 @@
+// Secret box: AES-256-GCM encryption of small strings with a key derived from a Worker secret
+
+// Output format: v1:<iv base64>:<ciphertext+tag base64>
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+// secret -> AES key via SHA-256; cached per secret value for the isolate lifetime
+const KEY_CACHE = new Map();
+async function importAesKey(secret) {
+  if (KEY_CACHE.has(secret)) return KEY_CACHE.get(secret);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(secret)));
+  const key = await crypto.subtle.importKey('raw', digest, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+  KEY_CACHE.set(secret, key);
+  return key;
+}
+
+export async function encryptSecret(secret, plaintext) {
+  if (!secret) throw new Error('secret_not_configured');
+  const key = await importAesKey(secret);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(String(plaintext)));
+  return `v1:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ct))}`;
+}
+
+export async function decryptSecret(secret, blob) {
+  if (!secret) throw new Error('secret_not_configured');
+  const parts = String(blob || '').split(':');
+  if (parts.length !== 3 || parts[0] !== 'v1') throw new Error('bad_ciphertext');
+  const key = await importAesKey(secret);
+  const pt = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(parts[1]) }, key, base64ToBytes(parts[2]));
+  return new TextDecoder().decode(pt);
+}
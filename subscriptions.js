@@ -0,0 +1,168 @@
+// Subscriptions module: time-limited private-server plans, expiry buckets and renewal reminders
+
+// Entries in user:<uid>:servers bought on a plan carry { plan_days, expires_at }; entries from
+// before plans existed have no expires_at and never expire.
+// Expiry is tracked in per-day KV buckets `subs:exp:<YYYYMMDD>` -> [{ uid, id }] so the daily cron
+// only reads the days it needs. Renewing moves an entry to a new bucket; stale bucket rows are
+// skipped because the entry's expires_at no longer falls on that day.
+
+export const SUB_SERVICES = ['dns', 'wg', 'ovpn'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// reminders are sent this many days before expiry
+const REMIND_BEFORE_DAYS = [3, 1];
+const CURSOR_KEY = 'subs:cursor';
+const MAX_CATCHUP_DAYS = 60;
+
+function dayKeyUtc(ts) {
+  const d = new Date(ts);
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+function startOfDayUtc(ts) {
+  const d = new Date(ts);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+const bucketKey = (ts) => `subs:exp:${dayKeyUtc(ts)}`;
+
+// Default prices when settings have none: the old one-off cost buys 30 days
+function defaultPlanPrices(cost) {
+  const c = Math.max(0, Number(cost) || 0);
+  return { 7: Math.max(1, Math.round(c / 3)), 30: c, 90: Math.round(c * 2.5) };
+}
+
+// raw: settings.plan_prices as stored; costs: { dns, wg, ovpn } one-off costs
+export function normalizePlanPrices(raw, costs) {
+  const out = {};
+  for (const svc of SUB_SERVICES) {
+    const src = raw && raw[svc] && typeof raw[svc] === 'object' ? raw[svc] : defaultPlanPrices(costs[svc]);
+    out[svc] = {};
+    for (const [days, price] of Object.entries(src)) {
+      const d = Number(days); const p = Number(price);
+      if (Number.isInteger(d) && d > 0 && Number.isFinite(p) && p >= 0) out[svc][d] = p;
+    }
+  }
+  return out;
+}
+
+// Returns an error string or '' for an admin-supplied plan_prices object
+export function validatePlanPrices(obj) {
+  if (!obj || typeof obj !== 'object') return 'must be an object';
+  for (const [svc, plans] of Object.entries(obj)) {
+    if (!SUB_SERVICES.includes(svc)) return `unknown service: ${svc}`;
+    if (!plans || typeof plans !== 'object' || !Object.keys(plans).length) return `${svc}: needs at least one plan`;
+    for (const [days, price] of Object.entries(plans)) {
+      if (!(Number.isInteger(Number(days)) && Number(days) > 0 && Number(days) <= 366)) return `${svc}: bad days ${days}`;
+      if (!(Number.isFinite(Number(price)) && Number(price) >= 0)) return `${svc}: bad price for ${days}`;
+    }
+  }
+  return '';
+}
+
+// [{ days, price }] sorted by days. settings.plan_prices holds only what the admin set; services
+// without explicit plans are priced from their one-off cost_<svc> on every read.
+export function listPlans(settings, svc) {
+  const all = normalizePlanPrices(settings.plan_prices, { dns: settings.cost_dns, wg: settings.cost_wg, ovpn: settings.cost_ovpn });
+  const plans = all[svc] || {};
+  return Object.entries(plans).map(([d, p]) => ({ days: Number(d), price: Number(p) })).sort((a, b) => a.days - b.days);
+}
+export function planPrice(settings, svc, days) {
+  const p = listPlans(settings, svc).find(x => x.days === Number(days));
+  return p ? p.price : null;
+}
+
+export function isServerExpired(item, nowTs = Date.now()) {
+  return Boolean(item && (item.expired_at || (item.expires_at && item.expires_at <= nowTs)));
+}
+
+// Keeps user:<uid>:servers at `max` entries by dropping the oldest expired ones (the list is newest
+// first). Active entries and entries without a plan are never dropped, so the list may stay longer.
+export const MAX_SERVER_ENTRIES = 200;
+export function trimServerList(list, max = MAX_SERVER_ENTRIES, nowTs = Date.now()) {
+  for (let i = list.length - 1; i >= 0 && list.length > max; i--) {
+    if (isServerExpired(list[i], nowTs)) list.splice(i, 1);
+  }
+  return list;
+}
+
+export async function scheduleExpiry(env, { kvGetJson, kvPutJson }, uid, entryId, expiresAt) {
+  const key = bucketKey(expiresAt);
+  const rows = (await kvGetJson(env, key)) || [];
+  if (!rows.some(r => String(r.uid) === String(uid) && String(r.id) === String(entryId))) {
+    rows.push({ uid, id: entryId });
+    await kvPutJson(env, key, rows);
+  }
+}
+
+// Daily cron. deps: { kvGetJson, kvPutJson, kvDelete, remind(uid, item, daysLeft), expire(uid, item) }
+// The entry is marked expired first; expire() then releases backend resources and notifies the user.
+export async function runSubscriptionTasks(env, deps) {
+  const { kvGetJson, kvPutJson, kvDelete } = deps;
+  const nowTs = Date.now();
+  const today = startOfDayUtc(nowTs);
+  const stats = { reminded: 0, expired: 0 };
+
+  // fn(item) returns the fields to set on the entry, or null. The list is read again right before
+  // the write and only those fields are merged, so a purchase or renewal saved while fn ran (its I/O
+  // can take seconds) is kept; an entry renewed in the meantime is left as the renewal wrote it.
+  const withEntry = async (row, fn) => {
+    const listKey = `user:${row.uid}:servers`;
+    const sameEntry = (s) => String(s.id) === String(row.id);
+    const item = ((await kvGetJson(env, listKey)) || []).find(sameEntry);
+    if (!item || !item.expires_at || item.expired_at) return;
+    const patch = await fn(item);
+    if (!patch) return;
+    const list = (await kvGetJson(env, listKey)) || [];
+    const current = list.find(sameEntry);
+    if (!current || current.expired_at || current.expires_at !== item.expires_at) return;
+    Object.assign(current, patch);
+    await kvPutJson(env, listKey, list);
+  };
+
+  for (const before of REMIND_BEFORE_DAYS) {
+    const day = today + before * DAY_MS;
+    const rows = (await kvGetJson(env, bucketKey(day))) || [];
+    for (const row of rows) {
+      try {
+        await withEntry(row, async (item) => {
+          if (startOfDayUtc(item.expires_at) !== day) return null;
+          if (item.reminded && item.reminded[before]) return null;
+          try { await deps.remind(row.uid, item, before); } catch (_) {}
+          stats.reminded++;
+          return { reminded: { ...(item.reminded || {}), [before]: nowTs } };
+        });
+      } catch (_) {}
+    }
+  }
+
+  // expire everything due from the last processed day up to now
+  const cursor = await kvGetJson(env, CURSOR_KEY);
+  let day = Math.max(cursor ? Number(cursor) : today - DAY_MS, today - MAX_CATCHUP_DAYS * DAY_MS);
+  // Resources are released only after expired_at is saved and a fresh read still shows the entry
+  // due and marked by this run: a renewal saved before that keeps its peer / login / seat, and a
+  // renewal that reads the entry afterwards sees it expired and re-activates it.
+  const expireEntry = async (row, day) => {
+    const listKey = `user:${row.uid}:servers`;
+    const sameEntry = (s) => String(s.id) === String(row.id);
+    const due = (s) => s && s.expires_at && !s.expired_at && s.expires_at <= nowTs && startOfDayUtc(s.expires_at) === day;
+    const list = (await kvGetJson(env, listKey)) || [];
+    const current = list.find(sameEntry);
+    if (!due(current)) return;
+    const expiresAt = current.expires_at;
+    current.expired_at = nowTs;
+    await kvPutJson(env, listKey, list);
+    const fresh = ((await kvGetJson(env, listKey)) || []).find(sameEntry);
+    if (!fresh || fresh.expired_at !== nowTs || fresh.expires_at !== expiresAt) return;
+    try { await deps.expire(row.uid, fresh); } catch (_) {}
+    stats.expired++;
+  };
+  for (; day <= today; day += DAY_MS) {
+    const key = bucketKey(day);
+    const rows = (await kvGetJson(env, key)) || [];
+    for (const row of rows) {
+      try { await expireEntry(row, day); } catch (_) {}
+    }
+    // past days are done; today's bucket may still hold entries expiring later today
+    if (day < today && rows.length) await kvDelete(env, key);
+  }
+  await kvPutJson(env, CURSOR_KEY, today);
+  return stats;
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { changeBalance, verifyLedger } from '../account.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+test('ledger rows sum to the balance, starting from the pre-ledger balance', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:1', { id: 1, diamonds: 7 });
+  await changeBalance(env, 1, { delta: 5, reason: 'gift' });
+  await changeBalance(env, 1, { delta: -3, reason: 'dns' });
+  await changeBalance(env, 1, { delta: -20, reason: 'admin_take', clampZero: true });
+  const check = await verifyLedger(env, 1);
+  assert.equal(check.ok, true);
+  assert.equal(check.count, 3);
+  assert.equal(check.opening, 7);
+  assert.equal(check.balance, 0);
+  assert.equal(check.opening + check.sum, check.balance);
+});
+
+test('verifyLedger reports a balance the ledger does not explain', async () => {
+  const env = createEnv();
+  await changeBalance(env, 2, { delta: 10, reason: 'gift' });
+  const user = await readJson(env, 'user:2');
+  await writeJson(env, 'user:2', { ...user, diamonds: 25 });
+  const check = await verifyLedger(env, 2);
+  assert.equal(check.ok, false);
+  assert.equal(check.expected, 10);
+  assert.equal(check.balance, 25);
+});
+
+test('a ledger write that keeps failing refuses the change', async () => {
+  const env = createEnv({}, { failPut: (key) => key.startsWith('ledger:3:') });
+  await writeJson(env, 'user:3', { id: 3, diamonds: 4 });
+  assert.equal((await changeBalance(env, 3, { delta: 6, reason: 'gift' })).ok, false);
+  assert.equal((await readJson(env, 'user:3')).diamonds, 4);
+});
+
+test('a transient ledger failure is retried without duplicating the row', async () => {
+  let failures = 1;
+  const env = createEnv({}, { failPut: (key) => key === 'ledger:4:meta' && failures-- > 0 });
+  const res = await changeBalance(env, 4, { delta: 6, reason: 'gift' });
+  assert.equal(res.ok, true);
+  const rows = await readJson(env, 'ledger:4:0');
+  assert.equal(rows.length, 1);
+  assert.equal((await verifyLedger(env, 4)).ok, true);
+});
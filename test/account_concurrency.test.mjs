@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountDO, changeBalance, updateUserFields, verifyLedger } from '../account.js';
+import { createEnv, createMemoryKv, createDurableObjectNamespace, readJson, writeJson } from './helpers.mjs';
+
+test('concurrent changes in one isolate are all applied and recorded', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:1', { id: 1, diamonds: 100 });
+  const ops = [];
+  for (let i = 0; i < 20; i++) {
+    ops.push(changeBalance(env, 1, { delta: i % 2 ? -3 : 5, reason: 'gift', requireFunds: true }));
+    ops.push(updateUserFields(env, 1, { last_seen: i }));
+  }
+  const results = await Promise.all(ops);
+  assert.ok(results.every(r => r.ok));
+  const user = await readJson(env, 'user:1');
+  assert.equal(user.diamonds, 100 + 10 * 5 - 10 * 3);
+  assert.equal(user.last_seen, 19);
+  assert.equal((await verifyLedger(env, 1)).ok, true);
+});
+
+test('isolates sharing the AccountDO binding do not lose updates', async () => {
+  const kv = createMemoryKv();
+  const accounts = createDurableObjectNamespace(AccountDO, () => ({ BOT_KV: kv, ACCOUNTS: accounts }));
+  const isolateA = { BOT_KV: kv, ACCOUNTS: accounts };
+  const isolateB = { BOT_KV: kv, ACCOUNTS: accounts };
+  const ops = [];
+  for (let i = 0; i < 10; i++) {
+    ops.push(changeBalance(isolateA, 2, { delta: 2, reason: 'gift' }));
+    ops.push(changeBalance(isolateB, 2, { delta: 1, reason: 'gift' }));
+    ops.push(updateUserFields(isolateB, 2, { last_seen: i }));
+  }
+  await Promise.all(ops);
+  assert.equal((await readJson(isolateA, 'user:2')).diamonds, 30);
+  assert.equal((await verifyLedger(isolateA, 2)).ok, true);
+});
+
+test('a profile write never puts back an older balance', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:3', { id: 3, diamonds: 10, username: 'old' });
+  const stale = await readJson(env, 'user:3');
+  await changeBalance(env, 3, { delta: -4, reason: 'dns' });
+  await updateUserFields(env, 3, { ...stale, username: 'new' });
+  const user = await readJson(env, 'user:3');
+  assert.equal(user.diamonds, 6);
+  assert.equal(user.username, 'new');
+});
+
+test('duplicate idempotency keys apply once under concurrency', async () => {
+  const env = createEnv();
+  const results = await Promise.all([1, 2, 3].map(() => changeBalance(env, 4, { delta: 7, reason: 'gift', idempotencyKey: 'k1' })));
+  assert.equal(results.filter(r => r.ok).length, 1);
+  assert.equal(results.filter(r => r.error === 'duplicate').length, 2);
+  assert.equal((await readJson(env, 'user:4')).diamonds, 7);
+});
+
+test('without the ACCOUNTS binding balance changes are refused and profile updates still apply', async () => {
+  const env = createEnv({ ACCOUNTS: undefined });
+  await writeJson(env, 'user:5', { id: 5, diamonds: 3 });
+  assert.deepEqual(await changeBalance(env, 5, { delta: 10, reason: 'gift' }), { ok: false, error: 'unavailable' });
+  assert.equal((await updateUserFields(env, 5, { username: 'x' })).ok, true);
+  assert.deepEqual(await readJson(env, 'user:5'), { id: 5, diamonds: 3, username: 'x' });
+  assert.equal(await readJson(env, 'ledger:5:meta'), null);
+});
+
+test('idempotency markers past their retention are pruned and no longer block a key', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:5', { id: 5, diamonds: 0 });
+  assert.equal((await changeBalance(env, 5, { delta: 1, reason: 'gift', idempotencyKey: 'new' })).ok, true);
+  const storage = env.ACCOUNTS.storage('5');
+  await storage.put('idem:old', Date.now() - 31 * 24 * 60 * 60 * 1000);
+  assert.equal((await changeBalance(env, 5, { delta: 1, reason: 'gift', idempotencyKey: 'old' })).ok, true);
+  await storage.put('idem:stale', Date.now() - 31 * 24 * 60 * 60 * 1000);
+  await env.ACCOUNTS.fireAlarms();
+  assert.equal(await storage.get('idem:stale'), undefined);
+  assert.ok(await storage.get('idem:new'));
+  assert.equal((await changeBalance(env, 5, { delta: 1, reason: 'gift', idempotencyKey: 'new' })).error, 'duplicate');
+  assert.equal(await storage.getAlarm() != null, true);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCidrConfig, diffCidrConfig, isEmptyCidrDiff, cidrConfigEtag } from '../cidr_config.js';
+
+const config = (servers) => normalizeCidrConfig({ OVPN: { locations: { DE: { servers } } } }).config;
+const a = { host: 'a.example', port: 1194 };
+const b = { host: 'b.example', port: 443, proto: 'tcp' };
+
+test('reordered servers are reported as moved', () => {
+  const diff = diffCidrConfig(config([a, b]), config([b, a]));
+  assert.equal(isEmptyCidrDiff(diff), false);
+  assert.deepEqual(diff.ovpn[0].servers, {
+    added: [],
+    removed: [],
+    moved: [{ server: 'a.example:1194', from: 0, to: 1 }, { server: 'b.example:443/tcp', from: 1, to: 0 }]
+  });
+});
+
+test('removing a server moves the ones after it', () => {
+  const diff = diffCidrConfig(config([a, b]), config([b]));
+  assert.deepEqual(diff.ovpn[0].servers.removed, ['a.example:1194']);
+  assert.deepEqual(diff.ovpn[0].servers.moved, [{ server: 'b.example:443/tcp', from: 1, to: 0 }]);
+});
+
+test('an unchanged document has no diff and the same ETag', async () => {
+  assert.equal(isEmptyCidrDiff(diffCidrConfig(config([a, b]), config([a, b]))), true);
+  assert.equal(await cidrConfigEtag(config([a, b])), await cidrConfigEtag(config([a, b])));
+  assert.notEqual(await cidrConfigEtag(config([a, b])), await cidrConfigEtag(config([b, a])));
+});
+
+test('proto must be udp or tcp', () => {
+  assert.match(normalizeCidrConfig({ OVPN: { locations: { DE: { servers: [{ ...a, proto: 'quic' }] } } } }).error, /proto/);
+});
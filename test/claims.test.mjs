@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { claim, releaseClaim, takeSlot, returnSlot, countSlots } from '../claims.js';
+import { createEnv, createMemoryKv } from './helpers.mjs';
+
+// two isolates: separate envs sharing the KV namespace and the CLAIMS binding
+function twoIsolates() {
+  const a = createEnv();
+  return [a, { BOT_KV: a.BOT_KV, CLAIMS: a.CLAIMS }];
+}
+
+test('one owner wins a name however many isolates race for it', async () => {
+  const [a, b] = twoIsolates();
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) => claim(i % 2 ? a : b, 's', 'k', `o${i}`)));
+  const winners = results.filter(r => r.won);
+  assert.equal(winners.length, 1);
+  assert.ok(results.every(r => r.owner === winners[0].owner));
+});
+
+test('the owner keeps its claim, a release frees it, an expired claim is free', async () => {
+  const env = createEnv();
+  assert.equal((await claim(env, 's', 'k', 'a', { data: { name: 'A' } })).won, true);
+  const lost = await claim(env, 's', 'k', 'b');
+  assert.deepEqual([lost.won, lost.owner, lost.data], [false, 'a', { name: 'A' }]);
+  assert.equal((await claim(env, 's', 'k', 'a')).won, true);
+  assert.equal(await releaseClaim(env, 's', 'k', 'b'), false);
+  assert.equal(await releaseClaim(env, 's', 'k', 'a'), true);
+  assert.equal((await claim(env, 's', 'k', 'b', { ttlMs: 1 })).won, true);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.equal((await claim(env, 's', 'k', 'c')).won, true);
+});
+
+test('the alarm deletes expired claims only', async () => {
+  const env = createEnv();
+  await claim(env, 's', 'gone', 'a', { ttlMs: 1 });
+  await claim(env, 's', 'kept', 'a');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await env.CLAIMS.fireAlarms();
+  assert.deepEqual([...env.CLAIMS.storage('s').data.keys()], ['claim:kept']);
+});
+
+test('a capped set never takes more holders than its limit', async () => {
+  const [a, b] = twoIsolates();
+  const results = await Promise.all(Array.from({ length: 8 }, (_, i) => takeSlot(i % 2 ? a : b, 's', 'set', `h${i}`, 3)));
+  assert.equal(results.filter(r => r.ok).length, 3);
+  const holder = `h${results.findIndex(r => r.ok)}`;
+  assert.equal((await takeSlot(a, 's', 'set', holder, 3)).ok, true);
+  assert.deepEqual(await countSlots(a, 's', ['set', 'other']), { set: 3, other: 0 });
+  assert.equal(await returnSlot(b, 's', 'set', 'nobody'), false);
+  assert.equal(await returnSlot(b, 's', 'set', holder), true);
+  assert.equal((await takeSlot(a, 's', 'set', 'late', 3)).ok, true);
+});
+
+test('without the CLAIMS binding claims throw instead of deciding', async () => {
+  const env = { BOT_KV: createMemoryKv() };
+  await assert.rejects(claim(env, 's', 'k', 'a'), /claims_unavailable/);
+});
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countriesForService, unknownCountryCodes } from '../countries.js';
+
+test('codes outside the registry are left out of menus and listed as unknown', () => {
+  const sources = { dns: ['DE', 'UK', 'UK'], wg: ['NL'], ovpn: ['XX', 'FR'] };
+  assert.deepEqual(countriesForService(sources, 'dns'), ['DE']);
+  assert.deepEqual(unknownCountryCodes(sources), { dns: ['UK'], ovpn: ['XX'] });
+  assert.deepEqual(unknownCountryCodes({ wg: ['NL'] }), {});
+});
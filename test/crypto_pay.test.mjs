@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runCryptoPaymentCheck, settleCryptoTransfer } from '../crypto_pay.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const WALLET = 'UQ' + 'A'.repeat(46);
+const kv = { kvGetJson: readJson, kvPutJson: (env, key, obj) => writeJson(env, key, obj) };
+
+async function setup(invoices, transfers) {
+  const env = createEnv();
+  await writeJson(env, 'pay:crypto', { wallet: WALLET, assets: { TON: { rate_toman: 250000 } }, explorer: { type: 'stub' } });
+  const t0 = Date.now() - 60000;
+  await writeJson(env, 'crypto:open', invoices.map(o => ({ asset: 'TON', created_at: t0, expires_at: t0 + 3600000, ...o })));
+  await writeJson(env, 'crypto:stub:TON', transfers.map((t, i) => ({ hash: `h${i}`, memo: '', time: Date.now(), ...t })));
+  return env;
+}
+
+test('matcher: exact unique amount, or the memo with at least the invoice amount', async () => {
+  const env = await setup(
+    [{ pid: '1', units: '1000000001' }, { pid: '2', units: '2000000002' }, { pid: '3', units: '3000000003' }],
+    [{ units: '1000000001' }, { units: '2500000000', memo: 'NoiD2' }, { units: '2999999999', memo: 'NoiD3' }]
+  );
+  const seen = [];
+  const stats = await runCryptoPaymentCheck(env, { ...kv, settle: async (pid, t) => { seen.push([pid, t.hash]); return 'settled'; } });
+  assert.deepEqual(seen.sort(), [['1', 'h0'], ['2', 'h1']]);
+  assert.equal(stats.matched, 2);
+  assert.deepEqual((await readJson(env, 'crypto:open')).map(o => o.pid), ['3']);
+});
+
+test('a refused transfer is recorded and reported once; a retry is looked at again', async () => {
+  const env = await setup([{ pid: '1', units: '1000000001' }, { pid: '2', units: '2000000002' }], [{ units: '1000000001' }, { units: '2000000002' }]);
+  const calls = [];
+  const settle = async (pid) => { calls.push(pid); return pid === '1' ? 'refused' : 'retry'; };
+  const first = await runCryptoPaymentCheck(env, { ...kv, settle });
+  assert.equal(first.refused, 1);
+  const rec = await readJson(env, 'crypto:tx:h0');
+  assert.equal(rec.pid, '1');
+  assert.equal(rec.refused, true);
+  await runCryptoPaymentCheck(env, { ...kv, settle });
+  assert.deepEqual(calls.sort(), ['1', '2', '2']);
+  assert.equal(await readJson(env, 'crypto:tx:h1'), null);
+});
+
+function settleDeps(env, overrides = {}) {
+  const refused = [];
+  const deps = {
+    kvGetJson: readJson,
+    isPaid: (p) => p.status === 'approved',
+    isPayable: (p) => ['awaiting_receipt', 'pending_review', 'expired'].includes(p.status),
+    settle: async (p) => { await writeJson(env, `purchase:${p.id}`, { ...p, status: 'approved' }); return true; },
+    refuse: async (pid, p, t, reason) => { refused.push(reason); },
+    ...overrides
+  };
+  return { deps, refused };
+}
+const transfer = { asset: 'TON', units: '1000000001', hash: 'tx1' };
+
+test('settle: a payment after the order expired is still credited', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:5', { id: 5, status: 'expired', crypto: { asset: 'TON', units: '1000000001' } });
+  const { deps, refused } = settleDeps(env);
+  assert.equal(await settleCryptoTransfer(env, deps, '5', transfer), 'settled');
+  const p = await readJson(env, 'purchase:5');
+  assert.equal(p.status, 'approved');
+  assert.equal(p.crypto.tx_hash, 'tx1');
+  assert.deepEqual(refused, []);
+});
+
+test('settle: money for a rejected or otherwise paid order goes to the admins', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:6', { id: 6, status: 'rejected', crypto: { asset: 'TON' } });
+  await writeJson(env, 'purchase:7', { id: 7, status: 'awaiting_receipt', crypto: { asset: 'TON' } });
+  const { deps, refused } = settleDeps(env, {
+    // paid by card receipt while the crypto transfer was in flight
+    settle: async (p) => { await writeJson(env, `purchase:${p.id}`, { id: p.id, status: 'approved', crypto: { asset: 'TON' } }); return false; }
+  });
+  assert.equal(await settleCryptoTransfer(env, deps, '6', transfer), 'refused');
+  assert.equal(await settleCryptoTransfer(env, deps, '7', transfer), 'refused');
+  assert.equal(await settleCryptoTransfer(env, deps, '8', transfer), 'refused');
+  assert.deepEqual(refused, ['rejected', 'already_paid', 'no_invoice']);
+});
+
+test('settle: a duplicate of its own payment is settled, a held claim is retried', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:9', { id: 9, status: 'approved', crypto: { asset: 'TON', tx_hash: 'tx1' } });
+  await writeJson(env, 'purchase:10', { id: 10, status: 'awaiting_receipt', crypto: { asset: 'TON' } });
+  const { deps, refused } = settleDeps(env, { settle: async () => false });
+  assert.equal(await settleCryptoTransfer(env, deps, '9', transfer), 'settled');
+  assert.equal(await settleCryptoTransfer(env, deps, '10', transfer), 'retry');
+  assert.deepEqual(refused, []);
+});
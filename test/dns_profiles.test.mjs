@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { availableDnsProfiles, privateDnsHostname, dnsStamp, appleDnsProfile } from '../dns_profiles.js';
+
+const both = { id: 'e1', v4: '185.51.200.2', v4_alt: '178.22.122.100', v6: ['2a01:4f8::1'], doh: 'https://dns.example/dns-query', dot: 'dns.example' };
+const dotOnly = { id: 'e2', v4: '10.0.0.1', dot: 'tls.example' };
+const cidrOnly = { id: 'e3', v4: '5.6.7.8' };
+
+function decodeStamp(stamp) {
+  assert.match(stamp, /^sdns:\/\/[A-Za-z0-9_-]+$/);
+  return [...Buffer.from(stamp.slice('sdns://'.length), 'base64url')];
+}
+// reads the length-prefixed fields after the 9 header bytes
+function stampFields(bytes) {
+  const fields = [];
+  let i = 9;
+  while (i < bytes.length) {
+    const len = bytes[i];
+    fields.push(Buffer.from(bytes.slice(i + 1, i + 1 + len)).toString());
+    i += 1 + len;
+  }
+  return fields;
+}
+
+test('formats follow what the resolver offers', () => {
+  assert.deepEqual(availableDnsProfiles(both), ['apple', 'android', 'stamp']);
+  assert.deepEqual(availableDnsProfiles(dotOnly), ['apple', 'android']);
+  assert.deepEqual(availableDnsProfiles({ id: 'e4', doh: 'https://a.example/q' }), ['apple', 'stamp']);
+  assert.deepEqual(availableDnsProfiles(cidrOnly), []);
+  assert.equal(privateDnsHostname(both), 'dns.example');
+  assert.equal(privateDnsHostname(cidrOnly), '');
+});
+
+test('the DoH stamp carries the address hint, host and path with no props or hashes', () => {
+  const bytes = decodeStamp(dnsStamp(both));
+  assert.deepEqual(bytes.slice(0, 9), [0x02, 0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(stampFields(bytes), ['185.51.200.2', '', 'dns.example', '/dns-query']);
+  assert.equal(dnsStamp(both), 'sdns://AgAAAAAAAAAADDE4NS41MS4yMDAuMgALZG5zLmV4YW1wbGUKL2Rucy1xdWVyeQ');
+});
+
+test('an IPv6-only resolver is bracketed and a port stays with the host', () => {
+  const item = { id: 'e5', v6: ['2a01:4f8::1'], doh: 'https://dns.example:8443/q' };
+  assert.deepEqual(stampFields(decodeStamp(dnsStamp(item))), ['[2a01:4f8::1]', '', 'dns.example:8443', '/q']);
+  assert.equal(dnsStamp(dotOnly), '');
+});
+
+test('the Apple profile uses DoH when offered and lists the resolver addresses', async () => {
+  const xml = await appleDnsProfile(both, { name: 'Bot & DNS', identifier: 'com.example.dns' });
+  assert.match(xml, /<key>DNSProtocol<\/key>\s*<string>HTTPS<\/string>\s*<key>ServerURL<\/key>\s*<string>https:\/\/dns\.example\/dns-query<\/string>/);
+  assert.doesNotMatch(xml, /ServerName/);
+  assert.match(xml, /<key>ServerAddresses<\/key>\s*<array>\s*<string>185\.51\.200\.2<\/string>\s*<string>178\.22\.122\.100<\/string>\s*<string>2a01:4f8::1<\/string>\s*<\/array>/);
+  assert.match(xml, /<string>com\.example\.dns\.e1<\/string>/);
+  assert.match(xml, /<string>com\.example\.dns\.e1\.dns<\/string>/);
+  assert.match(xml, /<string>com\.apple\.dnsSettings\.managed<\/string>/);
+  assert.equal(xml.match(/<string>Bot &amp; DNS<\/string>/g).length, 2);
+  assert.doesNotMatch(xml, /Bot & DNS/);
+});
+
+test('a DoT-only entry gets a TLS profile; an entry with neither gets none', async () => {
+  const xml = await appleDnsProfile(dotOnly);
+  assert.match(xml, /<string>TLS<\/string>\s*<key>ServerName<\/key>\s*<string>tls\.example<\/string>/);
+  assert.doesNotMatch(xml, /ServerURL/);
+  assert.match(xml, /<string>dns\.profile\.e2<\/string>/);
+  assert.equal(await appleDnsProfile(cidrOnly), '');
+});
+
+test('profile UUIDs are stable per entry, so a download replaces the installed profile', async () => {
+  const uuids = async (item) => (await appleDnsProfile(item)).match(/<key>PayloadUUID<\/key>\s*<string>([^<]+)<\/string>/g)
+    .map(m => m.match(/<string>([^<]+)</)[1]);
+  const first = await uuids(both);
+  assert.equal(first.length, 2);
+  assert.notEqual(first[0], first[1]);
+  for (const u of first) assert.match(u, /^[0-9A-F]{8}-[0-9A-F]{4}-5[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/);
+  assert.deepEqual(await uuids({ ...both, doh: 'https://other.example/dns-query' }), first);
+  assert.notDeepEqual(await uuids(dotOnly), first);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDnsServer, saveDnsServer, getDnsServer, setDnsServerHealth, setDnsServerDisabled, allocateDnsServer, releaseDnsServer } from '../dns_servers.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const deps = { kvGetJson: readJson, kvPutJson: (env, key, obj) => writeJson(env, key, obj) };
+const server = (id, extra = {}) => normalizeDnsServer(id, { country: 'DE', v4: '9.9.9.9', ...extra }).server;
+
+test('allocations, health checks and admin edits do not overwrite each other', async () => {
+  const env = createEnv();
+  await saveDnsServer(env, deps, server('de1', { max_users: 10 }));
+  const [first] = await Promise.all([
+    allocateDnsServer(env, deps, 'DE', '1:a'),
+    setDnsServerHealth(env, deps, 'de1', 'up', 'probe'),
+    saveDnsServer(env, deps, server('de1', { max_users: 10, label: 'Frankfurt' })),
+    allocateDnsServer(env, deps, 'DE', '2:b'),
+    setDnsServerDisabled(env, deps, 'de1', false)
+  ]);
+  const s = await getDnsServer(env, readJson, 'de1');
+  assert.equal(s.assigned, 2);
+  assert.equal(s.health.status, 'up');
+  assert.equal(s.label, 'Frankfurt');
+  assert.equal(await releaseDnsServer(env, deps, 'de1', first.seat), true);
+  assert.equal(await releaseDnsServer(env, deps, 'de1', first.seat), false);
+  assert.equal((await getDnsServer(env, readJson, 'de1')).assigned, 1);
+});
+
+test('a full server takes no more users', async () => {
+  const env = createEnv();
+  await saveDnsServer(env, deps, server('de1', { max_users: 1 }));
+  assert.equal((await allocateDnsServer(env, deps, 'DE', '1:a')).id, 'de1');
+  assert.equal(await allocateDnsServer(env, deps, 'DE', '2:b'), null);
+});
+
+test('isolates allocating at once never pass max_users and overflow to the next server', async () => {
+  const env = createEnv();
+  await saveDnsServer(env, deps, server('de1', { max_users: 2 }));
+  await saveDnsServer(env, deps, server('de2', { max_users: 1 }));
+  // each import with its own query string is a separate module instance, i.e. a separate isolate
+  const other = await import('../dns_servers.js?isolate=b');
+  const got = await Promise.all([1, 2, 3, 4].map(n => (n % 2 ? allocateDnsServer : other.allocateDnsServer)(env, deps, 'DE', `${n}:e`)));
+  assert.deepEqual(got.filter(Boolean).map(s => s.id).sort(), ['de1', 'de1', 'de2']);
+  assert.equal((await getDnsServer(env, readJson, 'de1')).assigned, 2);
+});
+
+test('records saved before the split keep their counter and health', async () => {
+  const env = createEnv();
+  await writeJson(env, 'dns:servers', { de1: { ...server('de1'), assigned: 4, health: { status: 'down', checked_at: 1, note: '' }, created_at: 1 } });
+  const before = await getDnsServer(env, readJson, 'de1');
+  assert.equal(before.assigned, 4);
+  assert.equal(before.health.status, 'down');
+  await saveDnsServer(env, deps, server('de1', { label: 'x' }));
+  await allocateDnsServer(env, deps, 'DE', '1:a');
+  const after = await getDnsServer(env, readJson, 'de1');
+  assert.equal(after.health.status, 'down');
+  assert.equal(after.assigned, 4);
+  assert.equal((await readJson(env, 'dns:servers')).de1.assigned, undefined);
+});
+
+test('entries from before seats give back a place of the old counter and count against max_users', async () => {
+  const env = createEnv();
+  await saveDnsServer(env, deps, server('de1', { max_users: 3 }));
+  await writeJson(env, 'dns:server:de1:assigned', 2);
+  assert.equal((await allocateDnsServer(env, deps, 'DE', '1:a')).assigned, 3);
+  assert.equal(await allocateDnsServer(env, deps, 'DE', '2:b'), null);
+  assert.equal(await releaseDnsServer(env, deps, 'de1', null), true);
+  assert.equal(await readJson(env, 'dns:server:de1:assigned'), 1);
+  assert.equal((await allocateDnsServer(env, deps, 'DE', '2:b')).assigned, 3);
+});
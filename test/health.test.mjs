@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectHealthTargets, listUnmonitoredLocations, runHealthChecks, getHealthDisabled, clearHealthDisabled, setHealthConfig } from '../health.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const kv = { kvGetJson: readJson, kvPutJson: (env, key, obj) => writeJson(env, key, obj) };
+const ovpn = (servers) => ({ DE: { servers } });
+const run = (env, targets, down = [], adminOff = []) => runHealthChecks(env, {
+  ...kv,
+  targets,
+  force: true,
+  prober: { async probe(t) { return down.includes(t.id) ? { ok: false, ms: 0, error: 'down' } : { ok: true, ms: 0, error: '' }; } },
+  isDisabled: async (service, code) => adminOff.includes(`${service}:${code}`)
+});
+
+test('UDP-only OpenVPN servers are not probed', () => {
+  const targets = collectHealthTargets({ ovpnLocations: ovpn([{ host: 'a.example', port: 1194, proto: 'udp' }, { host: 'b.example', port: 443, proto: 'tcp' }, { host: 'c.example', port: 1194 }]) });
+  assert.deepEqual(targets.map(t => t.id), ['ovpn:b.example:443', 'ovpn:c.example:1194']);
+});
+
+test('a down location is switched off in its own list and never in the settings', async () => {
+  const env = createEnv();
+  await setHealthConfig(env, kv.kvPutJson, { fail_after: 1, recover_after: 1 });
+  await writeJson(env, 'bot:settings', { disabled_locations: { wg: { FR: true } } });
+  const targets = collectHealthTargets({ ovpnLocations: ovpn([{ host: 'b.example', port: 443 }]) });
+  const stats = await run(env, targets, ['ovpn:b.example:443']);
+  assert.deepEqual(stats.changes, [{ service: 'ovpn', location: 'b.example', status: 'down', switched: true }]);
+  assert.ok((await getHealthDisabled(env, readJson))['ovpn:b.example']);
+  assert.deepEqual(await readJson(env, 'bot:settings'), { disabled_locations: { wg: { FR: true } } });
+
+  const back = await run(env, targets);
+  assert.deepEqual(back.changes, [{ service: 'ovpn', location: 'b.example', status: 'up', switched: true }]);
+  assert.deepEqual(await getHealthDisabled(env, readJson), {});
+});
+
+test('a location the admin switched off is left to the admin', async () => {
+  const env = createEnv();
+  await setHealthConfig(env, kv.kvPutJson, { fail_after: 1, recover_after: 1 });
+  const targets = collectHealthTargets({ ovpnLocations: ovpn([{ host: 'b.example', port: 443 }]) });
+  const stats = await run(env, targets, ['ovpn:b.example:443'], ['ovpn:b.example']);
+  assert.equal(stats.changes[0].switched, false);
+  assert.deepEqual(await getHealthDisabled(env, readJson), {});
+});
+
+test('an admin override stays until the location goes down again', async () => {
+  const env = createEnv();
+  await setHealthConfig(env, kv.kvPutJson, { fail_after: 1, recover_after: 1 });
+  const targets = collectHealthTargets({ ovpnLocations: ovpn([{ host: 'b.example', port: 443 }]) });
+  await run(env, targets, ['ovpn:b.example:443']);
+  assert.equal(await clearHealthDisabled(env, kv, 'ovpn', 'b.example'), true);
+  const still = await run(env, targets, ['ovpn:b.example:443']);
+  assert.deepEqual(still.changes, []);
+  assert.deepEqual(await getHealthDisabled(env, readJson), {});
+  assert.equal((await readJson(env, 'health:state')).locations['ovpn:b.example'].auto_disabled, false);
+});
+
+test('a switched-off location whose targets are removed is switched back on', async () => {
+  const env = createEnv();
+  await setHealthConfig(env, kv.kvPutJson, { fail_after: 1, recover_after: 1 });
+  await run(env, collectHealthTargets({ ovpnLocations: ovpn([{ host: 'b.example', port: 443 }]) }), ['ovpn:b.example:443']);
+  const stats = await run(env, collectHealthTargets({ ovpnLocations: ovpn([{ host: 'b.example', port: 443, proto: 'udp' }]) }));
+  assert.deepEqual(stats.changes, [{ service: 'ovpn', location: 'b.example', status: 'up', switched: true, removed: true }]);
+  assert.deepEqual(await getHealthDisabled(env, readJson), {});
+});
+
+test('WireGuard countries served by the default backend are probed through it', () => {
+  const wgBackends = { default: { type: 'rest', base_url: 'https://wg.example/api', token: 't' }, FR: { type: 'mock' } };
+  const targets = collectHealthTargets({ wgBackends, wgCountries: ['DE', 'NL', 'FR'] });
+  assert.deepEqual(targets.map(t => [t.id, t.url]), [['wg:DE', 'https://wg.example/api'], ['wg:NL', 'https://wg.example/api']]);
+});
+
+test('locations without a probe are listed for the admin', () => {
+  const unmonitored = listUnmonitoredLocations({
+    ovpnLocations: ovpn([{ host: 'a.example', port: 1194, proto: 'udp' }, { host: 'b.example', port: 1194, proto: 'udp' }, { host: 'b.example', port: 443 }]),
+    wgBackends: { FR: { type: 'mock' } },
+    wgCountries: ['FR']
+  });
+  assert.deepEqual(unmonitored, [{ service: 'ovpn', location: 'a.example', reason: 'udp' }, { service: 'wg', location: 'FR', reason: 'mock' }]);
+});
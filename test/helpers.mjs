@@ -0,0 +1,111 @@
+// Shared fakes for the module tests. Run the suite with: node --test test/*.test.mjs
+
+import { AccountDO } from '../account.js';
+import { ClaimDO } from '../claims.js';
+
+// In-memory stand-in for the BOT_KV namespace. Every call yields to the event loop first, so
+// concurrent read-modify-write sequences interleave the way they can on Workers KV.
+// failPut(key, value) may return true to make that put throw (simulated KV error).
+export function createMemoryKv({ failPut = null } = {}) {
+  const data = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  return {
+    data,
+    async get(key) {
+      await tick();
+      return data.has(key) ? data.get(key) : null;
+    },
+    async put(key, value) {
+      await tick();
+      if (failPut && failPut(key, value)) throw new Error(`kv put failed: ${key}`);
+      data.set(key, String(value));
+    },
+    async delete(key) {
+      await tick();
+      data.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      await tick();
+      const keys = [...data.keys()].filter(k => k.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const done = start + limit >= keys.length;
+      return { keys: page.map(name => ({ name })), list_complete: done, cursor: done ? undefined : String(start + limit) };
+    }
+  };
+}
+
+// Durable Object storage stand-in (the calls this bot uses); values are kept as given
+export function createMemoryStorage() {
+  const data = new Map();
+  let alarm = null;
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  return {
+    data,
+    async get(key) {
+      await tick();
+      return Array.isArray(key) ? new Map(key.filter(k => data.has(k)).map(k => [k, data.get(k)])) : data.get(key);
+    },
+    async put(key, value) {
+      await tick();
+      if (typeof key === 'object') { for (const [k, v] of Object.entries(key)) data.set(k, v); } else data.set(key, value);
+    },
+    async delete(key) {
+      await tick();
+      if (Array.isArray(key)) return key.filter(k => data.delete(k)).length;
+      return data.delete(key);
+    },
+    async list({ prefix = '', limit = Infinity, startAfter = '' } = {}) {
+      await tick();
+      const keys = [...data.keys()].filter(k => k.startsWith(prefix) && k > startAfter).sort().slice(0, limit);
+      return new Map(keys.map(k => [k, data.get(k)]));
+    },
+    async getAlarm() { return alarm; },
+    async setAlarm(at) { alarm = Number(at); },
+    async deleteAlarm() { alarm = null; }
+  };
+}
+
+// Durable Object namespace stand-in: one instance of DOClass per name, shared by every env that uses
+// the namespace (i.e. by every "isolate"). fireAlarms() runs alarm() on instances with one set.
+export function createDurableObjectNamespace(DOClass, getEnv) {
+  const instances = new Map();
+  const instance = (name) => {
+    if (!instances.has(name)) {
+      const storage = createMemoryStorage();
+      instances.set(name, { storage, obj: new DOClass({ storage }, getEnv()) });
+    }
+    return instances.get(name);
+  };
+  return {
+    idFromName: (name) => String(name),
+    get(id) {
+      const { obj } = instance(id);
+      return { fetch: (url, init) => obj.fetch(new Request(url, init)) };
+    },
+    storage: (name) => instance(String(name)).storage,
+    async fireAlarms() {
+      for (const { storage, obj } of instances.values()) {
+        if (await storage.getAlarm() == null) continue;
+        await storage.deleteAlarm();
+        await obj.alarm();
+      }
+    }
+  };
+}
+
+// Env of one isolate; the Durable Object namespaces are bound as in wrangler.toml
+export function createEnv(extra = {}, kvOptions = {}) {
+  const env = { BOT_KV: createMemoryKv(kvOptions) };
+  env.ACCOUNTS = createDurableObjectNamespace(AccountDO, () => env);
+  env.CLAIMS = createDurableObjectNamespace(ClaimDO, () => env);
+  return Object.assign(env, extra);
+}
+
+export async function readJson(env, key) {
+  const v = await env.BOT_KV.get(key);
+  return v ? JSON.parse(v) : null;
+}
+export async function writeJson(env, key, obj) {
+  await env.BOT_KV.put(key, JSON.stringify(obj));
+}
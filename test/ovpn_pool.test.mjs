@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+// each import with its own query string is a separate module instance, i.e. a separate isolate queue
+const isolateA = await import('../ovpn_pool.js?isolate=a');
+const isolateB = await import('../ovpn_pool.js?isolate=b');
+
+const deps = {
+  kvGetJson: readJson,
+  kvPutJson: (env, key, obj) => writeJson(env, key, obj),
+  kvDelete: (env, key) => env.BOT_KV.delete(key)
+};
+
+test('two isolates never hand out the same pair', async () => {
+  const env = createEnv();
+  await isolateA.importOvpnCredentials(env, deps, 't1', 'u1:p1\nu2:p2\nu3:p3');
+  const takes = [];
+  for (let i = 0; i < 3; i++) {
+    takes.push(isolateA.takeOvpnCredential(env, deps, 't1', { uid: 1, entryId: `a${i}` }));
+    takes.push(isolateB.takeOvpnCredential(env, deps, 't1', { uid: 2, entryId: `b${i}` }));
+  }
+  const names = (await Promise.all(takes)).filter(r => r.credential).map(r => r.credential.username);
+  assert.equal(new Set(names).size, names.length);
+  assert.ok(names.length <= 3);
+});
+
+test('revoked pairs stay revoked, however many there are', async () => {
+  const env = createEnv();
+  const lines = Array.from({ length: 600 }, (_, i) => `user${i}:pw${i}`).join('\n');
+  await isolateA.importOvpnCredentials(env, deps, 't2', lines);
+  for (let i = 0; i < 600; i++) {
+    const { credential } = await isolateA.takeOvpnCredential(env, deps, 't2', { uid: 1, entryId: `e${i}` });
+    await isolateA.revokeOvpnCredential(env, deps, 't2', credential.username);
+  }
+  assert.equal((await isolateA.getOvpnPoolStats(env, deps.kvGetJson, 't2')).revoked, 600);
+  // a pool record written back from an older copy lists user0 as available again
+  const pool = await readJson(env, 'ovpn:pool:t2');
+  await writeJson(env, 'ovpn:pool:t2', { ...pool, available: [{ username: 'user0', password: 'pw0' }] });
+  const again = await isolateB.takeOvpnCredential(env, deps, 't2', { uid: 3, entryId: 'x' });
+  assert.equal(again.credential, null);
+});
+
+test('a returned pair can be handed out again', async () => {
+  const env = createEnv();
+  await isolateA.importOvpnCredentials(env, deps, 't3', 'solo:pw');
+  const first = await isolateA.takeOvpnCredential(env, deps, 't3', { uid: 1, entryId: 'e1' });
+  assert.equal(await isolateB.returnOvpnCredential(env, deps, 't3', 'solo'), true);
+  const second = await isolateB.takeOvpnCredential(env, deps, 't3', { uid: 2, entryId: 'e2' });
+  assert.equal(first.credential.username, 'solo');
+  assert.equal(second.credential.username, 'solo');
+});
+
+test('a revoked pair is not put back by a pool record that still lists it as assigned', async () => {
+  const env = createEnv();
+  await isolateA.importOvpnCredentials(env, deps, 't4', 'solo:pw');
+  await isolateA.takeOvpnCredential(env, deps, 't4', { uid: 1, entryId: 'e1' });
+  const stale = await readJson(env, 'ovpn:pool:t4');
+  await isolateA.revokeOvpnCredential(env, deps, 't4', 'solo');
+  await writeJson(env, 'ovpn:pool:t4', stale);
+  assert.equal(await isolateB.returnOvpnCredential(env, deps, 't4', 'solo'), false);
+  assert.equal((await isolateB.takeOvpnCredential(env, deps, 't4', { uid: 2, entryId: 'e2' })).credential, null);
+});
+
+test('without the CLAIMS binding no pair is handed out and the pool is left as it was', async () => {
+  const env = createEnv({ CLAIMS: undefined });
+  await isolateA.importOvpnCredentials(env, deps, 't5', 'solo:pw');
+  const res = await isolateA.takeOvpnCredential(env, deps, 't5', { uid: 1, entryId: 'e1' });
+  assert.deepEqual(res, { credential: null, pooled: true });
+  assert.equal((await isolateA.getOvpnPoolStats(env, deps.kvGetJson, 't5')).available, 1);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_OVPN_TEMPLATE_ID, templateFromOvpn, listOvpnTemplates, getOvpnTemplate, saveOvpnTemplate,
+  deleteOvpnTemplate, ovpnTemplateIdFor, renderOvpnTemplate
+} from '../ovpn_templates.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const CA = '<ca>\n-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n</ca>';
+const uploaded = [
+  '\uFEFFclient', 'dev tun', 'proto tcp', 'remote a.example 443', 'remote b.example 1194', 'remote-random',
+  'cipher AES-256-GCM', 'auth SHA256', 'auth-user-pass', '<auth-user-pass>', 'alice', 's3cret', '</auth-user-pass>', CA, ''
+].join('\r\n');
+
+test('an uploaded profile becomes a template with placeholders and its own credentials', () => {
+  const t = templateFromOvpn(uploaded);
+  assert.equal(t.body, [
+    'client', 'dev tun', 'proto {{PROTO}}', 'remote {{HOST}} {{PORT}}', 'cipher AES-256-GCM', 'auth SHA256',
+    'auth-user-pass', '<auth-user-pass>', '{{AUTH_USER}}', '{{AUTH_PASS}}', '</auth-user-pass>', CA, ''
+  ].join('\n'));
+  assert.deepEqual(t.credentials, { username: 'alice', password: 's3cret' });
+  assert.deepEqual(t.summary, { blocks: ['ca'], ciphers: ['cipher AES-256-GCM', 'auth SHA256'], auth_user_pass: true });
+});
+
+test('a profile without a proto line gets one after the remote', () => {
+  const t = templateFromOvpn(`client\nremote a.example 1194\n${CA}\n`);
+  assert.match(t.body, /^remote \{\{HOST\}\} \{\{PORT\}\}\nproto \{\{PROTO\}\}\n/m);
+  assert.equal(t.credentials, null);
+});
+
+test('unusable profiles are refused with the reason', () => {
+  assert.throws(() => templateFromOvpn(`dev tun\nremote a 1\n${CA}`), /not a client profile/);
+  assert.throws(() => templateFromOvpn('client\nremote a 1\n'), /missing CA/);
+  assert.throws(() => templateFromOvpn('client\nremote a 1\nca ca.crt\n'), /CA must be inline/);
+  assert.throws(() => templateFromOvpn(`client\n${CA}\n`), /missing remote line/);
+});
+
+test('rendering fills the server and prefers pooled credentials over the template pair', () => {
+  const tpl = { id: 'x', ...templateFromOvpn(uploaded) };
+  const own = renderOvpnTemplate(tpl, { host: 'de.example', port: 443, proto: 'tcp' });
+  assert.match(own, /^proto tcp$/m);
+  assert.match(own, /^remote de\.example 443$/m);
+  assert.match(own, /<auth-user-pass>\nalice\ns3cret\n<\/auth-user-pass>/);
+  const pooled = renderOvpnTemplate(tpl, { host: 'de.example', port: 443, proto: 'tcp', credentials: { username: 'bob', password: 'pw' } });
+  assert.match(pooled, /<auth-user-pass>\nbob\npw\n<\/auth-user-pass>/);
+  assert.doesNotMatch(pooled, /\{\{/);
+});
+
+test('a server picks its own template, then its location one, then the default', () => {
+  assert.equal(ovpnTemplateIdFor({ template: 'loc' }, { template: 'srv' }), 'srv');
+  assert.equal(ovpnTemplateIdFor({ template: 'loc' }, { host: 'a' }), 'loc');
+  assert.equal(ovpnTemplateIdFor({}, null), DEFAULT_OVPN_TEMPLATE_ID);
+});
+
+test('stored templates are listed after the built-in one and an unknown id gets the default', async () => {
+  const env = createEnv();
+  const builtin = await getOvpnTemplate(env, readJson, 'missing');
+  assert.equal(builtin.id, DEFAULT_OVPN_TEMPLATE_ID);
+  assert.equal(builtin.builtin, true);
+
+  const tpl = { id: 'corp', name: 'Corp', ...templateFromOvpn(uploaded), created_at: 1 };
+  await saveOvpnTemplate(env, readJson, writeJson, tpl);
+  assert.deepEqual((await listOvpnTemplates(env, readJson)).map(t => t.id), [DEFAULT_OVPN_TEMPLATE_ID, 'corp']);
+  assert.deepEqual(await getOvpnTemplate(env, readJson, 'corp'), tpl);
+
+  assert.equal(await deleteOvpnTemplate(env, readJson, writeJson, 'corp'), true);
+  assert.equal(await deleteOvpnTemplate(env, readJson, writeJson, 'corp'), false);
+  assert.deepEqual(await readJson(env, 'ovpn:templates'), {});
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_DIAMOND_PACKAGES, listDiamondPackages, isPackageOnSale, listActiveDiamondPackages, getDiamondPackage,
+  packageTotalDiamonds, isValidPackageId, normalizePackage, saveDiamondPackage, deleteDiamondPackage,
+  setPayoutCards, parsePayoutCard, pickPayoutCard
+} from '../packages.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const kv = { kvGetJson: readJson, kvPutJson: writeJson };
+const card = (id, active = true) => ({ id, number: `6037 0000 0000 000${id.slice(1)}`, name: id, bank: '', active });
+
+test('admin JSON is normalized; dates may be ISO strings', () => {
+  const { pkg } = normalizePackage('promo', { diamonds: 20, price_toman: 30000, bonus_pct: 15, starts_at: '2026-01-01T00:00:00Z', ends_at: 1767312000000 });
+  assert.deepEqual(pkg, { id: 'promo', diamonds: 20, bonus_pct: 15, price_toman: 30000, active: true, sort: 0, starts_at: Date.parse('2026-01-01T00:00:00Z'), ends_at: 1767312000000 });
+  assert.equal(normalizePackage('x', { diamonds: 1.5, price_toman: 30000 }).error, 'diamonds must be a positive integer');
+  assert.equal(normalizePackage('x', { diamonds: 1, price_toman: 999 }).error, 'price_toman must be an integer >= 1000');
+  assert.equal(normalizePackage('x', { diamonds: 1, price_toman: 1000, bonus_pct: 501 }).error, 'bonus_pct must be 0-500');
+  assert.equal(normalizePackage('x', { diamonds: 1, price_toman: 1000, starts_at: 'soon' }).error, 'bad starts_at');
+  assert.equal(normalizePackage('x', { diamonds: 1, price_toman: 1000, starts_at: 2, ends_at: 2 }).error, 'ends_at must be after starts_at');
+  assert.equal(isValidPackageId('d10'), true);
+  assert.equal(isValidPackageId('D-10'), false);
+});
+
+test('a package is on sale only while active and inside its window', () => {
+  const pkg = { active: true, starts_at: 1000, ends_at: 2000 };
+  assert.deepEqual([999, 1000, 1999, 2000].map(t => isPackageOnSale(pkg, t)), [false, true, true, false]);
+  assert.equal(isPackageOnSale({ ...pkg, active: false }, 1500), false);
+  assert.equal(isPackageOnSale({ active: true, starts_at: null, ends_at: null }, 0), true);
+});
+
+test('the bonus is rounded down', () => {
+  assert.equal(packageTotalDiamonds({ diamonds: 25, bonus_pct: 10 }), 27);
+  assert.equal(packageTotalDiamonds({ diamonds: 10 }), 10);
+});
+
+test('the saved catalog replaces the defaults and is listed in sort order', async () => {
+  const env = createEnv();
+  assert.deepEqual((await listDiamondPackages(env, readJson)).map(p => p.id), DEFAULT_DIAMOND_PACKAGES.map(p => p.id));
+  await saveDiamondPackage(env, readJson, writeJson, normalizePackage('first', { diamonds: 5, price_toman: 9000, sort: 0 }).pkg);
+  await saveDiamondPackage(env, readJson, writeJson, normalizePackage('later', { diamonds: 50, price_toman: 60000, sort: 9, starts_at: 5000 }).pkg);
+  assert.deepEqual((await listDiamondPackages(env, readJson)).map(p => p.id), ['first', 'd10', 'd15', 'd25', 'd35', 'later']);
+  assert.equal((await listActiveDiamondPackages(env, readJson, 1000)).some(p => p.id === 'later'), false);
+  assert.equal((await listActiveDiamondPackages(env, readJson, 5000)).some(p => p.id === 'later'), true);
+
+  assert.equal(await deleteDiamondPackage(env, readJson, writeJson, 'd10'), true);
+  assert.equal(await deleteDiamondPackage(env, readJson, writeJson, 'd10'), false);
+  assert.equal(await getDiamondPackage(env, readJson, 'd10'), null);
+  assert.equal((await getDiamondPackage(env, readJson, 'first')).diamonds, 5);
+});
+
+test('card lines are parsed and the number is grouped by four', () => {
+  assert.deepEqual(parsePayoutCard('6037-9911-2233-4455 | Ali | Melli'), { card: { number: '6037 9911 2233 4455', name: 'Ali', bank: 'Melli', active: true } });
+  assert.equal(parsePayoutCard('6037 9911 2233 445 | Ali').error, 'card number must have 16 digits');
+  assert.equal(parsePayoutCard('6037991122334455').error, 'card holder name is required');
+});
+
+test('rotate walks the active cards in order; no active card means none is shown', async () => {
+  const env = createEnv();
+  await setPayoutCards(env, writeJson, { mode: 'rotate', cards: [card('c1'), card('c2', false), card('c3')] });
+  const picked = [];
+  for (let i = 0; i < 4; i++) picked.push((await pickPayoutCard(env, kv)).id);
+  assert.deepEqual(picked, ['c1', 'c3', 'c1', 'c3']);
+
+  await setPayoutCards(env, writeJson, { mode: 'random', cards: [card('c2', false), card('c4')] });
+  assert.equal((await pickPayoutCard(env, kv)).id, 'c4');
+  await setPayoutCards(env, writeJson, { mode: 'random', cards: [card('c2', false)] });
+  assert.equal(await pickPayoutCard(env, kv), null);
+});
@@ -0,0 +1,99 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPaymentGateway, handleMockGatewayPage, settlePaymentOnce } from '../payments.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const deps = {
+  kvGetJson: readJson,
+  kvPutJson: (env, key, obj) => writeJson(env, key, obj),
+  kvDelete: (env, key) => env.BOT_KV.delete(key),
+  baseUrl: 'https://bot.example.com'
+};
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+function stubFetch(body, status = 200) {
+  globalThis.fetch = async () => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+test('the mock gateway needs DEV_MOCK_PAYMENTS', async () => {
+  const env = createEnv();
+  await writeJson(env, 'pay:gateway', { type: 'mock' });
+  assert.equal(await getPaymentGateway(env, deps), null);
+  const page = await handleMockGatewayPage(env, new URL('https://bot.example.com/pay/mock/M1234567'), deps);
+  assert.equal(page.status, 404);
+  const devEnv = { ...env, DEV_MOCK_PAYMENTS: '1' };
+  assert.equal((await getPaymentGateway(devEnv, deps)).type, 'mock');
+});
+
+test('mock verification refuses unpaid and mismatched transactions', async () => {
+  const env = createEnv({ DEV_MOCK_PAYMENTS: '1' });
+  await writeJson(env, 'pay:gateway', { type: 'mock' });
+  const gw = await getPaymentGateway(env, deps);
+  const { authority } = await gw.request({ amountRial: 50000, orderId: 7, callbackUrl: 'https://bot.example.com/pay/callback?pid=7' });
+  assert.equal((await gw.verify({ authority, amountRial: 50000, orderId: 7 })).ok, false);
+  await handleMockGatewayPage(env, new URL(`https://bot.example.com/pay/mock/${authority}?action=pay`), deps);
+  assert.equal((await gw.verify({ authority, amountRial: 10, orderId: 7 })).ok, false);
+  assert.equal((await gw.verify({ authority, amountRial: 50000, orderId: 8 })).ok, false);
+  assert.equal((await gw.verify({ authority, amountRial: 50000, orderId: 7 })).ok, true);
+});
+
+test('zarinpal: only codes 100 and 101 verify, and a NOK callback is not ok', async () => {
+  const env = createEnv();
+  await writeJson(env, 'pay:gateway', { type: 'zarinpal', merchant_id: '00000000-0000-0000-0000-000000000000' });
+  const gw = await getPaymentGateway(env, deps);
+  assert.equal(gw.parseCallback({ Authority: 'A1', Status: 'NOK' }).ok, false);
+  stubFetch({ data: { code: 100, ref_id: 12345, card_pan: '6037**' } });
+  assert.deepEqual(await gw.verify({ authority: 'A1', amountRial: 1000 }), { ok: true, refId: '12345', cardPan: '6037**' });
+  stubFetch({ data: [], errors: { code: -51 } });
+  assert.equal((await gw.verify({ authority: 'A1', amountRial: 1000 })).ok, false);
+});
+
+test('idpay: a verified amount that differs from the order is refused', async () => {
+  const env = createEnv();
+  await writeJson(env, 'pay:gateway', { type: 'idpay', api_key: 'k' });
+  const gw = await getPaymentGateway(env, deps);
+  stubFetch({ status: 100, amount: 999, track_id: 't' });
+  assert.equal((await gw.verify({ authority: 'x', amountRial: 1000, orderId: 1 })).error, 'idpay_amount_mismatch');
+  stubFetch({ status: 100, amount: 1000, track_id: 't' });
+  assert.equal((await gw.verify({ authority: 'x', amountRial: 1000, orderId: 1 })).ok, true);
+});
+
+test('duplicate callbacks settle (and notify) once', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:9', { id: 9, status: 'awaiting_receipt' });
+  let notifications = 0;
+  const settle = async () => {
+    notifications++;
+    const p = await readJson(env, 'purchase:9');
+    await writeJson(env, 'purchase:9', { ...p, status: 'approved' });
+  };
+  const isPaid = (p) => p.status === 'approved';
+  const results = await Promise.all([1, 2, 3].map(() => settlePaymentOnce(env, { ...deps, isPaid }, 9, settle)));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await settlePaymentOnce(env, { ...deps, isPaid }, 9, settle), false);
+  assert.equal(notifications, 1);
+});
+
+test('a settle that fails can be retried', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:10', { id: 10, status: 'awaiting_receipt' });
+  const isPaid = () => false;
+  await assert.rejects(settlePaymentOnce(env, { ...deps, isPaid }, 10, async () => { throw new Error('boom'); }));
+  let ran = 0;
+  assert.equal(await settlePaymentOnce(env, { ...deps, isPaid }, 10, async () => { ran++; }), true);
+  assert.equal(ran, 1);
+});
+
+test('without claims a duplicate is caught where the money moves', async () => {
+  const env = createEnv({ CLAIMS: undefined });
+  await writeJson(env, 'purchase:11', { id: 11, status: 'awaiting_receipt' });
+  const credited = new Set();
+  // stands in for settleOnlinePaymentNow: the credit's idempotency key decides, a duplicate announces nothing
+  const settle = async () => {
+    if (credited.has('purchase:11')) return false;
+    credited.add('purchase:11');
+  };
+  const results = [];
+  for (let i = 0; i < 3; i++) results.push(await settlePaymentOnce(env, { ...deps, isPaid: () => false }, 11, settle));
+  assert.deepEqual(results, [true, false, false]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { savePromo, normalizePromo, reservePromoUse, releasePromoUse, getPromo } from '../promo.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const deps = {
+  kvGetJson: readJson,
+  kvPutJson: (env, key, obj) => writeJson(env, key, obj),
+  kvDelete: (env, key) => env.BOT_KV.delete(key)
+};
+async function withPromo(fields) {
+  const env = createEnv();
+  const { promo } = normalizePromo({ code: 'SPRING', kind: 'percent', value: 10, ...fields });
+  await savePromo(env, deps, promo);
+  return env;
+}
+
+test('concurrent checkouts never hold more than max_uses', async () => {
+  const env = await withPromo({ max_uses: 3 });
+  const results = await Promise.all([1, 2, 3, 4, 5, 6].map(n => reservePromoUse(env, deps, 'SPRING', n, `p${n}`)));
+  assert.equal(results.filter(Boolean).length, 3);
+  assert.equal(await reservePromoUse(env, deps, 'SPRING', 7, 'p7'), false);
+});
+
+test('a released use frees its slot for the next purchase', async () => {
+  const env = await withPromo({ max_uses: 1 });
+  assert.equal(await reservePromoUse(env, deps, 'SPRING', 1, 'p1'), true);
+  assert.equal(await reservePromoUse(env, deps, 'SPRING', 2, 'p2'), false);
+  await releasePromoUse(env, deps, 'SPRING', 1, 'p1');
+  assert.equal((await getPromo(env, readJson, 'SPRING')).used, 0);
+  assert.equal(await reservePromoUse(env, deps, 'SPRING', 2, 'p2'), true);
+});
+
+test('release only gives back a use the purchase holds', async () => {
+  const env = await withPromo({ max_uses: 2, per_user_once: false });
+  await reservePromoUse(env, deps, 'SPRING', 1, 'p1');
+  await releasePromoUse(env, deps, 'SPRING', 1, 'p9');
+  await releasePromoUse(env, deps, 'SPRING', 2, 'p1');
+  assert.equal((await getPromo(env, readJson, 'SPRING')).used, 1);
+  assert.equal((await readJson(env, 'promoused:SPRING:1')).pid, 'p1');
+  await releasePromoUse(env, deps, 'SPRING', 1, 'p1');
+  await releasePromoUse(env, deps, 'SPRING', 1, 'p1');
+  assert.equal((await getPromo(env, readJson, 'SPRING')).used, 0);
+});
+
+test('reserving twice for the same purchase counts once', async () => {
+  const env = await withPromo({ max_uses: 0 });
+  await reservePromoUse(env, deps, 'SPRING', 1, 'p1');
+  await reservePromoUse(env, deps, 'SPRING', 1, 'p1');
+  assert.equal((await getPromo(env, readJson, 'SPRING')).used, 1);
+});
+
+test('a use held before places moved to the ClaimDO is released from its KV slot', async () => {
+  const env = await withPromo({ max_uses: 1 });
+  const promo = await getPromo(env, readJson, 'SPRING');
+  await writeJson(env, `promoslot:SPRING:${promo.created_at}:0`, { pid: 'p1', at: 1 });
+  await writeJson(env, 'promohold:SPRING:p1', { uid: 1, slot: 0, at: 1 });
+  await releasePromoUse(env, deps, 'SPRING', 1, 'p1');
+  assert.equal(await readJson(env, `promoslot:SPRING:${promo.created_at}:0`), null);
+  assert.equal(await readJson(env, 'promohold:SPRING:p1'), null);
+});
+
+test('without the CLAIMS binding a limited code cannot be reserved', async () => {
+  const env = await withPromo({ max_uses: 1 });
+  env.CLAIMS = undefined;
+  await assert.rejects(reservePromoUse(env, deps, 'SPRING', 1, 'p1'), /claims_unavailable/);
+  assert.equal(await readJson(env, 'promohold:SPRING:p1'), null);
+});
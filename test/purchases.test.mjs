@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexPurchase, listUserPurchases, scanPurchases, runPurchaseExpiry, runPurchaseBackfill, hasUserPaid, recordUserPaid, applyRefund, refundableDiamonds, takePurchaseReview, releasePurchaseReview, reviewHolder, isPaidPurchase, canDeliverPurchase, markPurchaseDelivered } from '../purchases.js';
+import { changeBalance } from '../account.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const deps = {
+  kvGetJson: readJson,
+  kvPutJson: (env, key, obj) => writeJson(env, key, obj),
+  kvDelete: (env, key) => env.BOT_KV.delete(key)
+};
+
+test('older buyers are found by the backfill; until then they are unknown', async () => {
+  const env = createEnv();
+  // the capped index from before the per-month buckets, newest first
+  const legacy = [];
+  for (let i = 1; i <= 5; i++) {
+    await writeJson(env, `purchase:${i}`, { id: String(i), user_id: 10 + i, status: i % 2 ? 'approved' : 'rejected', created_at: i });
+    legacy.unshift(String(i));
+  }
+  await writeJson(env, 'index:purchases', legacy);
+  assert.equal(await hasUserPaid(env, deps, 11), null);
+  assert.equal(await hasUserPaid(env, deps, 12), null);
+
+  await writeJson(env, 'purchase:6', { id: '6', user_id: 16, status: 'awaiting_receipt', created_at: Date.now() });
+  await indexPurchase(env, deps, await readJson(env, 'purchase:6'));
+  await recordUserPaid(env, deps, 17);
+  assert.equal(await hasUserPaid(env, deps, 17), true);
+
+  let r;
+  do { r = await runPurchaseBackfill(env, deps); } while (!r.done);
+  assert.equal(await hasUserPaid(env, deps, 11), true);
+  assert.equal(await hasUserPaid(env, deps, 13), true);
+  assert.equal(await hasUserPaid(env, deps, 12), false);
+  assert.equal(await hasUserPaid(env, deps, 16), false);
+});
+
+test('scanPurchases reports when maxScan cut the walk short', async () => {
+  const env = createEnv();
+  for (let i = 1; i <= 3; i++) {
+    const p = { id: String(i), user_id: 1, status: 'approved', created_at: Date.now() };
+    await writeJson(env, `purchase:${i}`, p);
+    await indexPurchase(env, deps, p);
+  }
+  assert.deepEqual(await scanPurchases(env, deps, () => false, { maxScan: 2 }), { scanned: 2, truncated: true });
+  assert.deepEqual(await scanPurchases(env, deps, () => false, { maxScan: 3 }), { scanned: 3, truncated: false });
+});
+
+test('expiry only expires purchases still awaiting a receipt', async () => {
+  const env = createEnv();
+  const old = Date.now() - 3 * 3600 * 1000;
+  for (const [id, status] of [['1', 'awaiting_receipt'], ['2', 'awaiting_receipt']]) {
+    const p = { id, user_id: 1, status, created_at: old };
+    await writeJson(env, `purchase:${id}`, p);
+    await indexPurchase(env, deps, p);
+  }
+  // the user sent a receipt for purchase 2 after it was listed as open
+  await writeJson(env, 'purchase:2', { id: '2', user_id: 1, status: 'pending_review', created_at: old });
+  const expired = [];
+  const stats = await runPurchaseExpiry(env, { ...deps, windowMs: 3600 * 1000, expire: async (p) => { expired.push(p.id); } });
+  assert.deepEqual(stats, { expired: 1, dropped: 1, pending: 0 });
+  assert.deepEqual(expired, ['1']);
+  assert.equal((await readJson(env, 'purchase:2')).status, 'pending_review');
+  assert.deepEqual(await readJson(env, 'purchases:open'), []);
+});
+
+test('my purchases lists orders from before the per-user index once the backfill has run', async () => {
+  const env = createEnv();
+  for (const id of ['1', '2']) await writeJson(env, `purchase:${id}`, { id, user_id: 5, status: 'approved', created_at: Number(id) });
+  await writeJson(env, 'index:purchases', ['2', '1']);
+  const fresh = { id: '3', user_id: 5, status: 'awaiting_receipt', created_at: Date.now() };
+  await writeJson(env, 'purchase:3', fresh);
+  await indexPurchase(env, deps, fresh);
+  assert.deepEqual((await listUserPurchases(env, deps, 5)).items.map(p => p.id), ['3']);
+
+  let r;
+  do { r = await runPurchaseBackfill(env, deps); } while (!r.done);
+  const { items, total } = await listUserPurchases(env, deps, 5);
+  assert.deepEqual(items.map(p => p.id), ['3', '2', '1']);
+  assert.equal(total, 3);
+  assert.deepEqual((await listUserPurchases(env, deps, 5, { offset: 1, limit: 1 })).items.map(p => p.id), ['2']);
+});
+
+function refundDeps(frozen = []) {
+  return {
+    adjustDiamonds: (env, uid, delta, opts) => changeBalance(env, uid, { delta, ...opts }),
+    freezeUser: async (uid, why) => { frozen.push([uid, why]); }
+  };
+}
+
+test('partial refunds take their share of the price and the last one refunds the rest', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:1', { id: 1, diamonds: 100 });
+  const p = { id: 7, user_id: 1, status: 'approved', diamonds: 30, price_toman: 100000 };
+  const first = await applyRefund(env, refundDeps(), p, { id: 'a', diamonds: 10, reason: 'x', by: 9 });
+  assert.deepEqual([first.full, first.toman, first.balance, p.status], [false, 33333, 90, 'approved']);
+  assert.equal(refundableDiamonds(p), 20);
+  const last = await applyRefund(env, refundDeps(), p, { id: 'b', diamonds: 20, reason: 'y', by: 9 });
+  assert.deepEqual([last.full, last.toman, p.status], [true, 66667, 'refunded']);
+  assert.equal(p.refunded_toman, 100000);
+  assert.equal(refundableDiamonds(p), 0);
+  assert.equal((await readJson(env, 'user:1')).diamonds, 70);
+});
+
+test('a refund that takes the balance below zero freezes the user', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:2', { id: 2, diamonds: 5 });
+  const frozen = [];
+  const p = { id: 8, user_id: 2, status: 'approved', diamonds: 20, price_toman: 50000 };
+  const res = await applyRefund(env, refundDeps(frozen), p, { id: 'a', diamonds: 20, reason: 'spent', by: 9 });
+  assert.deepEqual([res.balance, res.frozen], [-15, true]);
+  assert.deepEqual(frozen, [[2, 'refund:8']]);
+});
+
+test('a refund step is applied once, even when an earlier attempt only got to the debit', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:3', { id: 3, diamonds: 50 });
+  const p = { id: 9, user_id: 3, status: 'approved', diamonds: 20, price_toman: 20000 };
+  // the earlier attempt debited with the step's key and died before recording it
+  await changeBalance(env, 3, { delta: -5, reason: 'refund', idempotencyKey: 'refund:9:a' });
+  const retry = await applyRefund(env, refundDeps(), p, { id: 'a', diamonds: 5, reason: 'x', by: 9 });
+  assert.deepEqual([retry.ok, retry.duplicate, p.refunds.length, p.refunded_diamonds], [true, false, 1, 5]);
+  const again = await applyRefund(env, refundDeps(), p, { id: 'a', diamonds: 5, reason: 'x', by: 9 });
+  assert.equal(again.duplicate, true);
+  assert.equal(p.refunds.length, 1);
+  assert.equal((await readJson(env, 'user:3')).diamonds, 45);
+});
+
+test('one admin wins a review and the audit trail records claim and release once each', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:20', { id: 20, status: 'pending_review' });
+  const ali = { id: 1, name: '@ali' };
+  const sara = { id: 2, name: '@sara' };
+  const copies = [await readJson(env, 'purchase:20'), await readJson(env, 'purchase:20')];
+  const [a, b] = await Promise.all([takePurchaseReview(env, deps, copies[0], ali), takePurchaseReview(env, deps, copies[1], sara)]);
+  assert.equal([a, b].filter(r => r.ok).length, 1);
+  const [winner, loser] = a.ok ? [ali, b] : [sara, a];
+  assert.equal(loser.holder.name, winner.name);
+  const p = await readJson(env, 'purchase:20');
+  assert.equal(reviewHolder(p).by, winner.id);
+  assert.equal((await takePurchaseReview(env, deps, p, winner)).ok, true);
+  assert.equal(await releasePurchaseReview(env, p, winner === ali ? sara : ali), false);
+  assert.equal(await releasePurchaseReview(env, p, winner), true);
+  assert.equal(reviewHolder(p), null);
+  assert.deepEqual(p.audit.map(e => [e.action, e.by]), [['claim', winner.id], ['release', winner.id]]);
+});
+
+test('a review is not claimed once the fresh record was decided', async () => {
+  const env = createEnv();
+  await writeJson(env, 'purchase:21', { id: 21, status: 'pending_review' });
+  const stale = await readJson(env, 'purchase:21');
+  await writeJson(env, 'purchase:21', { id: 21, status: 'approved' });
+  assert.deepEqual(await takePurchaseReview(env, deps, stale, { id: 1, name: 'a' }), { ok: false, error: 'decided' });
+  assert.equal(stale.status, 'approved');
+  // the claim was given back, so nobody is shown holding it
+  await writeJson(env, 'purchase:21', { id: 21, status: 'pending_review' });
+  assert.equal((await takePurchaseReview(env, deps, stale, { id: 2, name: 'b' })).ok, true);
+});
+
+test('without the CLAIMS binding nobody can claim a review', async () => {
+  const env = createEnv({ CLAIMS: undefined });
+  await writeJson(env, 'purchase:22', { id: 22, status: 'pending_review' });
+  const p = await readJson(env, 'purchase:22');
+  assert.deepEqual(await takePurchaseReview(env, deps, p, { id: 1, name: 'a' }), { ok: false, error: 'unavailable' });
+  assert.equal((await readJson(env, 'purchase:22')).review, undefined);
+});
+
+test('a paid panel is delivered, and sending it again replaces the delivery', () => {
+  const p = { id: 30, type: 'panel', user_id: 4, status: 'pending_review', price_toman: 90000 };
+  assert.equal(canDeliverPurchase(p), false);
+  p.status = 'paid';
+  assert.equal(canDeliverPurchase(p), true);
+  assert.equal(markPurchaseDelivered(p, { text: 'user: a' }, { id: 1, name: 'a' }, 100), false);
+  assert.deepEqual([p.status, p.delivered_at, p.delivery], ['delivered', 100, { text: 'user: a', by: 1, name: 'a', at: 100 }]);
+  assert.equal(isPaidPurchase(p), true);
+  assert.equal(canDeliverPurchase(p), true);
+  assert.equal(markPurchaseDelivered(p, { file_id: 'F', file_kind: 'document' }, { id: 2, name: 'b' }, 200), true);
+  assert.deepEqual([p.status, p.delivered_at, p.delivery], ['delivered', 200, { file_id: 'F', file_kind: 'document', by: 2, name: 'b', at: 200 }]);
+});
+
+test('only paid panel purchases can be delivered', () => {
+  assert.equal(canDeliverPurchase({ type: 'diamonds', status: 'approved' }), false);
+  for (const status of ['awaiting_receipt', 'pending_review', 'approved', 'rejected', 'expired', 'refunded']) {
+    assert.equal(canDeliverPurchase({ type: 'panel', status }), false, status);
+  }
+  assert.equal(canDeliverPurchase(null), false);
+});
+
+test('a delivered panel is refunded in full without touching the balance', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:5', { id: 5, diamonds: 12 });
+  const p = { id: 31, type: 'panel', user_id: 5, status: 'paid', price_toman: 90000 };
+  markPurchaseDelivered(p, { text: 'x' }, { id: 1, name: 'a' }, 100);
+  const res = await applyRefund(env, refundDeps(), p, { id: 'a', diamonds: 0, reason: 'panel down', by: 1, at: 300 });
+  assert.deepEqual([res.full, res.toman, p.status, p.refunded_at], [true, 90000, 'refunded', 300]);
+  assert.equal(canDeliverPurchase(p), false);
+  assert.equal((await readJson(env, 'user:5')).diamonds, 12);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { encodeQr, qrCapacityBytes, qrToSvg, qrToPng } from '../qr.js';
+
+// 7x7 finder: dark ring, light ring, dark 3x3 centre
+function hasFinder(qr, x0, y0) {
+  for (let y = 0; y < 7; y++) {
+    for (let x = 0; x < 7; x++) {
+      const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+      if (qr.modules[y0 + y][x0 + x] !== (ring !== 2)) return false;
+    }
+  }
+  return true;
+}
+
+test('the smallest version that holds the bytes is picked', () => {
+  assert.deepEqual([14, 15, 100].map(n => encodeQr('a'.repeat(n)).version), [1, 2, 6]);
+  assert.equal(encodeQr('a'.repeat(14)).size, 21);
+  assert.equal(encodeQr('a'.repeat(15)).size, 25);
+});
+
+test('capacity matches the version 40 byte-mode table and is the real limit', () => {
+  assert.deepEqual(['L', 'M', 'H'].map(e => qrCapacityBytes(e)), [2953, 2331, 1273]);
+  assert.equal(encodeQr('a'.repeat(qrCapacityBytes('M'))).version, 40);
+  assert.throws(() => encodeQr('a'.repeat(qrCapacityBytes('M') + 1)), /qr_data_too_long/);
+});
+
+test('function patterns are in place and the output is deterministic', () => {
+  const qr = encodeQr('wg://example');
+  assert.ok(hasFinder(qr, 0, 0) && hasFinder(qr, qr.size - 7, 0) && hasFinder(qr, 0, qr.size - 7));
+  for (let i = 8; i < qr.size - 8; i++) {
+    assert.equal(qr.modules[6][i], i % 2 === 0);
+    assert.equal(qr.modules[i][6], i % 2 === 0);
+  }
+  assert.equal(qr.modules[qr.size - 8][8], true); // dark module
+  assert.deepEqual(encodeQr('wg://example').modules, qr.modules);
+  assert.notDeepEqual(encodeQr('wg://example2').modules, qr.modules);
+});
+
+test('SVG draws one square per dark module inside the border', () => {
+  const qr = encodeQr('hello');
+  const dark = qr.modules.flat().filter(Boolean).length;
+  const svg = qrToSvg(qr, { scale: 2, border: 1 });
+  const dim = (qr.size + 2) * 2;
+  assert.match(svg, new RegExp(`viewBox="0 0 ${dim} ${dim}"`));
+  assert.equal(svg.match(/M\d+,\d+h2v2h-2z/g).length, dark);
+  assert.ok(svg.includes('M2,2h2v2h-2z')); // top-left finder corner
+});
+
+test('PNG is a grayscale image whose pixels follow the modules', async () => {
+  const qr = encodeQr('hello');
+  const scale = 3; const border = 2;
+  const png = Buffer.from(await qrToPng(qr, { scale, border }));
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const dim = (qr.size + border * 2) * scale;
+  assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+  assert.equal(png.readUInt32BE(16), dim);
+  assert.equal(png.readUInt32BE(20), dim);
+  assert.deepEqual([...png.subarray(24, 29)], [8, 0, 0, 0, 0]);
+  const idatLen = png.readUInt32BE(33);
+  assert.equal(png.toString('ascii', 37, 41), 'IDAT');
+  const raw = inflateSync(png.subarray(41, 41 + idatLen));
+  assert.equal(raw.length, (dim + 1) * dim);
+  const pixel = (px, py) => raw[py * (dim + 1) + 1 + px];
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      assert.equal(pixel((x + border) * scale + 1, (y + border) * scale + 1), qr.modules[y][x] ? 0 : 255);
+    }
+  }
+  assert.equal(pixel(0, 0), 255);
+  assert.equal(png.toString('ascii', png.length - 8, png.length - 4), 'IEND');
+});
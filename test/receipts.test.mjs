@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTrackingNumber, findTrackingNumber, recordReceipt } from '../receipts.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const kv = { kvGetJson: readJson, kvPutJson: writeJson };
+
+test('tracking numbers are read in Persian or Arabic digits with separators', () => {
+  assert.equal(normalizeTrackingNumber('۱۲۳۴-۵۶۷۸ ۹۰'), '1234567890');
+  assert.equal(normalizeTrackingNumber('٣٣٤٤٥٥٦٦'), '33445566');
+  assert.equal(normalizeTrackingNumber('12345'), '');
+  assert.equal(normalizeTrackingNumber('1'.repeat(31)), '');
+  assert.equal(normalizeTrackingNumber('12a456789'), '');
+  assert.equal(findTrackingNumber('پرداخت شد، شماره پیگیری: ۰۹۸۷ ۶۵۴۳ ۲۱ ممنون'), '0987654321');
+  assert.equal(findTrackingNumber('مبلغ ۲۵ هزار'), '');
+});
+
+test('a clean receipt has no matches and sending it again for the same purchase is not reuse', async () => {
+  const env = createEnv();
+  assert.deepEqual(await recordReceipt(env, kv, 'p1', { uniqueId: 'AgAD1', tracking: '1234567890' }), { receipt: [], tracking: [] });
+  assert.deepEqual(await recordReceipt(env, kv, 'p1', { uniqueId: 'AgAD1', tracking: '1234567890' }), { receipt: [], tracking: [] });
+  assert.deepEqual(await readJson(env, 'receipt:file:AgAD1'), ['p1']);
+});
+
+test('the same file or tracking number on another purchase is reported', async () => {
+  const env = createEnv();
+  await recordReceipt(env, kv, 'p1', { uniqueId: 'AgAD1', tracking: '1234567890' });
+  await recordReceipt(env, kv, 'p2', { uniqueId: 'AgAD2', tracking: '1234567890' });
+  assert.deepEqual(await recordReceipt(env, kv, 'p3', { uniqueId: 'AgAD1', tracking: '1234567890' }), { receipt: ['p1'], tracking: ['p2', 'p1'] });
+  assert.deepEqual(await recordReceipt(env, kv, 'p4', { uniqueId: 'AgAD3', tracking: '' }), { receipt: [], tracking: [] });
+  assert.deepEqual(await readJson(env, 'receipt:trk:1234567890'), ['p3', 'p2', 'p1']);
+});
+
+test('only the latest purchases are kept per receipt', async () => {
+  const env = createEnv();
+  for (let i = 1; i <= 25; i++) await recordReceipt(env, kv, `p${i}`, { uniqueId: 'AgAD1' });
+  const kept = await readJson(env, 'receipt:file:AgAD1');
+  assert.equal(kept.length, 20);
+  assert.equal(kept[0], 'p25');
+  assert.equal(kept.includes('p5'), false);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSubscriptionTasks, scheduleExpiry, trimServerList } from '../subscriptions.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const kv = {
+  kvGetJson: readJson,
+  kvPutJson: (env, key, obj) => writeJson(env, key, obj),
+  kvDelete: (env, key) => env.BOT_KV.delete(key)
+};
+
+async function setupExpiring(env, uid) {
+  const expiresAt = Date.now() - 1;
+  await writeJson(env, `user:${uid}:servers`, [{ id: 'old', type: 'dns', expires_at: expiresAt }]);
+  await scheduleExpiry(env, kv, uid, 'old', expiresAt);
+  return expiresAt;
+}
+
+test('a purchase saved while an entry expires is kept', async () => {
+  const env = createEnv();
+  await setupExpiring(env, 1);
+  const stats = await runSubscriptionTasks(env, {
+    ...kv,
+    remind: async () => {},
+    expire: async (uid) => {
+      const list = await readJson(env, `user:${uid}:servers`);
+      await writeJson(env, `user:${uid}:servers`, [{ id: 'new', type: 'wg' }, ...list]);
+    }
+  });
+  assert.equal(stats.expired, 1);
+  const list = await readJson(env, 'user:1:servers');
+  assert.deepEqual(list.map(s => s.id), ['new', 'old']);
+  assert.ok(list[1].expired_at);
+});
+
+// saves a renewal of the user's entries right before the n-th read of their list
+function renewBeforeRead(env, uid, n, renewedUntil) {
+  let reads = 0;
+  return async (e, key) => {
+    if (key === `user:${uid}:servers` && ++reads === n) {
+      const list = await readJson(e, key);
+      await writeJson(env, key, list.map(({ expired_at, ...s }) => ({ ...s, expires_at: renewedUntil })));
+    }
+    return readJson(e, key);
+  };
+}
+
+test('an entry renewed after it was marked expired keeps its resources', async () => {
+  const env = createEnv();
+  await setupExpiring(env, 2);
+  const renewedUntil = Date.now() + 30 * 24 * 60 * 60 * 1000;
+  const expired = [];
+  // second read = the check after the expired_at write
+  await runSubscriptionTasks(env, {
+    ...kv,
+    kvGetJson: renewBeforeRead(env, 2, 2, renewedUntil),
+    remind: async () => {},
+    expire: async (uid, item) => { expired.push(item.id); }
+  });
+  assert.deepEqual(expired, []);
+  const [item] = await readJson(env, 'user:2:servers');
+  assert.equal(item.expires_at, renewedUntil);
+  assert.equal(item.expired_at, undefined);
+});
+
+test('expire() sees the entry already marked expired', async () => {
+  const env = createEnv();
+  await setupExpiring(env, 3);
+  const seen = [];
+  await runSubscriptionTasks(env, {
+    ...kv,
+    remind: async () => {},
+    expire: async (uid) => { seen.push((await readJson(env, `user:${uid}:servers`))[0].expired_at); }
+  });
+  assert.equal(seen.length, 1);
+  assert.ok(seen[0]);
+});
+
+test('trimming the server list drops only the oldest expired entries', () => {
+  const nowTs = Date.now();
+  const list = [
+    { id: 'a', expires_at: nowTs + 1000 },
+    { id: 'b', expired_at: nowTs - 5 },
+    { id: 'c' },
+    { id: 'd', expires_at: nowTs - 1000 },
+    { id: 'e', expires_at: nowTs + 1000 }
+  ];
+  assert.deepEqual(trimServerList(list, 4, nowTs).map(s => s.id), ['a', 'b', 'c', 'e']);
+  assert.deepEqual(trimServerList(list, 2, nowTs).map(s => s.id), ['a', 'c', 'e']);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleWireguardCallback } from '../wg.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+function purchaseCtx(env, uid) {
+  const calls = { sent: [], charges: [], alerts: [] };
+  const ctx = {
+    uid, chatId: uid, env, cbId: 'cb', actionKey: 'k',
+    tgApi: async (method, body) => { calls.sent.push({ method, body }); return { ok: true }; },
+    tgUpload: async () => ({ ok: true }),
+    kvGetJson: readJson,
+    kvPutJson: (e, key, obj) => writeJson(e, key, obj),
+    adjustDiamonds: async (...args) => { calls.charges.push(args); return { ok: true, balance: 0 }; },
+    balanceErrorText: () => '',
+    now: () => Date.now(),
+    getSettings: async () => ({ cost_wg: 10 }),
+    getDnsCidrConfig: async () => ({}),
+    countryFlag: () => '', countryName: (c) => c, serviceCountries: async () => [],
+    randomIp4FromCidr: () => '10.0.0.1', randomIpv6FromCidr: () => '::1',
+    isLocationDisabled: async () => false,
+    notifyAdmins: async (e, text) => { calls.alerts.push(text); }
+  };
+  return { ctx, calls };
+}
+
+test('without WG_KEY_SECRET the sale is refused before provisioning or charging', async () => {
+  const env = createEnv();
+  await writeJson(env, 'wg:backends', { default: { type: 'mock' } });
+  await writeJson(env, 'user:6', { id: 6, diamonds: 100 });
+  const { ctx, calls } = purchaseCtx(env, 6);
+  await handleWireguardCallback('PS:WGCONF:DE:gaming:30', ctx);
+  assert.equal(calls.charges.length, 0);
+  assert.equal(calls.alerts.length, 1);
+  assert.match(calls.alerts[0], /WG_KEY_SECRET/);
+  assert.equal(await readJson(env, 'wg:mock:peers:DE'), null);
+  assert.equal(await readJson(env, 'user:6:servers'), null);
+});
+
+test('with WG_KEY_SECRET the stored entry carries the encrypted key', async () => {
+  const env = createEnv({ WG_KEY_SECRET: 'test-secret' });
+  await writeJson(env, 'wg:backends', { default: { type: 'mock' } });
+  await writeJson(env, 'user:7', { id: 7, diamonds: 100 });
+  const { ctx, calls } = purchaseCtx(env, 7);
+  await handleWireguardCallback('PS:WGCONF:DE:gaming:30', ctx);
+  assert.equal(calls.charges.length, 1);
+  const [entry] = await readJson(env, 'user:7:servers');
+  assert.match(entry.private_key_enc, /^v1:/);
+});
+
+test('when the entry cannot be saved the peer is revoked and the charge refunded', async () => {
+  const env = createEnv({ WG_KEY_SECRET: 'test-secret' });
+  await writeJson(env, 'wg:backends', { default: { type: 'mock' } });
+  await writeJson(env, 'user:8', { id: 8, diamonds: 100 });
+  const { ctx, calls } = purchaseCtx(env, 8);
+  ctx.kvPutJson = async (e, key, obj) => {
+    if (key === 'user:8:servers') throw new Error('kv down');
+    return writeJson(e, key, obj);
+  };
+  await handleWireguardCallback('PS:WGCONF:DE:gaming:30', ctx);
+  assert.deepEqual(calls.charges.map(([, , delta, opts]) => [delta, opts.reason, opts.idempotencyKey]), [[-10, 'wg', 'k'], [10, 'refund', 'refund:k']]);
+  assert.deepEqual((await readJson(env, 'wg:mock:peers:DE')).peers, {});
+  assert.ok(calls.sent.some(c => /برگشت/.test(c.body.text || '')));
+  assert.ok(!calls.sent.some(c => c.method === 'sendDocument'));
+});
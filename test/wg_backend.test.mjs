@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWgBackend, resolveWgBackendEntry, wgBackendCountries } from '../wg_backend.js';
+import { handleWireguardCallback } from '../wg.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const kvGetJson = readJson;
+const kvPutJson = (env, key, obj) => writeJson(env, key, obj);
+const deps = { kvGetJson, kvPutJson, getDnsCidrConfig: async () => ({}), randomIp4FromCidr: () => '10.0.0.1' };
+
+test('a country without an entry or default has no backend', async () => {
+  const env = createEnv();
+  assert.equal(await getWgBackend(env, 'DE', deps), null);
+  assert.deepEqual(wgBackendCountries({}, ['DE', 'NL']), []);
+});
+
+test('the mock backend runs only where an entry asks for it', async () => {
+  const env = createEnv();
+  await writeJson(env, 'wg:backends', { NL: { type: 'mock' }, FR: { type: 'rest', base_url: 'https://wg-fr.example.com', disabled: true } });
+  assert.equal(await getWgBackend(env, 'DE', deps), null);
+  assert.equal((await getWgBackend(env, 'NL', deps)).type, 'mock');
+  assert.equal(resolveWgBackendEntry(await readJson(env, 'wg:backends'), 'FR'), null);
+  assert.deepEqual(wgBackendCountries(await readJson(env, 'wg:backends'), ['DE', 'NL']), ['NL']);
+});
+
+test('an explicit default serves every candidate country', () => {
+  const all = { default: { type: 'rest', base_url: 'https://wg.example.com' }, FR: { type: 'mock', disabled: true } };
+  assert.deepEqual(wgBackendCountries(all, ['DE', 'FR', 'NL']), ['DE', 'NL']);
+});
+
+test('buying WireGuard where there is no backend charges nothing', async () => {
+  const env = createEnv();
+  await writeJson(env, 'user:5', { id: 5, diamonds: 100 });
+  const sent = [];
+  const charges = [];
+  await handleWireguardCallback('PS:WGCONF:DE:gaming:30', {
+    uid: 5, chatId: 5, env, cbId: 'cb', actionKey: 'k',
+    tgApi: async (method, body) => { sent.push({ method, body }); return { ok: true }; },
+    tgUpload: async () => ({ ok: true }),
+    kvGetJson, kvPutJson,
+    adjustDiamonds: async (...args) => { charges.push(args); return { ok: true, balance: 0 }; },
+    balanceErrorText: () => '',
+    now: () => Date.now(),
+    getSettings: async () => ({ cost_wg: 10 }),
+    getDnsCidrConfig: async () => ({}),
+    countryFlag: () => '', countryName: (c) => c, serviceCountries: async () => [],
+    randomIp4FromCidr: () => '10.0.0.1', randomIpv6FromCidr: () => '::1',
+    isLocationDisabled: async () => false
+  });
+  assert.equal(charges.length, 0);
+  assert.equal(await readJson(env, 'user:5:servers'), null);
+  assert.ok(sent.some(m => m.method === 'sendMessage' && /در دسترس نیست/.test(m.body.text)));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_WG_PROFILES, getWgTemplates, setWgTemplates, resetWgTemplates, isValidWgProfileId,
+  validateWgProfile, validateWgCountryOverride, listWgProfilesForCountry, resolveWgProfile, renderWgDns
+} from '../wg_templates.js';
+import { createEnv, readJson, writeJson } from './helpers.mjs';
+
+const custom = { title: 'Custom', allowed_ips: '10.0.0.0/8' };
+const cfg = {
+  profiles: { ...DEFAULT_WG_PROFILES, custom },
+  countries: { DE: { profiles: ['full', 'custom'], default: 'custom', mtu: 1380, dns: ['9.9.9.9'] } }
+};
+
+test('stored templates are read back; nothing stored means the built-in profiles', async () => {
+  const env = createEnv();
+  assert.deepEqual(await getWgTemplates(env, readJson), { profiles: DEFAULT_WG_PROFILES, countries: {} });
+  await setWgTemplates(env, writeJson, cfg);
+  assert.deepEqual(await getWgTemplates(env, readJson), cfg);
+  await resetWgTemplates(env, writeJson);
+  assert.deepEqual(await readJson(env, 'wg:templates'), { profiles: DEFAULT_WG_PROFILES, countries: {} });
+});
+
+test('profiles and country overrides are validated', () => {
+  assert.equal(isValidWgProfileId('gaming_2'), true);
+  assert.equal(isValidWgProfileId('Gaming'), false);
+  assert.equal(isValidWgProfileId('a'.repeat(17)), false);
+  assert.equal(validateWgProfile(DEFAULT_WG_PROFILES.full), '');
+  assert.equal(validateWgProfile({ ...custom, title: ' ' }), 'title is required');
+  assert.equal(validateWgProfile({ ...custom, allowed_ips: '10.0.0.0' }), 'bad allowed_ips entry: 10.0.0.0');
+  assert.equal(validateWgProfile({ ...custom, mtu: 1600 }), 'mtu must be 1280-1500');
+  assert.equal(validateWgProfile({ ...custom, dns: ['dns.example'] }), 'bad dns entry: dns.example');
+  assert.equal(validateWgCountryOverride({ profiles: ['nope'] }, cfg.profiles), 'unknown profile: nope');
+  assert.equal(validateWgCountryOverride({ default: 'full', port: 0 }, cfg.profiles), 'port must be 1-65535');
+  assert.equal(validateWgCountryOverride(cfg.countries.DE, cfg.profiles), '');
+});
+
+test('a country offers its own profiles, its default first, with its overrides applied', () => {
+  const de = listWgProfilesForCountry(cfg, 'DE');
+  assert.deepEqual(de.map(p => p.id), ['custom', 'full']);
+  // fields missing from a custom profile come from the built-in default
+  assert.deepEqual(de[0], { ...DEFAULT_WG_PROFILES.gaming, ...custom, id: 'custom', mtu: 1380, dns: ['9.9.9.9'] });
+  assert.equal(de[1].allowed_ips, '0.0.0.0/0, ::/0');
+  assert.equal(de[1].mtu, 1380);
+  assert.deepEqual(listWgProfilesForCountry(cfg, 'FR').map(p => p.id), ['gaming', 'full', 'custom']);
+  assert.equal(listWgProfilesForCountry(cfg, 'FR')[0].mtu, 1410);
+});
+
+test('an unknown or not-offered profile falls back to the country default', () => {
+  assert.equal(resolveWgProfile(cfg, 'DE', 'full').id, 'full');
+  assert.equal(resolveWgProfile(cfg, 'DE', 'gaming').id, 'custom');
+  assert.equal(resolveWgProfile(cfg, 'FR', undefined).id, 'gaming');
+  assert.equal(resolveWgProfile({ profiles: {}, countries: {} }, 'FR', 'gaming'), null);
+});
+
+test('@v4 / @v6 become addresses from the country ranges', () => {
+  const deps = { randomIp4FromCidr: c => `v4(${c})`, randomIpv6FromCidr: c => `v6(${c})` };
+  const dns = ['@v4', '10.202.10.10', '@v6'];
+  assert.equal(renderWgDns(dns, { v4: ['5.0.0.0/8'], v6: ['2a01::/16'] }, deps), 'v4(5.0.0.0/8), 10.202.10.10, v6(2a01::/16)');
+  assert.equal(renderWgDns(dns, {}, deps), '1.1.1.1, 10.202.10.10, 2001:4860:4860::8888');
+});
@@ -1,55 +1,96 @@
 // WireGuard module: handlers and utilities extracted from main.js
 
-// Local utility used only in this module
-function base64UrlToBase64(u) {
-  const s = u.replace(/-/g, '+').replace(/_/g, '/');
-  return s + '='.repeat((4 - (s.length % 4)) % 4);
-}
+import { generateWgKeypairBase64, getWgBackend, getWgBackendsConfig, resolveWgBackendEntry } from './wg_backend.js';
+import { encryptSecret, decryptSecret } from './secretbox.js';
+import { encodeQr, qrToPng } from './qr.js';
+import { DEFAULT_WG_PROFILES, getWgTemplates, listWgProfilesForCountry, resolveWgProfile, renderWgDns } from './wg_templates.js';
+import { listPlans, planPrice, isServerExpired, scheduleExpiry, trimServerList } from './subscriptions.js';
 
+// Local utility used only in this module
 function randomIntInclusive(min, max) {
   const mn = Math.ceil(min);
   const mx = Math.floor(max);
   return Math.floor(Math.random() * (mx - mn + 1)) + mn;
 }
 
-async function generateWgKeypairBase64() {
-  const kp = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
-  const jwkPriv = await crypto.subtle.exportKey('jwk', kp.privateKey);
-  const jwkPub = await crypto.subtle.exportKey('jwk', kp.publicKey);
-  const privB64 = base64UrlToBase64(jwkPriv.d || '');
-  const pubB64 = base64UrlToBase64(jwkPub.x || '');
-  return { privateKey: privB64, publicKey: pubB64 };
+// Single place that renders a .conf so re-sent configs match the original byte for byte
+function buildWgConf({ privateKey, address, dns, mtu, serverPublicKey, endpoint, allowedIps, keepalive }) {
+  return `[Interface]\nPrivateKey = ${privateKey}\nAddress = ${address}\nDNS = ${dns}\nMTU = ${mtu}\n\n[Peer]\nPublicKey = ${serverPublicKey}\nEndpoint = ${endpoint}\nAllowedIPs = ${allowedIps}\nPersistentKeepalive = ${keepalive}\n`;
 }
 
-// Countries list used for WG menu paging
-const WG_COUNTRIES = ['ES','DE','FR','PH','JP','TR','SE','NL','DK','BE','CH','CN'];
+// QR photo of the config for importing from the WireGuard mobile app; best-effort after the .conf
+async function sendWgConfQr(tgUpload, chatId, conf, name) {
+  try {
+    const png = await qrToPng(encodeQr(conf, { ecc: 'L' }), { scale: 6 });
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('photo', new Blob([png], { type: 'image/png' }), `${name || 'WG'}.png`);
+    form.append('caption', 'QR کانفیگ — در اپ WireGuard گزینه Scan from QR code را بزنید.');
+    await tgUpload('sendPhoto', form);
+  } catch (_) {}
+}
 
 export async function handleWireguardMyConfig(data, ctx) {
-  const { uid, chatId, env, tgApi, tgUpload, kvGetJson, countryFlag, dnsCountryLabel } = ctx;
+  const { uid, chatId, env, tgApi, kvGetJson } = ctx;
   const id = data.split(':')[2];
   await tgApi('answerCallbackQuery', { callback_query_id: ctx.cbId });
   const listKey = `user:${uid}:servers`;
   const list = (await kvGetJson(env, listKey)) || [];
   const item = list.find(s => String(s.id) === String(id) && (s.type||'dns') === 'wg');
   if (!item) { await tgApi('sendMessage', { chat_id: chatId, text: 'مورد یافت نشد.' }); return; }
+  if (isServerExpired(item)) {
+    await tgApi('sendMessage', { chat_id: chatId, text: '⛔️ اشتراک این کانفیگ منقضی شده است. برای دریافت دوباره ابتدا آن را تمدید کنید.', reply_markup: { inline_keyboard: [[{ text: '🔁 تمدید', callback_data: `RENEW:${item.id}` }]] } });
+    return;
+  }
+  await sendWireguardEntry(item, ctx);
+}
+
+// Sends the stored config of a WG entry (rebuilt from the encrypted key when needed)
+export async function sendWireguardEntry(item, ctx) {
+  const { chatId, env, tgApi, tgUpload, countryFlag, countryName } = ctx;
   if (item.conf) {
     const form = new FormData();
     form.append('chat_id', String(chatId));
     form.append('document', new Blob([item.conf], { type: 'text/plain' }), `${(item.name||'WG')}.conf`);
-    form.append('caption', `${countryFlag(item.country)} وایرگارد (${dnsCountryLabel(item.country)})${item.name ? `\nنام: ${item.name}` : ''}`);
+    form.append('caption', `${countryFlag(item.country)} وایرگارد (${countryName(item.country)})${item.name ? `\nنام: ${item.name}` : ''}`);
+    const res = await tgUpload('sendDocument', form);
+    if (!res || !res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' }); }
+    else await sendWgConfQr(tgUpload, chatId, item.conf, item.name);
+    return;
+  }
+  if (item.private_key_enc) {
+    let privateKey;
+    try { privateKey = await decryptSecret(env.WG_KEY_SECRET, item.private_key_enc); } catch (_) { privateKey = null; }
+    if (!privateKey) { await tgApi('sendMessage', { chat_id: chatId, text: 'بازیابی کلید این کانفیگ ممکن نیست. با پشتیبانی تماس بگیرید.' }); return; }
+    const conf = buildWgConf({
+      privateKey,
+      address: item.address,
+      dns: item.dns,
+      mtu: item.mtu,
+      serverPublicKey: item.server_public_key,
+      endpoint: item.endpoint,
+      allowedIps: item.allowed_ips,
+      keepalive: item.keepalive
+    });
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append('document', new Blob([conf], { type: 'text/plain' }), `${(item.name||'WG')}.conf`);
+    form.append('caption', `${countryFlag(item.country)} وایرگارد (${countryName(item.country)})${item.name ? `\nنام: ${item.name}` : ''}`);
     const res = await tgUpload('sendDocument', form);
     if (!res || !res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' }); }
+    else await sendWgConfQr(tgUpload, chatId, conf, item.name);
     return;
   }
+  // legacy entries created before keys were stored
   if (item.endpoint && item.name) {
-    const mtu = 1410;
-    const address = `10.66.66.${randomIntInclusive(2, 254)}/24`;
-    const allowed = '43.152.0.0/16, 45.40.0.0/16, 150.109.0.0/16, 161.117.0.0/16, 18.141.0.0/16, 34.87.0.0/16, 52.76.0.0/16, 52.220.0.0/16, 170.106.0.0/16, 125.209.222.0/24, 203.205.0.0/16';
-    const conf = `[Interface]\nPrivateKey = (در زمان ساخت ذخیره نشده)\nAddress = ${address}\nDNS = 10.202.10.10\nMTU = ${mtu}\n\n[Peer]\nPublicKey = (در زمان ساخت ذخیره نشده)\nEndpoint = ${item.endpoint}\nAllowedIPs = ${allowed}\nPersistentKeepalive = 25\n`;
+    // these entries predate templates and were always built from the gaming profile
+    const legacy = DEFAULT_WG_PROFILES.gaming;
+    const address = item.address || `10.66.66.${randomIntInclusive(2, 254)}/24`;
+    const conf = `[Interface]\nPrivateKey = (در زمان ساخت ذخیره نشده)\nAddress = ${address}\nDNS = 10.202.10.10\nMTU = ${legacy.mtu}\n\n[Peer]\nPublicKey = (در زمان ساخت ذخیره نشده)\nEndpoint = ${item.endpoint}\nAllowedIPs = ${legacy.allowed_ips}\nPersistentKeepalive = ${legacy.keepalive}\n`;
     const form = new FormData();
     form.append('chat_id', String(chatId));
     form.append('document', new Blob([conf], { type: 'text/plain' }), `${(item.name||'WG')}.conf`);
-    form.append('caption', `${countryFlag(item.country)} وایرگارد (${dnsCountryLabel(item.country)})${item.name?`\nنام: ${item.name}`:''}`);
+    form.append('caption', `${countryFlag(item.country)} وایرگارد (${countryName(item.country)})${item.name?`\nنام: ${item.name}`:''}`);
     const res = await tgUpload('sendDocument', form);
     if (!res || !res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' }); }
     return;
@@ -57,28 +98,74 @@ export async function handleWireguardMyConfig(data, ctx) {
   await tgApi('sendMessage', { chat_id: chatId, text: 'متاسفانه اطلاعات کافی برای ارسال کانفیگ موجود نیست.' });
 }
 
+// Expiry: remove the peer from its server. deps: { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr }
+export async function revokeWireguardEntry(env, item, deps) {
+  if (!item.peer_id) return false;
+  const backend = await getWgBackend(env, item.country, deps);
+  if (!backend) return false;
+  try { return await backend.revokePeer({ country: item.country, peerId: item.peer_id }); } catch (_) { return false; }
+}
+
+// Renewal after expiry: registers the entry's existing public key again and updates the entry in place.
+// The server may hand out a different address/endpoint, so the config has to be re-sent afterwards.
+export async function reactivateWireguardEntry(env, item, deps) {
+  if (!item.public_key || !item.private_key_enc) return { ok: false, error: 'no_key' };
+  const backend = await getWgBackend(env, item.country, deps);
+  if (!backend) return { ok: false, error: 'no_backend' };
+  let peer;
+  try {
+    peer = await backend.provisionPeer({ country: item.country, publicKey: item.public_key, name: item.name });
+  } catch (_) { return { ok: false, error: 'provision_failed' }; }
+  item.peer_id = peer.peerId;
+  item.address = peer.address;
+  item.server_public_key = peer.serverPublicKey;
+  item.endpoint = peer.endpoint;
+  if (peer.allowedIps) item.allowed_ips = peer.allowedIps;
+  if (peer.dns && peer.dns.length) item.dns = peer.dns.join(', ');
+  item.backend = backend.type;
+  return { ok: true, revoke: () => backend.revokePeer({ country: item.country, peerId: peer.peerId }) };
+}
+
+// Plan picker shown before payment; the chosen days end up in PS:WGCONF
+async function sendWgPlanChoice(ctx, code, tpl, user, settings) {
+  const { chatId, tgApi, countryName } = ctx;
+  const plans = listPlans(settings, 'wg');
+  const text = `🛰️ وایرگارد اختصاصی (${countryName(code)})\n🧭 نوع تونل: ${tpl.title}\n\n⏳ مدت اشتراک را انتخاب کنید:\n\n👤 موجودی شما: ${user.diamonds || 0}`;
+  const kb = { inline_keyboard: [
+    ...plans.map(p => ([{ text: `✅ ${p.days} روزه — ${p.price} الماس`, callback_data: `PS:WGCONF:${code}:${tpl.id}:${p.days}` }])),
+    [{ text: '❌ انصراف', callback_data: 'PS:WG' }]
+  ] };
+  await tgApi('sendMessage', { chat_id: chatId, text, reply_markup: kb });
+}
+
 export async function handleWireguardCallback(data, ctx) {
   const {
     uid, chatId, env,
     tgApi, tgUpload,
-    kvGetJson, kvPutJson,
+    kvGetJson, kvPutJson, adjustDiamonds, balanceErrorText,
     now, getSettings, getDnsCidrConfig,
-    countryFlag, dnsCountryLabel,
+    countryFlag, countryName, serviceCountries,
     randomIp4FromCidr, randomIpv6FromCidr,
-    isLocationDisabled
+    isLocationDisabled, notifyAdmins
   } = ctx;
 
   if (data === 'PS:WG') {
     await tgApi('answerCallbackQuery', { callback_query_id: ctx.cbId });
+    // countries a WireGuard backend serves (countrySources in main.js)
+    const countries = await serviceCountries(env, 'wg');
+    if (!countries.length) {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'در حال توسعه و آماده‌سازی لوکیشن‌ها.', reply_markup: { inline_keyboard: [[{ text: '⬅️ بازگشت', callback_data: 'PRIVATE_SERVER' }]] } });
+      return;
+    }
     const page = 0;
     const perPage = 12;
-    const totalPages = Math.ceil(WG_COUNTRIES.length / perPage);
+    const totalPages = Math.ceil(countries.length / perPage);
     const rows = [];
-    const slice = WG_COUNTRIES.slice(page*perPage, page*perPage + perPage);
+    const slice = countries.slice(page*perPage, page*perPage + perPage);
     for (let i = 0; i < slice.length; i += 2) {
       const c1 = slice[i]; const c2 = slice[i+1];
-      const r = [{ text: `${countryFlag(c1)} ${dnsCountryLabel(c1)}`, callback_data: `PS:WG:${c1}` }];
-      if (c2) r.push({ text: `${countryFlag(c2)} ${dnsCountryLabel(c2)}`, callback_data: `PS:WG:${c2}` });
+      const r = [{ text: `${countryFlag(c1)} ${countryName(c1)}`, callback_data: `PS:WG:${c1}` }];
+      if (c2) r.push({ text: `${countryFlag(c2)} ${countryName(c2)}`, callback_data: `PS:WG:${c2}` });
       rows.push(r);
     }
     rows.push([{ text: '⬅️ بازگشت', callback_data: 'PRIVATE_SERVER' }]);
@@ -95,18 +182,19 @@ export async function handleWireguardCallback(data, ctx) {
 
   if (data.startsWith('PS:WG_PAGE:')) {
     await tgApi('answerCallbackQuery', { callback_query_id: ctx.cbId });
+    const countries = await serviceCountries(env, 'wg');
     const perPage = 12;
-    const totalPages = Math.ceil(WG_COUNTRIES.length / perPage);
+    const totalPages = Math.max(1, Math.ceil(countries.length / perPage));
     let page = parseInt(data.split(':')[2], 10) || 0;
     if (page < 0) page = 0;
     if (page >= totalPages) page = totalPages - 1;
     const start = page * perPage;
-    const slice = WG_COUNTRIES.slice(start, start + perPage);
+    const slice = countries.slice(start, start + perPage);
     const rows = [];
     for (let i = 0; i < slice.length; i += 2) {
       const c1 = slice[i]; const c2 = slice[i+1];
-      const r = [{ text: `${countryFlag(c1)} ${dnsCountryLabel(c1)}`, callback_data: `PS:WG:${c1}` }];
-      if (c2) r.push({ text: `${countryFlag(c2)} ${dnsCountryLabel(c2)}`, callback_data: `PS:WG:${c2}` });
+      const r = [{ text: `${countryFlag(c1)} ${countryName(c1)}`, callback_data: `PS:WG:${c1}` }];
+      if (c2) r.push({ text: `${countryFlag(c2)} ${countryName(c2)}`, callback_data: `PS:WG:${c2}` });
       rows.push(r);
     }
     if (totalPages > 1) {
@@ -130,21 +218,37 @@ export async function handleWireguardCallback(data, ctx) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'این بخش درحال توسعه و بروزرسانی می‌باشد و موقتا غیر فعال است.' });
       return;
     }
+    if (!resolveWgBackendEntry(await getWgBackendsConfig(env, kvGetJson), code)) {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'سرور وایرگارد این کشور در دسترس نیست.' });
+      return;
+    }
     const userKey = `user:${uid}`;
     const user = (await kvGetJson(env, userKey)) || { id: uid, diamonds: 0 };
     const settings = await getSettings(env);
-    const cost = settings.cost_wg || 2;
-    const text = `🛰️ وایرگارد اختصاصی (${dnsCountryLabel(code)})\n\n💎 هزینه: ${cost} الماس\n💳 آیا پرداخت انجام شود؟\n\n👤 موجودی شما: ${user.diamonds || 0}`;
+    const profiles = listWgProfilesForCountry(await getWgTemplates(env, kvGetJson), code);
+    if (!profiles.length) { await tgApi('sendMessage', { chat_id: chatId, text: 'پروفایلی برای این کشور تعریف نشده است.' }); return; }
+    if (profiles.length === 1) { await sendWgPlanChoice(ctx, code, profiles[0], user, settings); return; }
+    const text = `🛰️ وایرگارد اختصاصی (${countryName(code)})\n\n🧭 نوع تونل را انتخاب کنید:\n${profiles.map(p => `• ${p.title}: ${p.allowed_ips === '0.0.0.0/0, ::/0' ? 'همه ترافیک' : 'فقط رنج‌های انتخاب‌شده'}`).join('\n')}`;
     const kb = { inline_keyboard: [
-      [{ text: '✅ پرداخت و دریافت', callback_data: `PS:WGCONF:${code}` }],
+      ...profiles.map(p => ([{ text: p.title, callback_data: `PS:WGPLAN:${code}:${p.id}` }])),
       [{ text: '❌ انصراف', callback_data: 'PS:WG' }]
     ] };
     await tgApi('sendMessage', { chat_id: chatId, text, reply_markup: kb });
     return;
   }
 
+  if (data.startsWith('PS:WGPLAN:')) {
+    const [, , code, profileId] = data.split(':');
+    await tgApi('answerCallbackQuery', { callback_query_id: ctx.cbId });
+    const tpl = resolveWgProfile(await getWgTemplates(env, kvGetJson), code, profileId);
+    if (!tpl) { await tgApi('sendMessage', { chat_id: chatId, text: 'پروفایلی برای این کشور تعریف نشده است.' }); return; }
+    const user = (await kvGetJson(env, `user:${uid}`)) || { id: uid, diamonds: 0 };
+    await sendWgPlanChoice(ctx, code, tpl, user, await getSettings(env));
+    return;
+  }
+
   if (data.startsWith('PS:WGCONF:')) {
-    const code = data.split(':')[2];
+    const [, , code, profileId, daysArg] = data.split(':');
     await tgApi('answerCallbackQuery', { callback_query_id: ctx.cbId });
     if (await isLocationDisabled(env, 'wg', code)) {
       await tgApi('sendMessage', { chat_id: chatId, text: 'این بخش درحال توسعه و بروزرسانی می‌باشد و موقتا غیر فعال است.' });
@@ -153,42 +257,88 @@ export async function handleWireguardCallback(data, ctx) {
     const userKey = `user:${uid}`;
     const user = (await kvGetJson(env, userKey)) || { id: uid, diamonds: 0 };
     const settings = await getSettings(env);
-    const cost = settings.cost_wg || 2;
+    // buttons sent before plans existed carry no days; treat them as the 30-day plan
+    const days = Number(daysArg || 30);
+    const cost = planPrice(settings, 'wg', days);
+    if (cost == null) { await tgApi('sendMessage', { chat_id: chatId, text: 'این پلن دیگر موجود نیست.' }); return; }
     if ((user.diamonds || 0) < cost) { await tgApi('sendMessage', { chat_id: chatId, text: `⚠️ الماس کافی نیست. این سرویس ${cost} الماس هزینه دارد.` }); return; }
-    user.diamonds = (user.diamonds || 0) - cost; await kvPutJson(env, userKey, user);
+    const tpl = resolveWgProfile(await getWgTemplates(env, kvGetJson), code, profileId);
+    if (!tpl) { await tgApi('sendMessage', { chat_id: chatId, text: 'پروفایلی برای این کشور تعریف نشده است.' }); return; }
+    const backend = await getWgBackend(env, code, { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr, defaultPort: tpl.port });
+    if (!backend) { await tgApi('sendMessage', { chat_id: chatId, text: 'سرور وایرگارد این کشور در دسترس نیست.' }); return; }
 
+    // the private key is only kept encrypted; without WG_KEY_SECRET "My configs" and renewals could
+    // never rebuild the config, so nothing is sold until an admin sets it
     const kp = await generateWgKeypairBase64();
-    const cfg = await getDnsCidrConfig(env);
-    const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
-    const v4cidr = pick((cfg[code]||{}).v4 || []);
-    const v6cidr = pick((cfg[code]||{}).v6 || []);
-    const dnsV4 = v4cidr ? randomIp4FromCidr(v4cidr) : '1.1.1.1';
-    const dnsFixedV4 = '10.202.10.10';
-    const dnsV6 = v6cidr ? randomIpv6FromCidr(v6cidr) : '2001:4860:4860::8888';
-    const epCidr = v4cidr || pick(((cfg[code]||{}).v4 || []));
-    const endpointHost = epCidr ? randomIp4FromCidr(epCidr) : '8.8.8.8';
-    const endpoint = `${endpointHost}:51820`;
+    let privateKeyEnc;
+    try {
+      privateKeyEnc = await encryptSecret(env.WG_KEY_SECRET, kp.privateKey);
+    } catch (e) {
+      await notifyAdmins(env, `⚠️ فروش وایرگارد انجام نشد: رمزنگاری کلید خصوصی ممکن نیست (${(e && e.message) || e}). Secret با نام WG_KEY_SECRET را تنظیم کنید.`);
+      await tgApi('sendMessage', { chat_id: chatId, text: 'فروش وایرگارد موقتاً در دسترس نیست. لطفاً بعداً تلاش کنید.' });
+      return;
+    }
+
+    // register the client key first; nothing is charged if the server refuses
     const nameId = String(Math.floor(100000 + Math.random() * 900000));
     const name = `NoiD${nameId}`;
-    const mtu = 1410;
-    const address = `10.66.66.${randomIntInclusive(2, 254)}/24`;
-    const allowed = '43.152.0.0/16, 45.40.0.0/16, 150.109.0.0/16, 161.117.0.0/16, 18.141.0.0/16, 34.87.0.0/16, 52.76.0.0/16, 52.220.0.0/16, 170.106.0.0/16, 125.209.222.0/24, 203.205.0.0/16';
-    const conf = `[Interface]\nPrivateKey = ${kp.privateKey}\nAddress = ${address}\nDNS = ${dnsV4}, ${dnsFixedV4}, ${dnsV6}\nMTU = ${mtu}\n\n[Peer]\nPublicKey = ${kp.publicKey}\nEndpoint = ${endpoint}\nAllowedIPs = ${allowed}\nPersistentKeepalive = 25\n`;
+    let peer;
+    try {
+      peer = await backend.provisionPeer({ country: code, publicKey: kp.publicKey, name });
+    } catch (_) {
+      await tgApi('sendMessage', { chat_id: chatId, text: 'ساخت کانفیگ روی سرور با خطا مواجه شد. لطفاً بعداً تلاش کنید.' });
+      return;
+    }
+    const entryId = `${now()}`;
+    const expiresAt = now() + days * 24 * 60 * 60 * 1000;
+    const charged = await adjustDiamonds(env, uid, -cost, { reason: 'wg', ref: entryId, actor: uid, requireFunds: true, idempotencyKey: ctx.actionKey });
+    if (!charged.ok) {
+      try { await backend.revokePeer({ country: code, peerId: peer.peerId }); } catch (_) {}
+      await tgApi('sendMessage', { chat_id: chatId, text: balanceErrorText(charged, cost) });
+      return;
+    }
 
+    const cfg = await getDnsCidrConfig(env);
+    const dns = (peer.dns && peer.dns.length) ? peer.dns.join(', ') : renderWgDns(tpl.dns, cfg[code], { randomIp4FromCidr, randomIpv6FromCidr });
+    const endpoint = peer.endpoint;
+    const mtu = tpl.mtu;
+    const keepalive = tpl.keepalive;
+    const address = peer.address;
+    // a server that pins AllowedIPs wins over the chosen profile
+    const allowed = peer.allowedIps || tpl.allowed_ips;
+    const conf = buildWgConf({ privateKey: kp.privateKey, address, dns, mtu, serverPublicKey: peer.serverPublicKey, endpoint, allowedIps: allowed, keepalive });
+    // without the saved entry the config could never be re-sent, renewed or expired: undo the sale
     try {
       const listKey = `user:${uid}:servers`;
       const list = (await kvGetJson(env, listKey)) || [];
-      list.unshift({ id: `${now()}`, type: 'wg', country: code, name, endpoint, created_at: now() });
-      if (list.length > 200) list.length = 200;
+      list.unshift({
+        id: entryId, type: 'wg', country: code, profile: tpl.id, name, endpoint, address, dns, mtu, keepalive,
+        allowed_ips: allowed, public_key: kp.publicKey, private_key_enc: privateKeyEnc,
+        server_public_key: peer.serverPublicKey, peer_id: peer.peerId, backend: backend.type,
+        plan_days: days, expires_at: expiresAt, created_at: now()
+      });
+      trimServerList(list);
       await kvPutJson(env, listKey, list);
-    } catch (_) {}
+    } catch (_) {
+      try { await backend.revokePeer({ country: code, peerId: peer.peerId }); } catch (_) {}
+      const refunded = await adjustDiamonds(env, uid, cost, { reason: 'refund', ref: entryId, actor: uid, idempotencyKey: `refund:${ctx.actionKey}` });
+      if (!refunded.ok && refunded.error !== 'duplicate') await notifyAdmins(env, `⚠️ خرید وایرگارد ناقص: ${cost} الماس از کاربر ${uid} کسر شد، کانفیگ ذخیره نشد و برگشت الماس هم ناموفق بود. لطفاً دستی بررسی کنید.`);
+      await tgApi('sendMessage', { chat_id: chatId, text: refunded.ok || refunded.error === 'duplicate' ? `ذخیره کانفیگ با خطا مواجه شد و ${cost} الماس به حساب شما برگشت. لطفاً دوباره تلاش کنید.` : 'ذخیره کانفیگ با خطا مواجه شد. موضوع به پشتیبانی اطلاع داده شد و الماس شما برگردانده می‌شود.' });
+      return;
+    }
+    try {
+      await scheduleExpiry(env, { kvGetJson, kvPutJson }, uid, entryId, expiresAt);
+    } catch (_) {
+      await notifyAdmins(env, `⚠️ انقضای وایرگارد ${name} (کاربر ${uid}) زمان‌بندی نشد؛ این کانفیگ خودکار منقضی نمی‌شود.`);
+    }
 
     const form = new FormData();
     form.append('chat_id', String(chatId));
     form.append('document', new Blob([conf], { type: 'text/plain' }), `${name}.conf`);
-    form.append('caption', `${countryFlag(code)} وایرگارد اختصاصی (${dnsCountryLabel(code)})\nنام: ${name}`);
+    form.append('caption', `${countryFlag(code)} وایرگارد اختصاصی (${countryName(code)})\nنام: ${name}\n⏳ اعتبار: ${days} روز`);
     const res = await tgUpload('sendDocument', form);
     if (!res || !res.ok) { await tgApi('sendMessage', { chat_id: chatId, text: 'ارسال فایل با خطا مواجه شد.' }); }
+    else await sendWgConfQr(tgUpload, chatId, conf, name);
     return;
   }
 }
@@ -0,0 +1,164 @@
+// WireGuard provisioning backends: register client peers on real servers (REST) or a mock
+
+// Backend config lives in KV `wg:backends`, keyed by country code (or `default`):
+//   { "DE": { "type": "rest", "base_url": "https://wg-de.example.com/api", "api_key": "..." },
+//     "default": { "type": "mock", "endpoint_port": 51820 } }
+// A country uses its own entry, else `default`; with neither it has no backend and WireGuard is not
+// sold there. The mock backend fabricates configs no server accepts: it is for development only and
+// runs only where an entry asks for it ({ "type": "mock" }).
+//
+// Every backend implements:
+//   provisionPeer({ country, publicKey, name }) -> { peerId, address, serverPublicKey, endpoint, dns?, allowedIps? }
+//   revokePeer({ country, peerId }) -> boolean
+
+const BACKENDS_KEY = 'wg:backends';
+
+function base64UrlToBase64(u) {
+  const s = u.replace(/-/g, '+').replace(/_/g, '/');
+  return s + '='.repeat((4 - (s.length % 4)) % 4);
+}
+
+export async function generateWgKeypairBase64() {
+  const kp = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+  const jwkPriv = await crypto.subtle.exportKey('jwk', kp.privateKey);
+  const jwkPub = await crypto.subtle.exportKey('jwk', kp.publicKey);
+  const privB64 = base64UrlToBase64(jwkPriv.d || '');
+  const pubB64 = base64UrlToBase64(jwkPub.x || '');
+  return { privateKey: privB64, publicKey: pubB64 };
+}
+
+export async function getWgBackendsConfig(env, kvGetJson) {
+  return (await kvGetJson(env, BACKENDS_KEY)) || {};
+}
+export async function setWgBackendsConfig(env, kvPutJson, cfg) {
+  await kvPutJson(env, BACKENDS_KEY, cfg || {});
+}
+
+// Validates one country entry; returns an error string or '' when ok
+export function validateWgBackendEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'entry must be an object';
+  if (entry.type === 'mock') return '';
+  if (entry.type === 'rest') {
+    if (!/^https:\/\//i.test(String(entry.base_url || ''))) return 'rest backend needs an https base_url';
+    return '';
+  }
+  return 'type must be "rest" or "mock"';
+}
+
+/* -------------------- Generic REST adapter -------------------- */
+// POST {base_url}/peers   { public_key, name, country } -> { id, address, server_public_key, endpoint, dns?, allowed_ips? }
+// DELETE {base_url}/peers/{id}
+function createRestBackend(entry) {
+  const base = String(entry.base_url).replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (entry.api_key) headers['Authorization'] = `Bearer ${entry.api_key}`;
+  return {
+    type: 'rest',
+    async provisionPeer({ country, publicKey, name }) {
+      const res = await fetch(`${base}/peers`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ public_key: publicKey, name, country })
+      });
+      if (!res.ok) throw new Error(`wg_backend_http_${res.status}`);
+      const j = await res.json();
+      if (!j || !j.address || !j.server_public_key || !j.endpoint) throw new Error('wg_backend_bad_response');
+      return {
+        peerId: String(j.id || publicKey),
+        address: String(j.address),
+        serverPublicKey: String(j.server_public_key),
+        endpoint: String(j.endpoint),
+        dns: Array.isArray(j.dns) ? j.dns.map(String) : undefined,
+        allowedIps: j.allowed_ips ? String(j.allowed_ips) : undefined
+      };
+    },
+    async revokePeer({ peerId }) {
+      try {
+        const res = await fetch(`${base}/peers/${encodeURIComponent(peerId)}`, { method: 'DELETE', headers });
+        return res.ok;
+      } catch (_) { return false; }
+    }
+  };
+}
+
+/* -------------------- Mock backend -------------------- */
+// Keeps a per-country server keypair and peer table in KV and hands out sequential
+// addresses from 10.66.0.0/16, so configs are consistent without a real server.
+function mockAddressFromIndex(n) {
+  // skip .0 and .255 host octets
+  const perBlock = 254;
+  const third = Math.floor(n / perBlock);
+  const fourth = (n % perBlock) + 1;
+  return `10.66.${third}.${fourth}`;
+}
+function createMockBackend(entry, env, deps) {
+  const { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr } = deps;
+  const port = Number(entry.endpoint_port || deps.defaultPort || 51820);
+  return {
+    type: 'mock',
+    async provisionPeer({ country, publicKey, name }) {
+      const serverKey = `wg:mock:server:${country}`;
+      let server = await kvGetJson(env, serverKey);
+      if (!server) {
+        const kp = await generateWgKeypairBase64();
+        let host = entry.endpoint_host || '';
+        if (!host) {
+          const cfg = await getDnsCidrConfig(env);
+          const v4 = (cfg[country] || {}).v4 || [];
+          host = v4.length ? randomIp4FromCidr(v4[Math.floor(Math.random() * v4.length)]) : '127.0.0.1';
+        }
+        server = { public_key: kp.publicKey, host, created_at: Date.now() };
+        await kvPutJson(env, serverKey, server);
+      }
+      // older records stored a fixed host:port endpoint
+      const endpoint = server.host ? `${server.host}:${port}` : server.endpoint;
+      const peersKey = `wg:mock:peers:${country}`;
+      const table = (await kvGetJson(env, peersKey)) || { next: 1, peers: {} };
+      const taken = new Set(Object.values(table.peers || {}).map(p => p.address));
+      let n = Number(table.next || 1);
+      // 254 * 256 addresses in the /16; wrap around and skip taken ones
+      let address = mockAddressFromIndex(n % (254 * 256));
+      for (let tries = 0; taken.has(`${address}/32`) && tries < 254 * 256; tries++) {
+        n++;
+        address = mockAddressFromIndex(n % (254 * 256));
+      }
+      if (taken.has(`${address}/32`)) throw new Error('wg_backend_pool_exhausted');
+      const peerId = `m${n}`;
+      table.peers = table.peers || {};
+      table.peers[peerId] = { public_key: publicKey, name, address: `${address}/32`, created_at: Date.now() };
+      table.next = n + 1;
+      await kvPutJson(env, peersKey, table);
+      return { peerId, address: `${address}/32`, serverPublicKey: server.public_key, endpoint };
+    },
+    async revokePeer({ country, peerId }) {
+      const peersKey = `wg:mock:peers:${country}`;
+      const table = (await kvGetJson(env, peersKey)) || { next: 1, peers: {} };
+      if (!table.peers || !table.peers[peerId]) return false;
+      delete table.peers[peerId];
+      await kvPutJson(env, peersKey, table);
+      return true;
+    }
+  };
+}
+
+// The entry serving `country` (its own, else `default`); null when there is none or it is disabled
+export function resolveWgBackendEntry(all, country) {
+  const entry = (all || {})[country] || (all || {}).default || null;
+  if (!entry || entry.disabled || validateWgBackendEntry(entry)) return null;
+  return entry;
+}
+// Countries that can be sold: `candidates` (countries with CIDR ranges, served by `default`) and
+// countries with an entry of their own, minus those resolveWgBackendEntry rejects
+export function wgBackendCountries(all, candidates = []) {
+  const own = Object.keys(all || {}).filter(c => c !== 'default');
+  return [...new Set([...candidates, ...own])].filter(c => resolveWgBackendEntry(all, c));
+}
+
+// deps: { kvGetJson, kvPutJson, getDnsCidrConfig, randomIp4FromCidr, defaultPort? }
+// Returns null when the country has no backend
+export async function getWgBackend(env, country, deps) {
+  const entry = resolveWgBackendEntry(await getWgBackendsConfig(env, deps.kvGetJson), country);
+  if (!entry) return null;
+  if (entry.type === 'rest') return createRestBackend(entry);
+  return createMockBackend(entry, env, deps);
+}
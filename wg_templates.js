@@ -0,0 +1,125 @@
+// WireGuard templates: per-profile client settings (AllowedIPs, MTU, DNS, keepalive, port) with per-country overrides
+
+// Stored in KV `wg:templates`:
+//   { "profiles": { "full": { "title": "...", "allowed_ips": "0.0.0.0/0, ::/0", "mtu": 1410, "keepalive": 25, "dns": ["@v4", "10.202.10.10", "@v6"], "port": 51820 }, ... },
+//     "countries": { "DE": { "profiles": ["full"], "default": "full", "mtu": 1380 } } }
+// DNS entries are literal resolver IPs or `@v4` / `@v6`, which become a random address from the
+// country's DNS ranges. A country entry may restrict the offered profiles and override mtu/keepalive/dns/port.
+
+const TEMPLATES_KEY = 'wg:templates';
+
+export const DEFAULT_WG_PROFILES = {
+  gaming: {
+    title: '🎮 گیمینگ (اسپلیت تانل)',
+    allowed_ips: '43.152.0.0/16, 45.40.0.0/16, 150.109.0.0/16, 161.117.0.0/16, 18.141.0.0/16, 34.87.0.0/16, 52.76.0.0/16, 52.220.0.0/16, 170.106.0.0/16, 125.209.222.0/24, 203.205.0.0/16',
+    mtu: 1410,
+    keepalive: 25,
+    dns: ['@v4', '10.202.10.10', '@v6'],
+    port: 51820
+  },
+  full: {
+    title: '🌐 تونل کامل',
+    allowed_ips: '0.0.0.0/0, ::/0',
+    mtu: 1410,
+    keepalive: 25,
+    dns: ['@v4', '10.202.10.10', '@v6'],
+    port: 51820
+  }
+};
+const DEFAULT_PROFILE_ID = 'gaming';
+
+const OVERRIDABLE = ['mtu', 'keepalive', 'dns', 'port'];
+
+export async function getWgTemplates(env, kvGetJson) {
+  const cfg = (await kvGetJson(env, TEMPLATES_KEY)) || {};
+  const profiles = cfg.profiles && Object.keys(cfg.profiles).length ? cfg.profiles : DEFAULT_WG_PROFILES;
+  return { profiles, countries: cfg.countries || {} };
+}
+export async function setWgTemplates(env, kvPutJson, cfg) {
+  await kvPutJson(env, TEMPLATES_KEY, { profiles: cfg.profiles || {}, countries: cfg.countries || {} });
+}
+export async function resetWgTemplates(env, kvPutJson) {
+  await kvPutJson(env, TEMPLATES_KEY, { profiles: DEFAULT_WG_PROFILES, countries: {} });
+}
+
+// Profile ids end up in callback_data, so keep them short
+export function isValidWgProfileId(id) {
+  return /^[a-z0-9_]{1,16}$/.test(String(id || ''));
+}
+
+function validateCommonFields(p) {
+  if (p.mtu != null && !(Number.isInteger(Number(p.mtu)) && Number(p.mtu) >= 1280 && Number(p.mtu) <= 1500)) return 'mtu must be 1280-1500';
+  if (p.keepalive != null && !(Number.isInteger(Number(p.keepalive)) && Number(p.keepalive) >= 0 && Number(p.keepalive) <= 3600)) return 'keepalive must be 0-3600';
+  if (p.port != null && !(Number.isInteger(Number(p.port)) && Number(p.port) >= 1 && Number(p.port) <= 65535)) return 'port must be 1-65535';
+  if (p.dns != null) {
+    if (!Array.isArray(p.dns) || !p.dns.length) return 'dns must be a non-empty array';
+    for (const d of p.dns) {
+      const v = String(d);
+      if (v === '@v4' || v === '@v6') continue;
+      if (!/^[0-9a-fA-F.:]+$/.test(v)) return `bad dns entry: ${v}`;
+    }
+  }
+  return '';
+}
+
+// Returns an error string or '' when the profile is usable
+export function validateWgProfile(p) {
+  if (!p || typeof p !== 'object') return 'profile must be an object';
+  if (!String(p.title || '').trim()) return 'title is required';
+  const allowed = String(p.allowed_ips || '').split(',').map(x => x.trim()).filter(Boolean);
+  if (!allowed.length) return 'allowed_ips is required';
+  for (const c of allowed) if (!/^[0-9a-fA-F.:]+\/\d{1,3}$/.test(c)) return `bad allowed_ips entry: ${c}`;
+  return validateCommonFields(p);
+}
+
+export function validateWgCountryOverride(o, profiles) {
+  if (!o || typeof o !== 'object') return 'override must be an object';
+  if (o.profiles != null) {
+    if (!Array.isArray(o.profiles) || !o.profiles.length) return 'profiles must be a non-empty array';
+    for (const id of o.profiles) if (!profiles[id]) return `unknown profile: ${id}`;
+  }
+  if (o.default != null && !profiles[o.default]) return `unknown profile: ${o.default}`;
+  return validateCommonFields(o);
+}
+
+function resolve(cfg, country, id) {
+  const base = cfg.profiles[id];
+  if (!base) return null;
+  const over = cfg.countries[country] || {};
+  // fields left out of a custom profile fall back to the built-in defaults
+  const out = { id, ...DEFAULT_WG_PROFILES[DEFAULT_PROFILE_ID] };
+  for (const [k, v] of Object.entries(base)) if (v != null) out[k] = v;
+  for (const k of OVERRIDABLE) if (over[k] != null) out[k] = over[k];
+  out.mtu = Number(out.mtu);
+  out.keepalive = Number(out.keepalive);
+  out.port = Number(out.port);
+  return out;
+}
+
+// Profiles offered in a country, resolved with its overrides; default first
+export function listWgProfilesForCountry(cfg, country) {
+  const over = cfg.countries[country] || {};
+  let ids = Array.isArray(over.profiles) && over.profiles.length ? over.profiles : Object.keys(cfg.profiles);
+  ids = ids.filter(id => cfg.profiles[id]);
+  const def = over.default && ids.includes(over.default) ? over.default : (ids.includes(DEFAULT_PROFILE_ID) ? DEFAULT_PROFILE_ID : ids[0]);
+  if (def) ids = [def, ...ids.filter(id => id !== def)];
+  return ids.map(id => resolve(cfg, country, id));
+}
+
+// Missing or not-offered profile id falls back to the country default; null when nothing is offered
+export function resolveWgProfile(cfg, country, profileId) {
+  const offered = listWgProfilesForCountry(cfg, country);
+  return offered.find(p => p.id === profileId) || offered[0] || null;
+}
+
+// deps: { randomIp4FromCidr, randomIpv6FromCidr }; ranges: { v4: [cidr], v6: [cidr] } of the country
+export function renderWgDns(dns, ranges, deps) {
+  const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+  const v4 = (ranges && ranges.v4) || [];
+  const v6 = (ranges && ranges.v6) || [];
+  return (dns || []).map(d => {
+    if (d === '@v4') return v4.length ? deps.randomIp4FromCidr(pick(v4)) : '1.1.1.1';
+    if (d === '@v6') return v6.length ? deps.randomIpv6FromCidr(pick(v6)) : '2001:4860:4860::8888';
+    return String(d);
+  }).join(', ');
+}